@@ -0,0 +1,63 @@
+// Imported into the generated service worker (see vite.config.js). The app
+// works out the reminders (src/utils/reminders.js); this shows the ones it
+// left here when periodic background sync wakes the worker, and passes taps
+// on a reminder notification and its buttons back to the app, opening it
+// when it is closed. With Notification Triggers the browser shows scheduled
+// reminders by itself.
+
+const REMINDER_MESSAGE_TYPE = 'reminder-action';
+const REMINDER_SYNC_TAG = 'reminders';
+const SCHEDULE_CACHE = 'reminder-schedule';
+const SCHEDULE_URL = '/reminder-schedule.json';
+
+// Show what fell due since the app last looked, unless it is older than the
+// app would catch up on, and note it so neither shows it again
+const showDueReminders = async () => {
+  const cache = await caches.open(SCHEDULE_CACHE);
+  const response = await cache.match(SCHEDULE_URL);
+  if (!response) return;
+
+  const schedule = await response.json();
+  const now = Date.now();
+  const due = schedule.reminders.filter((reminder) => {
+    const showAt = new Date(reminder.showAt).getTime();
+    return showAt <= now && now - showAt <= schedule.catchUpMinutes * 60 * 1000 && !schedule.shown[reminder.key];
+  });
+  if (due.length === 0) return;
+
+  for (const reminder of due) {
+    await self.registration.showNotification(reminder.title, reminder.options);
+    schedule.shown[reminder.key] = new Date(now).toISOString();
+  }
+  await cache.put(SCHEDULE_URL, new Response(JSON.stringify(schedule), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+};
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === REMINDER_SYNC_TAG) {
+    event.waitUntil(showDueReminders());
+  }
+});
+
+self.addEventListener('notificationclick', (event) => {
+  const key = event.notification.data && event.notification.data.key;
+  if (!key) return;
+  const action = event.action || 'open';
+  event.notification.close();
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length > 0) {
+      windows[0].postMessage({ type: REMINDER_MESSAGE_TYPE, key, action });
+      if (action === 'open') {
+        await windows[0].focus();
+      }
+      return;
+    }
+    const url = new URL('/', self.location.origin);
+    url.searchParams.set('reminder', key);
+    url.searchParams.set('reminderAction', action);
+    await self.clients.openWindow(url.href);
+  })());
+});
@@ -0,0 +1,205 @@
+// Relay for device sync (see src/utils/sync.js and syncTransports.js). Run it
+// on a computer in the same network as the devices:
+//
+//   npm run sync-relay -- --port 8787 --data ./sync-relay.json
+//
+// and enter http://<computer address>:8787 on each device. The relay only
+// stores and hands out the batches of each room; they are encrypted with the
+// room code, which it never sees. Without --data the batches are kept in
+// memory until it stops.
+//
+// Exposure: by default it listens on every network interface (0.0.0.0) and
+// answers requests from any web page (Access-Control-Allow-Origin: *), with
+// no login. Anyone who can reach the port can add batches to a room and
+// download them if they know its id (a hash of the room code), though not
+// read them. Run it only on a network you trust, or bind it to one address
+// with --host. Each room keeps its batches for --max-age-days (90) and up to
+// --max-room-mb (128), oldest dropped first, in memory and in the --data
+// file alike; a device away for longer misses the dropped changes.
+
+import http from 'http';
+import fs from 'fs';
+import { pathToFileURL } from 'url';
+
+const MAX_BODY_BYTES = 16 * 1024 * 1024;
+const BATCHES_PER_PAGE = 50;
+const DEFAULT_MAX_ROOM_MB = 128;
+const DEFAULT_MAX_AGE_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const readOption = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index > -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(Object.assign(new Error('Batch too large'), { status: 413 }));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+    } catch {
+      reject(Object.assign(new Error('Invalid JSON'), { status: 400 }));
+    }
+  });
+  req.on('error', reject);
+});
+
+const getBatchSize = (batch) => batch.size ?? Buffer.byteLength(JSON.stringify(batch.payload));
+
+// The HTTP server of a relay; not listening yet
+export const createRelay = ({
+  dataFile = null,
+  maxRoomBytes = DEFAULT_MAX_ROOM_MB * 1024 * 1024,
+  maxAgeDays = DEFAULT_MAX_AGE_DAYS
+} = {}) => {
+  // roomId -> [{ seq, deviceId, payload, size, receivedAt }]
+  let rooms = new Map();
+  let lastSeq = 0;
+
+  // Drop a room's oldest batches until it is within the age and size limits
+  const pruneRoom = (roomId, now = Date.now()) => {
+    const batches = rooms.get(roomId) || [];
+    let bytes = batches.reduce((sum, batch) => sum + getBatchSize(batch), 0);
+    let dropped = 0;
+    while (dropped < batches.length && (bytes > maxRoomBytes
+      || now - new Date(batches[dropped].receivedAt).getTime() > maxAgeDays * DAY_MS)) {
+      bytes -= getBatchSize(batches[dropped]);
+      dropped += 1;
+    }
+    if (dropped === batches.length) {
+      rooms.delete(roomId);
+    } else if (dropped > 0) {
+      rooms.set(roomId, batches.slice(dropped));
+    }
+    return dropped;
+  };
+
+  if (dataFile && fs.existsSync(dataFile)) {
+    const saved = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    rooms = new Map(Object.entries(saved.rooms || {}));
+    lastSeq = saved.lastSeq || 0;
+    [...rooms.keys()].forEach(roomId => pruneRoom(roomId));
+    console.log(`Loaded ${rooms.size} rooms from ${dataFile}`);
+  }
+
+  let saveTimer = null;
+  const save = () => {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    fs.writeFileSync(dataFile, JSON.stringify({ lastSeq, rooms: Object.fromEntries(rooms) }));
+  };
+  const scheduleSave = () => {
+    if (!dataFile || saveTimer) return;
+    saveTimer = setTimeout(save, 1000);
+  };
+
+  const addBatch = async (req, res, roomId) => {
+    const { deviceId, payload } = await readBody(req);
+    if (!deviceId || !payload) {
+      sendJson(res, 400, { error: 'deviceId and payload are required' });
+      return;
+    }
+    const batches = rooms.get(roomId) || [];
+    lastSeq += 1;
+    batches.push({ seq: lastSeq, deviceId, payload, size: getBatchSize({ payload }), receivedAt: new Date().toISOString() });
+    rooms.set(roomId, batches);
+    pruneRoom(roomId);
+    scheduleSave();
+    sendJson(res, 200, { seq: lastSeq });
+  };
+
+  // A page of the batches after `after`; the device's own are skipped, but
+  // the cursor still moves past them
+  const listBatches = (res, roomId, searchParams) => {
+    const after = Number(searchParams.get('after')) || 0;
+    const exclude = searchParams.get('exclude');
+    if (pruneRoom(roomId) > 0) {
+      scheduleSave();
+    }
+    const pending = (rooms.get(roomId) || []).filter(batch => batch.seq > after);
+    const page = pending.slice(0, BATCHES_PER_PAGE);
+
+    sendJson(res, 200, {
+      batches: page
+        .filter(batch => batch.deviceId !== exclude)
+        .map(({ deviceId, payload }) => ({ deviceId, payload })),
+      cursor: page.length > 0 ? page[page.length - 1].seq : after,
+      more: pending.length > page.length
+    });
+  };
+
+  const server = http.createServer(async (req, res) => {
+    // The app is served from another origin than the relay
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Private-Network', 'true');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    try {
+      if (url.pathname === '/health') {
+        sendJson(res, 200, { ok: true, rooms: rooms.size });
+        return;
+      }
+
+      const match = url.pathname.match(/^\/rooms\/([a-f0-9]{64})\/batches$/);
+      if (!match) {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+      }
+      if (req.method === 'POST') {
+        await addBatch(req, res, match[1]);
+      } else if (req.method === 'GET') {
+        listBatches(res, match[1], url.searchParams);
+      } else {
+        sendJson(res, 405, { error: 'Method not allowed' });
+      }
+    } catch (error) {
+      console.error('Error handling request:', error.message);
+      if (!res.headersSent) {
+        sendJson(res, error.status || 500, { error: error.message });
+      }
+    }
+  });
+
+  // Write what is still waiting to be saved
+  server.on('close', () => {
+    if (saveTimer) save();
+  });
+
+  return server;
+};
+
+// Started from the command line rather than imported (by its test)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(readOption('port', process.env.SYNC_RELAY_PORT || 8787));
+  const host = readOption('host', '0.0.0.0');
+  const relay = createRelay({
+    dataFile: readOption('data', null),
+    maxRoomBytes: Number(readOption('max-room-mb', DEFAULT_MAX_ROOM_MB)) * 1024 * 1024,
+    maxAgeDays: Number(readOption('max-age-days', DEFAULT_MAX_AGE_DAYS))
+  });
+  relay.listen(port, host, () => {
+    console.log(`Sync relay listening on http://${host}:${port}`);
+  });
+}
@@ -0,0 +1,130 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRelay } from './sync-relay';
+
+const ROOM = 'a'.repeat(64);
+
+let relay = null;
+
+const startRelay = async (options) => {
+  relay = createRelay(options);
+  await new Promise(resolve => relay.listen(0, '127.0.0.1', resolve));
+  return `http://127.0.0.1:${relay.address().port}/rooms/${ROOM}/batches`;
+};
+
+const stopRelay = () => new Promise(resolve => relay.close(resolve));
+
+const post = async (roomUrl, deviceId, payload) => {
+  const response = await fetch(roomUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ deviceId, payload })
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const list = async (roomUrl, params = {}) => {
+  const response = await fetch(`${roomUrl}?${new URLSearchParams(params)}`);
+  return response.json();
+};
+
+describe('sync relay', () => {
+  afterEach(async () => {
+    vi.useRealTimers();
+    if (relay?.listening) {
+      await stopRelay();
+    }
+    relay = null;
+  });
+
+  it('hands out the batches posted to a room', async () => {
+    const roomUrl = await startRelay();
+    expect(await post(roomUrl, 'tablet', 'one')).toEqual({ status: 200, body: { seq: 1 } });
+    expect(await post(roomUrl, 'phone', 'two')).toEqual({ status: 200, body: { seq: 2 } });
+
+    expect(await list(roomUrl)).toEqual({
+      batches: [{ deviceId: 'tablet', payload: 'one' }, { deviceId: 'phone', payload: 'two' }],
+      cursor: 2,
+      more: false
+    });
+    expect(await list(roomUrl, { after: 2 })).toEqual({ batches: [], cursor: 2, more: false });
+  });
+
+  it('rejects batches without a device or payload', async () => {
+    const roomUrl = await startRelay();
+    expect((await post(roomUrl, 'tablet', null)).status).toBe(400);
+  });
+
+  it('skips the asking device\'s own batches but moves the cursor past them', async () => {
+    const roomUrl = await startRelay();
+    await post(roomUrl, 'phone', 'one');
+    await post(roomUrl, 'tablet', 'two');
+    await post(roomUrl, 'tablet', 'three');
+
+    expect(await list(roomUrl, { exclude: 'tablet' })).toEqual({
+      batches: [{ deviceId: 'phone', payload: 'one' }],
+      cursor: 3,
+      more: false
+    });
+  });
+
+  it('pages through a long backlog', async () => {
+    const roomUrl = await startRelay();
+    for (let index = 1; index <= 55; index += 1) {
+      await post(roomUrl, index % 2 ? 'phone' : 'tablet', `batch ${index}`);
+    }
+
+    const first = await list(roomUrl, { exclude: 'tablet' });
+    expect(first.cursor).toBe(50);
+    expect(first.more).toBe(true);
+    expect(first.batches).toHaveLength(25);
+
+    const second = await list(roomUrl, { after: first.cursor, exclude: 'tablet' });
+    expect(second).toEqual({
+      batches: [51, 53, 55].map(index => ({ deviceId: 'phone', payload: `batch ${index}` })),
+      cursor: 55,
+      more: false
+    });
+  });
+
+  it('drops a room\'s oldest batches beyond its size limit', async () => {
+    const roomUrl = await startRelay({ maxRoomBytes: 25 });
+    await post(roomUrl, 'phone', 'x'.repeat(10));
+    await post(roomUrl, 'phone', 'y'.repeat(10));
+    await post(roomUrl, 'phone', 'z'.repeat(10));
+
+    const { batches, cursor } = await list(roomUrl);
+    expect(batches.map(batch => batch.payload)).toEqual(['y'.repeat(10), 'z'.repeat(10)]);
+    expect(cursor).toBe(3);
+  });
+
+  it('drops batches older than the age limit, also from the data file', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-relay-'));
+    const dataFile = path.join(dataDir, 'relay.json');
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2025-01-01T00:00:00Z'));
+    const roomUrl = await startRelay({ dataFile, maxAgeDays: 30 });
+    await post(roomUrl, 'phone', 'old');
+    vi.setSystemTime(new Date('2025-01-20T00:00:00Z'));
+    await post(roomUrl, 'phone', 'recent');
+
+    vi.setSystemTime(new Date('2025-02-10T00:00:00Z'));
+    expect((await list(roomUrl)).batches.map(batch => batch.payload)).toEqual(['recent']);
+
+    await stopRelay();
+    const saved = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    expect(saved.lastSeq).toBe(2);
+    expect(saved.rooms[ROOM].map(batch => batch.payload)).toEqual(['recent']);
+
+    // Loaded again after the rest has expired too
+    vi.setSystemTime(new Date('2025-03-01T00:00:00Z'));
+    const reloadedUrl = await startRelay({ dataFile, maxAgeDays: 30 });
+    expect(await list(reloadedUrl, { after: 0 })).toEqual({ batches: [], cursor: 0, more: false });
+    expect(await post(reloadedUrl, 'phone', 'new')).toEqual({ status: 200, body: { seq: 3 } });
+
+    await stopRelay();
+    fs.rmSync(dataDir, { recursive: true });
+  });
+});
@@ -1,7 +1,24 @@
 import React, { useState, useEffect, Suspense } from 'react';
-import { Home, Users, MessageCircle, Utensils, AlertTriangle, Database, HardDrive } from 'lucide-react';
+import { Home, Users, MessageCircle, Utensils, AlertTriangle, NotebookPen, Database, HardDrive, Settings, Siren, HeartPulse, Pill } from 'lucide-react';
 import { reportWebVitals } from './utils/web-vitals';
 import PerformanceMonitor from './components/PerformanceMonitor';
+import StorageWarningBanner from './components/StorageWarningBanner';
+import StorageRecoveryDialog from './components/StorageRecoveryDialog';
+import UndoToast from './components/UndoToast';
+import CaregiverModeControl from './components/CaregiverModeControl';
+import PatientSwitcher from './components/PatientSwitcher';
+import EncryptionGate from './components/EncryptionGate';
+import MessageStrip from './components/MessageStrip';
+import EmergencyNumbersEditor from './components/EmergencyNumbersEditor';
+import SosDialog from './components/SosDialog';
+import MedicalIdCard from './components/MedicalIdCard';
+import MedicationPrompt from './components/MedicationPrompt';
+import ReminderBanners from './components/ReminderBanners';
+import ReminderSettings from './components/ReminderSettings';
+import { useCaregiverMode } from './hooks/useCaregiverMode';
+import { useAutoSync } from './hooks/useSync';
+import { useEmergencySettings } from './hooks/useEmergencyNumbers';
+import { getEmergencyNumbers, dialNumber, COUNTRY_PRESETS } from './utils/emergencyServices';
 import './index.css';
 
 // Optimized Image Component for better performance
@@ -47,6 +64,12 @@ const LazyComponents = {
   EmergencyManager: React.lazy(() => import('./components/EmergencyManager').then(module => ({
     default: module.default
   }))),
+  SymptomDiary: React.lazy(() => import('./components/SymptomDiary').then(module => ({
+    default: module.default
+  }))),
+  MedicationManager: React.lazy(() => import('./components/MedicationManager').then(module => ({
+    default: module.default
+  }))),
   DynamicDataManager: React.lazy(() => import('./components/DynamicDataManager').then(module => ({
     default: module.default
   }))),
@@ -83,13 +106,18 @@ const tabs = [
   { id: 'phrases', label: 'Phrases', icon: MessageCircle },
   { id: 'foods', label: 'Foods', icon: Utensils },
   { id: 'emergency', label: 'Emergency', icon: AlertTriangle },
+  { id: 'diary', label: 'Diary', icon: NotebookPen },
+  { id: 'medications', label: 'Medicines', icon: Pill },
   { id: 'dynamic', label: 'Custom Data', icon: Database },
-  { id: 'storage', label: 'Storage', icon: HardDrive },
+  { id: 'storage', label: 'Storage', icon: HardDrive, caregiverOnly: true },
 ];
 
 function App() {
   const [activeTab, setActiveTab] = useState('overview');
   const [isLoading, setIsLoading] = useState(true);
+  const caregiverMode = useCaregiverMode();
+  const visibleTabs = tabs.filter(tab => caregiverMode || !tab.caregiverOnly);
+  useAutoSync();
 
   useEffect(() => {
     // Initialize web vitals monitoring
@@ -100,6 +128,13 @@ function App() {
     return () => clearTimeout(timer);
   }, []);
 
+  // Locking (by hand or after inactivity) leaves caregiver-only tabs
+  useEffect(() => {
+    if (!caregiverMode && tabs.find(tab => tab.id === activeTab)?.caregiverOnly) {
+      setActiveTab('overview');
+    }
+  }, [caregiverMode, activeTab]);
+
   const handleQuickAction = (action) => {
     setActiveTab(action);
   };
@@ -113,8 +148,10 @@ function App() {
       case 'overview':
         return (
           <div className="p-4 space-y-6">
+            <MedicalIdButton />
             <QuickActions onActionClick={handleQuickAction} />
             <EmergencyNumbers />
+            <ReminderSettings />
           </div>
         );
       case 'contacts':
@@ -141,6 +178,18 @@ function App() {
             <LazyComponents.EmergencyManager />
           </Suspense>
         );
+      case 'diary':
+        return (
+          <Suspense fallback={<LoadingSkeleton />}>
+            <LazyComponents.SymptomDiary />
+          </Suspense>
+        );
+      case 'medications':
+        return (
+          <Suspense fallback={<LoadingSkeleton />}>
+            <LazyComponents.MedicationManager />
+          </Suspense>
+        );
       case 'dynamic':
         return (
           <Suspense fallback={<LoadingSkeleton />}>
@@ -173,7 +222,7 @@ function App() {
 
       {/* Navigation */}
       <nav 
-        className="bg-white shadow-sm border-b border-gray-200 sticky top-0 z-40"
+        className="bg-white shadow-sm border-b border-gray-200 sticky top-0 z-40 print:hidden"
         role="navigation"
         aria-label="Main navigation"
       >
@@ -181,7 +230,7 @@ function App() {
           <div className="flex justify-between h-16">
             <div className="flex">
               <div className="flex space-x-8">
-                {tabs.map((tab) => {
+                {visibleTabs.map((tab) => {
                   const Icon = tab.icon;
                   return (
                     <button
@@ -203,14 +252,34 @@ function App() {
                 })}
               </div>
             </div>
+            <div className="flex items-center space-x-2">
+              <SosButton />
+              <PatientSwitcher />
+              <CaregiverModeControl />
+            </div>
           </div>
         </div>
       </nav>
 
+      {/* Message composed from tiles on any tab */}
+      <MessageStrip />
+
+      {/* Storage Quota Warning */}
+      {caregiverMode && <StorageWarningBanner onManageStorage={() => setActiveTab('storage')} />}
+
+      {/* Recovery when a save fails because storage is full */}
+      <StorageRecoveryDialog />
+      {caregiverMode && <UndoToast />}
+
       {/* Main Content */}
       <main id="main-content" className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
         <div role="tabpanel" id={`${activeTab}-panel`}>
-          {renderTabContent()}
+          {/* Asks for the passphrase while the patient's data is encrypted and locked */}
+          <EncryptionGate>
+            {renderTabContent()}
+            <MedicationPrompt />
+            <ReminderBanners />
+          </EncryptionGate>
         </div>
       </main>
     </div>
@@ -265,77 +334,112 @@ const QuickActions = ({ onActionClick }) => (
   </div>
 );
 
+// SOS Button Component
+// Always in the header, for the patient as much as the caregiver
+const SosButton = () => {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <>
+      <button
+        onClick={() => setOpen(true)}
+        className="flex items-center space-x-1 px-3 py-2 bg-red-600 text-white text-sm font-bold rounded-lg hover:bg-red-700 transition-colors"
+        aria-label="SOS: call for help"
+      >
+        <Siren className="w-5 h-5" aria-hidden="true" />
+        <span>SOS</span>
+      </button>
+      {open && <SosDialog onClose={() => setOpen(false)} />}
+    </>
+  );
+};
+
+// Medical ID Button Component
+// One tap to the medical ID, in patient mode too
+const MedicalIdButton = () => {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <>
+      <button
+        onClick={() => setOpen(true)}
+        className="w-full flex items-center justify-center space-x-3 px-6 py-4 bg-white border-2 border-red-500 text-red-700 text-xl font-bold rounded-lg shadow-sm hover:bg-red-50 transition-colors"
+      >
+        <HeartPulse className="w-7 h-7" aria-hidden="true" />
+        <span>Medical ID</span>
+      </button>
+      {open && <MedicalIdCard onClose={() => setOpen(false)} />}
+    </>
+  );
+};
+
 // Emergency Numbers Component
 const EmergencyNumbers = () => {
-  const handleEmergencyCall = (number) => {
-    // Use tel: protocol to initiate phone call
-    window.open(`tel:${number}`, '_self');
-  };
+  const settings = useEmergencySettings();
+  const caregiverMode = useCaregiverMode();
+  const [editing, setEditing] = useState(false);
+  const numbers = getEmergencyNumbers(settings);
 
   return (
     <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
-      <h2 className="text-lg font-semibold text-gray-900 mb-4">Emergency Numbers</h2>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900">Emergency Numbers</h2>
+        {caregiverMode && (
+          <button
+            onClick={() => setEditing(true)}
+            className="flex items-center space-x-1 px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            <Settings className="w-4 h-4" />
+            <span>Edit</span>
+          </button>
+        )}
+      </div>
+      {!settings.confirmed && (
+        <p className="text-sm text-amber-700 mb-4">
+          These are the numbers for {COUNTRY_PRESETS[settings.country].name}, suggested from this device&apos;s language.
+          {caregiverMode ? ' Check them and save.' : ' A caregiver can check and change them.'}
+        </p>
+      )}
       <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
-        <div className="flex items-center space-x-4 p-4 bg-gray-50 rounded-lg">
-          <div className="flex-shrink-0">
-            <button
-              onClick={() => handleEmergencyCall('911')}
-              className="cursor-pointer hover:scale-105 transition-transform duration-200"
-              aria-label="Call Police Emergency - 911"
-              title="Click to call 911"
-            >
-              <OptimizedImage 
-                src="/image/police.png" 
-                alt="Police officer icon - Click to call 911" 
-                className="w-16 h-16 object-contain"
-                loading="eager"
-                width="64"
-                height="64"
-              />
-            </button>
-          </div>
-          <div>
-            <h3 className="text-lg font-medium text-gray-900">Police</h3>
-            <button
-              onClick={() => handleEmergencyCall('911')}
-              className="text-2xl font-bold text-blue-600 hover:text-blue-800 transition-colors duration-200 cursor-pointer"
-              aria-label="Call 911"
-            >
-              911
-            </button>
-          </div>
-        </div>
-        
-        <div className="flex items-center space-x-4 p-4 bg-gray-50 rounded-lg">
-          <div className="flex-shrink-0">
-            <button
-              onClick={() => handleEmergencyCall('999')}
-              className="cursor-pointer hover:scale-105 transition-transform duration-200"
-              aria-label="Call Emergency Services - 999"
-              title="Click to call 999"
-            >
-              <OptimizedImage 
-                src="/image/ambulance.png" 
-                alt="Ambulance icon - Click to call 999" 
-                className="w-16 h-16 object-contain"
-                loading="eager"
-                width="64"
-                height="64"
-              />
-            </button>
-          </div>
-          <div>
-            <h3 className="text-lg font-medium text-gray-900">Emergency</h3>
-            <button
-              onClick={() => handleEmergencyCall('999')}
-              className="text-2xl font-bold text-red-600 hover:text-red-800 transition-colors duration-200 cursor-pointer"
-              aria-label="Call 999"
-            >
-              999
-            </button>
+        {numbers.map(entry => (
+          <div key={entry.id} className="flex items-center space-x-4 p-4 bg-gray-50 rounded-lg">
+            <div className="flex-shrink-0">
+              <button
+                onClick={() => dialNumber(entry.number)}
+                className="cursor-pointer hover:scale-105 transition-transform duration-200"
+                aria-label={`Call ${entry.label} - ${entry.number}`}
+                title={`Click to call ${entry.number}`}
+              >
+                {entry.image ? (
+                  <OptimizedImage
+                    src={entry.image}
+                    alt={`${entry.label} icon - Click to call ${entry.number}`}
+                    className="w-16 h-16 object-contain"
+                    loading="eager"
+                    width="64"
+                    height="64"
+                  />
+                ) : (
+                  <span className="w-16 h-16 flex items-center justify-center text-5xl" aria-hidden="true">{entry.icon}</span>
+                )}
+              </button>
+            </div>
+            <div className="min-w-0">
+              <h3 className="text-lg font-medium text-gray-900 truncate">{entry.label}</h3>
+              <button
+                onClick={() => dialNumber(entry.number)}
+                className={`text-2xl font-bold transition-colors duration-200 cursor-pointer ${
+                  entry.service === 'police' ? 'text-blue-600 hover:text-blue-800' : 'text-red-600 hover:text-red-800'
+                }`}
+                aria-label={`Call ${entry.number}`}
+              >
+                {entry.number}
+              </button>
+            </div>
           </div>
-        </div>
+        ))}
       </div>
+      {editing && <EmergencyNumbersEditor settings={settings} onClose={() => setEditing(false)} />}
     </div>
   );
 };
@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from 'react';
+import { History, Download, AlertTriangle, ChevronDown } from 'lucide-react';
+import { db, RECORD_TYPE_LABELS } from '../utils/database';
+import { queryAuditLog, auditLogToCsv, ALL_ENTITIES } from '../utils/auditLog';
+import { onHistoryChange } from '../utils/undoHistory';
+import { downloadFile, getFileDateStamp } from '../utils/fileDownload';
+
+const PAGE_SIZE = 50;
+
+const ENTITY_OPTIONS = [
+  ...['emergencies', 'contacts', 'phrases', 'foods', 'activities', 'orders', 'symptomEvents', 'medicalIds', 'medications']
+    .map(table => ({ value: table, label: RECORD_TYPE_LABELS[table] })),
+  { value: 'trash', label: 'trash' },
+  { value: ALL_ENTITIES, label: 'whole collections' }
+];
+
+const ACTION_STYLES = {
+  create: 'bg-green-100 text-green-800',
+  update: 'bg-blue-100 text-blue-800',
+  delete: 'bg-red-100 text-red-800'
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+export default function AuditLogPanel() {
+  const [entries, setEntries] = useState([]);
+  const [filters, setFilters] = useState({ entityType: '', from: '', to: '' });
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+  const [expandedId, setExpandedId] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadEntries = async () => {
+      try {
+        setError(null);
+        setEntries(await queryAuditLog(db, filters));
+      } catch (error) {
+        console.error('Error loading audit log:', error);
+        setError('Failed to load the change log');
+      }
+    };
+
+    loadEntries();
+    // New changes (including undo/redo) show up without reopening the tab
+    return onHistoryChange(loadEntries);
+  }, [filters]);
+
+  const handleFilterChange = (e) => {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+    setVisibleCount(PAGE_SIZE);
+  };
+
+  const handleExport = () => {
+    downloadFile(auditLogToCsv(entries), `stroke-app-change-log-${getFileDateStamp()}.csv`, 'text/csv');
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-2">
+          <History className="w-5 h-5 text-blue-600" />
+          <h3 className="text-lg font-medium text-gray-900">Change Log</h3>
+        </div>
+        <button
+          onClick={handleExport}
+          disabled={entries.length === 0}
+          className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          <Download className="w-4 h-4" />
+          <span>Export CSV</span>
+        </button>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Every change made on this device, with who made it and what changed. Entries are never edited or removed.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4">
+        <label className="text-sm text-gray-700">
+          <span className="block mb-1">Type</span>
+          <select
+            name="entityType"
+            value={filters.entityType}
+            onChange={handleFilterChange}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg capitalize"
+          >
+            <option value="">Everything</option>
+            {ENTITY_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm text-gray-700">
+          <span className="block mb-1">From</span>
+          <input
+            type="date"
+            name="from"
+            value={filters.from}
+            onChange={handleFilterChange}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+          />
+        </label>
+        <label className="text-sm text-gray-700">
+          <span className="block mb-1">To</span>
+          <input
+            type="date"
+            name="to"
+            value={filters.to}
+            onChange={handleFilterChange}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+          />
+        </label>
+      </div>
+
+      {error && (
+        <div className="mb-4 flex items-center space-x-2 text-red-700 text-sm">
+          <AlertTriangle className="w-4 h-4" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-500">No changes recorded for these filters.</p>
+      ) : (
+        <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {entries.slice(0, visibleCount).map((entry) => {
+            const fields = Object.entries(entry.diff || {});
+            const expanded = expandedId === entry.id;
+            return (
+              <div key={entry.id} className="p-3">
+                <button
+                  onClick={() => setExpandedId(expanded ? null : entry.id)}
+                  disabled={fields.length === 0}
+                  className="w-full flex items-center justify-between text-left"
+                >
+                  <div>
+                    <p className="font-medium text-gray-900">{entry.description}</p>
+                    <p className="text-xs text-gray-500">
+                      {new Date(entry.timestamp).toLocaleString()} · {entry.actorName}
+                      {entry.source !== 'edit' && ` · ${entry.source}`}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <span className={`px-2 py-0.5 rounded text-xs ${ACTION_STYLES[entry.action] || 'bg-gray-100 text-gray-800'}`}>
+                      {entry.action}
+                    </span>
+                    {fields.length > 0 && (
+                      <ChevronDown className={`w-4 h-4 text-gray-400 transition-transform ${expanded ? 'rotate-180' : ''}`} />
+                    )}
+                  </div>
+                </button>
+                {expanded && (
+                  <table className="mt-2 w-full text-xs">
+                    <thead>
+                      <tr className="text-left text-gray-500">
+                        <th className="py-1 pr-2">Field</th>
+                        <th className="py-1 pr-2">Before</th>
+                        <th className="py-1">After</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {fields.map(([field, { before, after }]) => (
+                        <tr key={field} className="align-top">
+                          <td className="py-1 pr-2 font-mono text-gray-700">{field}</td>
+                          <td className="py-1 pr-2 text-red-700 break-all">{formatValue(before)}</td>
+                          <td className="py-1 text-green-700 break-all">{formatValue(after)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {entries.length > visibleCount && (
+        <button
+          onClick={() => setVisibleCount(visibleCount + PAGE_SIZE)}
+          className="mt-3 w-full px-4 py-2 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+        >
+          Show {Math.min(PAGE_SIZE, entries.length - visibleCount)} more of {entries.length - visibleCount}
+        </button>
+      )}
+    </div>
+  );
+}
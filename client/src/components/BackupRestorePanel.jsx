@@ -0,0 +1,361 @@
+import React, { useState } from 'react';
+import { Archive, Download, Upload, AlertTriangle, CheckCircle, KeyRound } from 'lucide-react';
+import { useDatabase } from '../hooks/useDatabase';
+import { usePermissions } from '../hooks/useCaregiverMode';
+import { useEncryptionState } from '../hooks/useEncryption';
+import { validatePassphrase } from '../utils/encryption';
+import { getActivePatient } from '../utils/patientProfiles';
+import ImportReviewDialog from './ImportReviewDialog';
+import {
+  downloadBackupArchive,
+  readBackupFile,
+  isBackupPassphraseRequired,
+  summarizeBackupArchive,
+  previewBackupMerge,
+  restoreBackupArchive
+} from '../utils/backup';
+
+export default function BackupRestorePanel() {
+  const { isInitialized } = useDatabase();
+  const can = usePermissions();
+  const patient = getActivePatient();
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [pendingRestore, setPendingRestore] = useState(null);
+  const [restoreMode, setRestoreMode] = useState('merge');
+  const [mergeDiff, setMergeDiff] = useState(null);
+  const { enabled: encrypted } = useEncryptionState();
+  const [encryptBackup, setEncryptBackup] = useState(false);
+  const [backupPassphrase, setBackupPassphrase] = useState({ passphrase: '', confirm: '' });
+  // An encrypted backup file waiting for its passphrase
+  const [lockedFile, setLockedFile] = useState(null);
+  const [filePassphrase, setFilePassphrase] = useState('');
+
+  // Encrypted patient data is always backed up encrypted
+  const encryptingBackup = encrypted || encryptBackup;
+
+  const handleBackup = async () => {
+    if (encryptingBackup) {
+      const problem = validatePassphrase(backupPassphrase.passphrase)
+        || (backupPassphrase.passphrase !== backupPassphrase.confirm && "The passphrases don't match");
+      if (problem) {
+        setError(problem);
+        return;
+      }
+    }
+
+    try {
+      setWorking(true);
+      setError(null);
+      setMessage(null);
+
+      const archive = await downloadBackupArchive({
+        passphrase: encryptingBackup ? backupPassphrase.passphrase : undefined
+      });
+      setBackupPassphrase({ passphrase: '', confirm: '' });
+      setMessage(`Backup created with ${archive.manifest.sections.images.count} images${encryptingBackup ? ', encrypted' : ''}.`);
+    } catch (error) {
+      console.error('Error creating backup:', error);
+      setError('Failed to create backup. Please try again.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const openBackupFile = async (file, passphrase) => {
+    try {
+      setWorking(true);
+      setError(null);
+      setMessage(null);
+
+      const archive = await readBackupFile(file, passphrase);
+      const summary = await summarizeBackupArchive(archive);
+      setLockedFile(null);
+      setPendingRestore({ archive, summary, fileName: file.name });
+      setRestoreMode('merge');
+    } catch (error) {
+      if (isBackupPassphraseRequired(error)) {
+        setLockedFile(file);
+        return;
+      }
+      console.error('Error reading backup:', error);
+      setError(`Invalid backup file: ${error.message}`);
+    } finally {
+      setFilePassphrase('');
+      setWorking(false);
+    }
+  };
+
+  const handleSelectBackup = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    openBackupFile(file);
+  };
+
+  const handleUnlockBackupFile = (e) => {
+    e.preventDefault();
+    openBackupFile(lockedFile, filePassphrase);
+  };
+
+  const handleConfirmRestore = async (mergeOptions = {}) => {
+    try {
+      setWorking(true);
+      setError(null);
+      await restoreBackupArchive(pendingRestore.archive, { mode: restoreMode, ...mergeOptions });
+      setPendingRestore(null);
+      setMergeDiff(null);
+
+      // Reload so every screen picks up the restored data
+      window.location.reload();
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      setError('Failed to restore backup. Your existing data was not changed.');
+      setWorking(false);
+    }
+  };
+
+  // A merge is reviewed record by record before anything is written
+  const handleReviewMerge = async () => {
+    try {
+      setWorking(true);
+      setError(null);
+      setMergeDiff(await previewBackupMerge(pendingRestore.archive));
+    } catch (error) {
+      console.error('Error comparing backup:', error);
+      setError('Failed to compare the backup with this device.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleCancelRestore = () => {
+    setPendingRestore(null);
+    setMergeDiff(null);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <div className="flex items-center space-x-2 mb-4">
+        <Archive className="w-5 h-5 text-blue-600" />
+        <h3 className="text-lg font-medium text-gray-900">Backup &amp; Restore</h3>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Save {patient.name}'s contacts, phrases, foods, emergency data, settings and photos into one file,
+        or restore them on a new device or into another patient profile.
+      </p>
+
+      <div className="flex flex-col sm:flex-row gap-3">
+        <button
+          onClick={handleBackup}
+          disabled={!isInitialized || working}
+          className="flex items-center justify-center space-x-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50"
+        >
+          <Download className="w-4 h-4" />
+          <span>Backup everything</span>
+        </button>
+        <label
+          className={`flex items-center justify-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors cursor-pointer ${
+            !isInitialized || working || !can('restoreBackup') ? 'opacity-50 pointer-events-none' : ''
+          }`}
+        >
+          <Upload className="w-4 h-4" />
+          <span>Restore from backup</span>
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={handleSelectBackup}
+            className="hidden"
+          />
+        </label>
+      </div>
+
+      <div className="mt-4 space-y-2">
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={encryptingBackup}
+            disabled={encrypted}
+            onChange={(e) => setEncryptBackup(e.target.checked)}
+          />
+          <span>
+            Encrypt the backup file with a passphrase
+            {encrypted && ` (always on while ${patient.name}'s data is encrypted)`}
+          </span>
+        </label>
+        {encryptingBackup && (
+          <div className="flex flex-col sm:flex-row gap-2">
+            <input
+              type="password"
+              autoComplete="new-password"
+              value={backupPassphrase.passphrase}
+              onChange={(e) => setBackupPassphrase({ ...backupPassphrase, passphrase: e.target.value })}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+              aria-label="Backup passphrase"
+              placeholder="Backup passphrase"
+            />
+            <input
+              type="password"
+              autoComplete="new-password"
+              value={backupPassphrase.confirm}
+              onChange={(e) => setBackupPassphrase({ ...backupPassphrase, confirm: e.target.value })}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+              aria-label="Repeat the backup passphrase"
+              placeholder="Repeat the passphrase"
+            />
+          </div>
+        )}
+      </div>
+
+      {lockedFile && (
+        <form onSubmit={handleUnlockBackupFile} className="mt-4 p-3 bg-blue-50 rounded-lg space-y-2">
+          <div className="flex items-center space-x-2 text-sm text-blue-800">
+            <KeyRound className="w-4 h-4" />
+            <span>{lockedFile.name} is encrypted. Enter its passphrase to restore it.</span>
+          </div>
+          <div className="flex space-x-2">
+            <input
+              type="password"
+              autoComplete="off"
+              autoFocus
+              value={filePassphrase}
+              onChange={(e) => setFilePassphrase(e.target.value)}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+              aria-label="Passphrase of the backup file"
+            />
+            <button
+              type="submit"
+              disabled={working || !filePassphrase}
+              className="px-3 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              Open
+            </button>
+            <button
+              type="button"
+              onClick={() => setLockedFile(null)}
+              className="px-3 py-2 text-sm bg-gray-300 text-gray-700 rounded-lg hover:bg-gray-400"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {error && (
+        <div className="mt-4 flex items-center space-x-2 text-red-700 text-sm">
+          <AlertTriangle className="w-4 h-4" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {message && (
+        <div className="mt-4 flex items-center space-x-2 text-green-700 text-sm">
+          <CheckCircle className="w-4 h-4" />
+          <span>{message}</span>
+        </div>
+      )}
+
+      {/* Restore Preview Dialog */}
+      {pendingRestore && !mergeDiff && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 max-w-lg w-full mx-4 max-h-[90vh] overflow-y-auto">
+            <h3 className="text-lg font-medium text-gray-900 mb-1">Restore Backup</h3>
+            <p className="text-sm text-gray-500 mb-4">
+              {pendingRestore.fileName} &middot; created {new Date(pendingRestore.archive.manifest.createdAt).toLocaleString()}
+            </p>
+            <p className="text-sm text-gray-600 mb-4">
+              {pendingRestore.archive.manifest.patient
+                ? `Backup of ${pendingRestore.archive.manifest.patient.name}, restoring into ${patient.name}.`
+                : `Restoring into ${patient.name}.`}
+            </p>
+
+            <table className="w-full text-sm mb-4">
+              <thead>
+                <tr className="text-left text-gray-500 border-b border-gray-200">
+                  <th className="py-2 font-medium">Collection</th>
+                  <th className="py-2 font-medium text-right">On this device</th>
+                  <th className="py-2 font-medium text-right">In backup</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {pendingRestore.summary.map((row) => (
+                  <tr key={row.section} className={row.supported ? '' : 'text-gray-400'}>
+                    <td className="py-2 capitalize">{row.label}</td>
+                    <td className="py-2 text-right">{row.current}</td>
+                    <td className="py-2 text-right">{row.supported ? row.incoming : 'not supported'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className="space-y-2 mb-4">
+              <label className="flex items-start space-x-2 text-sm">
+                <input
+                  type="radio"
+                  name="restoreMode"
+                  value="merge"
+                  checked={restoreMode === 'merge'}
+                  onChange={() => setRestoreMode('merge')}
+                  className="mt-1"
+                />
+                <span>
+                  <span className="font-medium">Merge</span> &ndash; keep everything on this device and review what the backup adds or changes
+                </span>
+              </label>
+              <label className="flex items-start space-x-2 text-sm">
+                <input
+                  type="radio"
+                  name="restoreMode"
+                  value="replace"
+                  checked={restoreMode === 'replace'}
+                  onChange={() => setRestoreMode('replace')}
+                  className="mt-1"
+                />
+                <span>
+                  <span className="font-medium">Replace</span> &ndash; delete the data on this device and use the backup instead
+                </span>
+              </label>
+            </div>
+
+            {restoreMode === 'replace' && (
+              <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-start space-x-2 text-sm text-red-700">
+                <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                <span>The counts under &quot;On this device&quot; will be permanently replaced.</span>
+              </div>
+            )}
+
+            <div className="flex space-x-3">
+              <button
+                onClick={restoreMode === 'merge' ? handleReviewMerge : () => handleConfirmRestore()}
+                disabled={working}
+                className={`flex-1 px-4 py-2 text-white rounded-lg transition-colors disabled:opacity-50 ${
+                  restoreMode === 'replace' ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'
+                }`}
+              >
+                {working ? 'Restoring...' : restoreMode === 'merge' ? 'Review changes' : 'Restore'}
+              </button>
+              <button
+                onClick={handleCancelRestore}
+                disabled={working}
+                className="flex-1 px-4 py-2 bg-gray-300 text-gray-700 rounded-lg hover:bg-gray-400 transition-colors"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {pendingRestore && mergeDiff && (
+        <ImportReviewDialog
+          title="Merge Backup"
+          diff={mergeDiff}
+          working={working}
+          onConfirm={handleConfirmRestore}
+          onCancel={handleCancelRestore}
+        />
+      )}
+    </div>
+  );
+}
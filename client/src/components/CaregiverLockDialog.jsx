@@ -0,0 +1,572 @@
+import React, { useState } from 'react';
+import { Lock, KeyRound, ShieldCheck, AlertTriangle, CheckCircle, Users, UserPlus, Trash2 } from 'lucide-react';
+import PatternLock from './PatternLock';
+import { useCaregiverProfile, usePermissions } from '../hooks/useCaregiverMode';
+import { ROLES, ROLE_IDS, getRoleLabel } from '../utils/permissions';
+import {
+  getCaregiverProfiles,
+  validateSecret,
+  unlockCaregiverMode,
+  setupCaregiverLock,
+  setProfileSecret,
+  addCaregiverProfile,
+  updateCaregiverProfile,
+  removeCaregiverProfile,
+  verifyBackupCode,
+  recoverCaregiverLock,
+  getLockoutRemaining,
+  getAutoLockMinutes,
+  saveAutoLockMinutes,
+  AUTO_LOCK_OPTIONS,
+  PIN_LENGTH
+} from '../utils/caregiverLock';
+
+const ErrorLine = ({ message }) => (
+  <div className="flex items-center space-x-2 text-red-700 text-sm">
+    <AlertTriangle className="w-4 h-4" />
+    <span>{message}</span>
+  </div>
+);
+
+// Enter a PIN (submitted with the button) or draw a pattern (submitted when
+// the finger lifts)
+const SecretEntry = ({ type, submitLabel, onSubmit, disabled }) => {
+  const [pin, setPin] = useState('');
+
+  if (type === 'pattern') {
+    return <PatternLock onComplete={onSubmit} disabled={disabled} />;
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(pin);
+    setPin('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <input
+        type="password"
+        inputMode="numeric"
+        autoComplete="off"
+        autoFocus
+        maxLength={PIN_LENGTH.max}
+        value={pin}
+        onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))}
+        className="w-full px-4 py-3 text-center text-2xl tracking-widest border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+        aria-label="PIN"
+      />
+      <button
+        type="submit"
+        disabled={disabled || pin.length < PIN_LENGTH.min}
+        className="w-full px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+      >
+        {submitLabel}
+      </button>
+    </form>
+  );
+};
+
+// Pick a lock type and enter the new PIN/pattern twice
+const ChooseSecret = ({ onChosen, working }) => {
+  const [type, setType] = useState('pin');
+  const [first, setFirst] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleEntry = (secret) => {
+    const problem = validateSecret(type, secret);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    if (first === null) {
+      setFirst(secret);
+      setError(null);
+      return;
+    }
+    if (JSON.stringify(first) !== JSON.stringify(secret)) {
+      setFirst(null);
+      setError('The two entries did not match. Start again.');
+      return;
+    }
+    onChosen(type, secret);
+  };
+
+  const switchType = (newType) => {
+    setType(newType);
+    setFirst(null);
+    setError(null);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex space-x-2">
+        {['pin', 'pattern'].map(option => (
+          <button
+            key={option}
+            onClick={() => switchType(option)}
+            className={`flex-1 px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+              type === option ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            {option === 'pin' ? 'PIN' : 'Pattern'}
+          </button>
+        ))}
+      </div>
+      <p className="text-sm text-gray-600">
+        {first === null
+          ? (type === 'pin' ? `Choose a PIN of ${PIN_LENGTH.min} to ${PIN_LENGTH.max} digits.` : 'Draw a pattern through at least 4 dots.')
+          : (type === 'pin' ? 'Enter the PIN again.' : 'Draw the pattern again.')}
+      </p>
+      <SecretEntry
+        key={`${type}-${first === null ? 'first' : 'confirm'}`}
+        type={type}
+        submitLabel={first === null ? 'Next' : 'Confirm'}
+        onSubmit={handleEntry}
+        disabled={working}
+      />
+      {error && <ErrorLine message={error} />}
+    </div>
+  );
+};
+
+const secretLabel = (type) => type === 'pattern' ? 'pattern' : 'PIN';
+
+// Owners add caregivers, change their roles, reset their PIN/pattern and
+// remove them
+const ProfileManager = ({ activeProfileId }) => {
+  const [profiles, setProfiles] = useState(getCaregiverProfiles);
+  const [editing, setEditing] = useState(null);
+  const [newProfile, setNewProfile] = useState({ name: '', role: 'family' });
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const run = async (action, successMessage) => {
+    try {
+      setWorking(true);
+      setError(null);
+      setMessage(null);
+      await action();
+      setProfiles(getCaregiverProfiles());
+      setEditing(null);
+      setMessage(successMessage);
+    } catch (error) {
+      console.error('Error updating caregiver profiles:', error);
+      setError(error.message || 'Failed to update the profile');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleRoleChange = (profile, role) => run(
+    () => updateCaregiverProfile(profile.id, { name: profile.name, role }),
+    `${profile.name} is now ${getRoleLabel(role).toLowerCase()}.`
+  );
+
+  const handleRemove = (profile) => {
+    if (window.confirm(`Remove the profile "${profile.name}"?`)) {
+      run(() => removeCaregiverProfile(profile.id), `Removed ${profile.name}.`);
+    }
+  };
+
+  const handleAdd = (type, secret) => run(
+    async () => {
+      await addCaregiverProfile({ ...newProfile, type, secret });
+      setNewProfile({ name: '', role: 'family' });
+    },
+    `Added ${newProfile.name.trim()}.`
+  );
+
+  const handleReset = (profile) => (type, secret) => run(
+    () => setProfileSecret(profile.id, type, secret),
+    `Changed the ${secretLabel(type)} of ${profile.name}.`
+  );
+
+  if (editing?.kind === 'add') {
+    return (
+      <div className="space-y-4">
+        <input
+          type="text"
+          autoFocus
+          value={newProfile.name}
+          onChange={(e) => setNewProfile({ ...newProfile, name: e.target.value })}
+          placeholder="Name"
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+          aria-label="Profile name"
+        />
+        <select
+          value={newProfile.role}
+          onChange={(e) => setNewProfile({ ...newProfile, role: e.target.value })}
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+          aria-label="Role"
+        >
+          {ROLE_IDS.map(role => (
+            <option key={role} value={role}>{ROLES[role].label}</option>
+          ))}
+        </select>
+        <p className="text-xs text-gray-500">{ROLES[newProfile.role].description}.</p>
+        <ChooseSecret onChosen={handleAdd} working={working || !newProfile.name.trim()} />
+        {error && <ErrorLine message={error} />}
+        <button onClick={() => setEditing(null)} className="text-sm text-blue-600 hover:underline">
+          Back to profiles
+        </button>
+      </div>
+    );
+  }
+
+  if (editing?.kind === 'reset') {
+    return (
+      <div className="space-y-4">
+        <p className="text-sm text-gray-600">New PIN or pattern for {editing.profile.name}</p>
+        <ChooseSecret onChosen={handleReset(editing.profile)} working={working} />
+        {error && <ErrorLine message={error} />}
+        <button onClick={() => setEditing(null)} className="text-sm text-blue-600 hover:underline">
+          Back to profiles
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+        {profiles.map(profile => (
+          <div key={profile.id} className="p-3 space-y-2">
+            <div className="flex items-center justify-between">
+              <span className="font-medium text-gray-900">
+                {profile.name}
+                {profile.id === activeProfileId && <span className="ml-1 text-xs text-gray-500">(you)</span>}
+              </span>
+              <select
+                value={profile.role}
+                onChange={(e) => handleRoleChange(profile, e.target.value)}
+                disabled={working}
+                className="px-2 py-1 text-sm border border-gray-300 rounded-lg"
+                aria-label={`Role of ${profile.name}`}
+              >
+                {ROLE_IDS.map(role => (
+                  <option key={role} value={role}>{ROLES[role].label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="flex items-center space-x-3 text-sm">
+              <button
+                onClick={() => { setEditing({ kind: 'reset', profile }); setError(null); }}
+                disabled={working}
+                className="text-blue-600 hover:underline"
+              >
+                Reset {secretLabel(profile.type)}
+              </button>
+              {profile.id !== activeProfileId && (
+                <button
+                  onClick={() => handleRemove(profile)}
+                  disabled={working}
+                  className="flex items-center space-x-1 text-red-600 hover:underline"
+                >
+                  <Trash2 className="w-3 h-3" />
+                  <span>Remove</span>
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+      <button
+        onClick={() => { setEditing({ kind: 'add' }); setError(null); setMessage(null); }}
+        className="w-full flex items-center justify-center space-x-2 px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+      >
+        <UserPlus className="w-4 h-4" />
+        <span>Add a caregiver</span>
+      </button>
+      {error && <ErrorLine message={error} />}
+      {message && (
+        <div className="flex items-center space-x-2 text-green-700 text-sm">
+          <CheckCircle className="w-4 h-4" />
+          <span>{message}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const TITLES = {
+  unlock: 'Caregiver mode',
+  setup: 'Set up caregiver mode',
+  recover: 'Reset with backup code',
+  reset: 'Choose a new PIN or pattern',
+  settings: 'Caregiver lock settings',
+  change: 'Change your PIN or pattern',
+  profiles: 'Caregiver profiles',
+  backupCode: 'Save your backup code'
+};
+
+const ICONS = {
+  backupCode: ShieldCheck,
+  recover: KeyRound,
+  profiles: Users
+};
+
+// Unlock, first-time setup, recovery with the backup code, lock settings and
+// caregiver profiles. `mode` is where the dialog starts: 'unlock', 'setup'
+// or 'settings'.
+export default function CaregiverLockDialog({ mode: initialMode, onClose }) {
+  const [mode, setMode] = useState(initialMode);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [backupCode, setBackupCode] = useState(null);
+  const [recoveryCode, setRecoveryCode] = useState('');
+  const [autoLockMinutes, setAutoLockMinutes] = useState(getAutoLockMinutes);
+  const [setupName, setSetupName] = useState('');
+  const [message, setMessage] = useState(null);
+  const profiles = getCaregiverProfiles();
+  const [profileId, setProfileId] = useState(profiles.length === 1 ? profiles[0].id : null);
+  const activeProfile = useCaregiverProfile();
+  const can = usePermissions();
+  const lockType = profiles.find(p => p.id === profileId)?.type || 'pin';
+
+  const run = async (action) => {
+    try {
+      setWorking(true);
+      setError(null);
+      await action();
+    } catch (error) {
+      console.error('Error in caregiver lock:', error);
+      setError(error.message || 'Something went wrong. Please try again.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const lockoutMessage = () => {
+    const remaining = getLockoutRemaining();
+    return remaining > 0 ? `Too many attempts. Try again in ${remaining} seconds.` : null;
+  };
+
+  const handleUnlock = (secret) => run(async () => {
+    if (await unlockCaregiverMode(profileId, secret)) {
+      onClose();
+    } else {
+      setError(lockoutMessage() || `Wrong ${secretLabel(lockType)}`);
+    }
+  });
+
+  const showBackupCode = (code) => {
+    setBackupCode(code);
+    setMode('backupCode');
+  };
+
+  const handleSetup = (type, secret) => run(async () => {
+    showBackupCode(await setupCaregiverLock(setupName, type, secret));
+  });
+
+  const handleChange = (type, secret) => run(async () => {
+    await setProfileSecret(activeProfile.id, type, secret);
+    setMessage(`Your ${secretLabel(type)} was changed.`);
+    setMode('settings');
+  });
+
+  const handleCheckRecoveryCode = (e) => {
+    e.preventDefault();
+    run(async () => {
+      if (await verifyBackupCode(recoveryCode)) {
+        setMode('reset');
+      } else {
+        setError(lockoutMessage() || 'The backup code is not correct');
+      }
+    });
+  };
+
+  const handleReset = (type, secret) => run(async () => {
+    showBackupCode(await recoverCaregiverLock(recoveryCode, type, secret));
+  });
+
+  const handleAutoLockChange = (e) => {
+    setAutoLockMinutes(saveAutoLockMinutes(Number(e.target.value)));
+  };
+
+  const Icon = ICONS[mode] || Lock;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 max-w-sm w-full mx-4">
+        <div className="flex items-center space-x-3 mb-4">
+          <Icon className="w-6 h-6 text-blue-600" />
+          <h3 className="text-lg font-medium text-gray-900">{TITLES[mode]}</h3>
+        </div>
+
+        {mode === 'unlock' && !profileId && (
+          <div className="space-y-2">
+            <p className="text-sm text-gray-600">Who is editing?</p>
+            {profiles.map(profile => (
+              <button
+                key={profile.id}
+                onClick={() => { setProfileId(profile.id); setError(null); }}
+                className="w-full flex items-center justify-between px-4 py-3 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+              >
+                <span className="font-medium text-gray-900">{profile.name}</span>
+                <span className="text-sm text-gray-500">{getRoleLabel(profile.role)}</span>
+              </button>
+            ))}
+          </div>
+        )}
+
+        {mode === 'unlock' && profileId && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+              {lockType === 'pin' ? 'Enter your PIN to edit.' : 'Draw your pattern to edit.'}
+            </p>
+            <SecretEntry key={profileId} type={lockType} submitLabel="Unlock" onSubmit={handleUnlock} disabled={working} />
+            {error && <ErrorLine message={error} />}
+            <div className="flex justify-between">
+              {profiles.length > 1 && (
+                <button
+                  onClick={() => { setProfileId(null); setError(null); }}
+                  className="text-sm text-blue-600 hover:underline"
+                >
+                  Not {profiles.find(p => p.id === profileId)?.name}?
+                </button>
+              )}
+              <button
+                onClick={() => { setMode('recover'); setError(null); }}
+                className="text-sm text-blue-600 hover:underline"
+              >
+                Forgot the {secretLabel(lockType)}?
+              </button>
+            </div>
+          </div>
+        )}
+
+        {mode === 'setup' && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+              Editing contacts, phrases, foods and the emergency screen needs a PIN or pattern so the patient
+              can't change them by accident. You will be the owner and can add other caregivers later.
+            </p>
+            <input
+              type="text"
+              autoFocus
+              value={setupName}
+              onChange={(e) => setSetupName(e.target.value)}
+              placeholder="Your name"
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+              aria-label="Your name"
+            />
+            <ChooseSecret onChosen={handleSetup} working={working || !setupName.trim()} />
+            {error && <ErrorLine message={error} />}
+          </div>
+        )}
+
+        {mode === 'recover' && (
+          <form onSubmit={handleCheckRecoveryCode} className="space-y-4">
+            <p className="text-sm text-gray-600">
+              Enter the backup code you saved when caregiver mode was set up. It resets the owner's PIN or
+              pattern; other caregivers can ask an owner to reset theirs.
+            </p>
+            <input
+              type="text"
+              autoComplete="off"
+              autoFocus
+              value={recoveryCode}
+              onChange={(e) => setRecoveryCode(e.target.value)}
+              placeholder="XXXX-XXXX-XXXX"
+              className="w-full px-4 py-3 text-center font-mono uppercase border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+              aria-label="Backup code"
+            />
+            <button
+              type="submit"
+              disabled={working || !recoveryCode.trim()}
+              className="w-full px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              Check code
+            </button>
+            {error && <ErrorLine message={error} />}
+          </form>
+        )}
+
+        {mode === 'reset' && (
+          <div className="space-y-4">
+            <ChooseSecret onChosen={handleReset} working={working} />
+            {error && <ErrorLine message={error} />}
+          </div>
+        )}
+
+        {mode === 'settings' && (
+          <div className="space-y-4">
+            {activeProfile && (
+              <p className="text-sm text-gray-600">
+                Signed in as <span className="font-medium">{activeProfile.name}</span> ({getRoleLabel(activeProfile.role)})
+              </p>
+            )}
+            {can('manageCaregivers') && (
+              <label className="flex items-center justify-between text-sm text-gray-700">
+                <span>Lock again after</span>
+                <select
+                  value={autoLockMinutes}
+                  onChange={handleAutoLockChange}
+                  className="px-2 py-1 border border-gray-300 rounded-lg"
+                >
+                  {AUTO_LOCK_OPTIONS.map(minutes => (
+                    <option key={minutes} value={minutes}>
+                      {minutes} {minutes === 1 ? 'minute' : 'minutes'} without use
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+            <button
+              onClick={() => { setMode('change'); setMessage(null); }}
+              className="w-full px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+            >
+              Change your PIN or pattern
+            </button>
+            {can('manageCaregivers') && (
+              <button
+                onClick={() => { setMode('profiles'); setMessage(null); }}
+                className="w-full flex items-center justify-center space-x-2 px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+              >
+                <Users className="w-4 h-4" />
+                <span>Caregiver profiles</span>
+              </button>
+            )}
+            {message && (
+              <div className="flex items-center space-x-2 text-green-700 text-sm">
+                <CheckCircle className="w-4 h-4" />
+                <span>{message}</span>
+              </div>
+            )}
+          </div>
+        )}
+
+        {mode === 'change' && (
+          <div className="space-y-4">
+            <ChooseSecret onChosen={handleChange} working={working} />
+            {error && <ErrorLine message={error} />}
+          </div>
+        )}
+
+        {mode === 'profiles' && <ProfileManager activeProfileId={activeProfile?.id} />}
+
+        {mode === 'backupCode' && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+              Write this code down and keep it away from the tablet. It is the only way to reset a forgotten
+              PIN or pattern, and it is shown only once.
+            </p>
+            <p className="p-4 text-center text-2xl font-mono font-bold tracking-wider bg-gray-100 rounded-lg">
+              {backupCode}
+            </p>
+          </div>
+        )}
+
+        <button
+          onClick={onClose}
+          disabled={working}
+          className="mt-6 w-full px-4 py-2 bg-gray-300 text-gray-700 rounded-lg hover:bg-gray-400 transition-colors"
+        >
+          {mode === 'backupCode' ? "I've saved the code" : 'Close'}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+import React, { useState, useEffect } from 'react';
+import { Lock, Unlock, Settings } from 'lucide-react';
+import CaregiverLockDialog from './CaregiverLockDialog';
+import { useCaregiverMode, useCaregiverProfile } from '../hooks/useCaregiverMode';
+import { getRoleLabel } from '../utils/permissions';
+import {
+  isCaregiverLockConfigured,
+  lockCaregiverMode,
+  recordCaregiverActivity,
+  onCaregiverUnlockRequest
+} from '../utils/caregiverLock';
+
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel'];
+
+// Navigation button for caregiver mode. While unlocked it watches for
+// interaction so caregiver mode can lock itself after inactivity.
+export default function CaregiverModeControl() {
+  const unlocked = useCaregiverMode();
+  const profile = useCaregiverProfile();
+  const [dialogMode, setDialogMode] = useState(null);
+
+  const openUnlock = () => {
+    setDialogMode(isCaregiverLockConfigured() ? 'unlock' : 'setup');
+  };
+
+  useEffect(() => {
+    return onCaregiverUnlockRequest(openUnlock);
+  }, []);
+
+  useEffect(() => {
+    if (!unlocked) return;
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, recordCaregiverActivity, { passive: true }));
+    document.addEventListener('visibilitychange', recordCaregiverActivity);
+    return () => {
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, recordCaregiverActivity));
+      document.removeEventListener('visibilitychange', recordCaregiverActivity);
+    };
+  }, [unlocked]);
+
+  return (
+    <div className="flex items-center space-x-2">
+      {unlocked ? (
+        <>
+          {profile && (
+            <span className="hidden sm:inline text-sm text-gray-600" title={getRoleLabel(profile.role)}>
+              {profile.name}
+            </span>
+          )}
+          <button
+            onClick={() => setDialogMode('settings')}
+            className="p-2 text-gray-500 hover:text-gray-700 rounded-full hover:bg-gray-100 transition-colors"
+            title="Caregiver lock settings"
+            aria-label="Caregiver lock settings"
+          >
+            <Settings className="w-5 h-5" />
+          </button>
+          <button
+            onClick={lockCaregiverMode}
+            className="flex items-center space-x-2 px-4 py-2 text-sm font-semibold rounded-full transition-colors bg-blue-600 text-white hover:bg-blue-700"
+          >
+            <Unlock className="w-4 h-4" />
+            <span>Lock</span>
+          </button>
+        </>
+      ) : (
+        <button
+          onClick={openUnlock}
+          className="flex items-center space-x-2 px-4 py-2 text-sm font-semibold rounded-full transition-colors bg-gray-200 text-gray-700 hover:bg-gray-300"
+        >
+          <Lock className="w-4 h-4" />
+          <span>Caregiver</span>
+        </button>
+      )}
+
+      {dialogMode && (
+        <CaregiverLockDialog mode={dialogMode} onClose={() => setDialogMode(null)} />
+      )}
+    </div>
+  );
+}
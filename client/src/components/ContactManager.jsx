@@ -1,108 +1,122 @@
 import React, { useState, useEffect } from 'react';
-import { UserPlus, Edit, Trash2, Phone, Users, ChevronDown } from 'lucide-react';
+import { UserPlus, Edit, Trash2, Phone, Users, ChevronDown, Send, Inbox, Siren } from 'lucide-react';
 import FileSystemImageUpload from './FileSystemImageUpload';
 import { ContactImage } from './ImageDisplay';
-import { deleteUserImage } from '../utils/indexedDB';
+import { useDatabase } from '../hooks/useDatabase';
+import { useUndoRefresh } from '../hooks/useUndoHistory';
+import { useCaregiverMode, usePermissions } from '../hooks/useCaregiverMode';
+import { useFormDraft } from '../hooks/useFormDraft';
+import { reportStorageError } from '../utils/storageErrors';
+import { addMessageTile } from '../utils/messageBuilder';
+import DraftBanner from './DraftBanner';
+import ShareCodeDialog from './ShareCodeDialog';
+import ReceiveShareDialog from './ReceiveShareDialog';
 
-// Local storage utilities for contacts
-const CONTACTS_STORAGE_KEY = 'contacts';
-
-const getContacts = () => {
-  try {
-    const stored = localStorage.getItem(CONTACTS_STORAGE_KEY);
-    return stored ? JSON.parse(stored) : [];
-  } catch (error) {
-    console.error('Error reading contacts from localStorage:', error);
-    return [];
-  }
+// What happens to a contact when the patient presses SOS (see sos.js)
+const EMERGENCY_ROLE_LABELS = {
+  none: 'Not contacted',
+  notify: 'Gets the SOS message',
+  primary: 'Called first, and gets the message'
 };
 
-const saveContacts = (contacts) => {
-  try {
-    localStorage.setItem(CONTACTS_STORAGE_KEY, JSON.stringify(contacts));
-  } catch (error) {
-    console.error('Error saving contacts to localStorage:', error);
-    throw error;
-  }
-};
-
-
-
 export default function ContactManager() {
+  const {
+    isInitialized,
+    error: databaseError,
+    getAllContacts,
+    addContact,
+    updateContact,
+    deleteContact
+  } = useDatabase();
   const [contacts, setContacts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [isAdminView, setIsAdminView] = useState(false);
+  const isAdminView = useCaregiverMode();
+  const can = usePermissions();
   const [showAddForm, setShowAddForm] = useState(false);
   const [editingContact, setEditingContact] = useState(null);
+  // A contact being sent to a paired device, and whether one is being received
+  const [sharing, setSharing] = useState(null);
+  const [receiving, setReceiving] = useState(false);
   const [formData, setFormData] = useState({
     name: '',
     relationship: 'friend',
     gender: 'male',
     phoneNumber: '',
-    personImage: ''
+    personImage: '',
+    emergencyRole: 'none'
   });
+  const { pendingDraft, discardDraft } = useFormDraft('contact', {
+    formData,
+    editingId: editingContact ? editingContact.id : null,
+    active: showAddForm
+  });
+
+  useEffect(() => {
+    if (isInitialized) {
+      loadContacts();
+    }
+  }, [isInitialized]);
 
   useEffect(() => {
-    loadContacts();
-  }, []);
+    if (databaseError && !isInitialized) {
+      setError(databaseError);
+      setLoading(false);
+    }
+  }, [databaseError, isInitialized]);
 
   const loadContacts = async () => {
     try {
       setLoading(true);
       setError(null);
-      const contactsData = getContacts();
+      const contactsData = await getAllContacts();
       setContacts(contactsData);
     } catch (error) {
       console.error('Error loading contacts:', error);
-      setError('Failed to load contacts from local storage.');
+      setError('Failed to load contacts from the database.');
       setContacts([]);
     } finally {
       setLoading(false);
     }
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    
-    try {
-      const newContact = {
-        id: editingContact ? editingContact.id : Date.now().toString(),
-        ...formData,
-        createdAt: editingContact ? editingContact.createdAt : new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      };
+  useUndoRefresh(['contacts'], loadContacts);
 
-      let updatedContacts;
+  const saveContact = async () => {
+    try {
       if (editingContact) {
-        updatedContacts = contacts.map(c => c.id === editingContact.id ? newContact : c);
+        await updateContact(editingContact.id, formData);
       } else {
-        updatedContacts = [...contacts, newContact];
+        await addContact({
+          ...formData,
+          usageCount: 0
+        });
       }
 
-      saveContacts(updatedContacts);
-      setContacts(updatedContacts);
+      discardDraft();
+      await loadContacts();
       setShowAddForm(false);
       setEditingContact(null);
       resetForm();
     } catch (error) {
       console.error('Error saving contact:', error);
-      alert('Failed to save contact. Please try again.');
+      if (!reportStorageError(error, { description: 'contact', retry: saveContact })) {
+        alert('Failed to save contact. Please try again.');
+      }
     }
   };
 
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    await saveContact();
+  };
+
   const handleDelete = async (contactId) => {
-    if (window.confirm('Are you sure you want to delete this contact?')) {
+    if (window.confirm('Move this contact to the trash?')) {
       try {
-        // Delete associated user-uploaded image if it exists
-        const contact = contacts.find(c => c.id === contactId);
-        if (contact && contact.personImage && contact.personImage.startsWith('user_upload_')) {
-          await deleteUserImage(contact.personImage);
-        }
-
-        const updatedContacts = contacts.filter(c => c.id !== contactId);
-        saveContacts(updatedContacts);
-        setContacts(updatedContacts);
+        // The photo stays stored so the contact can be restored from the trash
+        await deleteContact(contactId);
+        setContacts(contacts.filter(c => c.id !== contactId));
       } catch (error) {
         console.error('Error deleting contact:', error);
         alert('Failed to delete contact. Please try again.');
@@ -117,7 +131,8 @@ export default function ContactManager() {
       relationship: contact.relationship,
       gender: contact.gender,
       phoneNumber: contact.phoneNumber,
-      personImage: contact.personImage || ''
+      personImage: contact.personImage || '',
+      emergencyRole: contact.emergencyRole || 'none'
     });
     setShowAddForm(true);
   };
@@ -128,7 +143,8 @@ export default function ContactManager() {
       relationship: 'friend',
       gender: 'male',
       phoneNumber: '',
-      personImage: ''
+      personImage: '',
+      emergencyRole: 'none'
     });
   };
 
@@ -136,9 +152,9 @@ export default function ContactManager() {
     return gender === 'male' ? '👨' : '👩';
   };
 
-  const toggleAdminView = () => setIsAdminView(!isAdminView);
   const toggleAddForm = () => {
     if (showAddForm) {
+      discardDraft();
       setShowAddForm(false);
       setEditingContact(null);
       resetForm();
@@ -147,10 +163,24 @@ export default function ContactManager() {
     }
   };
 
+  const restoreDraft = () => {
+    setEditingContact(contacts.find(c => c.id === pendingDraft.editingId) || null);
+    setFormData({ emergencyRole: 'none', ...pendingDraft.formData });
+    setShowAddForm(true);
+  };
+
+  const handleImported = async (result) => {
+    setReceiving(false);
+    await loadContacts();
+    alert(`Contact received! ${result.added} added, ${result.updated} updated.`);
+  };
+
   const handleContactClick = (contact) => {
-    if (contact.phoneNumber) {
-      window.open(`tel:${contact.phoneNumber}`);
-    }
+    addMessageTile({ kind: 'contact', label: contact.name });
+  };
+
+  const handleCall = (contact) => {
+    window.open(`tel:${contact.phoneNumber}`);
   };
 
   if (loading) {
@@ -187,7 +217,7 @@ export default function ContactManager() {
 
   return (
     <div className="min-h-screen bg-gray-50 font-sans">
-      {/* Header with View Toggle */}
+      {/* Header */}
       <header className="flex items-center justify-between p-4 md:p-6 bg-white shadow-md sticky top-0 z-10">
         <div className="flex items-center space-x-3">
           <Users className="w-8 h-8 text-blue-600" />
@@ -195,15 +225,23 @@ export default function ContactManager() {
             {isAdminView ? 'Admin Panel' : 'Contact Directory'}
           </h1>
         </div>
-        <button
-          onClick={toggleAdminView}
-          className="px-4 py-2 text-sm font-semibold rounded-full transition-colors bg-gray-200 text-gray-700 hover:bg-gray-300"
-        >
-          {isAdminView ? 'Exit Admin' : 'Admin'}
-        </button>
+        {isAdminView && (
+          <button
+            onClick={() => setReceiving(true)}
+            disabled={!can('addContact')}
+            className="flex items-center space-x-2 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors disabled:opacity-50"
+          >
+            <Inbox className="w-5 h-5" />
+            <span>Receive</span>
+          </button>
+        )}
       </header>
 
       <main className="container mx-auto p-4 md:p-6">
+        {isAdminView && (
+          <DraftBanner draft={pendingDraft} label="contact" onRestore={restoreDraft} onDiscard={discardDraft} />
+        )}
+
         {/* --- User View (Contact Directory) --- */}
         {!isAdminView ? (
           contacts.length === 0 ? (
@@ -220,7 +258,7 @@ export default function ContactManager() {
                                              <div 
                              onClick={() => handleContactClick(contact)}
                              className="group relative w-full aspect-square bg-white rounded-full shadow-lg border-2 border-transparent transition-all duration-200 ease-in-out hover:border-blue-500 hover:shadow-xl mb-3 overflow-hidden cursor-pointer"
-                             title={`Click to interact with ${contact.name}`}
+                             title={`Add ${contact.name} to the message`}
                              role="button"
                              tabIndex={0}
                              onKeyDown={(e) => {
@@ -240,6 +278,16 @@ export default function ContactManager() {
                     <h3 className="text-sm md:text-base font-medium text-gray-800">
                       {contact.name}
                     </h3>
+                    {contact.phoneNumber && (
+                      <button
+                        onClick={() => handleCall(contact)}
+                        className="mt-2 inline-flex items-center space-x-1 px-3 py-1 text-sm bg-green-100 text-green-800 rounded-full hover:bg-green-200 transition-colors"
+                        aria-label={`Call ${contact.name}`}
+                      >
+                        <Phone className="w-4 h-4" />
+                        <span>Call</span>
+                      </button>
+                    )}
                   </div>
                 </div>
               ))}
@@ -322,6 +370,24 @@ export default function ContactManager() {
                     </div>
                   </div>
 
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      In an SOS
+                    </label>
+                    <select
+                      value={formData.emergencyRole}
+                      onChange={(e) => setFormData({...formData, emergencyRole: e.target.value})}
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    >
+                      {Object.entries(EMERGENCY_ROLE_LABELS).map(([role, label]) => (
+                        <option key={role} value={role}>{label}</option>
+                      ))}
+                    </select>
+                    {formData.emergencyRole !== 'none' && !formData.phoneNumber.trim() && (
+                      <p className="mt-1 text-sm text-red-600">Add a phone number to reach this contact in an SOS.</p>
+                    )}
+                  </div>
+
                                      <FileSystemImageUpload
                      value={formData.personImage}
                      onChange={(value) => setFormData({...formData, personImage: value})}
@@ -333,7 +399,8 @@ export default function ContactManager() {
                   <div className="flex space-x-3">
                     <button
                       type="submit"
-                      className="flex-1 px-4 py-3 bg-blue-600 text-white font-bold rounded-lg hover:bg-blue-700 transition-colors"
+                      disabled={!can(editingContact ? 'updateContact' : 'addContact')}
+                      className="flex-1 px-4 py-3 bg-blue-600 text-white font-bold rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
                     >
                       {editingContact ? 'Update Contact' : 'Add Contact'}
                     </button>
@@ -368,18 +435,33 @@ export default function ContactManager() {
                         <div>
                           <h3 className="text-lg font-semibold text-gray-900">{contact.name}</h3>
                           <span className="text-sm text-gray-500 capitalize">{contact.relationship.replace('_', ' ')}</span>
+                          {contact.emergencyRole && contact.emergencyRole !== 'none' && (
+                            <span className="ml-2 inline-flex items-center space-x-1 px-2 py-0.5 text-xs font-medium bg-red-100 text-red-800 rounded-full">
+                              <Siren className="w-3 h-3" />
+                              <span>{EMERGENCY_ROLE_LABELS[contact.emergencyRole]}</span>
+                            </span>
+                          )}
                         </div>
                       </div>
                       <div className="flex space-x-2">
                         <button
-                          onClick={() => handleEdit(contact)}
+                          onClick={() => setSharing({ records: [contact], label: contact.name })}
                           className="p-2 text-gray-500 hover:text-blue-600 transition-colors"
+                          title="Send to a paired device"
+                        >
+                          <Send className="w-5 h-5" />
+                        </button>
+                        <button
+                          onClick={() => handleEdit(contact)}
+                          disabled={!can('updateContact')}
+                          className="p-2 text-gray-500 hover:text-blue-600 transition-colors disabled:opacity-50"
                         >
                           <Edit className="w-5 h-5" />
                         </button>
                                                  <button
                            onClick={() => handleDelete(contact.id || contact._id)}
-                           className="p-2 text-gray-500 hover:text-red-600 transition-colors"
+                           disabled={!can('deleteContact')}
+                           className="p-2 text-gray-500 hover:text-red-600 transition-colors disabled:opacity-50"
                          >
                           <Trash2 className="w-5 h-5" />
                         </button>
@@ -402,6 +484,13 @@ export default function ContactManager() {
           </div>
         )}
       </main>
+
+      {sharing && (
+        <ShareCodeDialog kind="contact" records={sharing.records} label={sharing.label} onClose={() => setSharing(null)} />
+      )}
+      {receiving && (
+        <ReceiveShareDialog kind="contact" onClose={() => setReceiving(false)} onImported={handleImported} />
+      )}
     </div>
   );
-} 
\ No newline at end of file
+}
@@ -0,0 +1,207 @@
+import React, { useState, useEffect } from 'react';
+import { QrCode as QrCodeIcon, Smartphone, Trash2, AlertTriangle, CheckCircle } from 'lucide-react';
+import { CodeCard } from './QrCode';
+import QrScanner from './QrScanner';
+import { usePermissions } from '../hooks/useCaregiverMode';
+import { getActivePatient } from '../utils/patientProfiles';
+import {
+  getDeviceName,
+  setDeviceName,
+  getTrustedDevices,
+  removeTrustedDevice,
+  createPairingOffer,
+  cancelPairingOffer,
+  acceptPairingOffer,
+  completePairing
+} from '../utils/devicePairing';
+
+// Pair this device with another one, e.g. the patient tablet with a
+// caregiver's phone, so that the phone can send contacts, phrase packs and
+// food lists to the tablet (see devicePairing.js). One device shows a pairing
+// code, the other scans it and shows an answer that the first scans back.
+export default function DevicePairingPanel() {
+  const can = usePermissions();
+  const patient = getActivePatient();
+  const [devices, setDevices] = useState(getTrustedDevices);
+  const [name, setName] = useState(getDeviceName);
+  // null, 'offer' (showing a pairing code) or 'accept' (scanning one)
+  const [step, setStep] = useState(null);
+  const [code, setCode] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  // A pairing code must not stay open once the panel is gone
+  useEffect(() => cancelPairingOffer, []);
+
+  const reset = () => {
+    cancelPairingOffer();
+    setStep(null);
+    setCode(null);
+  };
+
+  const run = async (action) => {
+    try {
+      setWorking(true);
+      setError(null);
+      setMessage(null);
+      await action();
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleSaveName = (e) => {
+    e.preventDefault();
+    run(async () => {
+      setDeviceName(name);
+      setMessage('Device name saved. Devices paired from now on will see it.');
+    });
+  };
+
+  const handleShowOffer = () => run(async () => {
+    setCode(await createPairingOffer());
+    setStep('offer');
+  });
+
+  const handleAnswer = (answer) => run(async () => {
+    const device = await completePairing(answer);
+    reset();
+    setDevices(getTrustedDevices());
+    setMessage(`Paired with ${device.name}.`);
+  });
+
+  const handleOffer = (offer) => run(async () => {
+    const { device, code: answer } = await acceptPairingOffer(offer);
+    setCode(answer);
+    setDevices(getTrustedDevices());
+    setMessage(`${device.name} is trusted. Scan the answer below with ${device.name} to finish pairing.`);
+  });
+
+  const handleRemove = (device) => {
+    if (!window.confirm(`Unpair ${device.name}? Codes it sends will no longer be accepted.`)) {
+      return;
+    }
+    run(async () => {
+      removeTrustedDevice(device.deviceId);
+      setDevices(getTrustedDevices());
+    });
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-4">
+      <div className="flex items-center space-x-2">
+        <QrCodeIcon className="w-5 h-5 text-blue-600" />
+        <h3 className="text-lg font-medium text-gray-900">Paired devices</h3>
+      </div>
+
+      <p className="text-sm text-gray-600">
+        Pair the patient tablet with a caregiver's phone to send a contact, phrase pack or food list to the tablet as a
+        QR code. The tablet only accepts codes signed by devices paired for {patient.name}.
+      </p>
+
+      <form onSubmit={handleSaveName} className="flex gap-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+          aria-label="Name of this device"
+          placeholder="Name of this device, e.g. Kitchen tablet"
+        />
+        <button
+          type="submit"
+          disabled={working || !can('managePairing') || !name.trim()}
+          className="px-3 py-2 text-sm bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors disabled:opacity-50"
+        >
+          Save name
+        </button>
+      </form>
+
+      {devices.length > 0 && (
+        <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+          {devices.map(device => (
+            <li key={device.deviceId} className="flex items-center justify-between px-3 py-2">
+              <div className="flex items-center space-x-2">
+                <Smartphone className="w-4 h-4 text-gray-500" />
+                <span className="text-sm text-gray-900">{device.name}</span>
+                <span className="text-xs text-gray-500">paired {new Date(device.pairedAt).toLocaleDateString()}</span>
+              </div>
+              <button
+                onClick={() => handleRemove(device)}
+                disabled={working || !can('managePairing')}
+                className="p-1 text-red-600 hover:bg-red-50 rounded transition-colors disabled:opacity-50"
+                aria-label={`Unpair ${device.name}`}
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {step === null && (
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={handleShowOffer}
+            disabled={working || !can('managePairing')}
+            className="px-3 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            Show pairing code
+          </button>
+          <button
+            onClick={() => {
+              setMessage(null);
+              setStep('accept');
+            }}
+            disabled={working || !can('managePairing')}
+            className="px-3 py-2 text-sm bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors disabled:opacity-50"
+          >
+            Scan a pairing code
+          </button>
+        </div>
+      )}
+
+      {step === 'offer' && (
+        <div className="space-y-4">
+          <CodeCard code={code} caption="On the other device, choose Scan a pairing code. The code works once, for 10 minutes." />
+          <h4 className="font-medium text-gray-900">Then scan the answer it shows</h4>
+          <QrScanner onScan={handleAnswer} disabled={working} placeholder="Paste the answer shown on the other device" />
+        </div>
+      )}
+
+      {step === 'accept' && (
+        code ? (
+          <CodeCard code={code} caption="Scan this answer on the device that showed the pairing code." />
+        ) : (
+          <QrScanner onScan={handleOffer} disabled={working} placeholder="Paste the pairing code shown on the other device" />
+        )
+      )}
+
+      {step !== null && (
+        <button
+          onClick={reset}
+          className="px-3 py-2 text-sm bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors"
+        >
+          {step === 'accept' && code ? 'Done' : 'Cancel'}
+        </button>
+      )}
+
+      {error && (
+        <div className="flex items-center space-x-2 text-red-700 text-sm">
+          <AlertTriangle className="w-4 h-4" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {message && (
+        <div className="flex items-center space-x-2 text-green-700 text-sm">
+          <CheckCircle className="w-4 h-4" />
+          <span>{message}</span>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+import React from 'react';
+import { FileClock } from 'lucide-react';
+
+// Offers to bring back a form draft that was never saved
+export default function DraftBanner({ draft, label, onRestore, onDiscard }) {
+  if (!draft) {
+    return null;
+  }
+
+  return (
+    <div className="flex items-center justify-between p-4 mb-6 bg-yellow-50 border border-yellow-200 rounded-lg">
+      <div className="flex items-center space-x-2 text-sm text-yellow-900">
+        <FileClock className="w-5 h-5 text-yellow-600" />
+        <span>
+          You have an unsaved {label} from {new Date(draft.savedAt).toLocaleString()}.
+        </span>
+      </div>
+      <div className="flex space-x-2">
+        <button
+          onClick={onRestore}
+          className="px-3 py-1.5 text-sm bg-yellow-600 text-white rounded-lg hover:bg-yellow-700 transition-colors"
+        >
+          Restore
+        </button>
+        <button
+          onClick={onDiscard}
+          className="px-3 py-1.5 text-sm bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors"
+        >
+          Discard
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,7 +1,37 @@
 import React, { useState, useEffect } from 'react';
-import { Plus, Edit, Trash2, Database, ChevronDown, Download, Upload, AlertTriangle } from 'lucide-react';
+import { Plus, Edit, Trash2, Database, ChevronDown, Download, Upload, AlertTriangle, Bell, X } from 'lucide-react';
 import FileSystemImageUpload from './FileSystemImageUpload';
+import ImportReviewDialog from './ImportReviewDialog';
 import { useDatabase } from '../hooks/useDatabase';
+import { useUndoRefresh } from '../hooks/useUndoHistory';
+import { useCaregiverMode, usePermissions } from '../hooks/useCaregiverMode';
+import { useFormDraft } from '../hooks/useFormDraft';
+import { reportStorageError } from '../utils/storageErrors';
+import { ENUMS, validateRecurrenceRule } from '../utils/database';
+import { getActivityRule, describeRule, toDateString, WEEKDAY_LABELS } from '../utils/recurrence';
+import DraftBanner from './DraftBanner';
+
+const FREQUENCY_LABELS = {
+  daily: 'Every day',
+  weekly: 'On days of the week',
+  monthly: 'Every month',
+  custom: 'Every few days'
+};
+
+const MAX_REMINDER_TIMES = 8;
+
+const createFormData = () => ({
+  title: '',
+  description: '',
+  category: 'daily',
+  activityImage: '',
+  isRecurring: false,
+  frequency: 'daily',
+  reminderTimes: ['09:00'],
+  reminderDays: [],
+  reminderInterval: 2,
+  reminderStartDate: toDateString(new Date())
+});
 
 export default function DynamicDataManager() {
   const { 
@@ -9,19 +39,25 @@ export default function DynamicDataManager() {
     addActivity, 
     updateActivity, 
     deleteActivity, 
+    previewImport,
+    importData,
     loading, 
     error 
   } = useDatabase();
   
   const [activities, setActivities] = useState([]);
-  const [isAdminView, setIsAdminView] = useState(false);
+  const isAdminView = useCaregiverMode();
+  const can = usePermissions();
   const [showAddForm, setShowAddForm] = useState(false);
   const [editingActivity, setEditingActivity] = useState(null);
-  const [formData, setFormData] = useState({
-    title: '',
-    description: '',
-    category: 'daily',
-    activityImage: ''
+  const [pendingImport, setPendingImport] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [formData, setFormData] = useState(createFormData);
+  const [formError, setFormError] = useState(null);
+  const { pendingDraft, discardDraft } = useFormDraft('activity', {
+    formData,
+    editingId: editingActivity ? editingActivity.id : null,
+    active: showAddForm
   });
 
   useEffect(() => {
@@ -37,17 +73,12 @@ export default function DynamicDataManager() {
     }
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    
+  useUndoRefresh(['activities'], loadActivities);
+
+  const saveActivity = async () => {
     try {
       if (editingActivity) {
-        const updatedActivity = {
-          ...editingActivity,
-          ...formData,
-          updatedAt: new Date().toISOString()
-        };
-        await updateActivity(updatedActivity);
+        await updateActivity(editingActivity.id, formData);
       } else {
         const newActivity = {
           ...formData,
@@ -58,18 +89,30 @@ export default function DynamicDataManager() {
         await addActivity(newActivity);
       }
       
+      discardDraft();
       await loadActivities();
       setShowAddForm(false);
       setEditingActivity(null);
       resetForm();
     } catch (error) {
       console.error('Error saving activity:', error);
-      alert('Failed to save activity. Please try again.');
+      if (!reportStorageError(error, { description: 'activity', retry: saveActivity })) {
+        alert('Failed to save activity. Please try again.');
+      }
     }
   };
 
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const rule = getActivityRule(formData);
+    const errors = rule ? validateRecurrenceRule(rule) : [];
+    setFormError(errors.length > 0 ? errors.join(', ') : null);
+    if (errors.length > 0) return;
+    await saveActivity();
+  };
+
   const handleDelete = async (activityId) => {
-    if (window.confirm('Are you sure you want to delete this activity?')) {
+    if (window.confirm('Move this activity to the trash?')) {
       try {
         await deleteActivity(activityId);
         await loadActivities();
@@ -83,21 +126,24 @@ export default function DynamicDataManager() {
   const handleEdit = (activity) => {
     setEditingActivity(activity);
     setFormData({
+      ...createFormData(),
       title: activity.title,
       description: activity.description,
       category: activity.category,
-      activityImage: activity.activityImage || ''
+      activityImage: activity.activityImage || '',
+      isRecurring: Boolean(activity.isRecurring),
+      frequency: activity.frequency || 'daily',
+      reminderTimes: activity.reminderTimes?.length ? activity.reminderTimes : ['09:00'],
+      reminderDays: activity.reminderDays || [],
+      reminderInterval: activity.reminderInterval || 2,
+      reminderStartDate: activity.reminderStartDate || toDateString(new Date())
     });
     setShowAddForm(true);
   };
 
   const resetForm = () => {
-    setFormData({
-      title: '',
-      description: '',
-      category: 'daily',
-      activityImage: ''
-    });
+    setFormData(createFormData());
+    setFormError(null);
   };
 
   const handleInputChange = (e) => {
@@ -108,6 +154,22 @@ export default function DynamicDataManager() {
     }));
   };
 
+  const updateReminderTime = (index, value) => {
+    setFormData(prev => ({
+      ...prev,
+      reminderTimes: prev.reminderTimes.map((time, i) => i === index ? value : time)
+    }));
+  };
+
+  const toggleReminderDay = (day) => {
+    setFormData(prev => ({
+      ...prev,
+      reminderDays: prev.reminderDays.includes(day)
+        ? prev.reminderDays.filter(item => item !== day)
+        : [...prev.reminderDays, day].sort()
+    }));
+  };
+
   const handleImageChange = (imageData) => {
     setFormData(prev => ({
       ...prev,
@@ -141,6 +203,8 @@ export default function DynamicDataManager() {
 
   const handleImportData = async (event) => {
     const file = event.target.files[0];
+    // Reset file input
+    event.target.value = '';
     if (!file) return;
 
     try {
@@ -148,17 +212,9 @@ export default function DynamicDataManager() {
       const data = JSON.parse(text);
       
       if (data.activities && Array.isArray(data.activities)) {
-        // Clear existing activities and import new ones
-        for (const activity of data.activities) {
-          await addActivity({
-            ...activity,
-            id: undefined, // Let the database generate new IDs
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-          });
-        }
-        await loadActivities();
-        alert('Data imported successfully!');
+        const activitiesData = { activities: data.activities };
+        const diff = await previewImport(activitiesData);
+        setPendingImport({ data: activitiesData, diff });
       } else {
         alert('Invalid data format. Please check the file.');
       }
@@ -166,15 +222,34 @@ export default function DynamicDataManager() {
       console.error('Error importing data:', error);
       alert('Error importing data. Please try again.');
     }
-    
-    // Reset file input
-    event.target.value = '';
   };
 
-  const toggleAdminView = () => setIsAdminView(!isAdminView);
+  const handleConfirmImport = async (options) => {
+    try {
+      setImporting(true);
+      const result = await importData(pendingImport.data, options);
+      setPendingImport(null);
+      await loadActivities();
+      alert(`Data imported successfully! ${result.added} added, ${result.updated} updated.`);
+    } catch (error) {
+      console.error('Error importing data:', error);
+      alert('Error importing data. Please try again.');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const restoreDraft = () => {
+    setEditingActivity(activities.find(item => item.id === pendingDraft.editingId) || null);
+    setFormData({ ...createFormData(), ...pendingDraft.formData });
+    setShowAddForm(true);
+  };
+
   const toggleAddForm = () => {
     setShowAddForm(!showAddForm);
-    if (!showAddForm) {
+    if (showAddForm) {
+      discardDraft();
+    } else {
       setEditingActivity(null);
       resetForm();
     }
@@ -203,12 +278,6 @@ export default function DynamicDataManager() {
       <div className="flex justify-between items-center mb-6">
         <h1 className="text-3xl font-bold text-gray-800">Activities</h1>
         <div className="flex space-x-2">
-          <button
-            onClick={toggleAdminView}
-            className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700"
-          >
-            {isAdminView ? 'User View' : 'Admin View'}
-          </button>
           {isAdminView && (
             <>
               <button
@@ -218,7 +287,11 @@ export default function DynamicDataManager() {
                 <Download className="w-4 h-4" />
                 <span>Export</span>
               </button>
-              <label className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 flex items-center space-x-2 cursor-pointer">
+              <label
+                className={`px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 flex items-center space-x-2 cursor-pointer ${
+                  can('importData') ? '' : 'opacity-50 pointer-events-none'
+                }`}
+              >
                 <Upload className="w-4 h-4" />
                 <span>Import</span>
                 <input
@@ -230,7 +303,8 @@ export default function DynamicDataManager() {
               </label>
               <button
                 onClick={toggleAddForm}
-                className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 flex items-center space-x-2"
+                disabled={!can('addActivity')}
+                className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 flex items-center space-x-2 disabled:opacity-50"
               >
                 <Plus className="w-4 h-4" />
                 <span>Add Activity</span>
@@ -240,7 +314,11 @@ export default function DynamicDataManager() {
         </div>
       </div>
 
-      {showAddForm && (
+      {isAdminView && (
+        <DraftBanner draft={pendingDraft} label="activity" onRestore={restoreDraft} onDiscard={discardDraft} />
+      )}
+
+      {isAdminView && showAddForm && (
         <div className="bg-white rounded-lg shadow-md p-6 mb-6">
           <h2 className="text-xl font-semibold mb-4">
             {editingActivity ? 'Edit Activity' : 'Add New Activity'}
@@ -293,6 +371,115 @@ export default function DynamicDataManager() {
                 placeholder="Enter activity description..."
               />
             </div>
+            <fieldset className="space-y-3">
+              <label className="flex items-center space-x-2 text-sm font-medium text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={formData.isRecurring}
+                  onChange={(e) => setFormData(prev => ({ ...prev, isRecurring: e.target.checked }))}
+                  className="w-4 h-4"
+                />
+                <span>Remind the patient</span>
+              </label>
+              {formData.isRecurring && (
+                <div className="pl-6 space-y-3">
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Repeat
+                      </label>
+                      <select
+                        name="frequency"
+                        value={formData.frequency}
+                        onChange={handleInputChange}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        {ENUMS.ACTIVITY_FREQUENCY.map(frequency => (
+                          <option key={frequency} value={frequency}>{FREQUENCY_LABELS[frequency]}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Starting
+                      </label>
+                      <input
+                        type="date"
+                        name="reminderStartDate"
+                        value={formData.reminderStartDate}
+                        onChange={handleInputChange}
+                        required
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                    </div>
+                  </div>
+                  {formData.frequency === 'weekly' && (
+                    <div className="flex flex-wrap gap-2" role="group" aria-label="Days of the week">
+                      {WEEKDAY_LABELS.map((label, day) => (
+                        <button
+                          key={label}
+                          type="button"
+                          onClick={() => toggleReminderDay(day)}
+                          aria-pressed={formData.reminderDays.includes(day)}
+                          className={`px-3 py-2 text-sm rounded-md border ${
+                            formData.reminderDays.includes(day) ? 'bg-purple-600 text-white border-purple-600' : 'bg-white text-gray-700 border-gray-300'
+                          }`}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  {formData.frequency === 'custom' && (
+                    <label className="block text-sm font-medium text-gray-700">
+                      Every
+                      <input
+                        type="number"
+                        min="1"
+                        max="365"
+                        value={formData.reminderInterval}
+                        onChange={(e) => setFormData(prev => ({ ...prev, reminderInterval: Number(e.target.value) }))}
+                        className="mx-2 w-20 px-3 py-2 border border-gray-300 rounded-md"
+                      />
+                      days
+                    </label>
+                  )}
+                  <div className="flex flex-wrap items-center gap-2">
+                    {formData.reminderTimes.map((time, index) => (
+                      <div key={index} className="flex items-center border border-gray-300 rounded-md">
+                        <input
+                          type="time"
+                          required
+                          value={time}
+                          onChange={(e) => updateReminderTime(index, e.target.value)}
+                          className="px-3 py-2 rounded-md"
+                          aria-label={`Reminder time ${index + 1}`}
+                        />
+                        {formData.reminderTimes.length > 1 && (
+                          <button
+                            type="button"
+                            onClick={() => setFormData(prev => ({ ...prev, reminderTimes: prev.reminderTimes.filter((_, i) => i !== index) }))}
+                            className="p-2 text-gray-500 hover:text-red-600"
+                            aria-label={`Remove ${time}`}
+                          >
+                            <X className="w-4 h-4" />
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                    <button
+                      type="button"
+                      onClick={() => setFormData(prev => ({ ...prev, reminderTimes: [...prev.reminderTimes, '18:00'] }))}
+                      disabled={formData.reminderTimes.length >= MAX_REMINDER_TIMES}
+                      className="flex items-center space-x-1 px-3 py-2 text-sm bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 disabled:opacity-50"
+                    >
+                      <Plus className="w-4 h-4" />
+                      <span>Add time</span>
+                    </button>
+                  </div>
+                </div>
+              )}
+            </fieldset>
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 Activity Image (Optional)
@@ -303,6 +490,12 @@ export default function DynamicDataManager() {
                 placeholder="Upload activity image"
               />
             </div>
+            {formError && (
+              <div className="flex items-center space-x-2 text-red-700 text-sm">
+                <AlertTriangle className="w-4 h-4" />
+                <span>{formError}</span>
+              </div>
+            )}
             <div className="flex justify-end space-x-2">
               <button
                 type="button"
@@ -313,7 +506,8 @@ export default function DynamicDataManager() {
               </button>
               <button
                 type="submit"
-                className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700"
+                disabled={!can(editingActivity ? 'updateActivity' : 'addActivity')}
+                className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 disabled:opacity-50"
               >
                 {editingActivity ? 'Update Activity' : 'Add Activity'}
               </button>
@@ -338,6 +532,13 @@ export default function DynamicDataManager() {
               </p>
             </div>
 
+            {getActivityRule(activity) && (
+              <p className="flex items-center justify-center space-x-1 text-sm text-purple-700 mb-4">
+                <Bell className="w-4 h-4" aria-hidden="true" />
+                <span>{describeRule(getActivityRule(activity))}</span>
+              </p>
+            )}
+
             {activity.description && (
               <p className="text-sm text-gray-600 mb-4 text-center">
                 {activity.description}
@@ -358,14 +559,16 @@ export default function DynamicDataManager() {
               <div className="flex justify-center space-x-2">
                 <button
                   onClick={() => handleEdit(activity)}
-                  className="p-2 bg-blue-100 text-blue-600 rounded-md hover:bg-blue-200"
+                  disabled={!can('updateActivity')}
+                  className="p-2 bg-blue-100 text-blue-600 rounded-md hover:bg-blue-200 disabled:opacity-50"
                   title="Edit activity"
                 >
                   <Edit className="w-4 h-4" />
                 </button>
                 <button
                   onClick={() => handleDelete(activity.id)}
-                  className="p-2 bg-red-100 text-red-600 rounded-md hover:bg-red-200"
+                  disabled={!can('deleteActivity')}
+                  className="p-2 bg-red-100 text-red-600 rounded-md hover:bg-red-200 disabled:opacity-50"
                   title="Delete activity"
                 >
                   <Trash2 className="w-4 h-4" />
@@ -384,13 +587,24 @@ export default function DynamicDataManager() {
           {isAdminView && (
             <button
               onClick={toggleAddForm}
-              className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700"
+              disabled={!can('addActivity')}
+              className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 disabled:opacity-50"
             >
               Add Activity
             </button>
           )}
         </div>
       )}
+
+      {pendingImport && (
+        <ImportReviewDialog
+          title="Import Activities"
+          diff={pendingImport.diff}
+          working={importing}
+          onConfirm={handleConfirmImport}
+          onCancel={() => setPendingImport(null)}
+        />
+      )}
     </div>
   );
 } 
\ No newline at end of file
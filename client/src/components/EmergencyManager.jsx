@@ -1,78 +1,59 @@
 import React, { useState, useEffect } from 'react';
-import { AlertTriangle, Edit, Trash2, ChevronDown, Plus } from 'lucide-react';
+import { AlertTriangle, Edit, Trash2, ChevronDown, Plus, Activity, ClipboardList } from 'lucide-react';
 import FileSystemImageUpload from './FileSystemImageUpload';
 import { BodyPartImage, SymptomImage } from './ImageDisplay';
-import { deleteUserImage } from '../utils/indexedDB';
-
-// Local storage utilities for emergency data
-const EMERGENCY_STORAGE_KEY = 'emergencyData';
-
-const getEmergencyData = () => {
-  try {
-    const stored = localStorage.getItem(EMERGENCY_STORAGE_KEY);
-    return stored ? JSON.parse(stored) : null;
-  } catch (error) {
-    console.error('Error reading emergency data from localStorage:', error);
-    return null;
-  }
-};
 
-const saveEmergencyData = (data) => {
-  try {
-    localStorage.setItem(EMERGENCY_STORAGE_KEY, JSON.stringify(data));
-  } catch (error) {
-    console.error('Error saving emergency data to localStorage:', error);
-    throw error;
-  }
-};
-
-// Load initial data from emergency.json
-const loadInitialEmergencyData = async () => {
-  try {
-    const response = await fetch('/emergency.json');
-    if (!response.ok) {
-      throw new Error('Failed to load emergency.json');
-    }
-    const data = await response.json();
-    
-    // Transform the data to match our component structure
-    const transformedData = data.body_parts.map((bodyPart, index) => ({
-      id: `bodyPart_${index}`,
-      name: bodyPart.name,
-      description: bodyPart.description,
-      bodyPartImage: bodyPart.bodyPartImage,
-      icon: bodyPart.icon,
-      symptoms: bodyPart.symptoms.map((symptom, symptomIndex) => ({
-        id: `symptom_${index}_${symptomIndex}`,
-        type: symptom.type,
-        description: symptom.description,
-        symptomImage: symptom.symptomImage,
-        icon: symptom.icon,
-        usageCount: 0,
-        createdAt: new Date().toISOString()
-      })),
-      usageCount: 0,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
+import { useDatabase } from '../hooks/useDatabase';
+import { useUndoRefresh } from '../hooks/useUndoHistory';
+import { useCaregiverMode, usePermissions } from '../hooks/useCaregiverMode';
+import { useFormDraft } from '../hooks/useFormDraft';
+import { reportStorageError } from '../utils/storageErrors';
+import { addMessageTile } from '../utils/messageBuilder';
+import { speakText } from '../utils/speech';
+import { getSymptomSentence, recordSymptomEvent } from '../utils/symptomHistory';
+import { isStrokeWarningSymptom, getLatestStrokeCheck } from '../utils/strokeCheck';
+import SymptomCard from './SymptomCard';
+import StrokeCheck from './StrokeCheck';
+import DraftBanner from './DraftBanner';
+import { loadInitialEmergencyData, reloadInitialEmergencyData } from '../utils/initialDataLoader';
+
+// Keep body parts in the order they were added and symptoms by usage count (highest first)
+const sortEmergencyData = (data) => {
+  return [...data]
+    .sort((a, b) => a.id - b.id)
+    .map(bodyPart => ({
+      ...bodyPart,
+      symptoms: [...(bodyPart.symptoms || [])].sort((a, b) => (b.usageCount || 0) - (a.usageCount || 0))
     }));
-    
-    return transformedData;
-  } catch (error) {
-    console.error('Error loading initial emergency data:', error);
-    return [];
-  }
 };
 
 export default function EmergencyManager() {
+  const {
+    isInitialized,
+    error: databaseError,
+    getAllEmergencies,
+    addEmergency,
+    updateEmergency,
+    deleteEmergency,
+    deleteSymptom,
+    updateSymptomUsageCount
+  } = useDatabase();
   const [emergencyData, setEmergencyData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [isAdminView, setIsAdminView] = useState(false);
+  const isAdminView = useCaregiverMode();
+  const can = usePermissions();
   const [selectedBodyPart, setSelectedBodyPart] = useState(null);
   const [showBodyPartForm, setShowBodyPartForm] = useState(false);
   const [showSymptomForm, setShowSymptomForm] = useState(false);
   const [editingBodyPart, setEditingBodyPart] = useState(null);
   const [editingSymptom, setEditingSymptom] = useState(null);
+  // The symptom the patient just tapped, shown full screen
+  const [symptomCard, setSymptomCard] = useState(null);
+  // `{ check }` while the BE-FAST check is open: null for a new check,
+  // otherwise the last one to show its summary again
+  const [strokeCheck, setStrokeCheck] = useState(null);
+  const [latestStrokeCheck, setLatestStrokeCheck] = useState(null);
   const [bodyPartFormData, setBodyPartFormData] = useState({
     name: '',
     description: '',
@@ -81,71 +62,86 @@ export default function EmergencyManager() {
   const [symptomFormData, setSymptomFormData] = useState({
     type: '',
     description: '',
+    sentence: '',
     symptomImage: ''
   });
+  const bodyPartDraft = useFormDraft('bodyPart', {
+    formData: bodyPartFormData,
+    editingId: editingBodyPart ? editingBodyPart.id : null,
+    active: showBodyPartForm
+  });
+  const symptomDraft = useFormDraft('symptom', {
+    formData: symptomFormData,
+    editingId: editingSymptom ? editingSymptom.id : null,
+    context: selectedBodyPart ? selectedBodyPart.id : null,
+    active: showSymptomForm
+  });
 
   useEffect(() => {
-    loadEmergencyData();
-  }, []);
+    getLatestStrokeCheck()
+      .then(setLatestStrokeCheck)
+      .catch(() => setLatestStrokeCheck(null));
+  }, [strokeCheck]);
+
+  useEffect(() => {
+    if (isInitialized) {
+      loadEmergencyData();
+    }
+  }, [isInitialized]);
+
+  useEffect(() => {
+    if (databaseError && !isInitialized) {
+      setError(databaseError);
+      setLoading(false);
+    }
+  }, [databaseError, isInitialized]);
 
   const loadEmergencyData = async () => {
     try {
       setLoading(true);
       setError(null);
       
-      // First try to get data from localStorage
-      let data = getEmergencyData();
+      let data = await getAllEmergencies();
       
-      // If no data in localStorage, load from emergency.json
-      if (!data || data.length === 0) {
-        console.log('No emergency data in localStorage, loading from emergency.json...');
-        data = await loadInitialEmergencyData();
-        
-        // Save the initial data to localStorage
-        if (data && data.length > 0) {
-          saveEmergencyData(data);
-        }
+      // If the database has no body parts yet, seed it from emergency.json
+      if (data.length === 0) {
+        console.log('No emergency data in the database, loading from emergency.json...');
+        await loadInitialEmergencyData();
+        data = await getAllEmergencies();
       }
       
-      // Sort symptoms within each body part by usage count (highest first)
-      const sortedData = data.map(bodyPart => ({
-        ...bodyPart,
-        symptoms: bodyPart.symptoms.sort((a, b) => (b.usageCount || 0) - (a.usageCount || 0))
-      }));
-      
-      setEmergencyData(sortedData);
+      setEmergencyData(sortEmergencyData(data));
     } catch (error) {
       console.error('Error loading emergency data:', error);
-      setError('Failed to load emergency data from local storage.');
+      setError('Failed to load emergency data from the database.');
       setEmergencyData(null);
     } finally {
       setLoading(false);
     }
   };
 
+  // Undo/redo can change any body part, so reload and keep the open one in sync
+  useUndoRefresh(['emergencies'], async () => {
+    try {
+      const data = sortEmergencyData(await getAllEmergencies());
+      setEmergencyData(data);
+      setSelectedBodyPart(current => current ? data.find(bp => bp.id === current.id) || null : null);
+    } catch (error) {
+      console.error('Error reloading emergency data:', error);
+    }
+  });
+
   const reloadFromJSON = async () => {
     try {
       setLoading(true);
       setError(null);
       
-      // Clear localStorage to force reload from JSON
-      localStorage.removeItem(EMERGENCY_STORAGE_KEY);
-      
-      // Load fresh data from emergency.json
-      const data = await loadInitialEmergencyData();
-      
-      // Save the fresh data to localStorage
-      if (data && data.length > 0) {
-        saveEmergencyData(data);
-      }
+      // Replace the stored body parts with a fresh copy of emergency.json
+      await reloadInitialEmergencyData();
+      const data = await getAllEmergencies();
       
-      // Sort symptoms within each body part by usage count (highest first)
-      const sortedData = data.map(bodyPart => ({
-        ...bodyPart,
-        symptoms: bodyPart.symptoms.sort((a, b) => (b.usageCount || 0) - (a.usageCount || 0))
-      }));
-      
-      setEmergencyData(sortedData);
+      setEmergencyData(sortEmergencyData(data));
+      setSelectedBodyPart(null);
     } catch (error) {
       console.error('Error reloading emergency data:', error);
       setError('Failed to reload emergency data from JSON file.');
@@ -155,41 +151,62 @@ export default function EmergencyManager() {
     }
   };
 
-  const handleBodyPartSubmit = async (e) => {
-    e.preventDefault();
+  // Persist a body part's symptoms and keep local state in sync
+  const saveBodyPartSymptoms = async (bodyPart, symptoms) => {
+    const updatedBodyPart = await updateEmergency(bodyPart.id, {
+      symptoms,
+      updatedAt: new Date().toISOString()
+    });
+    const updatedData = sortEmergencyData(
+      emergencyData.map(bp => bp.id === bodyPart.id ? updatedBodyPart : bp)
+    );
+    setEmergencyData(updatedData);
     
-    try {
-      const newBodyPart = {
-        id: editingBodyPart ? editingBodyPart.id : Date.now().toString(),
-        ...bodyPartFormData,
-        symptoms: editingBodyPart ? editingBodyPart.symptoms : [],
-        usageCount: editingBodyPart ? editingBodyPart.usageCount : 0,
-        createdAt: editingBodyPart ? editingBodyPart.createdAt : new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      };
+    // Update selectedBodyPart if it's the current one
+    if (selectedBodyPart && selectedBodyPart.id === bodyPart.id) {
+      setSelectedBodyPart(updatedData.find(bp => bp.id === bodyPart.id));
+    }
+    return updatedBodyPart;
+  };
 
+  const saveBodyPart = async () => {
+    try {
       let updatedData;
       if (editingBodyPart) {
-        updatedData = emergencyData.map(bp => bp.id === editingBodyPart.id ? newBodyPart : bp);
+        const updatedBodyPart = await updateEmergency(editingBodyPart.id, {
+          ...bodyPartFormData,
+          updatedAt: new Date().toISOString()
+        });
+        updatedData = emergencyData.map(bp => bp.id === editingBodyPart.id ? updatedBodyPart : bp);
       } else {
+        const newBodyPart = await addEmergency({
+          ...bodyPartFormData,
+          symptoms: [],
+          usageCount: 0,
+          updatedAt: new Date().toISOString()
+        });
         updatedData = [...emergencyData, newBodyPart];
       }
 
-      saveEmergencyData(updatedData);
-      setEmergencyData(updatedData);
+      bodyPartDraft.discardDraft();
+      setEmergencyData(sortEmergencyData(updatedData));
       setShowBodyPartForm(false);
       setEditingBodyPart(null);
       resetBodyPartForm();
     } catch (error) {
       console.error('Error saving body part:', error);
-      alert('Failed to save body part. Please try again.');
+      if (!reportStorageError(error, { description: 'body part', retry: saveBodyPart })) {
+        alert('Failed to save body part. Please try again.');
+      }
     }
   };
 
-  const handleSymptomSubmit = async (e) => {
+  const handleBodyPartSubmit = async (e) => {
     e.preventDefault();
-    if (!selectedBodyPart) return;
-    
+    await saveBodyPart();
+  };
+
+  const saveSymptom = async () => {
     try {
       const newSymptom = {
         id: editingSymptom ? editingSymptom.id : Date.now().toString(),
@@ -198,54 +215,35 @@ export default function EmergencyManager() {
         createdAt: editingSymptom ? editingSymptom.createdAt : new Date().toISOString()
       };
 
-      const updatedBodyPart = { ...selectedBodyPart };
-      
-      if (editingSymptom) {
-        updatedBodyPart.symptoms = updatedBodyPart.symptoms.map(s => 
-          s.id === editingSymptom.id ? newSymptom : s
-        );
-      } else {
-        updatedBodyPart.symptoms = [...(updatedBodyPart.symptoms || []), newSymptom];
-      }
+      const symptoms = editingSymptom
+        ? selectedBodyPart.symptoms.map(s => s.id === editingSymptom.id ? newSymptom : s)
+        : [...(selectedBodyPart.symptoms || []), newSymptom];
       
-      // Sort symptoms by usage count
-      updatedBodyPart.symptoms.sort((a, b) => (b.usageCount || 0) - (a.usageCount || 0));
-      
-      const updatedData = emergencyData.map(bp => bp.id === selectedBodyPart.id ? updatedBodyPart : bp);
-      saveEmergencyData(updatedData);
-      setEmergencyData(updatedData);
-      setSelectedBodyPart(updatedBodyPart);
+      await saveBodyPartSymptoms(selectedBodyPart, symptoms);
+      symptomDraft.discardDraft();
       setShowSymptomForm(false);
       setEditingSymptom(null);
       resetSymptomForm();
     } catch (error) {
       console.error('Error saving symptom:', error);
-      alert('Failed to save symptom. Please try again.');
+      if (!reportStorageError(error, { description: 'symptom', retry: saveSymptom })) {
+        alert('Failed to save symptom. Please try again.');
+      }
     }
   };
 
+  const handleSymptomSubmit = async (e) => {
+    e.preventDefault();
+    if (!selectedBodyPart) return;
+    await saveSymptom();
+  };
+
   const handleDeleteBodyPart = async (bodyPartId) => {
-    if (window.confirm('Are you sure you want to delete this body part and all its symptoms?')) {
+    if (window.confirm('Move this body part and all its symptoms to the trash?')) {
       try {
-        // Delete associated user-uploaded images
-        const bodyPart = emergencyData.find(bp => bp.id === bodyPartId);
-        if (bodyPart) {
-          // Delete body part image if it's user-uploaded
-          if (bodyPart.bodyPartImage && bodyPart.bodyPartImage.startsWith('user_upload_')) {
-            await deleteUserImage(bodyPart.bodyPartImage);
-          }
-          
-          // Delete symptom images if they're user-uploaded
-          for (const symptom of bodyPart.symptoms) {
-            if (symptom.symptomImage && symptom.symptomImage.startsWith('user_upload_')) {
-              await deleteUserImage(symptom.symptomImage);
-            }
-          }
-        }
-
-        const updatedData = emergencyData.filter(bp => bp.id !== bodyPartId);
-        saveEmergencyData(updatedData);
-        setEmergencyData(updatedData);
+        // Its photos stay stored so the body part can be restored from the trash
+        await deleteEmergency(bodyPartId);
+        setEmergencyData(emergencyData.filter(bp => bp.id !== bodyPartId));
         if (selectedBodyPart && selectedBodyPart.id === bodyPartId) {
           setSelectedBodyPart(null);
         }
@@ -257,27 +255,15 @@ export default function EmergencyManager() {
   };
 
   const handleDeleteSymptom = async (bodyPartId, symptomId) => {
-    if (window.confirm('Are you sure you want to delete this symptom?')) {
+    if (window.confirm('Move this symptom to the trash?')) {
       try {
-        const bodyPart = emergencyData.find(bp => bp.id === bodyPartId);
-        if (bodyPart) {
-          // Delete symptom image if it's user-uploaded
-          const symptom = bodyPart.symptoms.find(s => s.id === symptomId);
-          if (symptom && symptom.symptomImage && symptom.symptomImage.startsWith('user_upload_')) {
-            await deleteUserImage(symptom.symptomImage);
-          }
-
-          const updatedBodyPart = {
-            ...bodyPart,
-            symptoms: bodyPart.symptoms.filter(s => s.id !== symptomId),
-            updatedAt: new Date().toISOString()
-          };
-          const updatedData = emergencyData.map(bp => bp.id === bodyPartId ? updatedBodyPart : bp);
-          saveEmergencyData(updatedData);
-          setEmergencyData(updatedData);
-          if (selectedBodyPart && selectedBodyPart.id === bodyPartId) {
-            setSelectedBodyPart(updatedBodyPart);
-          }
+        const updatedBodyPart = await deleteSymptom(bodyPartId, symptomId);
+        const updatedData = sortEmergencyData(
+          emergencyData.map(bp => bp.id === bodyPartId ? updatedBodyPart : bp)
+        );
+        setEmergencyData(updatedData);
+        if (selectedBodyPart && selectedBodyPart.id === bodyPartId) {
+          setSelectedBodyPart(updatedData.find(bp => bp.id === bodyPartId));
         }
       } catch (error) {
         console.error('Error deleting symptom:', error);
@@ -301,6 +287,7 @@ export default function EmergencyManager() {
     setSymptomFormData({
       type: symptom.type,
       description: symptom.description || '',
+      sentence: symptom.sentence || '',
       symptomImage: symptom.symptomImage || ''
     });
     setShowSymptomForm(true);
@@ -319,41 +306,48 @@ export default function EmergencyManager() {
     setSymptomFormData({
       type: '',
       description: '',
+      sentence: '',
       symptomImage: ''
     });
     setEditingSymptom(null);
   };
 
+  // Log the tap in the symptom diary. The card asks how bad it is once the
+  // event is saved, and offers to try again when saving fails.
+  const recordSymptom = async (bodyPart, symptom) => {
+    // Only if the card is still showing this tap
+    const updateCard = (changes) => {
+      setSymptomCard(card => card && card.symptom === symptom ? { ...card, ...changes } : card);
+    };
+
+    updateCard({ recordFailed: false });
+    try {
+      updateCard({ event: await recordSymptomEvent(bodyPart, symptom) });
+    } catch (error) {
+      console.error('Error recording symptom:', error);
+      updateCard({ recordFailed: true });
+      reportStorageError(error, { description: 'symptom history' });
+    }
+  };
+
   const handleSymptomClick = async (bodyPartId, symptom) => {
+    const bodyPart = emergencyData.find(bp => bp.id === bodyPartId);
+    const sentence = getSymptomSentence(bodyPart, symptom);
+    addMessageTile({ kind: 'symptom', label: symptom.type });
+    speakText(sentence);
+    setSymptomCard({ bodyPart, symptom, sentence, event: null, recordFailed: false });
+
+    await recordSymptom(bodyPart, symptom);
+
     try {
-      // Update usage count
-      const bodyPart = emergencyData.find(bp => bp.id === bodyPartId);
-      if (bodyPart) {
-        const updatedSymptoms = bodyPart.symptoms.map(s => 
-          s.id === symptom.id ? { ...s, usageCount: (s.usageCount || 0) + 1 } : s
-        );
-        
-        // Sort symptoms by usage count (highest first)
-        updatedSymptoms.sort((a, b) => (b.usageCount || 0) - (a.usageCount || 0));
-        
-        const updatedBodyPart = {
-          ...bodyPart,
-          symptoms: updatedSymptoms,
-          updatedAt: new Date().toISOString()
-        };
-        
-        const updatedData = emergencyData.map(bp => bp.id === bodyPartId ? updatedBodyPart : bp);
-        saveEmergencyData(updatedData);
-        setEmergencyData(updatedData);
-        
-        // Update selectedBodyPart if it's the current one
-        if (selectedBodyPart && selectedBodyPart.id === bodyPartId) {
-          setSelectedBodyPart(updatedBodyPart);
-        }
+      const updatedBodyPart = await updateSymptomUsageCount(bodyPartId, symptom.id);
+      const updatedData = sortEmergencyData(
+        emergencyData.map(bp => bp.id === bodyPartId ? updatedBodyPart : bp)
+      );
+      setEmergencyData(updatedData);
+      if (selectedBodyPart && selectedBodyPart.id === bodyPartId) {
+        setSelectedBodyPart(updatedData.find(bp => bp.id === bodyPartId));
       }
-      
-      // Update usage count and show visual feedback instead of alert
-      // The symptom click now just tracks usage without showing a popup
     } catch (error) {
       console.error('Error handling symptom:', error);
     }
@@ -364,16 +358,39 @@ export default function EmergencyManager() {
     // Just navigate to the body part's symptoms
   };
 
-  const toggleAdminView = () => setIsAdminView(!isAdminView);
+  const restoreBodyPartDraft = () => {
+    const { pendingDraft } = bodyPartDraft;
+    setSelectedBodyPart(null);
+    setEditingBodyPart(emergencyData.find(bp => bp.id === pendingDraft.editingId) || null);
+    setBodyPartFormData(pendingDraft.formData);
+    setShowBodyPartForm(true);
+  };
+
+  const restoreSymptomDraft = () => {
+    const { pendingDraft } = symptomDraft;
+    const bodyPart = emergencyData.find(bp => bp.id === pendingDraft.context);
+    if (!bodyPart) {
+      alert('The body part for this symptom no longer exists.');
+      symptomDraft.discardDraft();
+      return;
+    }
+    setSelectedBodyPart(bodyPart);
+    setEditingSymptom((bodyPart.symptoms || []).find(s => s.id === pendingDraft.editingId) || null);
+    setSymptomFormData(pendingDraft.formData);
+    setShowSymptomForm(true);
+  };
+
   const toggleBodyPartForm = () => {
     setShowBodyPartForm(!showBodyPartForm);
     if (showBodyPartForm) {
+      bodyPartDraft.discardDraft();
       resetBodyPartForm();
     }
   };
   const toggleSymptomForm = () => {
     setShowSymptomForm(!showSymptomForm);
     if (showSymptomForm) {
+      symptomDraft.discardDraft();
       resetSymptomForm();
     }
   };
@@ -412,7 +429,7 @@ export default function EmergencyManager() {
 
   return (
     <div className="min-h-screen bg-gray-50 font-sans">
-      {/* Header with View Toggle */}
+      {/* Header */}
              <header className="flex items-center justify-between p-4 md:p-6 bg-white shadow-md sticky top-0 z-10">
          <div className="flex items-center space-x-3">
            <AlertTriangle className="w-8 h-8 text-red-600" />
@@ -421,9 +438,28 @@ export default function EmergencyManager() {
            </h1>
          </div>
          <div className="flex items-center space-x-2">
+           {latestStrokeCheck?.completedAt && (
+             <button
+               onClick={() => setStrokeCheck({ check: latestStrokeCheck })}
+               className="flex items-center space-x-1 px-3 py-2 text-sm font-semibold rounded-full bg-gray-200 text-gray-800 hover:bg-gray-300 transition-colors"
+               title="Show the summary of the last stroke check"
+             >
+               <ClipboardList className="w-4 h-4" />
+               <span className="hidden sm:inline">Last check</span>
+             </button>
+           )}
+           <button
+             onClick={() => setStrokeCheck({ check: null })}
+             className="flex items-center space-x-1 px-4 py-2 text-sm font-bold rounded-full bg-red-600 text-white hover:bg-red-700 transition-colors"
+           >
+             <Activity className="w-4 h-4" />
+             <span>Stroke check</span>
+           </button>
+         {isAdminView && (
            <button
              onClick={reloadFromJSON}
-             className="px-3 py-2 text-sm font-semibold rounded-full transition-colors bg-green-600 text-white hover:bg-green-700"
+             disabled={!can('reloadEmergencyData')}
+             className="px-3 py-2 text-sm font-semibold rounded-full transition-colors bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
              title="Reload data from emergency.json file"
            >
              <svg className="w-4 h-4 inline mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -431,16 +467,28 @@ export default function EmergencyManager() {
              </svg>
              Reload
            </button>
-           <button
-             onClick={toggleAdminView}
-             className="px-4 py-2 text-sm font-semibold rounded-full transition-colors bg-gray-200 text-gray-700 hover:bg-gray-300"
-           >
-             {isAdminView ? 'Exit Admin' : 'Admin'}
-           </button>
+         )}
          </div>
        </header>
 
       <main className="container mx-auto p-4 md:p-6">
+        {isAdminView && (
+          <>
+            <DraftBanner
+              draft={bodyPartDraft.pendingDraft}
+              label="body part"
+              onRestore={restoreBodyPartDraft}
+              onDiscard={bodyPartDraft.discardDraft}
+            />
+            <DraftBanner
+              draft={symptomDraft.pendingDraft}
+              label="symptom"
+              onRestore={restoreSymptomDraft}
+              onDiscard={symptomDraft.discardDraft}
+            />
+          </>
+        )}
+
         {/* --- User View (Body Parts and Symptoms) --- */}
         {!isAdminView ? (
           !emergencyData || emergencyData.length === 0 ? (
@@ -504,6 +552,7 @@ export default function EmergencyManager() {
                         <SymptomImage
                           imagePath={symptom.symptomImage}
                           className="w-full h-full object-cover"
+                          variant="full"
                           icon={<span className="text-4xl">{symptom.icon || <AlertTriangle className="w-12 h-12 text-red-500" />}</span>}
                         />
                       </div>
@@ -606,7 +655,8 @@ export default function EmergencyManager() {
               <div className="mb-6 p-4 bg-blue-50 rounded-lg border border-blue-200">
                 <button
                   onClick={toggleSymptomForm}
-                  className="flex items-center justify-center space-x-2 px-4 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors w-full sm:w-auto"
+                  disabled={!can('updateEmergency')}
+                  className="flex items-center justify-center space-x-2 px-4 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors w-full sm:w-auto disabled:opacity-50"
                 >
                   <Plus className="w-4 h-4" />
                   <span>Add Symptom</span>
@@ -639,6 +689,18 @@ export default function EmergencyManager() {
                         className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                       />
                     </div>
+                    <div className="md:col-span-2">
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Spoken sentence
+                      </label>
+                      <input
+                        type="text"
+                        value={symptomFormData.sentence}
+                        onChange={(e) => setSymptomFormData({...symptomFormData, sentence: e.target.value})}
+                        placeholder={getSymptomSentence(selectedBodyPart, { type: symptomFormData.type || 'symptom' })}
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      />
+                    </div>
                   </div>
 
                   <FileSystemImageUpload
@@ -652,7 +714,8 @@ export default function EmergencyManager() {
                   <div className="flex space-x-3">
                     <button
                       type="submit"
-                      className="flex-1 px-4 py-3 bg-blue-600 text-white font-bold rounded-lg hover:bg-blue-700 transition-colors"
+                      disabled={!can('updateEmergency')}
+                      className="flex-1 px-4 py-3 bg-blue-600 text-white font-bold rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
                     >
                       {editingSymptom ? 'Update Symptom' : 'Add Symptom'}
                     </button>
@@ -679,13 +742,15 @@ export default function EmergencyManager() {
                       <div className="flex space-x-2">
                         <button
                           onClick={() => handleEditSymptom(symptom)}
-                          className="p-2 text-gray-500 hover:text-blue-600 transition-colors"
+                          disabled={!can('updateEmergency')}
+                          className="p-2 text-gray-500 hover:text-blue-600 transition-colors disabled:opacity-50"
                         >
                           <Edit className="w-5 h-5" />
                         </button>
                         <button
                           onClick={() => handleDeleteSymptom(selectedBodyPart.id, symptom.id)}
-                          className="p-2 text-gray-500 hover:text-red-600 transition-colors"
+                          disabled={!can('deleteSymptom')}
+                          className="p-2 text-gray-500 hover:text-red-600 transition-colors disabled:opacity-50"
                         >
                           <Trash2 className="w-5 h-5" />
                         </button>
@@ -697,6 +762,7 @@ export default function EmergencyManager() {
                         <SymptomImage
                           imagePath={symptom.symptomImage}
                           className="w-full h-32 object-cover rounded-lg border border-gray-200"
+                          variant="full"
                         />
                       </div>
                     )}
@@ -717,7 +783,8 @@ export default function EmergencyManager() {
                   <div className="flex space-x-2">
                     <button
                       onClick={toggleBodyPartForm}
-                      className="flex items-center space-x-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
+                      disabled={!can('addEmergency')}
+                      className="flex items-center space-x-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors disabled:opacity-50"
                     >
                       <Plus className="w-4 h-4" />
                       <span>Add Body Part</span>
@@ -731,7 +798,8 @@ export default function EmergencyManager() {
                     </button>
                     <button
                       onClick={reloadFromJSON}
-                      className="flex items-center space-x-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors"
+                      disabled={!can('reloadEmergencyData')}
+                      className="flex items-center space-x-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50"
                       title="Reload data from emergency.json file"
                     >
                       <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -781,7 +849,8 @@ export default function EmergencyManager() {
                     <div className="flex space-x-3">
                       <button
                         type="submit"
-                        className="flex-1 px-4 py-3 bg-red-600 text-white font-bold rounded-lg hover:bg-red-700 transition-colors"
+                        disabled={!can(editingBodyPart ? 'updateEmergency' : 'addEmergency')}
+                        className="flex-1 px-4 py-3 bg-red-600 text-white font-bold rounded-lg hover:bg-red-700 transition-colors disabled:opacity-50"
                       >
                         {editingBodyPart ? 'Update Body Part' : 'Add Body Part'}
                       </button>
@@ -811,13 +880,15 @@ export default function EmergencyManager() {
                         <div className="flex space-x-2">
                           <button
                             onClick={() => handleEditBodyPart(bodyPart)}
-                            className="p-2 text-gray-500 hover:text-red-600 transition-colors"
+                            disabled={!can('updateEmergency')}
+                            className="p-2 text-gray-500 hover:text-red-600 transition-colors disabled:opacity-50"
                           >
                             <Edit className="w-5 h-5" />
                           </button>
                           <button
                             onClick={() => handleDeleteBodyPart(bodyPart.id)}
-                            className="p-2 text-gray-500 hover:text-red-600 transition-colors"
+                            disabled={!can('deleteEmergency')}
+                            className="p-2 text-gray-500 hover:text-red-600 transition-colors disabled:opacity-50"
                           >
                             <Trash2 className="w-5 h-5" />
                           </button>
@@ -829,6 +900,7 @@ export default function EmergencyManager() {
                           <BodyPartImage
                             imagePath={bodyPart.bodyPartImage}
                             className="w-full h-32 object-cover rounded-lg border border-gray-200"
+                            variant="full"
                           />
                         </div>
                       )}
@@ -840,6 +912,25 @@ export default function EmergencyManager() {
           )
         )}
       </main>
+
+      {symptomCard && (
+        <SymptomCard
+          {...symptomCard}
+          onClose={() => setSymptomCard(null)}
+          onRetryRecord={() => recordSymptom(symptomCard.bodyPart, symptomCard.symptom)}
+          onStartStrokeCheck={isStrokeWarningSymptom(symptomCard.symptom) ? () => {
+            setSymptomCard(null);
+            setStrokeCheck({ check: null });
+          } : null}
+        />
+      )}
+
+      {strokeCheck && (
+        <StrokeCheck
+          initialCheck={strokeCheck.check}
+          onClose={() => setStrokeCheck(null)}
+        />
+      )}
     </div>
   );
 } 
\ No newline at end of file
@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import { Phone, Plus, Trash2, AlertTriangle } from 'lucide-react';
+import { usePermissions } from '../hooks/useCaregiverMode';
+import {
+  EMERGENCY_SERVICES,
+  COUNTRY_PRESETS,
+  EXTRA_NUMBER_ICONS,
+  MAX_EXTRA_NUMBERS,
+  getSuggestedCountry,
+  saveEmergencySettings
+} from '../utils/emergencyServices';
+
+// Caregiver dialog for the emergency numbers registry: the country preset,
+// numbers the preset lacks or gets wrong, and extra numbers with an icon
+export default function EmergencyNumbersEditor({ settings, onClose }) {
+  const [country, setCountry] = useState(settings.country);
+  const [overrides, setOverrides] = useState(settings.overrides);
+  const [extras, setExtras] = useState(settings.extras);
+  const [error, setError] = useState(null);
+  const can = usePermissions();
+  const suggestedCountry = getSuggestedCountry();
+  const preset = COUNTRY_PRESETS[country].numbers;
+
+  const updateExtra = (index, changes) => {
+    setExtras(extras.map((extra, i) => i === index ? { ...extra, ...changes } : extra));
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    try {
+      saveEmergencySettings({ country, overrides, extras });
+      onClose();
+    } catch (error) {
+      console.error('Error saving emergency numbers:', error);
+      setError(error.message);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <form onSubmit={handleSave} className="bg-white rounded-lg p-6 max-w-lg w-full mx-4 max-h-[90vh] overflow-y-auto space-y-5">
+        <div className="flex items-center space-x-2">
+          <Phone className="w-5 h-5 text-red-600" />
+          <h3 className="text-lg font-medium text-gray-900">Emergency numbers</h3>
+        </div>
+
+        <label className="block text-sm text-gray-700">
+          <span className="block font-medium mb-1">Country</span>
+          <select
+            value={country}
+            onChange={(e) => setCountry(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+          >
+            {Object.entries(COUNTRY_PRESETS).map(([code, { name }]) => (
+              <option key={code} value={code}>
+                {name}{code === suggestedCountry ? ' (suggested for this device)' : ''}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <div className="space-y-3">
+          <p className="text-sm text-gray-600">Leave a number empty to use the country's.</p>
+          {Object.entries(EMERGENCY_SERVICES).map(([service, { label, icon }]) => (
+            <label key={service} className="flex items-center gap-3 text-sm text-gray-700">
+              <span className="text-2xl w-8 text-center" aria-hidden="true">{icon}</span>
+              <span className="w-32 font-medium">{label}</span>
+              <input
+                type="tel"
+                value={overrides[service] || ''}
+                onChange={(e) => setOverrides({ ...overrides, [service]: e.target.value })}
+                placeholder={preset[service] || 'None'}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg"
+              />
+            </label>
+          ))}
+        </div>
+
+        <div className="space-y-3">
+          <div className="flex items-center justify-between">
+            <h4 className="text-sm font-medium text-gray-900">Extra numbers</h4>
+            <button
+              type="button"
+              onClick={() => setExtras([...extras, { label: '', number: '', icon: EXTRA_NUMBER_ICONS[0] }])}
+              disabled={extras.length >= MAX_EXTRA_NUMBERS}
+              className="flex items-center space-x-1 px-3 py-1 text-sm bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 disabled:opacity-50"
+            >
+              <Plus className="w-4 h-4" />
+              <span>Add</span>
+            </button>
+          </div>
+          {extras.length === 0 && (
+            <p className="text-sm text-gray-500">E.g. the neurologist, the nearest stroke unit or a neighbour.</p>
+          )}
+          {extras.map((extra, index) => (
+            <div key={extra.id || index} className="p-3 bg-gray-50 rounded-lg space-y-2">
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={extra.label}
+                  onChange={(e) => updateExtra(index, { label: e.target.value })}
+                  placeholder="Name"
+                  className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  aria-label="Name"
+                />
+                <input
+                  type="tel"
+                  value={extra.number}
+                  onChange={(e) => updateExtra(index, { number: e.target.value })}
+                  placeholder="Number"
+                  className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  aria-label="Number"
+                />
+                <button
+                  type="button"
+                  onClick={() => setExtras(extras.filter((_, i) => i !== index))}
+                  className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-lg"
+                  aria-label={`Remove ${extra.label || 'this number'}`}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+              <div className="flex flex-wrap gap-1" role="group" aria-label="Icon">
+                {EXTRA_NUMBER_ICONS.map(icon => (
+                  <button
+                    key={icon}
+                    type="button"
+                    onClick={() => updateExtra(index, { icon })}
+                    aria-pressed={extra.icon === icon}
+                    className={`w-9 h-9 text-xl rounded-lg border-2 ${
+                      extra.icon === icon ? 'border-blue-500 bg-blue-50' : 'border-transparent hover:bg-gray-200'
+                    }`}
+                  >
+                    {icon}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {error && (
+          <div className="flex items-center space-x-2 text-red-700 text-sm">
+            <AlertTriangle className="w-4 h-4" />
+            <span>{error}</span>
+          </div>
+        )}
+
+        <div className="flex justify-end space-x-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={!can('manageEmergencyNumbers')}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            Save
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
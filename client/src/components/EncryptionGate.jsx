@@ -0,0 +1,87 @@
+import React, { useState, useEffect } from 'react';
+import { KeyRound, AlertTriangle } from 'lucide-react';
+import { useEncryptionState } from '../hooks/useEncryption';
+import { getActivePatient } from '../utils/patientProfiles';
+import { unlockEncryption, recordEncryptionActivity } from '../utils/encryption';
+
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel'];
+
+// Shows its children only while the patient's data can be read. With
+// encryption on, a caregiver enters the passphrase once and the session stays
+// open while the app is in use (see encryption.js).
+export default function EncryptionGate({ children }) {
+  const { enabled, unlocked } = useEncryptionState();
+  const [passphrase, setPassphrase] = useState('');
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!unlocked) return;
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, recordEncryptionActivity, { passive: true }));
+    document.addEventListener('visibilitychange', recordEncryptionActivity);
+    return () => {
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, recordEncryptionActivity));
+      document.removeEventListener('visibilitychange', recordEncryptionActivity);
+    };
+  }, [unlocked]);
+
+  if (!enabled || unlocked) {
+    return children;
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setWorking(true);
+      setError(null);
+      if (!(await unlockEncryption(passphrase))) {
+        setError('The passphrase is not correct');
+      }
+      setPassphrase('');
+    } catch (error) {
+      console.error('Error unlocking encrypted data:', error);
+      setError('Failed to open the encrypted data');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="p-4">
+      <div className="max-w-md mx-auto bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+        <div className="flex items-center space-x-3 mb-4">
+          <KeyRound className="w-6 h-6 text-blue-600" />
+          <h2 className="text-lg font-medium text-gray-900">{getActivePatient().name}'s data is encrypted</h2>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">
+          A caregiver needs to enter the passphrase. The app then stays open until it has not been used for a while.
+        </p>
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <input
+            type="password"
+            autoComplete="current-password"
+            autoFocus
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+            aria-label="Passphrase"
+            placeholder="Passphrase"
+          />
+          <button
+            type="submit"
+            disabled={working || !passphrase}
+            className="w-full px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            {working ? 'Unlocking...' : 'Unlock'}
+          </button>
+        </form>
+        {error && (
+          <div className="mt-4 flex items-center space-x-2 text-red-700 text-sm">
+            <AlertTriangle className="w-4 h-4" />
+            <span>{error}</span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,229 @@
+import React, { useState } from 'react';
+import { KeyRound, Lock, AlertTriangle, CheckCircle } from 'lucide-react';
+import { useEncryptionState } from '../hooks/useEncryption';
+import { usePermissions } from '../hooks/useCaregiverMode';
+import { getActivePatient } from '../utils/patientProfiles';
+import { turnOnEncryption, turnOffEncryption } from '../utils/encryptionSetup';
+import {
+  validatePassphrase,
+  changeEncryptionPassphrase,
+  getSessionTimeoutMinutes,
+  saveSessionTimeoutMinutes,
+  lockEncryption,
+  SESSION_TIMEOUT_OPTIONS,
+  DEFAULT_SESSION_TIMEOUT_MINUTES
+} from '../utils/encryption';
+
+const formatMinutes = (minutes) => minutes < 60 ? `${minutes} minutes` : `${minutes / 60} hours`;
+
+const EMPTY_FORM = { current: '', passphrase: '', confirm: '' };
+
+const PassphraseInput = ({ label, value, onChange, autoComplete = 'new-password' }) => (
+  <input
+    type="password"
+    autoComplete={autoComplete}
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+    aria-label={label}
+    placeholder={label}
+  />
+);
+
+// Turn at-rest encryption of the open patient's data on or off, change the
+// passphrase and choose how long a session stays unlocked
+export default function EncryptionPanel() {
+  const { enabled } = useEncryptionState();
+  const can = usePermissions();
+  const patient = getActivePatient();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [action, setAction] = useState(null);
+  const [timeoutMinutes, setTimeoutMinutes] = useState(enabled ? getSessionTimeoutMinutes() : DEFAULT_SESSION_TIMEOUT_MINUTES);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const updateForm = (field) => (value) => setForm({ ...form, [field]: value });
+
+  const run = async (task, successMessage) => {
+    try {
+      setWorking(true);
+      setError(null);
+      setMessage(null);
+      await task();
+      setForm(EMPTY_FORM);
+      setAction(null);
+      setMessage(successMessage);
+    } catch (error) {
+      setError(error.message || 'Failed to change the encryption settings');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  // A new passphrase is typed twice
+  const checkNewPassphrase = () => {
+    const problem = validatePassphrase(form.passphrase);
+    if (problem) {
+      throw new Error(problem);
+    }
+    if (form.passphrase !== form.confirm) {
+      throw new Error("The passphrases don't match");
+    }
+  };
+
+  const handleTurnOn = (e) => {
+    e.preventDefault();
+    run(async () => {
+      checkNewPassphrase();
+      await turnOnEncryption(form.passphrase, timeoutMinutes);
+    }, 'Encryption is on. Keep the passphrase somewhere safe.');
+  };
+
+  const handleChangePassphrase = (e) => {
+    e.preventDefault();
+    run(async () => {
+      checkNewPassphrase();
+      await changeEncryptionPassphrase(form.current, form.passphrase);
+    }, 'The passphrase was changed.');
+  };
+
+  const handleTurnOff = (e) => {
+    e.preventDefault();
+    run(() => turnOffEncryption(form.current), 'Encryption is off.');
+  };
+
+  const handleTimeoutChange = (minutes) => {
+    try {
+      setError(null);
+      if (enabled) {
+        saveSessionTimeoutMinutes(minutes);
+      }
+      setTimeoutMinutes(minutes);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const openAction = (nextAction) => {
+    setForm(EMPTY_FORM);
+    setError(null);
+    setMessage(null);
+    setAction(action === nextAction ? null : nextAction);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-4">
+      <div className="flex items-center space-x-2">
+        <KeyRound className="w-5 h-5 text-blue-600" />
+        <h3 className="text-lg font-medium text-gray-900">Encryption</h3>
+      </div>
+
+      <p className="text-sm text-gray-600">
+        {enabled
+          ? `${patient.name}'s contacts, phrases, emergency data, history and photos are stored encrypted on this device.`
+          : `Encrypt ${patient.name}'s contacts, phrases, emergency data, history and photos on this device with a passphrase, so they can't be read from a lost tablet.`}
+      </p>
+
+      <label className="flex items-center justify-between text-sm text-gray-700">
+        <span>Ask for the passphrase again after</span>
+        <select
+          value={timeoutMinutes}
+          onChange={(e) => handleTimeoutChange(Number(e.target.value))}
+          disabled={!can('manageEncryption')}
+          className="ml-4 px-2 py-1 border border-gray-300 rounded-lg disabled:opacity-50"
+        >
+          {SESSION_TIMEOUT_OPTIONS.map(minutes => (
+            <option key={minutes} value={minutes}>{formatMinutes(minutes)} without use</option>
+          ))}
+        </select>
+      </label>
+
+      {!enabled && (
+        <form onSubmit={handleTurnOn} className="space-y-3">
+          <PassphraseInput label="Passphrase" value={form.passphrase} onChange={updateForm('passphrase')} />
+          <PassphraseInput label="Repeat the passphrase" value={form.confirm} onChange={updateForm('confirm')} />
+          <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg flex items-start space-x-2 text-sm text-yellow-800">
+            <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+            <span>The data can't be recovered without the passphrase. Keep it somewhere safe, together with a backup.</span>
+          </div>
+          <button
+            type="submit"
+            disabled={working || !can('manageEncryption') || !form.passphrase}
+            className="w-full px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            {working ? 'Encrypting...' : 'Turn on encryption'}
+          </button>
+        </form>
+      )}
+
+      {enabled && (
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={lockEncryption}
+            className="flex items-center space-x-1 px-3 py-2 text-sm bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors"
+          >
+            <Lock className="w-4 h-4" />
+            <span>Lock now</span>
+          </button>
+          <button
+            onClick={() => openAction('change')}
+            disabled={working || !can('manageEncryption')}
+            className="px-3 py-2 text-sm bg-blue-50 text-blue-700 rounded-lg hover:bg-blue-100 transition-colors disabled:opacity-50"
+          >
+            Change passphrase
+          </button>
+          <button
+            onClick={() => openAction('off')}
+            disabled={working || !can('manageEncryption')}
+            className="px-3 py-2 text-sm bg-red-50 text-red-700 rounded-lg hover:bg-red-100 transition-colors disabled:opacity-50"
+          >
+            Turn off encryption
+          </button>
+        </div>
+      )}
+
+      {enabled && action === 'change' && (
+        <form onSubmit={handleChangePassphrase} className="space-y-3">
+          <PassphraseInput label="Current passphrase" value={form.current} onChange={updateForm('current')} autoComplete="current-password" />
+          <PassphraseInput label="New passphrase" value={form.passphrase} onChange={updateForm('passphrase')} />
+          <PassphraseInput label="Repeat the new passphrase" value={form.confirm} onChange={updateForm('confirm')} />
+          <button
+            type="submit"
+            disabled={working || !form.current || !form.passphrase}
+            className="w-full px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            Change passphrase
+          </button>
+        </form>
+      )}
+
+      {enabled && action === 'off' && (
+        <form onSubmit={handleTurnOff} className="space-y-3">
+          <PassphraseInput label="Passphrase" value={form.current} onChange={updateForm('current')} autoComplete="current-password" />
+          <button
+            type="submit"
+            disabled={working || !form.current}
+            className="w-full px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors disabled:opacity-50"
+          >
+            {working ? 'Decrypting...' : 'Decrypt and turn off'}
+          </button>
+        </form>
+      )}
+
+      {error && (
+        <div className="flex items-center space-x-2 text-red-700 text-sm">
+          <AlertTriangle className="w-4 h-4" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {message && (
+        <div className="flex items-center space-x-2 text-green-700 text-sm">
+          <CheckCircle className="w-4 h-4" />
+          <span>{message}</span>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,6 +1,8 @@
 import React, { useState } from 'react';
 import { Upload, X, Check, AlertCircle } from 'lucide-react';
 import { storeUserImage, generateImageId } from '../utils/indexedDB';
+import { resizeImage, createThumbnail } from '../utils/imageProcessing';
+import { reportStorageError, isQuotaExceededError } from '../utils/storageErrors';
 
 // Local image handling utilities
 const validateImageFile = (file) => {
@@ -31,62 +33,6 @@ const formatFileSize = (bytes) => {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 };
 
-const compressImage = (file) => {
-  return new Promise((resolve, reject) => {
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    const img = new Image();
-
-    img.onload = () => {
-      // Calculate new dimensions while maintaining aspect ratio
-      let { width, height } = img;
-      
-      const maxWidth = 1024;
-      const maxHeight = 1024;
-      
-      if (width > maxWidth) {
-        height = (height * maxWidth) / width;
-        width = maxWidth;
-      }
-      
-      if (height > maxHeight) {
-        width = (width * maxHeight) / height;
-        height = maxHeight;
-      }
-
-      canvas.width = width;
-      canvas.height = height;
-
-      // Draw and compress image
-      ctx.drawImage(img, 0, 0, width, height);
-      
-      canvas.toBlob(
-        (blob) => {
-          if (blob) {
-            resolve(blob);
-          } else {
-            reject(new Error('Failed to compress image'));
-          }
-        },
-        'image/jpeg',
-        0.85 // Higher quality for user uploads
-      );
-    };
-
-    img.onerror = () => reject(new Error('Failed to load image'));
-    img.src = URL.createObjectURL(file);
-  });
-};
-
-const blobToBase64 = (blob) => {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = () => resolve(reader.result);
-    reader.onerror = () => reject(new Error('Failed to read blob'));
-    reader.readAsDataURL(blob);
-  });
-};
-
 const processAndStoreImage = async (file, imageType, identifier) => {
   try {
     // Validate file type
@@ -103,11 +49,11 @@ const processAndStoreImage = async (file, imageType, identifier) => {
     // Compress image if it's large
     let processedFile = file;
     if (file.size > 1 * 1024 * 1024) { // Compress if larger than 1MB
-      processedFile = await compressImage(file);
+      processedFile = await resizeImage(file);
     }
 
-    // Convert to base64
-    const base64Data = await blobToBase64(processedFile);
+    // Small variant for grids, the full image is only loaded in detail views
+    const thumbnail = await createThumbnail(processedFile);
 
     // Generate unique ID for the image
     const imageId = generateImageId(imageType, identifier);
@@ -116,9 +62,9 @@ const processAndStoreImage = async (file, imageType, identifier) => {
      const imageData = {
        id: imageId,
        type: imageType,
-       base64Data: base64Data,
+       blob: processedFile,
+       thumbnail: thumbnail,
        originalName: file.name,
-       size: processedFile.size,
        bodyPartId: imageType === 'bodypart' ? identifier : null,
        symptomId: imageType === 'symptom' ? identifier : null,
        contactId: imageType === 'contact' ? identifier : null,
@@ -131,7 +77,6 @@ const processAndStoreImage = async (file, imageType, identifier) => {
     return {
       success: true,
       imageId: imageId,
-      data: base64Data,
       originalSize: file.size,
       compressedSize: processedFile.size,
       compressionRatio: ((file.size - processedFile.size) / file.size * 100).toFixed(1)
@@ -217,7 +162,12 @@ export default function FileSystemImageUpload({
 
     } catch (error) {
       console.error('Error handling file:', error);
-      setError(error.message);
+      if (isQuotaExceededError(error)) {
+        setError('Not enough storage space to save this image.');
+        reportStorageError(error, { description: 'image', retry: () => handleFile(file) });
+      } else {
+        setError(error.message);
+      }
     } finally {
       setUploading(false);
     }
@@ -1,38 +1,37 @@
 import React, { useState, useEffect } from 'react';
-import { Plus, Edit, Trash2, Utensils, ChevronDown } from 'lucide-react';
+import { Plus, Edit, Trash2, Utensils, ChevronDown, Send, Inbox } from 'lucide-react';
 import FileSystemImageUpload from './FileSystemImageUpload';
 import { FoodImage } from './ImageDisplay';
-import { deleteUserImage } from '../utils/indexedDB';
-
-// Local storage utilities for foods
-const FOODS_STORAGE_KEY = 'foods';
-
-const getFoods = () => {
-  try {
-    const stored = localStorage.getItem(FOODS_STORAGE_KEY);
-    return stored ? JSON.parse(stored) : [];
-  } catch (error) {
-    console.error('Error reading foods from localStorage:', error);
-    return [];
-  }
-};
-
-const saveFoods = (foods) => {
-  try {
-    localStorage.setItem(FOODS_STORAGE_KEY, JSON.stringify(foods));
-  } catch (error) {
-    console.error('Error saving foods to localStorage:', error);
-    throw error;
-  }
-};
+import { useDatabase } from '../hooks/useDatabase';
+import { useUndoRefresh } from '../hooks/useUndoHistory';
+import { useCaregiverMode, usePermissions } from '../hooks/useCaregiverMode';
+import { useFormDraft } from '../hooks/useFormDraft';
+import { reportStorageError } from '../utils/storageErrors';
+import { addMessageTile } from '../utils/messageBuilder';
+import DraftBanner from './DraftBanner';
+import ShareCodeDialog from './ShareCodeDialog';
+import ReceiveShareDialog from './ReceiveShareDialog';
 
 export default function FoodManager() {
+  const {
+    isInitialized,
+    error: databaseError,
+    getAllFoods,
+    addFood,
+    updateFood,
+    deleteFood,
+    toggleFavorite
+  } = useDatabase();
   const [foods, setFoods] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [isAdminView, setIsAdminView] = useState(false);
+  const isAdminView = useCaregiverMode();
+  const can = usePermissions();
   const [showAddForm, setShowAddForm] = useState(false);
   const [editingFood, setEditingFood] = useState(null);
+  // Whether the food list is being sent to or received from a paired device
+  const [sharing, setSharing] = useState(false);
+  const [receiving, setReceiving] = useState(false);
   const [formData, setFormData] = useState({
     name: '',
     foodImage: '',
@@ -40,68 +39,77 @@ export default function FoodManager() {
     category: 'lunch',
     isFavorite: false
   });
+  const { pendingDraft, discardDraft } = useFormDraft('food', {
+    formData,
+    editingId: editingFood ? editingFood.id : null,
+    active: showAddForm
+  });
+
+  useEffect(() => {
+    if (isInitialized) {
+      loadFoods();
+    }
+  }, [isInitialized]);
 
   useEffect(() => {
-    loadFoods();
-  }, []);
+    if (databaseError && !isInitialized) {
+      setError(databaseError);
+      setLoading(false);
+    }
+  }, [databaseError, isInitialized]);
 
   const loadFoods = async () => {
     try {
       setLoading(true);
       setError(null);
-      const foodsData = getFoods();
+      const foodsData = await getAllFoods();
       setFoods(foodsData);
     } catch (error) {
       console.error('Error loading foods:', error);
-      setError('Failed to load foods from local storage.');
+      setError('Failed to load foods from the database.');
       setFoods([]);
     } finally {
       setLoading(false);
     }
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    
-    try {
-      const newFood = {
-        id: editingFood ? editingFood.id : Date.now().toString(),
-        ...formData,
-        usageCount: editingFood ? editingFood.usageCount : 0,
-        createdAt: editingFood ? editingFood.createdAt : new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      };
+  useUndoRefresh(['foods'], loadFoods);
 
-      let updatedFoods;
+  const saveFood = async () => {
+    try {
       if (editingFood) {
-        updatedFoods = foods.map(f => f.id === editingFood.id ? newFood : f);
+        await updateFood(editingFood.id, formData);
       } else {
-        updatedFoods = [...foods, newFood];
+        await addFood({
+          ...formData,
+          usageCount: 0
+        });
       }
 
-      saveFoods(updatedFoods);
-      setFoods(updatedFoods);
+      discardDraft();
+      await loadFoods();
       setShowAddForm(false);
       setEditingFood(null);
       resetForm();
     } catch (error) {
       console.error('Error saving food:', error);
-      alert('Failed to save food. Please try again.');
+      if (!reportStorageError(error, { description: 'food', retry: saveFood })) {
+        alert('Failed to save food. Please try again.');
+      }
     }
   };
 
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    await saveFood();
+  };
+
   const handleDelete = async (foodId) => {
-    if (window.confirm('Are you sure you want to delete this food item?')) {
+    if (window.confirm('Move this food item to the trash?')) {
       try {
-        // Delete associated user-uploaded image if it exists
-        const food = foods.find(f => f.id === foodId);
-        if (food && food.foodImage && food.foodImage.startsWith('user_upload_')) {
-          await deleteUserImage(food.foodImage);
-        }
-
-        const updatedFoods = foods.filter(f => f.id !== foodId);
-        saveFoods(updatedFoods);
-        setFoods(updatedFoods);
+        // The photo stays stored so the food can be restored from the trash
+        await deleteFood(foodId);
+        setFoods(foods.filter(f => f.id !== foodId));
       } catch (error) {
         console.error('Error deleting food:', error);
         alert('Failed to delete food. Please try again.');
@@ -133,27 +141,26 @@ export default function FoodManager() {
 
   const handleFoodClick = async (food) => {
     try {
+      addMessageTile({ kind: 'food', label: food.name });
+
       // Toggle favorite status
-      const updatedFood = {
-        ...food,
-        isFavorite: !food.isFavorite,
-        updatedAt: new Date().toISOString()
-      };
-      
-      const updatedFoods = foods.map(f => f.id === food.id ? updatedFood : f);
-      saveFoods(updatedFoods);
-      setFoods(updatedFoods);
-      
-      alert(`Selected: ${food.name}`);
+      const updatedFood = await toggleFavorite(food.id);
+      setFoods(foods.map(f => f.id === food.id ? updatedFood : f));
     } catch (error) {
       console.error('Error handling food click:', error);
     }
   };
 
-  const toggleAdminView = () => setIsAdminView(!isAdminView);
+  const restoreDraft = () => {
+    setEditingFood(foods.find(item => item.id === pendingDraft.editingId) || null);
+    setFormData(pendingDraft.formData);
+    setShowAddForm(true);
+  };
+
   const toggleAddForm = () => {
     setShowAddForm(!showAddForm);
     if (showAddForm) {
+      discardDraft();
       resetForm();
     }
   };
@@ -167,6 +174,12 @@ export default function FoodManager() {
     { value: 'dessert', label: 'Dessert' }
   ];
 
+  const handleImported = async (result) => {
+    setReceiving(false);
+    await loadFoods();
+    alert(`Food list received! ${result.added} added, ${result.updated} updated.`);
+  };
+
   if (loading) {
     return (
       <div className="flex flex-col items-center justify-center min-h-screen bg-gray-50 text-center p-6">
@@ -201,7 +214,7 @@ export default function FoodManager() {
 
   return (
     <div className="min-h-screen bg-gray-50 font-sans">
-      {/* Header with View Toggle */}
+      {/* Header */}
       <header className="flex items-center justify-between p-4 md:p-6 bg-white shadow-md sticky top-0 z-10">
         <div className="flex items-center space-x-3">
           <Utensils className="w-8 h-8 text-green-600" />
@@ -209,15 +222,33 @@ export default function FoodManager() {
             {isAdminView ? 'Admin Panel' : 'Food Menu'}
           </h1>
         </div>
-        <button
-          onClick={toggleAdminView}
-          className="px-4 py-2 text-sm font-semibold rounded-full transition-colors bg-gray-200 text-gray-700 hover:bg-gray-300"
-        >
-          {isAdminView ? 'Exit Admin' : 'Admin'}
-        </button>
+        {isAdminView && (
+          <div className="flex space-x-2">
+            <button
+              onClick={() => setSharing(true)}
+              disabled={foods.length === 0}
+              className="flex items-center space-x-2 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors disabled:opacity-50"
+            >
+              <Send className="w-5 h-5" />
+              <span>Send list</span>
+            </button>
+            <button
+              onClick={() => setReceiving(true)}
+              disabled={!can('addFood')}
+              className="flex items-center space-x-2 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors disabled:opacity-50"
+            >
+              <Inbox className="w-5 h-5" />
+              <span>Receive</span>
+            </button>
+          </div>
+        )}
       </header>
 
       <main className="container mx-auto p-4 md:p-6">
+        {isAdminView && (
+          <DraftBanner draft={pendingDraft} label="food" onRestore={restoreDraft} onDiscard={discardDraft} />
+        )}
+
         {/* --- User View (Food Menu) --- */}
         {!isAdminView ? (
           foods.length === 0 ? (
@@ -234,7 +265,7 @@ export default function FoodManager() {
                   <div
                     onClick={() => handleFoodClick(food)}
                     className="group relative w-full aspect-square bg-white rounded-full shadow-lg border-2 border-transparent transition-all duration-200 ease-in-out hover:border-green-500 hover:shadow-xl mb-3 overflow-hidden cursor-pointer"
-                    title={`Click to interact with ${food.name}`}
+                    title={`Add ${food.name} to the message`}
                     role="button"
                     tabIndex={0}
                     onKeyDown={(e) => {
@@ -344,7 +375,8 @@ export default function FoodManager() {
                   <div className="flex space-x-3">
                     <button
                       type="submit"
-                      className="flex-1 px-4 py-3 bg-green-600 text-white font-bold rounded-lg hover:bg-green-700 transition-colors"
+                      disabled={!can(editingFood ? 'updateFood' : 'addFood')}
+                      className="flex-1 px-4 py-3 bg-green-600 text-white font-bold rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50"
                     >
                       {editingFood ? 'Update Food' : 'Add Food'}
                     </button>
@@ -373,6 +405,7 @@ export default function FoodManager() {
                        <FoodImage
                          imagePath={food.foodImage}
                          className="w-full h-32 object-cover rounded-lg mb-3"
+                         variant="full"
                        />
                      )}
                     
@@ -384,13 +417,15 @@ export default function FoodManager() {
                       <div className="flex space-x-1">
                         <button
                           onClick={() => handleEdit(food)}
-                          className="p-1 text-gray-500 hover:text-green-600 transition-colors"
+                          disabled={!can('updateFood')}
+                          className="p-1 text-gray-500 hover:text-green-600 transition-colors disabled:opacity-50"
                         >
                           <Edit className="w-5 h-5" />
                         </button>
                         <button
                           onClick={() => handleDelete(food.id)}
-                          className="p-1 text-gray-500 hover:text-red-600 transition-colors"
+                          disabled={!can('deleteFood')}
+                          className="p-1 text-gray-500 hover:text-red-600 transition-colors disabled:opacity-50"
                         >
                           <Trash2 className="w-5 h-5" />
                         </button>
@@ -412,6 +447,13 @@ export default function FoodManager() {
           </div>
         )}
       </main>
+
+      {sharing && (
+        <ShareCodeDialog kind="foods" records={foods} label="Food menu" onClose={() => setSharing(false)} />
+      )}
+      {receiving && (
+        <ReceiveShareDialog kind="foods" onClose={() => setReceiving(false)} onImported={handleImported} />
+      )}
     </div>
   );
 } 
\ No newline at end of file
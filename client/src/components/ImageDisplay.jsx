@@ -1,21 +1,26 @@
 import React, { useState, useEffect } from 'react';
 import { AlertTriangle } from 'lucide-react';
-import { getImageSource, isUserUploadedImage } from '../utils/indexedDB';
+import { getUserImageBlob, isUserUploadedImage } from '../utils/indexedDB';
 
 export default function ImageDisplay({ 
   imagePath, 
   alt = "Image", 
   className = "", 
   fallbackIcon = null,
-  fallbackClassName = ""
+  fallbackClassName = "",
+  variant = 'thumbnail' // 'thumbnail' for grids and tiles, 'full' for detail views
 }) {
   const [imageSrc, setImageSrc] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(false);
 
   useEffect(() => {
+    let cancelled = false;
+    let objectUrl = null;
+
     const loadImage = async () => {
       if (!imagePath) {
+        setImageSrc(null);
         setLoading(false);
         return;
       }
@@ -24,24 +29,39 @@ export default function ImageDisplay({
         setLoading(true);
         setError(false);
 
-        // Get the image source (either from IndexedDB or direct path)
-        const source = await getImageSource(imagePath);
-        
-        if (source) {
-          setImageSrc(source);
+        if (!isUserUploadedImage(imagePath)) {
+          // Pre-existing images are served by path
+          setImageSrc(imagePath);
+          return;
+        }
+
+        const blob = await getUserImageBlob(imagePath, variant);
+        if (cancelled) return;
+
+        if (blob) {
+          objectUrl = URL.createObjectURL(blob);
+          setImageSrc(objectUrl);
         } else {
           setError(true);
         }
       } catch (error) {
         console.error('Error loading image:', error);
-        setError(true);
+        if (!cancelled) setError(true);
       } finally {
-        setLoading(false);
+        if (!cancelled) setLoading(false);
       }
     };
 
     loadImage();
-  }, [imagePath]);
+
+    // Release the object URL when the image changes or the tile unmounts
+    return () => {
+      cancelled = true;
+      if (objectUrl) {
+        URL.revokeObjectURL(objectUrl);
+      }
+    };
+  }, [imagePath, variant]);
 
   // Show loading state
   if (loading) {
@@ -83,57 +103,74 @@ export default function ImageDisplay({
 }
 
 // Specialized components for common use cases
-export function BodyPartImage({ imagePath, className = "", icon = null }) {
+export function BodyPartImage({ imagePath, className = "", icon = null, variant = 'thumbnail' }) {
   return (
     <ImageDisplay
       imagePath={imagePath}
       alt="Body part"
       className={className}
+      variant={variant}
       fallbackIcon={icon || <AlertTriangle className="w-16 h-16 text-red-500" />}
     />
   );
 }
 
-export function SymptomImage({ imagePath, className = "", icon = null }) {
+export function SymptomImage({ imagePath, className = "", icon = null, variant = 'thumbnail' }) {
   return (
     <ImageDisplay
       imagePath={imagePath}
       alt="Symptom"
       className={className}
+      variant={variant}
       fallbackIcon={icon || <AlertTriangle className="w-12 h-12 text-red-500" />}
     />
   );
 }
 
-export function ContactImage({ imagePath, className = "", icon = null }) {
+export function ContactImage({ imagePath, className = "", icon = null, variant = 'thumbnail' }) {
   return (
     <ImageDisplay
       imagePath={imagePath}
       alt="Contact"
       className={className}
+      variant={variant}
       fallbackIcon={icon || <span className="text-6xl">👤</span>}
     />
   );
 }
 
-export function FoodImage({ imagePath, className = "", icon = null }) {
+export function FoodImage({ imagePath, className = "", icon = null, variant = 'thumbnail' }) {
   return (
     <ImageDisplay
       imagePath={imagePath}
       alt="Food"
       className={className}
+      variant={variant}
       fallbackIcon={icon || <span className="text-6xl">🍽️</span>}
     />
   );
 }
 
-export function PhraseImage({ imagePath, className = "", icon = null }) {
+export function PhraseImage({ imagePath, className = "", icon = null, variant = 'thumbnail' }) {
   return (
     <ImageDisplay
       imagePath={imagePath}
       alt="Phrase"
       className={className}
+      variant={variant}
       fallbackIcon={icon || <span className="text-6xl">💬</span>}
     />
   );
-} 
\ No newline at end of file
+} 
+
+export function MedicationImage({ imagePath, className = "", icon = null, variant = 'thumbnail' }) {
+  return (
+    <ImageDisplay
+      imagePath={imagePath}
+      alt="Pill"
+      className={className}
+      variant={variant}
+      fallbackIcon={icon || <span className="text-6xl">💊</span>}
+    />
+  );
+}
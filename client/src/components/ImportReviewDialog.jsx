@@ -0,0 +1,199 @@
+import React, { useState } from 'react';
+import { GitMerge, Plus, RefreshCw, Check } from 'lucide-react';
+import {
+  summarizeImportDiff,
+  getImportEntryId,
+  getImportRecordLabel
+} from '../utils/importMerge';
+
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Review dialog for a conflict-aware import: shows what is new, changed and
+// identical, lets the caregiver pick a side for each changed record and how
+// usage counts are combined
+export default function ImportReviewDialog({ diff, title = 'Review Import', onConfirm, onCancel, working = false }) {
+  const [resolutions, setResolutions] = useState({});
+  const [usageMode, setUsageMode] = useState('max');
+
+  const summary = summarizeImportDiff(diff);
+  const changedEntries = Object.entries(diff).flatMap(([table, entries]) =>
+    entries
+      .filter(entry => entry.status === 'changed')
+      .map(entry => ({ ...entry, table, entryId: getImportEntryId(table, entry.key) }))
+  );
+  const totalChanges = summary.reduce((sum, row) => sum + row.new + row.changed + row.identical, 0);
+
+  const setResolution = (entryId, side) => {
+    setResolutions(prev => ({ ...prev, [entryId]: side }));
+  };
+
+  const setAllResolutions = (side) => {
+    setResolutions(changedEntries.reduce((result, entry) => ({ ...result, [entry.entryId]: side }), {}));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 max-w-2xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center space-x-2 mb-4">
+          <GitMerge className="w-5 h-5 text-blue-600" />
+          <h3 className="text-lg font-medium text-gray-900">{title}</h3>
+        </div>
+
+        {totalChanges === 0 ? (
+          <p className="text-sm text-gray-600 mb-4">There is nothing to import.</p>
+        ) : (
+          <table className="w-full text-sm mb-4">
+            <thead>
+              <tr className="text-left text-gray-500 border-b border-gray-200">
+                <th className="py-2 font-medium">Collection</th>
+                <th className="py-2 font-medium text-right">New</th>
+                <th className="py-2 font-medium text-right">Changed</th>
+                <th className="py-2 font-medium text-right">Identical</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {summary.map((row) => (
+                <tr key={row.table}>
+                  <td className="py-2 capitalize">{row.table}</td>
+                  <td className="py-2 text-right">{row.new}</td>
+                  <td className="py-2 text-right">{row.changed}</td>
+                  <td className="py-2 text-right">{row.identical}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {changedEntries.length > 0 && (
+          <div className="mb-4">
+            <div className="flex items-center justify-between mb-2">
+              <h4 className="font-medium text-gray-900">Changed records</h4>
+              <div className="flex space-x-2 text-xs">
+                <button
+                  onClick={() => setAllResolutions('existing')}
+                  className="px-2 py-1 bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+                >
+                  Keep all mine
+                </button>
+                <button
+                  onClick={() => setAllResolutions('incoming')}
+                  className="px-2 py-1 bg-blue-100 text-blue-700 rounded hover:bg-blue-200"
+                >
+                  Use all imported
+                </button>
+              </div>
+            </div>
+
+            <div className="space-y-3">
+              {changedEntries.map((entry) => {
+                const side = resolutions[entry.entryId] || 'existing';
+                return (
+                  <div key={entry.entryId} className="border border-gray-200 rounded-lg p-3">
+                    <div className="flex items-center space-x-2 mb-2">
+                      <span className="px-2 py-0.5 text-xs rounded-full bg-yellow-100 text-yellow-800">
+                        {entry.table}
+                      </span>
+                      <span className="font-medium text-gray-900">{getImportRecordLabel(entry.existing)}</span>
+                    </div>
+
+                    <div className="text-xs text-gray-600 mb-3 space-y-1">
+                      <div className="grid grid-cols-3 gap-2 text-gray-400">
+                        <span>Field</span>
+                        <span>Mine</span>
+                        <span>Imported</span>
+                      </div>
+                      {entry.changedFields.map((field) => (
+                        <div key={field} className="grid grid-cols-3 gap-2">
+                          <span className="font-medium">{field}</span>
+                          <span className="truncate" title={formatValue(entry.existing[field])}>
+                            {formatValue(entry.existing[field])}
+                          </span>
+                          <span className="truncate text-blue-700" title={formatValue(entry.incoming[field])}>
+                            {formatValue(entry.incoming[field])}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+
+                    <div className="flex space-x-2">
+                      <button
+                        onClick={() => setResolution(entry.entryId, 'existing')}
+                        className={`flex-1 flex items-center justify-center space-x-1 px-3 py-1.5 text-sm rounded-md transition-colors ${
+                          side === 'existing' ? 'bg-gray-700 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                        }`}
+                      >
+                        {side === 'existing' && <Check className="w-4 h-4" />}
+                        <span>Keep mine</span>
+                      </button>
+                      <button
+                        onClick={() => setResolution(entry.entryId, 'incoming')}
+                        className={`flex-1 flex items-center justify-center space-x-1 px-3 py-1.5 text-sm rounded-md transition-colors ${
+                          side === 'incoming' ? 'bg-blue-600 text-white' : 'bg-blue-50 text-blue-700 hover:bg-blue-100'
+                        }`}
+                      >
+                        {side === 'incoming' && <Check className="w-4 h-4" />}
+                        <span>Use imported</span>
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
+        <div className="space-y-2 mb-4">
+          <p className="text-sm font-medium text-gray-900">Usage counts</p>
+          <label className="flex items-start space-x-2 text-sm">
+            <input
+              type="radio"
+              name="usageMode"
+              value="max"
+              checked={usageMode === 'max'}
+              onChange={() => setUsageMode('max')}
+              className="mt-1"
+            />
+            <span>
+              <span className="font-medium">Keep the highest</span> &ndash; safe when importing the same file twice
+            </span>
+          </label>
+          <label className="flex items-start space-x-2 text-sm">
+            <input
+              type="radio"
+              name="usageMode"
+              value="sum"
+              checked={usageMode === 'sum'}
+              onChange={() => setUsageMode('sum')}
+              className="mt-1"
+            />
+            <span>
+              <span className="font-medium">Add together</span> &ndash; when both devices were used separately
+            </span>
+          </label>
+        </div>
+
+        <div className="flex space-x-3">
+          <button
+            onClick={() => onConfirm({ resolutions, usageMode })}
+            disabled={working || totalChanges === 0}
+            className="flex-1 flex items-center justify-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            {working ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+            <span>{working ? 'Importing...' : 'Import'}</span>
+          </button>
+          <button
+            onClick={onCancel}
+            disabled={working}
+            className="flex-1 px-4 py-2 bg-gray-300 text-gray-700 rounded-lg hover:bg-gray-400 transition-colors"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { X, Edit, Printer, Download, QrCode as QrCodeIcon, MessageCircleOff } from 'lucide-react';
+import QrCode from './QrCode';
+import MedicalIdEditor from './MedicalIdEditor';
+import { useMedicalId } from '../hooks/useMedicalId';
+import { useCaregiverMode, usePermissions } from '../hooks/useCaregiverMode';
+import { downloadFile } from '../utils/fileDownload';
+import { getQrCapacity } from '../utils/qrCode';
+import {
+  getAge,
+  getMedicalIdLines,
+  getAnticoagulantText,
+  medicalIdToVCard
+} from '../utils/medicalId';
+
+// Shown first and in red, since they change what paramedics may give
+const CRITICAL_LABELS = ['Blood type', 'Blood thinners', 'Allergies'];
+
+// The vCard QR code uses the lowest error correction to fit the most text
+const VCARD_QR_LEVEL = 'L';
+
+const hasAphasia = (medicalId) => medicalId.aphasiaType && medicalId.aphasiaType !== 'none';
+
+const fitsInQrCode = (text) => new TextEncoder().encode(text).length <= getQrCapacity(VCARD_QR_LEVEL);
+
+// Credit-card sized front and back, to cut out and fold. Rendered outside
+// the app while printing; index.css hides everything else.
+const WalletCard = ({ medicalId, vCard }) => {
+  const lines = getMedicalIdLines(medicalId);
+  const front = lines.filter(line => ['Date of birth', ...CRITICAL_LABELS].includes(line.label));
+  const back = lines.filter(line => !front.includes(line));
+
+  return (
+    <div className="wallet-card-print hidden print:flex flex-wrap gap-4 p-4 text-black">
+      <div className="w-[85.6mm] h-[54mm] border border-dashed border-gray-500 rounded-lg overflow-hidden text-[7pt] leading-tight">
+        <div className="bg-red-600 text-white font-bold px-2 py-1 text-[9pt]">✱ MEDICAL ID – STROKE SURVIVOR</div>
+        <div className="px-2 py-1 space-y-0.5">
+          <div className="text-[10pt] font-bold">{medicalId.name}</div>
+          {front.map(line => (
+            <div key={line.label}><span className="font-bold">{line.label}:</span> {line.value}</div>
+          ))}
+          {hasAphasia(medicalId) && (
+            <div className="font-bold">I have aphasia: I may not be able to speak or understand you. Please be patient.</div>
+          )}
+        </div>
+      </div>
+      <div className="w-[85.6mm] h-[54mm] border border-dashed border-gray-500 rounded-lg overflow-hidden text-[6.5pt] leading-tight flex">
+        <div className="flex-1 px-2 py-1 space-y-0.5 overflow-hidden">
+          {back.map(line => (
+            <div key={line.label} className="whitespace-pre-line"><span className="font-bold">{line.label}:</span> {line.value}</div>
+          ))}
+        </div>
+        {fitsInQrCode(vCard) && (
+          <QrCode value={vCard} level={VCARD_QR_LEVEL} className="w-[26mm] h-[26mm] self-end m-1" title="Medical ID as a contact card" />
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Full-screen medical ID, like a phone's lock-screen emergency card: big
+// enough for paramedics to read, and open to everyone. Caregivers edit it
+// from here (see medicalId.js).
+export default function MedicalIdCard({ onClose }) {
+  const { medicalId, loading } = useMedicalId();
+  const caregiverMode = useCaregiverMode();
+  const can = usePermissions();
+  const [editing, setEditing] = useState(false);
+  const [showQr, setShowQr] = useState(false);
+  const [printing, setPrinting] = useState(false);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape' && !editing) {
+        onClose();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose, editing]);
+
+  // Print once the wallet card is on the page
+  useEffect(() => {
+    if (!printing) return;
+    window.print();
+    setPrinting(false);
+  }, [printing]);
+
+  const vCard = medicalId ? medicalIdToVCard(medicalId) : '';
+  const lines = medicalId ? getMedicalIdLines(medicalId) : [];
+  const critical = lines.filter(line => CRITICAL_LABELS.includes(line.label));
+  const other = lines.filter(line => !CRITICAL_LABELS.includes(line.label));
+  const age = medicalId ? getAge(medicalId.dateOfBirth) : null;
+
+  const handleDownloadVCard = () => {
+    downloadFile(vCard, `medical-id-${medicalId.name.replace(/\s+/g, '-').toLowerCase()}.vcf`, 'text/vcard');
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-white flex flex-col overflow-y-auto print:hidden" role="dialog" aria-modal="true" aria-label="Medical ID">
+      <div className="bg-red-600 text-white flex items-center justify-between px-4 py-3">
+        <h2 className="text-2xl sm:text-3xl font-extrabold">
+          <span aria-hidden="true">✱ </span>Medical ID
+        </h2>
+        <button
+          onClick={onClose}
+          className="p-3 text-white border-2 border-white rounded-full hover:bg-white hover:text-red-600 transition-colors"
+          aria-label="Close"
+        >
+          <X className="w-7 h-7" />
+        </button>
+      </div>
+
+      <div className="flex-1 max-w-3xl w-full mx-auto p-6 space-y-6">
+        {loading ? (
+          <p className="text-xl text-gray-500">Loading...</p>
+        ) : !medicalId ? (
+          <p className="text-xl text-gray-600">
+            No medical ID has been filled in yet.{caregiverMode ? '' : ' Please ask your caregiver to add one.'}
+          </p>
+        ) : (
+          <>
+            <div>
+              <p className="text-4xl sm:text-5xl font-extrabold text-gray-900">{medicalId.name}</p>
+              {age !== null && <p className="text-2xl text-gray-600">{age} years old</p>}
+            </div>
+
+            {hasAphasia(medicalId) && (
+              <div className="flex items-start space-x-3 p-4 bg-yellow-100 border-2 border-yellow-400 rounded-lg text-xl sm:text-2xl font-bold text-gray-900">
+                <MessageCircleOff className="w-8 h-8 flex-shrink-0 mt-1" aria-hidden="true" />
+                <span>I have aphasia: I may not be able to speak or understand you. Please be patient.</span>
+              </div>
+            )}
+
+            {critical.length > 0 && (
+              <dl className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                {critical.map(line => (
+                  <div key={line.label} className="p-4 bg-red-50 border-2 border-red-300 rounded-lg">
+                    <dt className="text-sm font-bold uppercase text-red-700">{line.label}</dt>
+                    <dd className={`font-extrabold text-gray-900 whitespace-pre-line ${line.label === 'Blood type' ? 'text-4xl' : 'text-xl'}`}>{line.value}</dd>
+                  </div>
+                ))}
+              </dl>
+            )}
+            {!getAnticoagulantText(medicalId) && (
+              <p className="text-lg text-red-700 font-medium">Blood thinners: not known</p>
+            )}
+
+            <dl className="divide-y divide-gray-200">
+              {other.map(line => (
+                <div key={line.label} className="py-3 sm:grid sm:grid-cols-3 sm:gap-4">
+                  <dt className="text-sm font-bold uppercase text-gray-500">{line.label}</dt>
+                  <dd className="sm:col-span-2 text-xl text-gray-900 whitespace-pre-line">{line.value}</dd>
+                </div>
+              ))}
+            </dl>
+
+            {showQr && (
+              <div className="flex flex-col items-center space-y-2">
+                {fitsInQrCode(vCard) ? (
+                  <QrCode value={vCard} level={VCARD_QR_LEVEL} className="w-72 h-72 max-w-full border border-gray-200 rounded-lg" title="Medical ID as a contact card" />
+                ) : (
+                  <p className="text-gray-600">The medical ID is too long for a QR code. Download the contact card instead.</p>
+                )}
+                <p className="text-sm text-gray-600">Scan to save the medical ID as a contact.</p>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      <div className="p-4 border-t border-gray-200 flex flex-wrap justify-center gap-3">
+        {medicalId && (
+          <>
+            <button
+              onClick={() => setShowQr(!showQr)}
+              aria-pressed={showQr}
+              className="flex items-center space-x-2 px-4 py-3 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors"
+            >
+              <QrCodeIcon className="w-5 h-5" />
+              <span>QR code</span>
+            </button>
+            <button
+              onClick={handleDownloadVCard}
+              className="flex items-center space-x-2 px-4 py-3 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors"
+            >
+              <Download className="w-5 h-5" />
+              <span>Contact card (vCard)</span>
+            </button>
+            <button
+              onClick={() => setPrinting(true)}
+              className="flex items-center space-x-2 px-4 py-3 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors"
+              title="Print the wallet card or save it as a PDF"
+            >
+              <Printer className="w-5 h-5" />
+              <span>Print wallet card</span>
+            </button>
+          </>
+        )}
+        {caregiverMode && (
+          <button
+            onClick={() => setEditing(true)}
+            disabled={!can('updateMedicalId')}
+            className="flex items-center space-x-2 px-4 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            <Edit className="w-5 h-5" />
+            <span>{medicalId ? 'Edit' : 'Fill in'}</span>
+          </button>
+        )}
+      </div>
+
+      {editing && <MedicalIdEditor medicalId={medicalId} onClose={() => setEditing(false)} />}
+      {printing && createPortal(<WalletCard medicalId={medicalId} vCard={vCard} />, document.body)}
+    </div>
+  );
+}
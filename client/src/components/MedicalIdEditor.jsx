@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import { HeartPulse, AlertTriangle } from 'lucide-react';
+import { usePermissions } from '../hooks/useCaregiverMode';
+import {
+  BLOOD_TYPES,
+  AFFECTED_SIDES,
+  APHASIA_TYPES,
+  ANTICOAGULANT_STATUSES,
+  createMedicalId,
+  saveMedicalId
+} from '../utils/medicalId';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+const Field = ({ label, children, className = '' }) => (
+  <label className={`block text-sm text-gray-700 ${className}`}>
+    <span className="block font-medium mb-1">{label}</span>
+    {children}
+  </label>
+);
+
+// Picks from `options` ({ value: label }); the empty option means not known
+const OptionSelect = ({ value, onChange, options }) => (
+  <select value={value} onChange={(e) => onChange(e.target.value)} className={inputClass}>
+    <option value="">Not known</option>
+    {Object.entries(options).map(([option, label]) => (
+      <option key={option} value={option}>{label}</option>
+    ))}
+  </select>
+);
+
+// Caregiver form for the medical ID (see medicalId.js)
+export default function MedicalIdEditor({ medicalId, onClose }) {
+  const [formData, setFormData] = useState(() => ({ ...createMedicalId(), ...medicalId }));
+  const [error, setError] = useState(null);
+  const can = usePermissions();
+  const today = new Date().toISOString().slice(0, 10);
+
+  const field = (name) => ({
+    value: formData[name],
+    onChange: (e) => setFormData({ ...formData, [name]: e.target.value })
+  });
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setError(null);
+      await saveMedicalId(formData);
+      onClose();
+    } catch (error) {
+      setError(error.message || 'Failed to save the medical ID. Please try again.');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[60]">
+      <form onSubmit={handleSave} className="bg-white rounded-lg p-6 max-w-2xl w-full mx-4 max-h-[90vh] overflow-y-auto space-y-5">
+        <div className="flex items-center space-x-2">
+          <HeartPulse className="w-5 h-5 text-red-600" />
+          <h3 className="text-lg font-medium text-gray-900">Medical ID</h3>
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <Field label="Name">
+            <input type="text" required {...field('name')} className={inputClass} />
+          </Field>
+          <Field label="Date of birth">
+            <input type="date" max={today} {...field('dateOfBirth')} className={inputClass} />
+          </Field>
+          <Field label="Blood type">
+            <select {...field('bloodType')} className={inputClass}>
+              <option value="">Not known</option>
+              {BLOOD_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+            </select>
+          </Field>
+          <Field label="Blood thinners">
+            <OptionSelect
+              value={formData.anticoagulantStatus}
+              onChange={(value) => setFormData({ ...formData, anticoagulantStatus: value })}
+              options={ANTICOAGULANT_STATUSES}
+            />
+          </Field>
+          {['anticoagulant', 'antiplatelet'].includes(formData.anticoagulantStatus) && (
+            <Field label="Which one and dose" className="sm:col-span-2">
+              <input type="text" {...field('anticoagulantName')} placeholder="e.g. Apixaban 5 mg twice a day" className={inputClass} />
+            </Field>
+          )}
+        </div>
+
+        <fieldset className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <legend className="text-sm font-medium text-gray-900 mb-2">Stroke</legend>
+          <Field label="Stroke history" className="sm:col-span-2">
+            <input type="text" {...field('strokeHistory')} placeholder="e.g. Ischaemic stroke, left MCA, thrombectomy" className={inputClass} />
+          </Field>
+          <Field label="Date of the stroke">
+            <input type="date" max={today} {...field('strokeDate')} className={inputClass} />
+          </Field>
+          <Field label="Affected side">
+            <OptionSelect
+              value={formData.affectedSide}
+              onChange={(value) => setFormData({ ...formData, affectedSide: value })}
+              options={AFFECTED_SIDES}
+            />
+          </Field>
+          <Field label="Aphasia" className="sm:col-span-2">
+            <OptionSelect
+              value={formData.aphasiaType}
+              onChange={(value) => setFormData({ ...formData, aphasiaType: value })}
+              options={APHASIA_TYPES}
+            />
+          </Field>
+        </fieldset>
+
+        <div className="grid grid-cols-1 gap-4">
+          <Field label="Allergies">
+            <textarea rows={2} {...field('allergies')} placeholder="e.g. Penicillin (rash), latex" className={inputClass} />
+          </Field>
+          <Field label="Current medications">
+            <textarea rows={3} {...field('medications')} placeholder="One per line, with the dose" className={inputClass} />
+          </Field>
+        </div>
+
+        <fieldset className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <legend className="text-sm font-medium text-gray-900 mb-2">People to call</legend>
+          <Field label="Physician">
+            <input type="text" {...field('physicianName')} className={inputClass} />
+          </Field>
+          <Field label="Physician's phone">
+            <input type="tel" {...field('physicianPhone')} className={inputClass} />
+          </Field>
+          <Field label="Next of kin">
+            <input type="text" {...field('nextOfKinName')} className={inputClass} />
+          </Field>
+          <Field label="Relationship">
+            <input type="text" {...field('nextOfKinRelationship')} placeholder="e.g. Daughter" className={inputClass} />
+          </Field>
+          <Field label="Next of kin's phone">
+            <input type="tel" {...field('nextOfKinPhone')} className={inputClass} />
+          </Field>
+        </fieldset>
+
+        {error && (
+          <div className="flex items-center space-x-2 text-red-700 text-sm">
+            <AlertTriangle className="w-4 h-4" />
+            <span>{error}</span>
+          </div>
+        )}
+
+        <div className="flex justify-end space-x-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={!can('updateMedicalId')}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            Save
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
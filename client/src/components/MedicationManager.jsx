@@ -0,0 +1,491 @@
+import React, { useState, useMemo } from 'react';
+import { Pill, Plus, Edit, Trash2, Pause, Play, X, Download, Printer, AlertTriangle } from 'lucide-react';
+import FileSystemImageUpload from './FileSystemImageUpload';
+import { MedicationImage } from './ImageDisplay';
+import DraftBanner from './DraftBanner';
+import { useDatabase } from '../hooks/useDatabase';
+import { useMedications } from '../hooks/useMedications';
+import { useCaregiverMode, usePermissions } from '../hooks/useCaregiverMode';
+import { useFormDraft } from '../hooks/useFormDraft';
+import { reportStorageError } from '../utils/storageErrors';
+import { downloadFile, getFileDateStamp } from '../utils/fileDownload';
+import { getActivePatient } from '../utils/patientProfiles';
+import {
+  DOSE_STATUS_LABELS,
+  DOSE_STATUS_ICONS,
+  getDoseSchedule,
+  getAdherenceReport,
+  adherenceToCsv,
+  recordDoseResponse
+} from '../utils/medications';
+import { toDateString } from '../utils/recurrence';
+
+const ADHERENCE_PERIODS = { 7: 'Last 7 days', 30: 'Last 30 days', 90: 'Last 90 days' };
+
+const MAX_TIMES_OF_DAY = 8;
+
+const createFormData = () => ({
+  name: '',
+  dose: '',
+  timesOfDay: ['08:00'],
+  startDate: toDateString(new Date()),
+  endDate: '',
+  instructions: '',
+  pillImage: ''
+});
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const formatDate = (date) => date ? new Date(`${date}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' }) : '';
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// Medicines: today's doses for the patient, the medication list for
+// caregivers and an adherence report for the clinician (see medications.js)
+export default function MedicationManager() {
+  const {
+    addMedication,
+    updateMedication,
+    toggleMedicationActive,
+    deleteMedication
+  } = useDatabase();
+  const [periodDays, setPeriodDays] = useState(30);
+  const since = useMemo(() => {
+    const today = startOfDay(new Date());
+    return new Date(today.getFullYear(), today.getMonth(), today.getDate() - periodDays + 1);
+  }, [periodDays]);
+  const { medications, logs, loading, now, reload } = useMedications(since);
+  const caregiverMode = useCaregiverMode();
+  const can = usePermissions();
+  const [showForm, setShowForm] = useState(false);
+  const [editingMedication, setEditingMedication] = useState(null);
+  const [formData, setFormData] = useState(createFormData);
+  const [formError, setFormError] = useState(null);
+  const { pendingDraft, discardDraft } = useFormDraft('medication', {
+    formData,
+    editingId: editingMedication ? editingMedication.id : null,
+    active: showForm
+  });
+
+  const today = startOfDay(now);
+  const todaysDoses = getDoseSchedule(medications, logs, today, new Date(today.getTime() + 24 * 60 * 60 * 1000 - 1), now);
+  const report = getAdherenceReport(medications, logs, since, now, now);
+
+  const closeForm = () => {
+    discardDraft();
+    setShowForm(false);
+    setEditingMedication(null);
+    setFormData(createFormData());
+    setFormError(null);
+  };
+
+  const saveMedication = async () => {
+    try {
+      setFormError(null);
+      const data = { ...formData, timesOfDay: [...new Set(formData.timesOfDay)].sort() };
+      if (editingMedication) {
+        await updateMedication(editingMedication.id, data);
+      } else {
+        await addMedication(data);
+      }
+      closeForm();
+      await reload();
+    } catch (error) {
+      console.error('Error saving medication:', error);
+      if (!reportStorageError(error, { description: 'medication', retry: saveMedication })) {
+        setFormError(error.message || 'Failed to save the medication. Please try again.');
+      }
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    await saveMedication();
+  };
+
+  const handleEdit = (medication) => {
+    setEditingMedication(medication);
+    setFormData({
+      name: medication.name,
+      dose: medication.dose,
+      timesOfDay: medication.timesOfDay,
+      startDate: medication.startDate,
+      endDate: medication.endDate || '',
+      instructions: medication.instructions || '',
+      pillImage: medication.pillImage || ''
+    });
+    setShowForm(true);
+  };
+
+  const restoreDraft = () => {
+    setEditingMedication(medications.find(m => m.id === pendingDraft.editingId) || null);
+    setFormData({ ...createFormData(), ...pendingDraft.formData });
+    setShowForm(true);
+  };
+
+  const handleToggle = async (medication) => {
+    try {
+      await toggleMedicationActive(medication.id);
+      await reload();
+    } catch (error) {
+      console.error('Error pausing medication:', error);
+      alert('Failed to change the medication. Please try again.');
+    }
+  };
+
+  const handleDelete = async (medication) => {
+    if (!window.confirm(`Move ${medication.name} to the trash? Its doses leave the adherence report; pause it instead to keep them.`)) return;
+    try {
+      await deleteMedication(medication.id);
+      await reload();
+    } catch (error) {
+      console.error('Error deleting medication:', error);
+      alert('Failed to delete the medication. Please try again.');
+    }
+  };
+
+  const handleAnswer = async (dose, status) => {
+    try {
+      await recordDoseResponse(dose.medication, dose.scheduledAt, status);
+    } catch {
+      alert('Failed to save the answer. Please try again.');
+    }
+  };
+
+  const updateTime = (index, value) => {
+    setFormData({ ...formData, timesOfDay: formData.timesOfDay.map((time, i) => i === index ? value : time) });
+  };
+
+  const handleExport = () => {
+    downloadFile(
+      adherenceToCsv(report.doses),
+      `stroke-app-medication-adherence-${getFileDateStamp(since)}-${periodDays}d.csv`,
+      'text/csv'
+    );
+  };
+
+  return (
+    <div className="max-w-6xl mx-auto p-6 space-y-6 print:p-0">
+      <div className="flex flex-wrap justify-between items-center gap-3">
+        <div className="flex items-center space-x-3">
+          <Pill className="w-8 h-8 text-blue-600 print:hidden" />
+          <h1 className="text-3xl font-bold text-gray-800">
+            Medicines
+            <span className="hidden print:inline"> – {getActivePatient().name}</span>
+          </h1>
+        </div>
+        {caregiverMode && !showForm && (
+          <button
+            onClick={() => setShowForm(true)}
+            disabled={!can('addMedication')}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 flex items-center space-x-2 disabled:opacity-50 print:hidden"
+          >
+            <Plus className="w-4 h-4" />
+            <span>Add medication</span>
+          </button>
+        )}
+      </div>
+
+      {caregiverMode && (
+        <DraftBanner draft={pendingDraft} label="medication" onRestore={restoreDraft} onDiscard={discardDraft} />
+      )}
+
+      {/* Add/Edit form */}
+      {caregiverMode && showForm && (
+        <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-sm border-t-4 border-blue-500 p-6 space-y-4 print:hidden">
+          <div className="flex justify-between items-center">
+            <h2 className="text-xl font-semibold text-gray-900">{editingMedication ? 'Edit medication' : 'New medication'}</h2>
+            <button type="button" onClick={closeForm} className="p-2 text-gray-500 hover:bg-gray-100 rounded-lg" aria-label="Cancel">
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <label className="block text-sm font-medium text-gray-700">
+              Drug
+              <input
+                type="text"
+                required
+                value={formData.name}
+                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                placeholder="e.g. Clopidogrel"
+                className="mt-1 w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </label>
+            <label className="block text-sm font-medium text-gray-700">
+              Dose
+              <input
+                type="text"
+                required
+                value={formData.dose}
+                onChange={(e) => setFormData({ ...formData, dose: e.target.value })}
+                placeholder="e.g. 1 tablet (75 mg)"
+                className="mt-1 w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </label>
+            <label className="block text-sm font-medium text-gray-700">
+              Start date
+              <input
+                type="date"
+                required
+                value={formData.startDate}
+                onChange={(e) => setFormData({ ...formData, startDate: e.target.value })}
+                className="mt-1 w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </label>
+            <label className="block text-sm font-medium text-gray-700">
+              End date <span className="font-normal text-gray-500">(empty if ongoing)</span>
+              <input
+                type="date"
+                min={formData.startDate}
+                value={formData.endDate}
+                onChange={(e) => setFormData({ ...formData, endDate: e.target.value })}
+                className="mt-1 w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </label>
+          </div>
+
+          <fieldset>
+            <legend className="text-sm font-medium text-gray-700 mb-1">Times of day</legend>
+            <div className="flex flex-wrap items-center gap-2">
+              {formData.timesOfDay.map((time, index) => (
+                <div key={index} className="flex items-center border border-gray-300 rounded-lg">
+                  <input
+                    type="time"
+                    required
+                    value={time}
+                    onChange={(e) => updateTime(index, e.target.value)}
+                    className="px-3 py-2 rounded-lg"
+                    aria-label={`Time ${index + 1}`}
+                  />
+                  {formData.timesOfDay.length > 1 && (
+                    <button
+                      type="button"
+                      onClick={() => setFormData({ ...formData, timesOfDay: formData.timesOfDay.filter((_, i) => i !== index) })}
+                      className="p-2 text-gray-500 hover:text-red-600"
+                      aria-label={`Remove ${time}`}
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={() => setFormData({ ...formData, timesOfDay: [...formData.timesOfDay, '20:00'] })}
+                disabled={formData.timesOfDay.length >= MAX_TIMES_OF_DAY}
+                className="flex items-center space-x-1 px-3 py-2 text-sm bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 disabled:opacity-50"
+              >
+                <Plus className="w-4 h-4" />
+                <span>Add time</span>
+              </button>
+            </div>
+          </fieldset>
+
+          <label className="block text-sm font-medium text-gray-700">
+            Instructions <span className="font-normal text-gray-500">(shown and spoken with the reminder)</span>
+            <input
+              type="text"
+              value={formData.instructions}
+              onChange={(e) => setFormData({ ...formData, instructions: e.target.value })}
+              placeholder="e.g. With food"
+              className="mt-1 w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </label>
+
+          <FileSystemImageUpload
+            value={formData.pillImage}
+            onChange={(value) => setFormData({ ...formData, pillImage: value })}
+            placeholder="Drag and drop a photo of the pill or the box here"
+            imageType="medication"
+            identifier={editingMedication ? editingMedication.id : Date.now().toString()}
+          />
+
+          {formError && (
+            <div className="flex items-center space-x-2 text-red-700 text-sm">
+              <AlertTriangle className="w-4 h-4" />
+              <span>{formError}</span>
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={!can(editingMedication ? 'updateMedication' : 'addMedication')}
+            className="w-full px-4 py-3 bg-blue-600 text-white font-bold rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            {editingMedication ? 'Update medication' : 'Add medication'}
+          </button>
+        </form>
+      )}
+
+      {/* Today */}
+      <section className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 print:hidden">
+        <h2 className="text-xl font-semibold text-gray-900 mb-4">Today</h2>
+        {todaysDoses.length === 0 ? (
+          <p className="text-gray-500">{loading ? 'Loading...' : 'No medicines today.'}</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {todaysDoses.map(dose => (
+              <li key={`${dose.medication.id}-${dose.scheduledAt}`} className="flex items-center gap-4 py-3">
+                <span className="w-16 text-lg font-medium text-gray-700 tabular-nums">{formatTime(dose.scheduledAt)}</span>
+                <MedicationImage imagePath={dose.medication.pillImage} className="w-14 h-14 rounded-lg object-cover" icon={<span className="text-4xl">💊</span>} />
+                <div className="flex-1 min-w-0">
+                  <div className="text-lg font-semibold text-gray-900 truncate">{dose.medication.name}</div>
+                  <div className="text-gray-600 truncate">{dose.medication.dose}</div>
+                </div>
+                <span className="text-lg whitespace-nowrap">
+                  <span aria-hidden="true">{DOSE_STATUS_ICONS[dose.status]}</span> {DOSE_STATUS_LABELS[dose.status]}
+                </span>
+                {!['taken', 'skipped'].includes(dose.status) && (
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => handleAnswer(dose, 'taken')}
+                      className="px-3 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+                      aria-label={`${dose.medication.name} at ${formatTime(dose.scheduledAt)} taken`}
+                    >
+                      ✅
+                    </button>
+                    <button
+                      onClick={() => handleAnswer(dose, 'skipped')}
+                      className="px-3 py-2 bg-gray-200 rounded-lg hover:bg-gray-300"
+                      aria-label={`${dose.medication.name} at ${formatTime(dose.scheduledAt)} skipped`}
+                    >
+                      ❌
+                    </button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      {/* Medication list */}
+      {caregiverMode && (
+        <section className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 print:hidden">
+          {medications.map(medication => (
+            <div key={medication.id} className={`bg-white rounded-lg shadow-sm border border-gray-200 p-4 ${medication.isActive === false ? 'opacity-60' : ''}`}>
+              <div className="flex items-start gap-3">
+                <MedicationImage imagePath={medication.pillImage} className="w-16 h-16 rounded-lg object-cover" icon={<span className="text-4xl">💊</span>} />
+                <div className="flex-1 min-w-0">
+                  <h3 className="text-lg font-semibold text-gray-900">{medication.name}</h3>
+                  <p className="text-gray-700">{medication.dose}</p>
+                  <p className="text-sm text-gray-500">{medication.timesOfDay.join(', ')}</p>
+                  <p className="text-xs text-gray-500">
+                    From {formatDate(medication.startDate)}{medication.endDate && ` to ${formatDate(medication.endDate)}`}
+                    {medication.isActive === false && ' · Paused'}
+                  </p>
+                </div>
+              </div>
+              <div className="flex justify-end space-x-2 mt-3">
+                <button
+                  onClick={() => handleToggle(medication)}
+                  disabled={!can('toggleMedicationActive')}
+                  className="p-2 text-gray-500 hover:text-blue-600 disabled:opacity-50"
+                  title={medication.isActive === false ? 'Resume' : 'Pause'}
+                >
+                  {medication.isActive === false ? <Play className="w-5 h-5" /> : <Pause className="w-5 h-5" />}
+                </button>
+                <button
+                  onClick={() => handleEdit(medication)}
+                  disabled={!can('updateMedication')}
+                  className="p-2 text-gray-500 hover:text-blue-600 disabled:opacity-50"
+                  title="Edit"
+                >
+                  <Edit className="w-5 h-5" />
+                </button>
+                <button
+                  onClick={() => handleDelete(medication)}
+                  disabled={!can('deleteMedication')}
+                  className="p-2 text-gray-500 hover:text-red-600 disabled:opacity-50"
+                  title="Move to the trash"
+                >
+                  <Trash2 className="w-5 h-5" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </section>
+      )}
+
+      {/* Adherence */}
+      <section className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-4 break-inside-avoid">
+        <div className="flex flex-wrap justify-between items-center gap-3">
+          <h2 className="text-xl font-semibold text-gray-900">
+            Adherence <span className="text-base font-normal text-gray-600">· {ADHERENCE_PERIODS[periodDays]}</span>
+          </h2>
+          <div className="flex flex-wrap gap-2 print:hidden">
+            <select
+              value={periodDays}
+              onChange={(e) => setPeriodDays(Number(e.target.value))}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              aria-label="Period"
+            >
+              {Object.entries(ADHERENCE_PERIODS).map(([days, label]) => (
+                <option key={days} value={days}>{label}</option>
+              ))}
+            </select>
+            <button
+              onClick={handleExport}
+              disabled={report.doses.length === 0}
+              className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 flex items-center space-x-2 disabled:opacity-50"
+            >
+              <Download className="w-4 h-4" />
+              <span>Export CSV</span>
+            </button>
+            <button
+              onClick={() => window.print()}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 flex items-center space-x-2"
+              title="Print the report or save it as a PDF"
+            >
+              <Printer className="w-4 h-4" />
+              <span>Print</span>
+            </button>
+          </div>
+        </div>
+        {report.summary.length === 0 ? (
+          <p className="text-sm text-gray-500">No doses were due in this period.</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="text-left text-gray-500">
+              <tr>
+                <th className="py-1 pr-3 font-normal">Medication</th>
+                <th className="py-1 pr-3 font-normal text-right">Due</th>
+                <th className="py-1 pr-3 font-normal text-right">Taken</th>
+                <th className="py-1 pr-3 font-normal text-right">Skipped</th>
+                <th className="py-1 pr-3 font-normal text-right">Missed</th>
+                <th className="py-1 pr-3 font-normal w-1/3">Adherence</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {report.summary.map(row => (
+                <tr key={row.medication.id}>
+                  <td className="py-2 pr-3">
+                    <span className="font-medium text-gray-900">{row.medication.name}</span>
+                    <span className="text-gray-500"> · {row.medication.dose}</span>
+                  </td>
+                  <td className="py-2 pr-3 text-right tabular-nums">{row.scheduled}</td>
+                  <td className="py-2 pr-3 text-right tabular-nums">{row.taken}</td>
+                  <td className="py-2 pr-3 text-right tabular-nums">{row.skipped}</td>
+                  <td className="py-2 pr-3 text-right tabular-nums">{row.missed}</td>
+                  <td className="py-2 pr-3">
+                    {row.adherence === null ? '—' : (
+                      <div className="flex items-center gap-2">
+                        <div className="flex-1 bg-gray-100 rounded h-4">
+                          <div
+                            className={`h-4 rounded ${row.adherence >= 80 ? 'bg-green-500' : row.adherence >= 50 ? 'bg-yellow-400' : 'bg-red-500'}`}
+                            style={{ width: `${row.adherence}%` }}
+                          />
+                        </div>
+                        <span className="w-10 text-right tabular-nums">{row.adherence}%</span>
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,99 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Volume2 } from 'lucide-react';
+import { MedicationImage } from './ImageDisplay';
+import { useMedications } from '../hooks/useMedications';
+import { speakText } from '../utils/speech';
+import {
+  getDueDoses,
+  getDoseKey,
+  getReminderSentence,
+  recordDoseResponse,
+  MEDICATION_SNOOZE_MINUTES
+} from '../utils/medications';
+
+const ANSWERS = [
+  { status: 'taken', icon: '✅', label: 'Taken', className: 'bg-green-600 hover:bg-green-700 text-white' },
+  { status: 'skipped', icon: '❌', label: 'Skipped', className: 'bg-gray-200 hover:bg-gray-300 text-gray-900' },
+  { status: 'later', icon: '⏰', label: `Later (${MEDICATION_SNOOZE_MINUTES} min)`, className: 'bg-yellow-300 hover:bg-yellow-200 text-black' }
+];
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Full-screen prompt for the oldest dose that is due, on every tab, with the
+// pill photo and three big answers. Each dose is spoken once when it becomes
+// due and again after each snooze (see medications.js).
+export default function MedicationPrompt() {
+  const { medications, logs, now } = useMedications();
+  const [error, setError] = useState(null);
+  const spoken = useRef(new Set());
+  const dueDoses = getDueDoses(medications, logs, now);
+  const dose = dueDoses[0] || null;
+  const reminderKey = dose ? `${getDoseKey(dose.medication.syncId, dose.scheduledAt)}|${dose.log?.snoozeCount || 0}` : null;
+
+  useEffect(() => {
+    if (!reminderKey || spoken.current.has(reminderKey)) return;
+    spoken.current.add(reminderKey);
+    speakText(getReminderSentence(dose.medication));
+  }, [reminderKey, dose]);
+
+  if (!dose) {
+    return null;
+  }
+
+  const handleAnswer = async (status) => {
+    try {
+      setError(null);
+      await recordDoseResponse(dose.medication, dose.scheduledAt, status);
+    } catch {
+      setError('Failed to save the answer. Please try again.');
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 bg-white flex flex-col overflow-y-auto print:hidden"
+      role="alertdialog"
+      aria-modal="true"
+      aria-label={getReminderSentence(dose.medication)}
+    >
+      <div className="flex-1 flex flex-col items-center justify-center p-6 text-center space-y-5">
+        <p className="text-2xl text-gray-600">
+          Medicine time · {formatTime(dose.scheduledAt)}
+          {dueDoses.length > 1 && <span> · 1 of {dueDoses.length}</span>}
+        </p>
+        <MedicationImage
+          imagePath={dose.medication.pillImage}
+          variant="full"
+          className="w-48 h-48 sm:w-64 sm:h-64 object-contain rounded-2xl"
+          icon={<span className="text-9xl">💊</span>}
+        />
+        <p className="text-5xl sm:text-6xl font-extrabold text-gray-900">{dose.medication.name}</p>
+        <p className="text-3xl sm:text-4xl font-bold text-blue-700">{dose.medication.dose}</p>
+        {dose.medication.instructions && (
+          <p className="text-2xl text-gray-700 max-w-2xl">{dose.medication.instructions}</p>
+        )}
+        <button
+          onClick={() => speakText(getReminderSentence(dose.medication))}
+          className="flex items-center space-x-2 px-5 py-3 text-lg text-blue-700 border-2 border-blue-600 rounded-lg hover:bg-blue-50"
+        >
+          <Volume2 className="w-6 h-6" />
+          <span>Say it again</span>
+        </button>
+      </div>
+
+      <div className="p-4 sm:p-6 grid grid-cols-3 gap-3 sm:gap-6 max-w-4xl w-full mx-auto">
+        {ANSWERS.map(answer => (
+          <button
+            key={answer.status}
+            onClick={() => handleAnswer(answer.status)}
+            className={`flex flex-col items-center justify-center py-6 rounded-2xl font-bold transition-colors ${answer.className}`}
+          >
+            <span className="text-6xl sm:text-7xl" aria-hidden="true">{answer.icon}</span>
+            <span className="mt-2 text-xl sm:text-2xl">{answer.label}</span>
+          </button>
+        ))}
+      </div>
+      {error && <p className="pb-4 text-center text-red-600 text-lg">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import {
+  MessageSquare,
+  Utensils,
+  User,
+  AlertTriangle,
+  ChevronLeft,
+  ChevronRight,
+  X,
+  Volume2,
+  BookmarkPlus,
+  Trash2
+} from 'lucide-react';
+import { useMessageTiles } from '../hooks/useMessageBuilder';
+import { useCaregiverMode, usePermissions } from '../hooks/useCaregiverMode';
+import { requestCaregiverUnlock } from '../utils/caregiverLock';
+import { reportStorageError } from '../utils/storageErrors';
+import { speakText } from '../utils/speech';
+import {
+  removeMessageTile,
+  moveMessageTile,
+  clearMessage,
+  getMessageText,
+  saveMessageAsPhrase
+} from '../utils/messageBuilder';
+
+const TILE_ICONS = {
+  phrase: MessageSquare,
+  food: Utensils,
+  contact: User,
+  symptom: AlertTriangle
+};
+
+// The message being composed from tiles, shown on every tab: chips can be
+// moved and removed one by one, and the whole message is spoken at once or
+// saved as a new phrase (see messageBuilder.js)
+export default function MessageStrip() {
+  const tiles = useMessageTiles();
+  const caregiverMode = useCaregiverMode();
+  const can = usePermissions();
+  const [saving, setSaving] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  const handleSave = async () => {
+    // The patient can compose, but saving is a caregiver change
+    if (!caregiverMode) {
+      requestCaregiverUnlock();
+      return;
+    }
+    try {
+      setSaving(true);
+      setStatus(null);
+      await saveMessageAsPhrase();
+      setStatus('Saved as a phrase');
+    } catch (error) {
+      console.error('Error saving message as phrase:', error);
+      if (!reportStorageError(error, { description: 'phrase', retry: handleSave })) {
+        setStatus(error.message);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleClear = () => {
+    setStatus(null);
+    clearMessage();
+  };
+
+  if (tiles.length === 0) {
+    return (
+      <div className="bg-white border-b border-gray-200 px-4 py-2 text-sm text-gray-500 text-center print:hidden">
+        Tap phrases, foods, contacts and symptoms to build a message
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className="bg-white border-b border-gray-200 shadow-sm sticky top-16 z-30 print:hidden"
+      role="region"
+      aria-label="Message"
+    >
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-3 flex flex-wrap items-center gap-3">
+        <ol className="flex flex-1 flex-wrap items-center gap-2 min-w-0">
+          {tiles.map((tile, index) => {
+            const Icon = TILE_ICONS[tile.kind];
+            return (
+              <li
+                key={tile.id}
+                className="flex items-center bg-blue-50 border border-blue-200 rounded-full pl-1 pr-1 py-1"
+              >
+                <button
+                  onClick={() => moveMessageTile(tile.id, -1)}
+                  disabled={index === 0}
+                  className="p-1 text-blue-700 hover:bg-blue-100 rounded-full disabled:opacity-30"
+                  aria-label={`Move "${tile.label}" left`}
+                >
+                  <ChevronLeft className="w-4 h-4" />
+                </button>
+                <Icon className="w-4 h-4 text-blue-600 mx-1" aria-hidden="true" />
+                <span className="text-base font-medium text-gray-900 max-w-[12rem] truncate">{tile.label}</span>
+                <button
+                  onClick={() => moveMessageTile(tile.id, 1)}
+                  disabled={index === tiles.length - 1}
+                  className="p-1 text-blue-700 hover:bg-blue-100 rounded-full disabled:opacity-30"
+                  aria-label={`Move "${tile.label}" right`}
+                >
+                  <ChevronRight className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => removeMessageTile(tile.id)}
+                  className="p-1 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-full"
+                  aria-label={`Remove "${tile.label}"`}
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </li>
+            );
+          })}
+        </ol>
+
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => speakText(getMessageText())}
+            className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white font-bold rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            <Volume2 className="w-5 h-5" />
+            <span>Speak</span>
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving || (caregiverMode && !can('addPhrase'))}
+            className="flex items-center space-x-1 px-3 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors disabled:opacity-50"
+            title="Save the message as a new phrase"
+          >
+            <BookmarkPlus className="w-5 h-5" />
+            <span className="hidden sm:inline">Save as phrase</span>
+          </button>
+          <button
+            onClick={handleClear}
+            className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+            aria-label="Clear the message"
+          >
+            <Trash2 className="w-5 h-5" />
+          </button>
+        </div>
+
+        {status && <p className="w-full text-sm text-gray-600">{status}</p>}
+      </div>
+    </div>
+  );
+}
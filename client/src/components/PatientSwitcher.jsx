@@ -0,0 +1,224 @@
+import React, { useState } from 'react';
+import { User, UserPlus, Pencil, Trash2, RotateCcw, AlertTriangle } from 'lucide-react';
+import { useCaregiverMode, usePermissions } from '../hooks/useCaregiverMode';
+import {
+  getPatientProfiles,
+  getActivePatient,
+  addPatientProfile,
+  renamePatientProfile,
+  deletePatientProfile,
+  switchPatientProfile
+} from '../utils/patientProfiles';
+import { resetPatientToTemplate } from '../utils/initialDataLoader';
+
+// Open a patient's profile, add, rename or delete profiles and reset the
+// open one to the template data
+const PatientProfilesDialog = ({ onClose }) => {
+  const [profiles, setProfiles] = useState(getPatientProfiles);
+  const [newName, setNewName] = useState('');
+  const [renaming, setRenaming] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const can = usePermissions();
+  const activePatient = getActivePatient();
+
+  const run = async (action) => {
+    try {
+      setWorking(true);
+      setError(null);
+      await action();
+      setProfiles(getPatientProfiles());
+    } catch (error) {
+      console.error('Error updating patient profiles:', error);
+      setError(error.message || 'Failed to update the patient profiles');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    run(() => {
+      addPatientProfile(newName);
+      setNewName('');
+    });
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    run(() => {
+      renamePatientProfile(renaming.id, renaming.name);
+      setRenaming(null);
+    });
+  };
+
+  const handleDelete = (profile) => {
+    if (window.confirm(`Delete ${profile.name} with all their contacts, phrases, foods, emergency data and photos? This cannot be undone.`)) {
+      run(() => deletePatientProfile(profile.id));
+    }
+  };
+
+  const handleReset = () => {
+    if (window.confirm(`Reset ${activePatient.name} to the template? Their contacts, phrases, foods, activities, photos and settings are deleted and the default emergency data is loaded again.`)) {
+      run(async () => {
+        await resetPatientToTemplate();
+        // Reload so every screen picks up the template data
+        window.location.reload();
+      });
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center space-x-3 mb-4">
+          <User className="w-6 h-6 text-blue-600" />
+          <h3 className="text-lg font-medium text-gray-900">Patients</h3>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">
+          Each patient has their own contacts, phrases, foods, activities, emergency data and photos.
+          Opening another patient restarts the app and locks caregiver mode.
+        </p>
+
+        <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg mb-4">
+          {profiles.map(profile => (
+            <div key={profile.id} className="p-3 flex items-center justify-between">
+              {renaming?.id === profile.id ? (
+                <form onSubmit={handleRename} className="flex-1 flex space-x-2">
+                  <input
+                    type="text"
+                    autoFocus
+                    value={renaming.name}
+                    onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                    className="flex-1 px-2 py-1 border border-gray-300 rounded-lg"
+                    aria-label="Patient name"
+                  />
+                  <button
+                    type="submit"
+                    disabled={working}
+                    className="px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    Save
+                  </button>
+                </form>
+              ) : (
+                <>
+                  <span className="font-medium text-gray-900">
+                    {profile.name}
+                    {profile.id === activePatient.id && <span className="ml-1 text-xs text-gray-500">(open)</span>}
+                  </span>
+                  <div className="flex items-center space-x-2">
+                    {profile.id !== activePatient.id && (
+                      <button
+                        onClick={() => run(() => switchPatientProfile(profile.id))}
+                        disabled={working || !can('switchPatient')}
+                        className="px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                      >
+                        Open
+                      </button>
+                    )}
+                    <button
+                      onClick={() => setRenaming({ id: profile.id, name: profile.name })}
+                      disabled={working || !can('managePatients')}
+                      className="p-1 text-gray-500 hover:text-blue-600 disabled:opacity-50"
+                      title="Rename"
+                    >
+                      <Pencil className="w-4 h-4" />
+                    </button>
+                    {profile.id !== activePatient.id && (
+                      <button
+                        onClick={() => handleDelete(profile)}
+                        disabled={working || !can('managePatients')}
+                        className="p-1 text-gray-500 hover:text-red-600 disabled:opacity-50"
+                        title="Delete patient"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                </>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {can('managePatients') && (
+          <>
+            <form onSubmit={handleAdd} className="flex space-x-2 mb-4">
+              <input
+                type="text"
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                placeholder="New patient's name"
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                aria-label="New patient's name"
+              />
+              <button
+                type="submit"
+                disabled={working || !newName.trim()}
+                className="flex items-center space-x-1 px-3 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+              >
+                <UserPlus className="w-4 h-4" />
+                <span>Add</span>
+              </button>
+            </form>
+            <button
+              onClick={handleReset}
+              disabled={working}
+              className="w-full flex items-center justify-center space-x-2 px-4 py-2 bg-red-50 text-red-700 rounded-lg hover:bg-red-100 transition-colors disabled:opacity-50"
+            >
+              <RotateCcw className="w-4 h-4" />
+              <span>Reset {activePatient.name} to the template</span>
+            </button>
+          </>
+        )}
+
+        {error && (
+          <div className="mt-4 flex items-center space-x-2 text-red-700 text-sm">
+            <AlertTriangle className="w-4 h-4" />
+            <span>{error}</span>
+          </div>
+        )}
+
+        <button
+          onClick={onClose}
+          disabled={working}
+          className="mt-6 w-full px-4 py-2 bg-gray-300 text-gray-700 rounded-lg hover:bg-gray-400 transition-colors"
+        >
+          Close
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// The open patient's name in the navigation bar. Caregivers can switch and
+// manage patients from here while caregiver mode is unlocked.
+export default function PatientSwitcher() {
+  const caregiverMode = useCaregiverMode();
+  const [showDialog, setShowDialog] = useState(false);
+  const patient = getActivePatient();
+
+  if (!caregiverMode) {
+    return getPatientProfiles().length > 1 ? (
+      <span className="flex items-center space-x-1 text-sm text-gray-600">
+        <User className="w-4 h-4" />
+        <span>{patient.name}</span>
+      </span>
+    ) : null;
+  }
+
+  return (
+    <>
+      <button
+        onClick={() => setShowDialog(true)}
+        className="flex items-center space-x-1 px-3 py-2 text-sm text-gray-700 rounded-full hover:bg-gray-100 transition-colors"
+        title="Switch patient"
+      >
+        <User className="w-4 h-4" />
+        <span>{patient.name}</span>
+      </button>
+      {showDialog && <PatientProfilesDialog onClose={() => setShowDialog(false)} />}
+    </>
+  );
+}
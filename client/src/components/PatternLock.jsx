@@ -0,0 +1,68 @@
+import React, { useState, useRef } from 'react';
+
+const DOTS = [0, 1, 2, 3, 4, 5, 6, 7, 8];
+
+// 3x3 pattern pad: press a dot and drag through the others, the pattern is
+// reported when the finger lifts
+export default function PatternLock({ onComplete, disabled = false }) {
+  const [sequence, setSequence] = useState([]);
+  const drawing = useRef(false);
+
+  const addDot = (dot) => {
+    setSequence(current => current.includes(dot) ? current : [...current, dot]);
+  };
+
+  const dotAtPoint = (e) => {
+    const dot = document.elementFromPoint(e.clientX, e.clientY)?.closest('[data-dot]');
+    return dot ? Number(dot.dataset.dot) : null;
+  };
+
+  const handlePointerDown = (e) => {
+    if (disabled) return;
+    const dot = dotAtPoint(e);
+    if (dot === null) return;
+    drawing.current = true;
+    setSequence([dot]);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!drawing.current) return;
+    const dot = dotAtPoint(e);
+    if (dot !== null) addDot(dot);
+  };
+
+  const handlePointerUp = () => {
+    if (!drawing.current) return;
+    drawing.current = false;
+    onComplete(sequence);
+    setSequence([]);
+  };
+
+  return (
+    <div
+      className="grid grid-cols-3 gap-6 p-6 mx-auto w-64 bg-gray-100 rounded-xl select-none"
+      style={{ touchAction: 'none' }}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerLeave={handlePointerUp}
+      role="group"
+      aria-label="Pattern lock"
+    >
+      {DOTS.map(dot => {
+        const position = sequence.indexOf(dot);
+        return (
+          <div
+            key={dot}
+            data-dot={dot}
+            className={`w-12 h-12 rounded-full flex items-center justify-center text-sm font-bold transition-colors ${
+              position >= 0 ? 'bg-blue-600 text-white' : 'bg-white border-2 border-gray-300'
+            }`}
+          >
+            {position >= 0 ? position + 1 : ''}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
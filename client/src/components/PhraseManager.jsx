@@ -1,105 +1,113 @@
 import React, { useState, useEffect } from 'react';
-import { Plus, Edit, Trash2, MessageSquare, ChevronDown, Volume2 } from 'lucide-react';
+import { Plus, Edit, Trash2, MessageSquare, ChevronDown, Volume2, Send, Inbox } from 'lucide-react';
 import FileSystemImageUpload from './FileSystemImageUpload';
 import { PhraseImage } from './ImageDisplay';
-import { deleteUserImage } from '../utils/indexedDB';
-
-// Local storage utilities for phrases
-const PHRASES_STORAGE_KEY = 'phrases';
-
-const getPhrases = () => {
-  try {
-    const stored = localStorage.getItem(PHRASES_STORAGE_KEY);
-    return stored ? JSON.parse(stored) : [];
-  } catch (error) {
-    console.error('Error reading phrases from localStorage:', error);
-    return [];
-  }
-};
-
-const savePhrases = (phrases) => {
-  try {
-    localStorage.setItem(PHRASES_STORAGE_KEY, JSON.stringify(phrases));
-  } catch (error) {
-    console.error('Error saving phrases to localStorage:', error);
-    throw error;
-  }
-};
+import { useDatabase } from '../hooks/useDatabase';
+import { useUndoRefresh } from '../hooks/useUndoHistory';
+import { useCaregiverMode, usePermissions } from '../hooks/useCaregiverMode';
+import { useFormDraft } from '../hooks/useFormDraft';
+import { reportStorageError } from '../utils/storageErrors';
+import { speakText } from '../utils/speech';
+import { addMessageTile } from '../utils/messageBuilder';
+import DraftBanner from './DraftBanner';
+import ShareCodeDialog from './ShareCodeDialog';
+import ReceiveShareDialog from './ReceiveShareDialog';
 
 export default function PhraseManager() {
+  const {
+    isInitialized,
+    error: databaseError,
+    getAllPhrases,
+    addPhrase,
+    updatePhrase,
+    deletePhrase,
+    updatePhraseUsageCount
+  } = useDatabase();
   const [phrases, setPhrases] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [isAdminView, setIsAdminView] = useState(false);
+  const isAdminView = useCaregiverMode();
+  const can = usePermissions();
   const [showAddForm, setShowAddForm] = useState(false);
   const [editingPhrase, setEditingPhrase] = useState(null);
+  // The category sent to a paired device as a phrase pack
+  const [packCategory, setPackCategory] = useState('common');
+  const [sharing, setSharing] = useState(null);
+  const [receiving, setReceiving] = useState(false);
   const [formData, setFormData] = useState({
     text: '',
     phraseImage: '',
     category: 'common',
     usageCount: 0
   });
+  const { pendingDraft, discardDraft } = useFormDraft('phrase', {
+    formData,
+    editingId: editingPhrase ? editingPhrase.id : null,
+    active: showAddForm
+  });
 
   useEffect(() => {
-    loadPhrases();
-  }, []);
+    if (isInitialized) {
+      loadPhrases();
+    }
+  }, [isInitialized]);
+
+  useEffect(() => {
+    if (databaseError && !isInitialized) {
+      setError(databaseError);
+      setLoading(false);
+    }
+  }, [databaseError, isInitialized]);
 
   const loadPhrases = async () => {
     try {
       setLoading(true);
       setError(null);
-      const phrasesData = getPhrases();
+      const phrasesData = await getAllPhrases();
       setPhrases(phrasesData);
     } catch (error) {
       console.error('Error loading phrases:', error);
-      setError('Failed to load phrases from local storage.');
+      setError('Failed to load phrases from the database.');
       setPhrases([]);
     } finally {
       setLoading(false);
     }
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    
-    try {
-      const newPhrase = {
-        id: editingPhrase ? editingPhrase.id : Date.now().toString(),
-        ...formData,
-        createdAt: editingPhrase ? editingPhrase.createdAt : new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      };
+  useUndoRefresh(['phrases'], loadPhrases);
 
-      let updatedPhrases;
+  const savePhrase = async () => {
+    try {
       if (editingPhrase) {
-        updatedPhrases = phrases.map(p => p.id === editingPhrase.id ? newPhrase : p);
+        await updatePhrase(editingPhrase.id, formData);
       } else {
-        updatedPhrases = [...phrases, newPhrase];
+        await addPhrase(formData);
       }
 
-      savePhrases(updatedPhrases);
-      setPhrases(updatedPhrases);
+      discardDraft();
+      await loadPhrases();
       setShowAddForm(false);
       setEditingPhrase(null);
       resetForm();
     } catch (error) {
       console.error('Error saving phrase:', error);
-      alert('Failed to save phrase. Please try again.');
+      if (!reportStorageError(error, { description: 'phrase', retry: savePhrase })) {
+        alert('Failed to save phrase. Please try again.');
+      }
     }
   };
 
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    await savePhrase();
+  };
+
   const handleDelete = async (phraseId) => {
-    if (window.confirm('Are you sure you want to delete this phrase?')) {
+    if (window.confirm('Move this phrase to the trash?')) {
       try {
-        // Delete associated user-uploaded image if it exists
-        const phrase = phrases.find(p => p.id === phraseId);
-        if (phrase && phrase.phraseImage && phrase.phraseImage.startsWith('user_upload_')) {
-          await deleteUserImage(phrase.phraseImage);
-        }
-
-        const updatedPhrases = phrases.filter(p => p.id !== phraseId);
-        savePhrases(updatedPhrases);
-        setPhrases(updatedPhrases);
+        // The photo stays stored so the phrase can be restored from the trash
+        await deletePhrase(phraseId);
+        setPhrases(phrases.filter(p => p.id !== phraseId));
       } catch (error) {
         console.error('Error deleting phrase:', error);
         alert('Failed to delete phrase. Please try again.');
@@ -129,82 +137,28 @@ export default function PhraseManager() {
 
   const handlePhraseClick = async (phrase) => {
     try {
-      // Update usage count
-      const updatedPhrase = {
-        ...phrase,
-        usageCount: (phrase.usageCount || 0) + 1,
-        updatedAt: new Date().toISOString()
-      };
-      
-      const updatedPhrases = phrases.map(p => p.id === phrase.id ? updatedPhrase : p);
-      savePhrases(updatedPhrases);
-      setPhrases(updatedPhrases);
-      
-      // Use ElevenLabs API for high-quality text-to-speech
-      const speakWithElevenLabs = async () => {
-        try {
-          const ELEVENLABS_API_KEY = import.meta.env.VITEELEVENLABS_API_KEY;
-          
-          if (!ELEVENLABS_API_KEY) {
-            throw new Error('ElevenLabs API key not configured');
-          }
-          
-          const response = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/21m00Tcm4TlvDq8ikWAM`, {
-            method: 'POST',
-            headers: {
-              'Accept': 'audio/mpeg',
-              'Content-Type': 'application/json',
-              'xi-api-key': ELEVENLABS_API_KEY,
-            },
-            body: JSON.stringify({
-              text: phrase.text,
-              model_id: 'eleven_multilingual_v2',
-              voice_settings: {
-                stability: 0.5,
-                similarity_boost: 0.5
-              }
-            })
-          });
+      addMessageTile({ kind: 'phrase', label: phrase.text });
 
-          if (!response.ok) {
-            throw new Error('Failed to generate speech');
-          }
-
-          const audioBlob = await response.blob();
-          const audioUrl = URL.createObjectURL(audioBlob);
-          const audio = new Audio(audioUrl);
-          audio.play();
+      // Update usage count
+      const updatedPhrase = await updatePhraseUsageCount(phrase.id);
+      setPhrases(phrases.map(p => p.id === phrase.id ? updatedPhrase : p));
 
-          // Clean up the URL after playing
-          audio.onended = () => {
-            URL.revokeObjectURL(audioUrl);
-          };
-        } catch (error) {
-          console.error('ElevenLabs API error:', error);
-          // Fallback to browser speech synthesis
-          if ('speechSynthesis' in window) {
-            const utterance = new SpeechSynthesisUtterance(phrase.text);
-            utterance.rate = 0.8;
-            utterance.pitch = 1;
-            utterance.volume = 1;
-            utterance.lang = 'ar-SA'; // Set to Arabic
-            speechSynthesis.speak(utterance);
-          } else {
-            alert(`Selected: ${phrase.text}`);
-          }
-        }
-      };
-      
-      speakWithElevenLabs();
+      speakText(phrase.text);
     } catch (error) {
       console.error('Error handling phrase click:', error);
     }
   };
 
-  const toggleAdminView = () => setIsAdminView(!isAdminView);
+  const restoreDraft = () => {
+    setEditingPhrase(phrases.find(item => item.id === pendingDraft.editingId) || null);
+    setFormData(pendingDraft.formData);
+    setShowAddForm(true);
+  };
+
   const toggleAddForm = () => {
     setShowAddForm(!showAddForm);
     if (showAddForm) {
+      discardDraft();
       resetForm();
     }
   };
@@ -220,6 +174,19 @@ export default function PhraseManager() {
     { value: 'other', label: 'Other' }
   ];
 
+  const packPhrases = phrases.filter(phrase => (phrase.category || 'common') === packCategory);
+
+  const handleSendPack = () => {
+    const category = categories.find(cat => cat.value === packCategory);
+    setSharing({ records: packPhrases, label: category ? category.label : packCategory });
+  };
+
+  const handleImported = async (result) => {
+    setReceiving(false);
+    await loadPhrases();
+    alert(`Phrase pack received! ${result.added} added, ${result.updated} updated.`);
+  };
+
   if (loading) {
     return (
       <div className="flex flex-col items-center justify-center min-h-screen bg-gray-50 text-center p-6">
@@ -254,7 +221,7 @@ export default function PhraseManager() {
 
   return (
     <div className="min-h-screen bg-gray-50 font-sans">
-      {/* Header with View Toggle */}
+      {/* Header */}
       <header className="flex items-center justify-between p-4 md:p-6 bg-white shadow-md sticky top-0 z-10">
         <div className="flex items-center space-x-3">
           <MessageSquare className="w-8 h-8 text-purple-600" />
@@ -262,15 +229,23 @@ export default function PhraseManager() {
             {isAdminView ? 'Admin Panel' : 'Communication Board'}
           </h1>
         </div>
-        <button
-          onClick={toggleAdminView}
-          className="px-4 py-2 text-sm font-semibold rounded-full transition-colors bg-gray-200 text-gray-700 hover:bg-gray-300"
-        >
-          {isAdminView ? 'Exit Admin' : 'Admin'}
-        </button>
+        {isAdminView && (
+          <button
+            onClick={() => setReceiving(true)}
+            disabled={!can('addPhrase')}
+            className="flex items-center space-x-2 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors disabled:opacity-50"
+          >
+            <Inbox className="w-5 h-5" />
+            <span>Receive</span>
+          </button>
+        )}
       </header>
 
       <main className="container mx-auto p-4 md:p-6">
+        {isAdminView && (
+          <DraftBanner draft={pendingDraft} label="phrase" onRestore={restoreDraft} onDiscard={discardDraft} />
+        )}
+
         {/* --- User View (Communication Board) --- */}
         {!isAdminView ? (
           phrases.length === 0 ? (
@@ -371,7 +346,8 @@ export default function PhraseManager() {
                   <div className="flex space-x-3">
                     <button
                       type="submit"
-                      className="flex-1 px-4 py-3 bg-purple-600 text-white font-bold rounded-lg hover:bg-purple-700 transition-colors"
+                      disabled={!can(editingPhrase ? 'updatePhrase' : 'addPhrase')}
+                      className="flex-1 px-4 py-3 bg-purple-600 text-white font-bold rounded-lg hover:bg-purple-700 transition-colors disabled:opacity-50"
                     >
                       {editingPhrase ? 'Update Phrase' : 'Add Phrase'}
                     </button>
@@ -387,6 +363,31 @@ export default function PhraseManager() {
               )}
             </div>
 
+            {/* Phrase Pack Section */}
+            <div className="bg-white rounded-xl shadow-lg p-6 flex flex-wrap items-center gap-3">
+              <h3 className="text-lg font-semibold text-gray-900">Send a phrase pack</h3>
+              <select
+                value={packCategory}
+                onChange={(e) => setPackCategory(e.target.value)}
+                className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+                aria-label="Category to send"
+              >
+                {categories.map((cat) => (
+                  <option key={cat.value} value={cat.value}>
+                    {cat.label}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={handleSendPack}
+                disabled={packPhrases.length === 0}
+                className="flex items-center space-x-2 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors disabled:opacity-50"
+              >
+                <Send className="w-4 h-4" />
+                <span>Send {packPhrases.length} phrases</span>
+              </button>
+            </div>
+
             {/* Phrase List Section */}
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
               {phrases.length === 0 ? (
@@ -406,13 +407,15 @@ export default function PhraseManager() {
                       <div className="flex space-x-2">
                         <button
                           onClick={() => handleEdit(phrase)}
-                          className="p-2 text-gray-500 hover:text-purple-600 transition-colors"
+                          disabled={!can('updatePhrase')}
+                          className="p-2 text-gray-500 hover:text-purple-600 transition-colors disabled:opacity-50"
                         >
                           <Edit className="w-5 h-5" />
                         </button>
                         <button
                           onClick={() => handleDelete(phrase.id)}
-                          className="p-2 text-gray-500 hover:text-red-600 transition-colors"
+                          disabled={!can('deletePhrase')}
+                          className="p-2 text-gray-500 hover:text-red-600 transition-colors disabled:opacity-50"
                         >
                           <Trash2 className="w-5 h-5" />
                         </button>
@@ -423,6 +426,7 @@ export default function PhraseManager() {
                         <PhraseImage
                           imagePath={phrase.phraseImage}
                           className="w-full h-32 object-cover rounded-lg border border-gray-200"
+                          variant="full"
                         />
                       </div>
                     )}
@@ -439,6 +443,13 @@ export default function PhraseManager() {
           </div>
         )}
       </main>
+
+      {sharing && (
+        <ShareCodeDialog kind="phrases" records={sharing.records} label={sharing.label} onClose={() => setSharing(null)} />
+      )}
+      {receiving && (
+        <ReceiveShareDialog kind="phrases" onClose={() => setReceiving(false)} onImported={handleImported} />
+      )}
     </div>
   );
-} 
\ No newline at end of file
+}
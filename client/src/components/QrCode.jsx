@@ -0,0 +1,75 @@
+import React, { useMemo, useState } from 'react';
+import { Copy } from 'lucide-react';
+import { createQrMatrix } from '../utils/qrCode';
+
+// Scanners need a light margin of four modules around the code
+const QUIET_ZONE = 4;
+
+// A QR code of `value` drawn as one SVG path, so it stays sharp at any size
+export default function QrCode({ value, level = 'M', className = 'w-64 h-64', title = 'QR code' }) {
+  const { path, size } = useMemo(() => {
+    const modules = createQrMatrix(value, { level });
+    const commands = [];
+    modules.forEach((row, y) => {
+      row.forEach((dark, x) => {
+        if (dark) {
+          commands.push(`M${x + QUIET_ZONE} ${y + QUIET_ZONE}h1v1h-1z`);
+        }
+      });
+    });
+    return { path: commands.join(''), size: modules.length + QUIET_ZONE * 2 };
+  }, [value, level]);
+
+  return (
+    <svg
+      viewBox={`0 0 ${size} ${size}`}
+      className={className}
+      role="img"
+      aria-label={title}
+      shapeRendering="crispEdges"
+    >
+      <rect width={size} height={size} fill="#ffffff" />
+      <path d={path} fill="#000000" />
+    </svg>
+  );
+}
+
+// A code shown both ways: as a QR code to scan and as text to copy, e.g. into
+// a message when the other device has no camera
+export function CodeCard({ code, level = 'M', caption }) {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopied(true);
+    } catch (error) {
+      console.error('Error copying code:', error);
+    }
+  };
+
+  return (
+    <div className="flex flex-col items-center space-y-3">
+      <QrCode value={code} level={level} className="w-64 h-64 max-w-full border border-gray-200 rounded-lg" />
+      {caption && <p className="text-sm text-gray-600 text-center">{caption}</p>}
+      <div className="flex w-full gap-2">
+        <input
+          type="text"
+          value={code}
+          readOnly
+          onFocus={(e) => e.target.select()}
+          className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg font-mono text-xs text-gray-600"
+          aria-label="Code as text"
+        />
+        <button
+          type="button"
+          onClick={handleCopy}
+          className="flex items-center space-x-1 px-3 py-2 text-sm bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors"
+        >
+          <Copy className="w-4 h-4" />
+          <span>{copied ? 'Copied' : 'Copy'}</span>
+        </button>
+      </div>
+    </div>
+  );
+}
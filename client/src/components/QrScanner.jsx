@@ -0,0 +1,134 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Camera, ClipboardPaste } from 'lucide-react';
+
+const SCAN_INTERVAL_MS = 300;
+
+const canScanWithCamera = () => typeof window !== 'undefined' &&
+  'BarcodeDetector' in window &&
+  Boolean(navigator.mediaDevices?.getUserMedia);
+
+// Read a code from another device: with the camera where the browser can
+// detect QR codes, otherwise (or when the camera is refused) by pasting the
+// text shown under the other device's code
+export default function QrScanner({ onScan, disabled = false, placeholder = 'Paste the code shown on the other device' }) {
+  const [scanning, setScanning] = useState(false);
+  const [cameraError, setCameraError] = useState(null);
+  const [pasted, setPasted] = useState('');
+  const videoRef = useRef(null);
+  const onScanRef = useRef(onScan);
+
+  useEffect(() => {
+    onScanRef.current = onScan;
+  }, [onScan]);
+
+  useEffect(() => {
+    if (!scanning) {
+      return undefined;
+    }
+
+    let stream = null;
+    let timer = null;
+    let stopped = false;
+
+    const start = async () => {
+      try {
+        const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        if (stopped) {
+          stream.getTracks().forEach(track => track.stop());
+          return;
+        }
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+
+        const scan = async () => {
+          try {
+            const [code] = await detector.detect(videoRef.current);
+            if (code?.rawValue && !stopped) {
+              setScanning(false);
+              onScanRef.current(code.rawValue);
+              return;
+            }
+          } catch (error) {
+            console.error('Error detecting QR code:', error);
+          }
+          if (!stopped) {
+            timer = setTimeout(scan, SCAN_INTERVAL_MS);
+          }
+        };
+        scan();
+      } catch (error) {
+        console.error('Error starting the camera:', error);
+        setCameraError('The camera could not be started. Paste the code instead.');
+        setScanning(false);
+      }
+    };
+    start();
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      stream?.getTracks().forEach(track => track.stop());
+    };
+  }, [scanning]);
+
+  const handlePaste = (e) => {
+    e.preventDefault();
+    if (pasted.trim()) {
+      onScan(pasted.trim());
+      setPasted('');
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      {canScanWithCamera() && (
+        scanning ? (
+          <div className="space-y-2">
+            <video ref={videoRef} className="w-full max-w-sm rounded-lg bg-black" muted playsInline />
+            <button
+              type="button"
+              onClick={() => setScanning(false)}
+              className="px-3 py-2 text-sm bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors"
+            >
+              Stop camera
+            </button>
+          </div>
+        ) : (
+          <button
+            type="button"
+            onClick={() => {
+              setCameraError(null);
+              setScanning(true);
+            }}
+            disabled={disabled}
+            className="flex items-center space-x-1 px-3 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            <Camera className="w-4 h-4" />
+            <span>Scan with camera</span>
+          </button>
+        )
+      )}
+      {cameraError && <p className="text-sm text-red-700">{cameraError}</p>}
+
+      <form onSubmit={handlePaste} className="space-y-2">
+        <textarea
+          value={pasted}
+          onChange={(e) => setPasted(e.target.value)}
+          rows={3}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-xs focus:ring-2 focus:ring-blue-500"
+          aria-label="Code"
+          placeholder={placeholder}
+        />
+        <button
+          type="submit"
+          disabled={disabled || !pasted.trim()}
+          className="flex items-center space-x-1 px-3 py-2 text-sm bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors disabled:opacity-50"
+        >
+          <ClipboardPaste className="w-4 h-4" />
+          <span>Use pasted code</span>
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import { Inbox, AlertTriangle } from 'lucide-react';
+import QrScanner from './QrScanner';
+import ImportReviewDialog from './ImportReviewDialog';
+import { readShareCode, previewSharedItems, importSharedItems, SHARE_KINDS } from '../utils/devicePairing';
+
+// Receive records a paired device sent as a QR code: the code is checked,
+// then reviewed and merged like any import (see devicePairing.js)
+export default function ReceiveShareDialog({ kind, onClose, onImported }) {
+  const [pending, setPending] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleScan = async (code) => {
+    try {
+      setWorking(true);
+      setError(null);
+      const share = await readShareCode(code, kind);
+      setPending({ share, diff: await previewSharedItems(share) });
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleConfirm = async (options) => {
+    try {
+      setWorking(true);
+      const result = await importSharedItems(pending.share, options);
+      onImported(result);
+    } catch (error) {
+      setPending(null);
+      setError(error.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  if (pending) {
+    return (
+      <ImportReviewDialog
+        diff={pending.diff}
+        title={`Import "${pending.share.label}" from ${pending.share.sender.name}`}
+        onConfirm={handleConfirm}
+        onCancel={() => setPending(null)}
+        working={working}
+      />
+    );
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center space-x-2 mb-4">
+          <Inbox className="w-5 h-5 text-blue-600" />
+          <h3 className="text-lg font-medium text-gray-900">Receive a {SHARE_KINDS[kind].label}</h3>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">
+          Choose Send on a paired device and scan the code it shows, or paste it.
+        </p>
+
+        <QrScanner onScan={handleScan} disabled={working} />
+
+        {error && (
+          <div className="flex items-center space-x-2 text-red-700 text-sm mt-4">
+            <AlertTriangle className="w-4 h-4" />
+            <span>{error}</span>
+          </div>
+        )}
+
+        <div className="flex justify-end mt-6">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
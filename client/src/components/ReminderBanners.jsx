@@ -0,0 +1,69 @@
+import React, { useEffect, useRef } from 'react';
+import { Bell } from 'lucide-react';
+import { useReminderEngine, useReminderBanners, useReminderSettings } from '../hooks/useReminders';
+import { handleReminderAction } from '../utils/reminders';
+import { speakText } from '../utils/speech';
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Runs the reminder engine and shows the reminders that could not be sent
+// as notifications as banners over every tab, each spoken once.
+export default function ReminderBanners() {
+  useReminderEngine();
+  const banners = useReminderBanners();
+  const { settings } = useReminderSettings();
+  const spoken = useRef(new Set());
+
+  useEffect(() => {
+    banners.filter(banner => !spoken.current.has(banner.key)).forEach(banner => {
+      spoken.current.add(banner.key);
+      speakText(banner.title);
+    });
+  }, [banners]);
+
+  if (banners.length === 0) {
+    return null;
+  }
+
+  const answer = (key, action) => {
+    handleReminderAction(key, action).catch(error => {
+      console.error('Error answering reminder:', error);
+    });
+  };
+
+  return (
+    <div className="fixed top-0 inset-x-0 z-40 p-3 space-y-2 print:hidden" role="region" aria-label="Reminders">
+      {banners.map(banner => (
+        <div
+          key={banner.key}
+          role="alert"
+          className="max-w-3xl mx-auto flex items-center gap-4 p-4 bg-yellow-100 border-2 border-yellow-400 rounded-xl shadow-lg"
+        >
+          {banner.image ? (
+            <img src={banner.image} alt="" className="w-16 h-16 rounded-lg object-cover flex-shrink-0" />
+          ) : (
+            <Bell className="w-10 h-10 text-yellow-700 flex-shrink-0" aria-hidden="true" />
+          )}
+          <div className="flex-1 min-w-0">
+            <p className="text-xl font-bold text-gray-900">{banner.title}</p>
+            <p className="text-gray-700">{formatTime(banner.scheduledAt)} · {banner.body}</p>
+          </div>
+          <div className="flex flex-col sm:flex-row gap-2">
+            <button
+              onClick={() => answer(banner.key, 'done')}
+              className="px-4 py-3 bg-green-600 text-white text-lg font-bold rounded-lg hover:bg-green-700"
+            >
+              <span aria-hidden="true">✅ </span>Done
+            </button>
+            <button
+              onClick={() => answer(banner.key, 'snooze')}
+              className="px-4 py-3 bg-white text-gray-900 text-lg font-bold border-2 border-yellow-400 rounded-lg hover:bg-yellow-50"
+            >
+              <span aria-hidden="true">⏰ </span>{settings.snoozeMinutes} min
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,183 @@
+import React, { useState } from 'react';
+import { Bell, BellOff, Settings, AlertTriangle } from 'lucide-react';
+import { useReminderSettings } from '../hooks/useReminders';
+import { useCaregiverMode, usePermissions } from '../hooks/useCaregiverMode';
+import {
+  SNOOZE_OPTIONS,
+  saveReminderSettings,
+  requestNotificationPermission
+} from '../utils/reminders';
+
+const PERMISSION_TEXT = {
+  granted: 'Reminders show as notifications.',
+  default: 'Turn on notifications so reminders show when the app is in the background. Until then they show in the app.',
+  denied: 'Notifications are blocked in the browser settings, so reminders only show in the app while it is open.',
+  unsupported: 'This browser cannot show notifications, so reminders only show in the app while it is open.'
+};
+
+// With notifications allowed: what happens while the app is closed
+const DELIVERY_TEXT = {
+  triggers: 'They also show when the app is closed.',
+  'periodic-sync': 'When the app is closed the browser checks for them now and then, so they may come late.',
+  none: 'This browser can only show them while the app is open, in front or in the background. Keep it open, e.g. on a tablet that stays on.'
+};
+
+// Overview card: how reminders reach the patient, and the quiet hours and
+// snooze length for caregivers (see reminders.js)
+export default function ReminderSettings() {
+  const { settings, permission, delivery } = useReminderSettings();
+  const caregiverMode = useCaregiverMode();
+  const can = usePermissions();
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleEnable = async () => {
+    try {
+      await requestNotificationPermission();
+    } catch (error) {
+      console.error('Error requesting notification permission:', error);
+    }
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    try {
+      setError(null);
+      saveReminderSettings(editing);
+      setEditing(null);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const setQuietHours = (changes) => {
+    setEditing({ ...editing, quietHours: { ...editing.quietHours, ...changes } });
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900">Reminders</h2>
+        {caregiverMode && !editing && (
+          <button
+            onClick={() => setEditing(settings)}
+            className="flex items-center space-x-1 px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            <Settings className="w-4 h-4" />
+            <span>Edit</span>
+          </button>
+        )}
+      </div>
+
+      <div className="flex items-start space-x-3">
+        {permission === 'granted'
+          ? <Bell className="w-6 h-6 text-green-600 flex-shrink-0" aria-hidden="true" />
+          : <BellOff className="w-6 h-6 text-amber-600 flex-shrink-0" aria-hidden="true" />}
+        <div className="space-y-2">
+          <p className="text-sm text-gray-700">
+            {PERMISSION_TEXT[permission]}
+            {permission === 'granted' && delivery && ` ${DELIVERY_TEXT[delivery]}`}
+          </p>
+          {permission === 'granted' && delivery === 'none' && (
+            <p className="flex items-center space-x-1 text-sm text-amber-700">
+              <AlertTriangle className="w-4 h-4 flex-shrink-0" aria-hidden="true" />
+              <span>Reminders are missed while the app is closed.</span>
+            </p>
+          )}
+          {permission === 'default' && (
+            <button
+              onClick={handleEnable}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+            >
+              Turn on notifications
+            </button>
+          )}
+          {!editing && (
+            <p className="text-sm text-gray-500">
+              {settings.quietHours.enabled
+                ? `Quiet hours ${settings.quietHours.start}–${settings.quietHours.end}: reminders wait until they end.`
+                : 'No quiet hours.'}
+              {` Snooze: ${settings.snoozeMinutes} minutes.`}
+            </p>
+          )}
+        </div>
+      </div>
+
+      {editing && (
+        <form onSubmit={handleSave} className="mt-4 pt-4 border-t border-gray-200 space-y-4">
+          <label className="flex items-center space-x-2 text-sm font-medium text-gray-700">
+            <input
+              type="checkbox"
+              checked={editing.quietHours.enabled}
+              onChange={(e) => setQuietHours({ enabled: e.target.checked })}
+              className="w-4 h-4"
+            />
+            <span>Quiet hours</span>
+          </label>
+          {editing.quietHours.enabled && (
+            <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+              <span>From</span>
+              <input
+                type="time"
+                required
+                value={editing.quietHours.start}
+                onChange={(e) => setQuietHours({ start: e.target.value })}
+                className="px-3 py-2 border border-gray-300 rounded-lg"
+                aria-label="Quiet hours start"
+              />
+              <span>to</span>
+              <input
+                type="time"
+                required
+                value={editing.quietHours.end}
+                onChange={(e) => setQuietHours({ end: e.target.value })}
+                className="px-3 py-2 border border-gray-300 rounded-lg"
+                aria-label="Quiet hours end"
+              />
+            </div>
+          )}
+          <label className="block text-sm font-medium text-gray-700">
+            Snooze activity reminders for
+            <select
+              value={editing.snoozeMinutes}
+              onChange={(e) => setEditing({ ...editing, snoozeMinutes: Number(e.target.value) })}
+              className="ml-2 px-3 py-2 border border-gray-300 rounded-lg"
+            >
+              {SNOOZE_OPTIONS.map(minutes => (
+                <option key={minutes} value={minutes}>{minutes} minutes</option>
+              ))}
+            </select>
+          </label>
+          <p className="text-xs text-gray-500">Medicines asked about later come back after their own snooze.</p>
+
+          {error && (
+            <div className="flex items-center space-x-2 text-red-700 text-sm">
+              <AlertTriangle className="w-4 h-4" />
+              <span>{error}</span>
+            </div>
+          )}
+
+          <div className="flex justify-end space-x-2">
+            <button
+              type="button"
+              onClick={() => {
+                setEditing(null);
+                setError(null);
+              }}
+              className="px-4 py-2 bg-gray-300 text-gray-700 rounded-md hover:bg-gray-400"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={!can('manageReminders')}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              Save
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+import React, { useState, useEffect } from 'react';
+import { History, RotateCcw, AlertTriangle } from 'lucide-react';
+import { db } from '../utils/database';
+import { listSchemaSnapshots, restoreSchemaSnapshot } from '../utils/schemaSnapshots';
+import { assertCanPerform } from '../utils/caregiverLock';
+import { usePermissions } from '../hooks/useCaregiverMode';
+
+// Copies of the database taken before each schema upgrade (see
+// schemaSnapshots.js). A failed upgrade is rolled back automatically; these
+// are for rolling back by hand when an upgrade went through but lost data.
+export default function SchemaSnapshotsPanel() {
+  const [snapshots, setSnapshots] = useState([]);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const can = usePermissions();
+
+  useEffect(() => {
+    listSchemaSnapshots(db.name)
+      .then(setSnapshots)
+      .catch(() => setError('Failed to load upgrade snapshots'));
+  }, []);
+
+  const handleRestore = async (snapshot) => {
+    if (!window.confirm(
+      `Go back to the copy saved on ${new Date(snapshot.createdAt).toLocaleString()}? ` +
+      'Everything changed since then will be lost.'
+    )) {
+      return;
+    }
+
+    try {
+      setWorking(true);
+      setError(null);
+      assertCanPerform('restoreSchemaSnapshot');
+      db.close();
+      await restoreSchemaSnapshot(snapshot.id);
+
+      // Reload so the database is opened (and upgraded) again
+      window.location.reload();
+    } catch (error) {
+      console.error('Error restoring schema snapshot:', error);
+      setError('Failed to restore the snapshot');
+      setWorking(false);
+    }
+  };
+
+  if (snapshots.length === 0 && !error) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <div className="flex items-center space-x-2 mb-4">
+        <History className="w-5 h-5 text-blue-600" />
+        <h3 className="text-lg font-medium text-gray-900">Upgrade Snapshots</h3>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        A copy of your data is saved before each app update changes how it is stored.
+        Going back to one replaces everything stored now.
+      </p>
+
+      {error && (
+        <div className="mb-4 flex items-center space-x-2 text-red-700 text-sm">
+          <AlertTriangle className="w-4 h-4" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      <ul className="divide-y divide-gray-100 text-sm">
+        {snapshots.map((snapshot) => (
+          <li key={snapshot.id} className="py-2 flex items-center justify-between">
+            <span>
+              <span className="font-medium">{new Date(snapshot.createdAt).toLocaleString()}</span>
+              <span className="text-gray-500">
+                {' '}&middot; version {snapshot.version} &middot; {snapshot.rowCount} records
+              </span>
+            </span>
+            <button
+              onClick={() => handleRestore(snapshot)}
+              disabled={working || !can('restoreSchemaSnapshot')}
+              className="flex items-center space-x-1 px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors disabled:opacity-50"
+            >
+              <RotateCcw className="w-4 h-4" />
+              <span>Go back</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+import React, { useState, useEffect } from 'react';
+import { Send, AlertTriangle } from 'lucide-react';
+import { CodeCard } from './QrCode';
+import { createShareCode, getTrustedDevices, SHARE_KINDS } from '../utils/devicePairing';
+
+// Send records to a paired device as a signed QR code (see devicePairing.js)
+export default function ShareCodeDialog({ kind, records, label, onClose }) {
+  const [code, setCode] = useState(null);
+  const [error, setError] = useState(null);
+  const hasPairedDevices = getTrustedDevices().length > 0;
+
+  useEffect(() => {
+    let cancelled = false;
+    createShareCode(kind, records, label)
+      .then(result => !cancelled && setCode(result))
+      .catch(error => !cancelled && setError(error.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [kind, records, label]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center space-x-2 mb-4">
+          <Send className="w-5 h-5 text-blue-600" />
+          <h3 className="text-lg font-medium text-gray-900">Send {SHARE_KINDS[kind].label} "{label}"</h3>
+        </div>
+
+        {!hasPairedDevices && (
+          <p className="text-sm text-amber-700 mb-4">
+            This device isn't paired with any other device yet. Pair it with the patient tablet in Storage first, or the
+            tablet won't accept the code.
+          </p>
+        )}
+
+        {code && (
+          <CodeCard
+            code={code}
+            level="L"
+            caption="On the patient tablet, choose Receive and scan this code. It can be imported once within 24 hours."
+          />
+        )}
+        {!code && !error && <p className="text-sm text-gray-600">Creating code...</p>}
+        {error && (
+          <div className="flex items-center space-x-2 text-red-700 text-sm">
+            <AlertTriangle className="w-4 h-4" />
+            <span>{error}</span>
+          </div>
+        )}
+
+        <div className="flex justify-end mt-6">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,266 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Phone, MessageSquare, MapPin, X, AlertTriangle } from 'lucide-react';
+import { contactOperations } from '../utils/database';
+import { dialNumber } from '../utils/emergencyServices';
+import {
+  SOS_COUNTDOWN_SECONDS,
+  SOS_OUTCOMES,
+  SOS_FOLLOW_UP_OUTCOMES,
+  getSosContacts,
+  getSelectedSymptoms,
+  buildSosMessage,
+  buildSmsLink,
+  getDeviceLocation,
+  getShareLocation,
+  setShareLocation,
+  recordSos,
+  recordCancelledSos,
+  setSosLocation,
+  markSosNotified,
+  setSosOutcome
+} from '../utils/sos';
+
+const loadContacts = () => contactOperations.getAllContacts().catch((error) => {
+  // The ambulance is called instead
+  console.error('Error loading contacts for SOS:', error);
+  return [];
+});
+
+// Full-screen SOS: a countdown the patient can cancel, then the call, the
+// text messages to family and how it ended (see sos.js)
+export default function SosDialog({ onClose }) {
+  const [secondsLeft, setSecondsLeft] = useState(SOS_COUNTDOWN_SECONDS);
+  const [sos, setSos] = useState(null);
+  const [contacts, setContacts] = useState({ call: null, recipients: [] });
+  const [shareLocation, setShareLocationState] = useState(getShareLocation);
+  const [location, setLocation] = useState(null);
+  const [locating, setLocating] = useState(false);
+  const [error, setError] = useState(null);
+  const [contactsRequest] = useState(loadContacts);
+  const [symptoms] = useState(getSelectedSymptoms);
+  const triggered = useRef(false);
+
+  useEffect(() => {
+    contactsRequest.then(all => setContacts(getSosContacts(all)));
+  }, [contactsRequest]);
+
+  // Looked up during the countdown, so it's usually known by the call
+  useEffect(() => {
+    if (!shareLocation || location) return;
+    let cancelled = false;
+    setLocating(true);
+    getDeviceLocation().then((found) => {
+      if (cancelled) return;
+      setLocating(false);
+      setLocation(found);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [shareLocation, location]);
+
+  const trigger = useCallback(async () => {
+    if (triggered.current) return;
+    triggered.current = true;
+    const { call, recipients } = getSosContacts(await contactsRequest);
+    try {
+      setSos(await recordSos({ call, recipients, symptoms, location: shareLocation ? location : null }));
+    } catch {
+      // Logging must never hold up the call
+      setError('This SOS could not be saved to the log.');
+    }
+    if (call) {
+      dialNumber(call.number);
+    }
+  }, [contactsRequest, symptoms, shareLocation, location]);
+
+  useEffect(() => {
+    if (triggered.current) return;
+    if (secondsLeft <= 0) {
+      trigger();
+      return;
+    }
+    const timer = setTimeout(() => setSecondsLeft(secondsLeft - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [secondsLeft, trigger]);
+
+  // Keep the log's location up to date when it arrives after the call
+  useEffect(() => {
+    if (sos && shareLocation && location && !sos.location) {
+      setSosLocation(sos, location).then(setSos).catch(() => {});
+    }
+  }, [sos, shareLocation, location]);
+
+  const handleCancel = async () => {
+    triggered.current = true;
+    try {
+      await recordCancelledSos({ symptoms });
+    } catch {
+      // Nothing to undo; the countdown has stopped either way
+    }
+    onClose();
+  };
+
+  const handleShareLocation = (share) => {
+    setShareLocation(share);
+    setShareLocationState(share);
+  };
+
+  const handleNotified = async () => {
+    if (!sos) return;
+    try {
+      setSos(await markSosNotified(sos));
+    } catch {
+      // The message is still opened
+    }
+  };
+
+  const handleOutcome = async (outcome) => {
+    try {
+      setError(null);
+      setSos(await setSosOutcome(sos.id, outcome));
+    } catch (error) {
+      console.error('Error saving SOS outcome:', error);
+      setError('Failed to save how it ended. Please try again.');
+    }
+  };
+
+  const message = buildSosMessage({ symptoms, location: shareLocation ? location : null });
+
+  const locationToggle = (
+    <label className="flex items-center justify-center space-x-3 text-lg">
+      <input
+        type="checkbox"
+        checked={shareLocation}
+        onChange={(e) => handleShareLocation(e.target.checked)}
+        className="w-6 h-6"
+      />
+      <MapPin className="w-6 h-6" aria-hidden="true" />
+      <span>
+        Send my location
+        {shareLocation && locating && ' (finding it...)'}
+        {shareLocation && !locating && !location && ' (not available)'}
+      </span>
+    </label>
+  );
+
+  if (secondsLeft > 0) {
+    return (
+      <div className="fixed inset-0 z-50 bg-red-700 text-white flex flex-col items-center justify-center p-6 text-center space-y-8" role="alertdialog" aria-modal="true" aria-label="SOS">
+        <p className="text-4xl sm:text-6xl font-extrabold">SOS</p>
+        <p className="text-2xl sm:text-3xl">
+          {contacts.call ? `Calling ${contacts.call.name} in` : 'Calling for help in'}
+        </p>
+        <p className="text-9xl font-extrabold tabular-nums" aria-live="assertive">{secondsLeft}</p>
+        {locationToggle}
+        <div className="flex flex-wrap justify-center gap-4">
+          <button
+            onClick={handleCancel}
+            className="flex items-center space-x-3 px-10 py-5 bg-white text-red-700 text-3xl font-bold rounded-lg hover:bg-gray-100 transition-colors"
+            autoFocus
+          >
+            <X className="w-10 h-10" />
+            <span>Cancel</span>
+          </button>
+          <button
+            onClick={() => setSecondsLeft(0)}
+            className="flex items-center space-x-3 px-10 py-5 border-4 border-white text-white text-3xl font-bold rounded-lg hover:bg-red-800 transition-colors"
+          >
+            <Phone className="w-10 h-10" />
+            <span>Call now</span>
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black text-white flex flex-col overflow-y-auto" role="dialog" aria-modal="true" aria-label="SOS">
+      <div className="flex justify-end p-4">
+        <button
+          onClick={onClose}
+          className="p-3 text-white border-2 border-white rounded-full hover:bg-white hover:text-black transition-colors"
+          aria-label="Close"
+        >
+          <X className="w-8 h-8" />
+        </button>
+      </div>
+
+      <div className="flex-1 max-w-2xl w-full mx-auto px-6 pb-6 space-y-6">
+        <p className="text-4xl font-extrabold text-red-500 text-center">SOS</p>
+
+        {contacts.call ? (
+          <button
+            onClick={() => dialNumber(contacts.call.number)}
+            className="w-full flex items-center justify-center space-x-3 px-6 py-5 bg-red-600 text-white text-2xl font-bold rounded-lg hover:bg-red-700 transition-colors"
+          >
+            <Phone className="w-8 h-8" />
+            <span>Call {contacts.call.name} again ({contacts.call.number})</span>
+          </button>
+        ) : (
+          <div className="flex items-center space-x-2 text-yellow-300 text-lg">
+            <AlertTriangle className="w-6 h-6 flex-shrink-0" />
+            <span>There is no number to call. Add one in Emergency numbers or mark a contact as called first.</span>
+          </div>
+        )}
+
+        <section className="space-y-3">
+          <h2 className="text-xl font-bold">Tell the family</h2>
+          <pre className="whitespace-pre-wrap font-sans text-lg bg-gray-800 rounded-lg p-4">{message}</pre>
+          {locationToggle}
+          {contacts.recipients.length === 0 ? (
+            <p className="text-gray-300">No contacts get the SOS message yet. A caregiver can choose them in Contacts.</p>
+          ) : (
+            <div className="space-y-2">
+              {contacts.recipients.length > 1 && (
+                <a
+                  href={buildSmsLink(contacts.recipients.map(contact => contact.phoneNumber), message)}
+                  onClick={handleNotified}
+                  className="w-full flex items-center justify-center space-x-3 px-6 py-4 bg-yellow-300 text-black text-xl font-bold rounded-lg hover:bg-yellow-200 transition-colors"
+                >
+                  <MessageSquare className="w-7 h-7" />
+                  <span>Message everyone</span>
+                </a>
+              )}
+              {contacts.recipients.map(contact => (
+                <a
+                  key={contact.id}
+                  href={buildSmsLink(contact.phoneNumber, message)}
+                  onClick={handleNotified}
+                  className="w-full flex items-center justify-between px-6 py-3 border-2 border-yellow-300 text-yellow-300 text-lg font-bold rounded-lg hover:bg-yellow-300 hover:text-black transition-colors"
+                >
+                  <span className="flex items-center space-x-3">
+                    <MessageSquare className="w-6 h-6" />
+                    <span>{contact.name}</span>
+                  </span>
+                  <span className="font-normal">{contact.phoneNumber}</span>
+                </a>
+              ))}
+            </div>
+          )}
+        </section>
+
+        {sos && (
+          <fieldset>
+            <legend className="text-xl font-bold mb-3">How did it end?</legend>
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+              {SOS_FOLLOW_UP_OUTCOMES.map(outcome => (
+                <button
+                  key={outcome}
+                  onClick={() => handleOutcome(outcome)}
+                  aria-pressed={sos.outcome === outcome}
+                  className={`px-4 py-3 rounded-lg border-2 text-lg font-medium transition-colors ${
+                    sos.outcome === outcome ? 'bg-white text-black border-white' : 'border-gray-500 hover:border-white'
+                  }`}
+                >
+                  {SOS_OUTCOMES[outcome]}
+                </button>
+              ))}
+            </div>
+          </fieldset>
+        )}
+        {error && <p className="text-red-400 text-lg">{error}</p>}
+      </div>
+    </div>
+  );
+}
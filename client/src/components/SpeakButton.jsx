@@ -9,7 +9,7 @@ export default function SpeakButton({ text }) {
     setIsLoading(true);
     try {
       // You'll need to get a free API key from https://elevenlabs.io/
-      const ELEVENLABS_API_KEY = import.meta.env.VITEELEVENLABS_API_KEY || 'your-api-key-here';
+      const ELEVENLABS_API_KEY = import.meta.env.VITE_ELEVENLABS_API_KEY || 'your-api-key-here';
       
       const response = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/21m00Tcm4TlvDq8ikWAM`, {
         method: 'POST',
@@ -66,7 +66,7 @@ export default function SpeakButton({ text }) {
 
   const handleClick = () => {
     // Use ElevenLabs if API key is available, otherwise fallback to browser
-    if (import.meta.env.VITEELEVENLABS_API_KEY && import.meta.env.VITEELEVENLABS_API_KEY !== 'your-api-key-here') {
+    if (import.meta.env.VITE_ELEVENLABS_API_KEY && import.meta.env.VITE_ELEVENLABS_API_KEY !== 'your-api-key-here') {
       speakWithElevenLabs();
     } else {
       speakWithBrowser();
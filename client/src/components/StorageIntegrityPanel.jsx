@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { ShieldCheck, Search, Wrench, AlertTriangle, CheckCircle, Link2, Trash2 } from 'lucide-react';
+import { scanStorageIntegrity, repairStorageIntegrity } from '../utils/storageIntegrity';
+import { formatBytes } from '../utils/storageQuota';
+import { usePermissions } from '../hooks/useCaregiverMode';
+
+export default function StorageIntegrityPanel({ onRepaired }) {
+  const [report, setReport] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const can = usePermissions();
+
+  const handleScan = async () => {
+    try {
+      setWorking(true);
+      setError(null);
+      setMessage(null);
+      setReport(await scanStorageIntegrity());
+    } catch (error) {
+      console.error('Error scanning storage:', error);
+      setError('Failed to check storage');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleRepair = async () => {
+    try {
+      setWorking(true);
+      setError(null);
+
+      const result = await repairStorageIntegrity(report);
+      setMessage(
+        `Removed ${result.purged} unused images (${formatBytes(result.reclaimedBytes)}), ` +
+        `re-linked ${result.relinked} and cleared ${result.cleared} broken references.`
+      );
+      setReport(await scanStorageIntegrity());
+      if (onRepaired) {
+        await onRepaired();
+      }
+    } catch (error) {
+      console.error('Error repairing storage:', error);
+      setError('Failed to repair storage');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const hasProblems = report && (report.orphans.length > 0 || report.brokenReferences.length > 0);
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-2">
+          <ShieldCheck className="w-5 h-5 text-blue-600" />
+          <h3 className="text-lg font-medium text-gray-900">Storage Check</h3>
+        </div>
+        <button
+          onClick={handleScan}
+          disabled={working}
+          className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          <Search className="w-4 h-4" />
+          <span>{working ? 'Checking...' : 'Check storage'}</span>
+        </button>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Finds photos that no contact, phrase, food or body part uses any more, and records
+        whose photo is missing.
+      </p>
+
+      {error && (
+        <div className="mb-4 flex items-center space-x-2 text-red-700 text-sm">
+          <AlertTriangle className="w-4 h-4" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {message && (
+        <div className="mb-4 flex items-center space-x-2 text-green-700 text-sm">
+          <CheckCircle className="w-4 h-4" />
+          <span>{message}</span>
+        </div>
+      )}
+
+      {report && (
+        <div className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="bg-gray-50 rounded-lg p-4">
+              <span className="text-sm font-medium text-gray-700">Images in use</span>
+              <p className="text-2xl font-bold text-gray-900 mt-1">
+                {report.referencedImages} / {report.totalImages}
+              </p>
+            </div>
+            <div className="bg-yellow-50 rounded-lg p-4">
+              <span className="text-sm font-medium text-yellow-900">Unused images</span>
+              <p className="text-2xl font-bold text-yellow-900 mt-1">{report.orphans.length}</p>
+              <p className="text-xs text-yellow-800">{formatBytes(report.reclaimableBytes)} reclaimable</p>
+            </div>
+            <div className="bg-red-50 rounded-lg p-4">
+              <span className="text-sm font-medium text-red-900">Missing images</span>
+              <p className="text-2xl font-bold text-red-900 mt-1">{report.brokenReferences.length}</p>
+            </div>
+          </div>
+
+          {report.brokenReferences.length > 0 && (
+            <div>
+              <h4 className="font-medium text-gray-900 mb-2">Records with a missing image</h4>
+              <ul className="divide-y divide-gray-100 text-sm">
+                {report.brokenReferences.map((reference) => (
+                  <li key={`${reference.source}-${reference.table}-${reference.key}-${reference.path.join('.')}`} className="py-2 flex items-center justify-between">
+                    <span>
+                      <span className="font-medium">{reference.label}</span>
+                      <span className="text-gray-500"> &middot; {reference.table || reference.source} &middot; {reference.path.join('.')}</span>
+                    </span>
+                    <span className="flex items-center space-x-1 text-xs text-gray-500">
+                      {reference.relinkTo ? (
+                        <>
+                          <Link2 className="w-3 h-3" />
+                          <span>will be re-linked</span>
+                        </>
+                      ) : (
+                        <>
+                          <Trash2 className="w-3 h-3" />
+                          <span>will use the default image</span>
+                        </>
+                      )}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {hasProblems ? (
+            <button
+              onClick={handleRepair}
+              disabled={working || !can('manageStorage')}
+              className="flex items-center space-x-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors disabled:opacity-50"
+            >
+              <Wrench className="w-4 h-4" />
+              <span>Repair storage</span>
+            </button>
+          ) : (
+            <div className="flex items-center space-x-2 text-green-700 text-sm">
+              <CheckCircle className="w-4 h-4" />
+              <span>Every image is in use and every record&apos;s image exists.</span>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
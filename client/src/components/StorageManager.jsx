@@ -1,6 +1,17 @@
 import React, { useState, useEffect } from 'react';
 import { Database, Trash2, Info, AlertTriangle, CheckCircle } from 'lucide-react';
 import { getStorageInfo, clearAllUserImages, getAllUserImages, deleteUserImage } from '../utils/indexedDB';
+import BackupRestorePanel from './BackupRestorePanel';
+import StorageIntegrityPanel from './StorageIntegrityPanel';
+import SchemaSnapshotsPanel from './SchemaSnapshotsPanel';
+import ImageDisplay from './ImageDisplay';
+import StorageQuotaPanel from './StorageQuotaPanel';
+import TrashPanel from './TrashPanel';
+import AuditLogPanel from './AuditLogPanel';
+import EncryptionPanel from './EncryptionPanel';
+import SyncPanel from './SyncPanel';
+import DevicePairingPanel from './DevicePairingPanel';
+import { usePermissions } from '../hooks/useCaregiverMode';
 
 export default function StorageManager() {
   const [storageInfo, setStorageInfo] = useState(null);
@@ -8,6 +19,7 @@ export default function StorageManager() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [showConfirmClear, setShowConfirmClear] = useState(false);
+  const can = usePermissions();
 
   useEffect(() => {
     loadStorageInfo();
@@ -68,7 +80,7 @@ export default function StorageManager() {
     }
   };
 
-  if (loading) {
+  if (loading && !storageInfo) {
     return (
       <div className="flex items-center justify-center p-8">
         <div className="animate-spin rounded-full h-8 w-8 border-2 border-blue-600 border-t-transparent"></div>
@@ -144,27 +156,59 @@ export default function StorageManager() {
         </div>
       )}
 
+      {/* Persistence & Quota */}
+      <StorageQuotaPanel />
+
+      {/* Encryption */}
+      <EncryptionPanel />
+
+      {/* Device Sync */}
+      <SyncPanel />
+
+      {/* Paired Devices */}
+      <DevicePairingPanel />
+
+      {/* Backup & Restore */}
+      <BackupRestorePanel />
+
+      {/* Upgrade Snapshots */}
+      <SchemaSnapshotsPanel />
+
+      {/* Integrity Check */}
+      <StorageIntegrityPanel onRepaired={loadStorageInfo} />
+
+      {/* Trash */}
+      <TrashPanel onChanged={loadStorageInfo} />
+
+      {/* Change Log */}
+      <AuditLogPanel />
+
       {/* User Images List */}
       {userImages.length > 0 && (
         <div className="bg-white rounded-lg shadow-sm border border-gray-200">
           <div className="flex items-center justify-between p-6 border-b border-gray-200">
             <h3 className="text-lg font-medium text-gray-900">User-Uploaded Images</h3>
-            <button
-              onClick={() => setShowConfirmClear(true)}
-              className="flex items-center space-x-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
-            >
-              <Trash2 className="w-4 h-4" />
-              <span>Clear All</span>
-            </button>
+            {can('manageStorage') && (
+              <button
+                onClick={() => setShowConfirmClear(true)}
+                className="flex items-center space-x-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
+              >
+                <Trash2 className="w-4 h-4" />
+                <span>Clear All</span>
+              </button>
+            )}
           </div>
           
           <div className="divide-y divide-gray-200">
             {userImages.map((image) => (
               <div key={image.id} className="p-4 flex items-center justify-between">
                 <div className="flex items-center space-x-4">
-                  <div className="w-12 h-12 bg-gray-100 rounded-lg flex items-center justify-center">
-                    <span className="text-xs text-gray-500">IMG</span>
-                  </div>
+                  <ImageDisplay
+                    imagePath={image.id}
+                    alt={image.originalName}
+                    className="w-12 h-12 rounded-lg object-cover"
+                    fallbackClassName="w-12 h-12 rounded-lg"
+                  />
                   <div>
                     <p className="font-medium text-gray-900">{image.originalName}</p>
                     <div className="flex items-center space-x-4 text-sm text-gray-500">
@@ -177,7 +221,8 @@ export default function StorageManager() {
                 
                 <button
                   onClick={() => handleDeleteImage(image.id)}
-                  className="p-2 text-gray-400 hover:text-red-600 transition-colors"
+                  disabled={!can('manageStorage')}
+                  className="p-2 text-gray-400 hover:text-red-600 transition-colors disabled:opacity-50"
                   title="Delete image"
                 >
                   <Trash2 className="w-4 h-4" />
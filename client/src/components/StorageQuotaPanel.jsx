@@ -0,0 +1,237 @@
+import React, { useState, useEffect } from 'react';
+import { Gauge, Lock, Unlock, AlertTriangle, CheckCircle } from 'lucide-react';
+import {
+  getPersistenceState,
+  requestPersistentStorage,
+  checkStorageQuota,
+  getStorageBreakdown,
+  saveStorageThresholds,
+  getUsageLevel,
+  formatBytes
+} from '../utils/storageQuota';
+import { usePermissions } from '../hooks/useCaregiverMode';
+
+const LEVEL_COLORS = {
+  ok: 'bg-green-500',
+  warning: 'bg-yellow-500',
+  critical: 'bg-red-600'
+};
+
+const UsageBar = ({ label, used, total, level }) => {
+  const percent = total ? Math.min(100, (used / total) * 100) : 0;
+  return (
+    <div>
+      <div className="flex justify-between text-sm text-gray-700 mb-1">
+        <span className="font-medium">{label}</span>
+        <span>
+          {formatBytes(used)} of {formatBytes(total)} ({percent.toFixed(1)}%)
+        </span>
+      </div>
+      <div className="w-full h-3 bg-gray-200 rounded-full overflow-hidden">
+        <div className={`h-full ${LEVEL_COLORS[level]}`} style={{ width: `${percent}%` }} />
+      </div>
+    </div>
+  );
+};
+
+export default function StorageQuotaPanel() {
+  const [persistence, setPersistence] = useState(null);
+  const [quota, setQuota] = useState(null);
+  const [breakdown, setBreakdown] = useState(null);
+  const [thresholdForm, setThresholdForm] = useState({ warning: 70, critical: 90 });
+  const [error, setError] = useState(null);
+  const can = usePermissions();
+
+  useEffect(() => {
+    loadQuota();
+  }, []);
+
+  const loadQuota = async () => {
+    try {
+      setError(null);
+      const [persistenceState, quotaState, breakdownState] = await Promise.all([
+        getPersistenceState(),
+        checkStorageQuota(),
+        getStorageBreakdown()
+      ]);
+      setPersistence(persistenceState);
+      setQuota(quotaState);
+      setBreakdown(breakdownState);
+      setThresholdForm({
+        warning: Math.round(quotaState.thresholds.warning * 100),
+        critical: Math.round(quotaState.thresholds.critical * 100)
+      });
+    } catch (error) {
+      console.error('Error loading storage quota:', error);
+      setError('Failed to read storage usage');
+    }
+  };
+
+  const handleRequestPersistence = async () => {
+    setPersistence(await requestPersistentStorage());
+  };
+
+  const handleSaveThresholds = async (e) => {
+    e.preventDefault();
+    try {
+      setError(null);
+      saveStorageThresholds({
+        warning: thresholdForm.warning / 100,
+        critical: thresholdForm.critical / 100
+      });
+      await loadQuota();
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  if (!quota || !breakdown) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-5">
+      <div className="flex items-center space-x-2">
+        <Gauge className="w-5 h-5 text-blue-600" />
+        <h3 className="text-lg font-medium text-gray-900">Storage Quota</h3>
+      </div>
+
+      {error && (
+        <div className="flex items-center space-x-2 text-red-700 text-sm">
+          <AlertTriangle className="w-4 h-4" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {/* Persistent Storage */}
+      <div className={`flex items-center justify-between p-3 rounded-lg ${
+        persistence === 'granted' ? 'bg-green-50' : 'bg-yellow-50'
+      }`}>
+        <div className="flex items-center space-x-2 text-sm">
+          {persistence === 'granted' ? (
+            <>
+              <Lock className="w-4 h-4 text-green-600" />
+              <span className="text-green-800">Persistent storage granted &ndash; the browser will not clear this data on its own.</span>
+            </>
+          ) : persistence === 'unsupported' ? (
+            <>
+              <Unlock className="w-4 h-4 text-yellow-600" />
+              <span className="text-yellow-800">This browser cannot protect the data from being cleared. Keep regular backups.</span>
+            </>
+          ) : (
+            <>
+              <Unlock className="w-4 h-4 text-yellow-600" />
+              <span className="text-yellow-800">Storage is not persistent &ndash; the browser may clear it when the device runs low on space.</span>
+            </>
+          )}
+        </div>
+        {persistence === 'prompt' && (
+          <button
+            onClick={handleRequestPersistence}
+            className="ml-4 px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors whitespace-nowrap"
+          >
+            Make persistent
+          </button>
+        )}
+      </div>
+
+      {/* Usage */}
+      <div className="space-y-3">
+        {quota.quota ? (
+          <UsageBar label="This app (all storage)" used={quota.usage} total={quota.quota} level={quota.originLevel} />
+        ) : (
+          <p className="text-sm text-gray-500">This browser does not report a storage quota.</p>
+        )}
+        <UsageBar
+          label="Settings (localStorage)"
+          used={quota.localStorageBytes}
+          total={quota.localStorageQuota}
+          level={quota.localStorageLevel}
+        />
+      </div>
+
+      {quota.level !== 'ok' && (
+        <div className={`flex items-start space-x-2 p-3 rounded-lg text-sm ${
+          quota.level === 'critical' ? 'bg-red-50 text-red-700' : 'bg-yellow-50 text-yellow-800'
+        }`}>
+          <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+          <span>
+            Storage is {quota.level === 'critical' ? 'almost full' : 'filling up'}. Back up your data and remove
+            unused images before new changes start failing to save.
+          </span>
+        </div>
+      )}
+
+      {/* Breakdown */}
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-500 border-b border-gray-200">
+            <th className="py-2 font-medium">Stored in</th>
+            <th className="py-2 font-medium text-right">Items</th>
+            <th className="py-2 font-medium text-right">Size</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {breakdown.tables.map((table) => (
+            <tr key={table.name}>
+              <td className="py-2 capitalize">{table.name}</td>
+              <td className="py-2 text-right">{table.count}</td>
+              <td className="py-2 text-right">{formatBytes(table.bytes)}</td>
+            </tr>
+          ))}
+          <tr>
+            <td className="py-2">Images</td>
+            <td className="py-2 text-right">{breakdown.images.count}</td>
+            <td className="py-2 text-right">{formatBytes(breakdown.images.bytes)}</td>
+          </tr>
+          {breakdown.localStorage.entries.map((entry) => (
+            <tr key={entry.key} className="text-gray-500">
+              <td className="py-2">Setting: {entry.key}</td>
+              <td className="py-2 text-right">1</td>
+              <td className="py-2 text-right">
+                {formatBytes(entry.bytes)}
+                {getUsageLevel(entry.bytes, quota.localStorageQuota, quota.thresholds) !== 'ok' && (
+                  <AlertTriangle className="inline w-3 h-3 ml-1 text-red-500" />
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {/* Thresholds */}
+      <form onSubmit={handleSaveThresholds} className="flex flex-wrap items-end gap-3 text-sm">
+        <label className="flex flex-col">
+          <span className="text-gray-700 mb-1">Warn at (%)</span>
+          <input
+            type="number"
+            min="1"
+            max="98"
+            value={thresholdForm.warning}
+            onChange={(e) => setThresholdForm({ ...thresholdForm, warning: Number(e.target.value) })}
+            className="w-24 px-2 py-1 border border-gray-300 rounded-md"
+          />
+        </label>
+        <label className="flex flex-col">
+          <span className="text-gray-700 mb-1">Critical at (%)</span>
+          <input
+            type="number"
+            min="2"
+            max="99"
+            value={thresholdForm.critical}
+            onChange={(e) => setThresholdForm({ ...thresholdForm, critical: Number(e.target.value) })}
+            className="w-24 px-2 py-1 border border-gray-300 rounded-md"
+          />
+        </label>
+        <button
+          type="submit"
+          disabled={!can('manageStorage')}
+          className="flex items-center space-x-1 px-3 py-1.5 bg-gray-600 text-white rounded-md hover:bg-gray-700 disabled:opacity-50"
+        >
+          <CheckCircle className="w-4 h-4" />
+          <span>Save thresholds</span>
+        </button>
+      </form>
+    </div>
+  );
+}
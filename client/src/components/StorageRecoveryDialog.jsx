@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import { HardDrive, Download, Trash2, Minimize2, RefreshCw, CheckCircle, AlertTriangle } from 'lucide-react';
+import { onQuotaExceeded } from '../utils/storageErrors';
+import { downloadBackupArchive } from '../utils/backup';
+import { purgeOrphanImages } from '../utils/storageIntegrity';
+import { compressStoredImages } from '../utils/indexedDB';
+import { formatBytes } from '../utils/storageQuota';
+import { useEncryptionState } from '../hooks/useEncryption';
+import { usePermissions } from '../hooks/useCaregiverMode';
+
+// Shown whenever a save fails because storage is full. The unsaved edit is
+// kept as a form draft, so the caregiver can free space and try again.
+export default function StorageRecoveryDialog() {
+  const [failure, setFailure] = useState(null);
+  const [working, setWorking] = useState(null);
+  const [results, setResults] = useState([]);
+  const [error, setError] = useState(null);
+  const [backupPassphrase, setBackupPassphrase] = useState('');
+  const { enabled: encrypted } = useEncryptionState();
+  const can = usePermissions();
+
+  useEffect(() => {
+    return onQuotaExceeded((quotaFailure) => {
+      setFailure(quotaFailure);
+      setError(null);
+    });
+  }, []);
+
+  const runAction = async (name, action) => {
+    try {
+      setWorking(name);
+      setError(null);
+      const message = await action();
+      setResults(prev => [...prev, message]);
+    } catch (error) {
+      console.error(`Error during storage recovery (${name}):`, error);
+      setError('That did not work. Try another option.');
+    } finally {
+      setWorking(null);
+    }
+  };
+
+  // Encrypted data is backed up encrypted (see backup.js)
+  const handleBackup = () => runAction('backup', async () => {
+    await downloadBackupArchive({ passphrase: encrypted ? backupPassphrase : undefined });
+    return 'Backup downloaded.';
+  });
+
+  const handlePurge = () => runAction('purge', async () => {
+    const result = await purgeOrphanImages();
+    return `Removed ${result.purged} unused images (${formatBytes(result.reclaimedBytes)}).`;
+  });
+
+  const handleCompress = () => runAction('compress', async () => {
+    const result = await compressStoredImages();
+    return `Shrunk ${result.compressed} images (${formatBytes(result.savedBytes)} saved).`;
+  });
+
+  const handleRetry = async () => {
+    const { retry } = failure;
+    setFailure(null);
+    setResults([]);
+    // A retry that fails again on quota reopens this dialog
+    await retry();
+  };
+
+  const handleClose = () => {
+    setFailure(null);
+    setResults([]);
+  };
+
+  if (!failure) {
+    return null;
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4">
+        <div className="flex items-center space-x-3 mb-3">
+          <HardDrive className="w-6 h-6 text-red-500" />
+          <h3 className="text-lg font-medium text-gray-900">Storage is full</h3>
+        </div>
+        <p className="text-gray-600 mb-4">
+          Your {failure.description} could not be saved because the device is out of storage space.
+          Nothing was lost: it is kept as a draft until it saves. Free up some space, then try again.
+        </p>
+
+        <div className="space-y-2 mb-4">
+          {encrypted && (
+            <input
+              type="password"
+              autoComplete="new-password"
+              value={backupPassphrase}
+              onChange={(e) => setBackupPassphrase(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+              aria-label="Passphrase for the backup"
+              placeholder="Passphrase for the backup"
+            />
+          )}
+          <button
+            onClick={handleBackup}
+            disabled={Boolean(working) || (encrypted && !backupPassphrase)}
+            className="w-full flex items-center space-x-2 px-4 py-2 bg-green-50 text-green-800 rounded-lg hover:bg-green-100 transition-colors disabled:opacity-50"
+          >
+            <Download className="w-4 h-4" />
+            <span>{working === 'backup' ? 'Creating backup...' : 'Download a backup first'}</span>
+          </button>
+          <button
+            onClick={handlePurge}
+            disabled={Boolean(working) || !can('manageStorage')}
+            className="w-full flex items-center space-x-2 px-4 py-2 bg-blue-50 text-blue-800 rounded-lg hover:bg-blue-100 transition-colors disabled:opacity-50"
+          >
+            <Trash2 className="w-4 h-4" />
+            <span>{working === 'purge' ? 'Removing...' : 'Remove unused images'}</span>
+          </button>
+          <button
+            onClick={handleCompress}
+            disabled={Boolean(working)}
+            className="w-full flex items-center space-x-2 px-4 py-2 bg-purple-50 text-purple-800 rounded-lg hover:bg-purple-100 transition-colors disabled:opacity-50"
+          >
+            <Minimize2 className="w-4 h-4" />
+            <span>{working === 'compress' ? 'Shrinking...' : 'Shrink stored images'}</span>
+          </button>
+        </div>
+
+        {results.map((result, index) => (
+          <div key={index} className="flex items-center space-x-2 text-green-700 text-sm mb-2">
+            <CheckCircle className="w-4 h-4" />
+            <span>{result}</span>
+          </div>
+        ))}
+
+        {error && (
+          <div className="flex items-center space-x-2 text-red-700 text-sm mb-2">
+            <AlertTriangle className="w-4 h-4" />
+            <span>{error}</span>
+          </div>
+        )}
+
+        <div className="flex space-x-3 mt-4">
+          {failure.retry && (
+            <button
+              onClick={handleRetry}
+              disabled={Boolean(working)}
+              className="flex-1 flex items-center justify-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              <RefreshCw className="w-4 h-4" />
+              <span>Try saving again</span>
+            </button>
+          )}
+          <button
+            onClick={handleClose}
+            disabled={Boolean(working)}
+            className="flex-1 px-4 py-2 bg-gray-300 text-gray-700 rounded-lg hover:bg-gray-400 transition-colors"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
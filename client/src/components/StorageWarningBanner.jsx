@@ -0,0 +1,56 @@
+import React, { useState, useEffect } from 'react';
+import { AlertTriangle, X } from 'lucide-react';
+import { checkStorageQuota } from '../utils/storageQuota';
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// App-wide warning shown before storage runs out, so the caregiver can make
+// room while saves still succeed
+export default function StorageWarningBanner({ onManageStorage }) {
+  const [level, setLevel] = useState('ok');
+  const [dismissedLevel, setDismissedLevel] = useState(null);
+
+  useEffect(() => {
+    const check = async () => {
+      try {
+        const quota = await checkStorageQuota();
+        setLevel(quota.level);
+      } catch (error) {
+        console.error('Error checking storage quota:', error);
+      }
+    };
+
+    check();
+    const interval = setInterval(check, CHECK_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  // A dismissed warning comes back if usage gets worse
+  if (level === 'ok' || level === dismissedLevel) {
+    return null;
+  }
+
+  return (
+    <div
+      className={`flex items-center justify-between px-4 py-2 text-sm ${
+        level === 'critical' ? 'bg-red-600 text-white' : 'bg-yellow-100 text-yellow-900'
+      }`}
+      role="alert"
+    >
+      <div className="flex items-center space-x-2">
+        <AlertTriangle className="w-4 h-4" />
+        <span>
+          {level === 'critical'
+            ? 'Storage is almost full. New changes may fail to save.'
+            : 'Storage is filling up.'}
+        </span>
+        <button onClick={onManageStorage} className="underline font-medium">
+          Manage storage
+        </button>
+      </div>
+      <button onClick={() => setDismissedLevel(level)} aria-label="Dismiss storage warning">
+        <X className="w-4 h-4" />
+      </button>
+    </div>
+  );
+}
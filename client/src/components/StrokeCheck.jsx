@@ -0,0 +1,357 @@
+import React, { useState, useEffect } from 'react';
+import { Phone, X, ChevronLeft, Clock, AlertTriangle, CheckCircle } from 'lucide-react';
+import { getActivePatient } from '../utils/patientProfiles';
+import { getAmbulanceNumber, dialNumber } from '../utils/emergencyServices';
+import {
+  BE_FAST_SIGNS,
+  ONSET_KINDS,
+  THROMBOLYSIS_WINDOW_HOURS,
+  createStrokeCheck,
+  startStrokeCheck,
+  recordStrokeFinding,
+  setStrokeOnset,
+  markStrokeCheckEscalated,
+  getPositiveSigns,
+  isStrokeSuspected,
+  getTimeSinceOnset,
+  getTreatmentWindowLeft,
+  formatDuration
+} from '../utils/strokeCheck';
+
+const TIME_STEP = BE_FAST_SIGNS.length;
+const SUMMARY_STEP = TIME_STEP + 1;
+
+// Value for a datetime-local input, in local time
+const toLocalInputValue = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString([], {
+  weekday: 'short',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const findingStyle = (value) => {
+  if (value === true) return 'bg-red-600 text-white border-red-600';
+  if (value === false) return 'bg-green-600 text-white border-green-600';
+  return 'bg-white text-gray-500 border-gray-300';
+};
+
+// Card to show paramedics: what was found, when it started and how much of
+// the treatment window is left
+const StrokeSummaryCard = ({ check }) => {
+  const [now, setNow] = useState(() => new Date());
+  const suspected = isStrokeSuspected(check);
+  const windowLeft = getTreatmentWindowLeft(check, now);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 30000);
+    return () => clearInterval(timer);
+  }, []);
+
+  return (
+    <div className="border-4 border-black rounded-lg overflow-hidden">
+      <div className={`p-4 text-center ${suspected ? 'bg-red-600 text-white' : 'bg-green-600 text-white'}`}>
+        <p className="text-3xl sm:text-4xl font-extrabold">
+          {suspected ? 'STROKE SUSPECTED' : 'No BE-FAST signs found'}
+        </p>
+        <p className="text-lg mt-1">{getActivePatient().name}</p>
+      </div>
+      <dl className="p-4 grid grid-cols-1 sm:grid-cols-2 gap-4 text-lg">
+        <div>
+          <dt className="text-sm text-gray-600">{ONSET_KINDS[check.onsetKind]}</dt>
+          <dd className="text-2xl font-bold text-gray-900">{check.onsetAt ? formatTime(check.onsetAt) : 'Not known'}</dd>
+        </div>
+        {check.onsetAt && (
+          <div>
+            <dt className="text-sm text-gray-600">Time since</dt>
+            <dd className="text-2xl font-bold text-gray-900">{formatDuration(getTimeSinceOnset(check, now))}</dd>
+          </div>
+        )}
+        {windowLeft !== null && (
+          <div className="sm:col-span-2">
+            <dt className="text-sm text-gray-600">{THROMBOLYSIS_WINDOW_HOURS} h treatment window</dt>
+            <dd className={`text-2xl font-bold ${windowLeft > 0 ? 'text-red-700' : 'text-gray-900'}`}>
+              {windowLeft > 0 ? `${formatDuration(windowLeft)} left` : `Passed ${formatDuration(windowLeft)} ago`}
+            </dd>
+          </div>
+        )}
+        <div className="sm:col-span-2">
+          <dt className="text-sm text-gray-600 mb-2">Signs</dt>
+          <dd className="flex flex-wrap gap-2">
+            {BE_FAST_SIGNS.map(sign => (
+              <span
+                key={sign.id}
+                className={`px-3 py-1 rounded-full border-2 font-bold ${findingStyle(check.findings[sign.id])}`}
+              >
+                {sign.letter} · {sign.label}
+                {check.findings[sign.id] === true && ' ✓'}
+                {check.findings[sign.id] == null && ' ?'}
+              </span>
+            ))}
+          </dd>
+        </div>
+        {suspected && (
+          <div className="sm:col-span-2">
+            <dt className="text-sm text-gray-600">Found</dt>
+            <dd className="font-medium text-gray-900">{getPositiveSigns(check).map(sign => sign.label).join(', ')}</dd>
+          </div>
+        )}
+        <div>
+          <dt className="text-sm text-gray-600">Checked</dt>
+          <dd className="font-medium text-gray-900">{formatTime(check.startedAt)}</dd>
+        </div>
+        <div>
+          <dt className="text-sm text-gray-600">Ambulance called</dt>
+          <dd className="font-medium text-gray-900">{check.escalatedAt ? formatTime(check.escalatedAt) : 'Not from this app'}</dd>
+        </div>
+      </dl>
+    </div>
+  );
+};
+
+// Guided BE-FAST check: one sign per screen, then symptom onset, then the
+// summary card. The ambulance can be called from every screen.
+export default function StrokeCheck({ initialCheck = null, onClose }) {
+  const [check, setCheck] = useState(initialCheck);
+  const [step, setStep] = useState(initialCheck ? SUMMARY_STEP : 0);
+  const [onsetKind, setOnsetKind] = useState('witnessed');
+  const [onsetValue, setOnsetValue] = useState(() => toLocalInputValue(new Date()));
+  const [error, setError] = useState(null);
+  const ambulanceNumber = getAmbulanceNumber();
+
+  useEffect(() => {
+    if (initialCheck) return;
+    let cancelled = false;
+    startStrokeCheck()
+      .then(started => !cancelled && setCheck(started))
+      .catch(() => {
+        if (!cancelled) {
+          setCheck(createStrokeCheck());
+          setError('The check could not be saved, but you can still go through it and call.');
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [initialCheck]);
+
+  // Answers are kept on screen even when saving fails
+  const saveStep = async (save, fallback) => {
+    try {
+      setError(null);
+      setCheck(check?.id ? await save() : fallback);
+    } catch (error) {
+      console.error('Error saving stroke check:', error);
+      setError(error.message || 'Failed to save the check');
+      setCheck(fallback);
+    }
+  };
+
+  const handleCall = async () => {
+    // Dial first: saving must never hold up the call
+    dialNumber(ambulanceNumber);
+    if (check) {
+      await saveStep(
+        () => markStrokeCheckEscalated(check),
+        { ...check, escalatedAt: check.escalatedAt || new Date().toISOString() }
+      );
+    }
+  };
+
+  const handleFinding = async (sign, present) => {
+    const current = check || createStrokeCheck();
+    await saveStep(
+      () => recordStrokeFinding(current, sign.id, present),
+      { ...current, findings: { ...current.findings, [sign.id]: present } }
+    );
+    setStep(step + 1);
+  };
+
+  const handleOnset = async (e) => {
+    e.preventDefault();
+    const current = check || createStrokeCheck();
+    const onsetAt = new Date(onsetValue).toISOString();
+    await saveStep(
+      () => setStrokeOnset(current, onsetAt, onsetKind),
+      { ...current, onsetAt, onsetKind }
+    );
+    setStep(SUMMARY_STEP);
+  };
+
+  const suspected = check ? isStrokeSuspected(check) : false;
+  const sign = BE_FAST_SIGNS[step];
+
+  return (
+    <div className="fixed inset-0 z-50 bg-white flex flex-col overflow-y-auto" role="dialog" aria-modal="true" aria-label="BE-FAST stroke check">
+      <div className="flex items-center justify-between gap-3 p-4 border-b border-gray-200">
+        <div className="flex items-center space-x-2">
+          {step > 0 && step < SUMMARY_STEP && (
+            <button
+              onClick={() => setStep(step - 1)}
+              className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg"
+              aria-label="Back"
+            >
+              <ChevronLeft className="w-6 h-6" />
+            </button>
+          )}
+          <h2 className="text-xl font-bold text-gray-900">BE-FAST stroke check</h2>
+        </div>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={handleCall}
+            className={`flex items-center space-x-2 px-4 py-3 bg-red-600 text-white font-bold rounded-lg hover:bg-red-700 transition-colors ${
+              suspected && !check?.escalatedAt ? 'animate-pulse' : ''
+            }`}
+          >
+            <Phone className="w-5 h-5" />
+            <span>Call {ambulanceNumber}</span>
+          </button>
+          <button
+            onClick={onClose}
+            className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg"
+            aria-label="Close the stroke check"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+      </div>
+
+      {step < SUMMARY_STEP && (
+        <ol className="flex justify-center gap-2 p-4" aria-label="Progress">
+          {[...BE_FAST_SIGNS, { id: 'time', letter: 'T', label: 'Time' }].map((item, index) => (
+            <li
+              key={item.id}
+              className={`w-10 h-10 flex items-center justify-center rounded-full border-2 font-bold ${
+                index === step ? 'ring-4 ring-blue-300' : ''
+              } ${findingStyle(check?.findings?.[item.id])}`}
+              aria-label={item.label}
+              aria-current={index === step ? 'step' : undefined}
+            >
+              {item.letter}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <div className="flex-1 w-full max-w-2xl mx-auto px-4 pb-6">
+        {error && (
+          <div className="mb-4 flex items-center space-x-2 text-red-700 text-sm">
+            <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+            <span>{error}</span>
+          </div>
+        )}
+
+        {sign && (
+          <div className="text-center space-y-6 pt-4">
+            <div className="text-7xl font-extrabold text-blue-700">{sign.letter}</div>
+            <h3 className="text-3xl font-bold text-gray-900">{sign.label}</h3>
+            <p className="text-2xl text-gray-900">{sign.question}</p>
+            <p className="text-lg text-gray-600">{sign.instruction}</p>
+            <div className="grid grid-cols-2 gap-4">
+              <button
+                onClick={() => handleFinding(sign, true)}
+                className="py-6 bg-red-600 text-white text-2xl font-bold rounded-lg hover:bg-red-700 transition-colors"
+              >
+                Yes
+              </button>
+              <button
+                onClick={() => handleFinding(sign, false)}
+                className="py-6 bg-green-600 text-white text-2xl font-bold rounded-lg hover:bg-green-700 transition-colors"
+              >
+                No
+              </button>
+            </div>
+            <button
+              onClick={() => handleFinding(sign, null)}
+              className="text-gray-600 underline"
+            >
+              Can't tell
+            </button>
+            {suspected && (
+              <p className="text-lg font-bold text-red-700">A sign was found: call {ambulanceNumber} now. You can finish the check while you wait.</p>
+            )}
+          </div>
+        )}
+
+        {step === TIME_STEP && (
+          <form onSubmit={handleOnset} className="space-y-6 pt-4">
+            <div className="text-center">
+              <div className="text-7xl font-extrabold text-blue-700">T</div>
+              <h3 className="text-3xl font-bold text-gray-900">Time</h3>
+              <p className="text-lg text-gray-600 mt-2">
+                When did the symptoms start? If nobody saw them start, when was the patient last seen well?
+              </p>
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              {Object.entries(ONSET_KINDS).map(([value, label]) => (
+                <label
+                  key={value}
+                  className={`flex items-center justify-center p-4 border-2 rounded-lg cursor-pointer text-lg font-medium ${
+                    onsetKind === value ? 'border-blue-600 bg-blue-50 text-blue-800' : 'border-gray-300 text-gray-700'
+                  }`}
+                >
+                  <input
+                    type="radio"
+                    name="onsetKind"
+                    value={value}
+                    checked={onsetKind === value}
+                    onChange={() => setOnsetKind(value)}
+                    className="sr-only"
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+            <div className="flex items-center gap-3">
+              <Clock className="w-6 h-6 text-gray-500 flex-shrink-0" />
+              <input
+                type="datetime-local"
+                required
+                value={onsetValue}
+                max={toLocalInputValue(new Date())}
+                onChange={(e) => setOnsetValue(e.target.value)}
+                className="flex-1 px-4 py-3 text-lg border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                aria-label="Onset time"
+              />
+              <button
+                type="button"
+                onClick={() => setOnsetValue(toLocalInputValue(new Date()))}
+                className="px-4 py-3 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300"
+              >
+                Now
+              </button>
+            </div>
+            <button
+              type="submit"
+              className="w-full py-4 bg-blue-600 text-white text-xl font-bold rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              Show summary
+            </button>
+          </form>
+        )}
+
+        {step === SUMMARY_STEP && check && (
+          <div className="space-y-4 pt-4">
+            <StrokeSummaryCard check={check} />
+            {!suspected && (
+              <p className="flex items-start space-x-2 text-gray-700">
+                <CheckCircle className="w-5 h-5 text-green-600 flex-shrink-0 mt-0.5" />
+                <span>If you are still worried, or the signs come back, call {ambulanceNumber} anyway.</span>
+              </p>
+            )}
+            <p className="text-sm text-gray-500">Show this card to the paramedics. This check does not replace a medical assessment.</p>
+            <button
+              onClick={onClose}
+              className="w-full py-3 bg-gray-200 text-gray-800 font-bold rounded-lg hover:bg-gray-300 transition-colors"
+            >
+              Done
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,154 @@
+import React, { useState, useEffect } from 'react';
+import { Volume2, X, AlertTriangle, Activity, RotateCcw } from 'lucide-react';
+import { speakText } from '../utils/speech';
+import {
+  setSymptomSeverity,
+  getSeverityFace,
+  SYMPTOM_SEVERITY_MIN,
+  SYMPTOM_SEVERITY_MAX
+} from '../utils/symptomHistory';
+
+const SEVERITIES = Array.from(
+  { length: SYMPTOM_SEVERITY_MAX - SYMPTOM_SEVERITY_MIN + 1 },
+  (_, index) => SYMPTOM_SEVERITY_MIN + index
+);
+
+// Green for mild, through amber, to red for the worst
+const severityColor = (severity) => {
+  if (severity <= 3) return 'bg-green-500 text-black';
+  if (severity <= 6) return 'bg-yellow-400 text-black';
+  if (severity <= 8) return 'bg-orange-500 text-black';
+  return 'bg-red-600 text-white';
+};
+
+// Full-screen, high-contrast card shown when the patient taps a symptom, big
+// enough for a caregiver to read across the room. The patient can pick how
+// bad it is, which is saved on the logged event (see symptomHistory.js); if
+// logging the event failed, `onRetryRecord` tries again.
+export default function SymptomCard({
+  bodyPart,
+  symptom,
+  sentence,
+  event,
+  recordFailed = false,
+  onRetryRecord = null,
+  onClose,
+  onStartStrokeCheck = null
+}) {
+  const [severity, setSeverity] = useState(event?.severity ?? null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const handleSeverity = async (value) => {
+    try {
+      setError(null);
+      setSeverity(value);
+      await setSymptomSeverity(event.id, value);
+    } catch (error) {
+      console.error('Error saving severity:', error);
+      setError('Failed to save how bad it is. Please try again.');
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 bg-black text-white flex flex-col overflow-y-auto"
+      role="dialog"
+      aria-modal="true"
+      aria-label={sentence}
+    >
+      <div className="flex justify-end p-4">
+        <button
+          onClick={onClose}
+          className="p-3 text-white border-2 border-white rounded-full hover:bg-white hover:text-black transition-colors"
+          aria-label="Close"
+        >
+          <X className="w-8 h-8" />
+        </button>
+      </div>
+
+      <div className="flex-1 flex flex-col items-center justify-center px-6 text-center space-y-6">
+        <div className="text-8xl" aria-hidden="true">
+          {symptom.icon || <AlertTriangle className="w-24 h-24 text-yellow-300" />}
+        </div>
+        <p className="text-5xl sm:text-7xl font-extrabold text-yellow-300 leading-tight">{symptom.type}</p>
+        <p className="text-2xl sm:text-4xl font-bold">{bodyPart.name}</p>
+        <p className="text-xl sm:text-3xl text-gray-200 max-w-3xl">{sentence}</p>
+        {severity && (
+          <p className="text-3xl sm:text-5xl font-bold">
+            <span aria-hidden="true">{getSeverityFace(severity)}</span> {severity} / {SYMPTOM_SEVERITY_MAX}
+          </p>
+        )}
+      </div>
+
+      <div className="p-4 sm:p-6 space-y-4">
+        {event && (
+          <fieldset>
+            <legend className="text-xl font-bold mb-3 text-center w-full">How bad is it?</legend>
+            <div className="grid grid-cols-5 sm:grid-cols-10 gap-2 max-w-4xl mx-auto">
+              {SEVERITIES.map(value => (
+                <button
+                  key={value}
+                  onClick={() => handleSeverity(value)}
+                  className={`flex flex-col items-center py-2 rounded-lg border-4 transition-transform ${severityColor(value)} ${
+                    severity === value ? 'border-white scale-110' : 'border-transparent'
+                  }`}
+                  aria-pressed={severity === value}
+                  aria-label={`Severity ${value} of ${SYMPTOM_SEVERITY_MAX}`}
+                >
+                  <span className="text-3xl" aria-hidden="true">{getSeverityFace(value)}</span>
+                  <span className="text-lg font-bold">{value}</span>
+                </button>
+              ))}
+            </div>
+          </fieldset>
+        )}
+        {!event && recordFailed && (
+          <div className="flex flex-col items-center space-y-3">
+            <p className="text-center text-red-400 text-lg">
+              This wasn't saved in the symptom diary, so how bad it is can't be recorded yet.
+            </p>
+            {onRetryRecord && (
+              <button
+                onClick={onRetryRecord}
+                className="flex items-center space-x-3 px-8 py-4 bg-white text-black text-2xl font-bold rounded-lg hover:bg-gray-200 transition-colors"
+              >
+                <RotateCcw className="w-8 h-8" />
+                <span>Try again</span>
+              </button>
+            )}
+          </div>
+        )}
+        {error && <p className="text-center text-red-400 text-lg">{error}</p>}
+
+        <div className="flex flex-wrap justify-center gap-4">
+          {onStartStrokeCheck && (
+            <button
+              onClick={onStartStrokeCheck}
+              className="flex items-center space-x-3 px-8 py-4 bg-red-600 text-white text-2xl font-bold rounded-lg hover:bg-red-700 transition-colors"
+            >
+              <Activity className="w-8 h-8" />
+              <span>Stroke check</span>
+            </button>
+          )}
+          <button
+            onClick={() => speakText(sentence)}
+            className="flex items-center space-x-3 px-8 py-4 bg-yellow-300 text-black text-2xl font-bold rounded-lg hover:bg-yellow-200 transition-colors"
+          >
+            <Volume2 className="w-8 h-8" />
+            <span>Speak again</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,418 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { NotebookPen, ChevronLeft, ChevronRight, Download, Printer, Trash2, AlertTriangle, Siren } from 'lucide-react';
+import { useUndoRefresh } from '../hooks/useUndoHistory';
+import { useCaregiverMode, usePermissions } from '../hooks/useCaregiverMode';
+import { downloadFile, getFileDateStamp } from '../utils/fileDownload';
+import { getActivePatient } from '../utils/patientProfiles';
+import {
+  DIARY_PERIODS,
+  SYMPTOM_SEVERITY_MAX,
+  getDiaryPeriod,
+  shiftDiaryAnchor,
+  listDiaryEvents,
+  onSymptomHistoryChange,
+  countEventsByBucket,
+  summarizeSymptoms,
+  getSymptomKey,
+  getSeverityFace,
+  setSymptomNote,
+  deleteSymptomEvent,
+  symptomEventsToCsv
+} from '../utils/symptomHistory';
+import { SOS_OUTCOMES, SOS_FOLLOW_UP_OUTCOMES, listSosEvents, onSosChange, setSosOutcome } from '../utils/sos';
+
+const PERIOD_LABELS = { day: 'Day', week: 'Week', month: 'Month' };
+
+// Bars are colored by the worst severity in them; grey when none was picked
+const severityBarColor = (severity) => {
+  if (!severity) return 'bg-gray-400';
+  if (severity <= 3) return 'bg-green-500';
+  if (severity <= 6) return 'bg-yellow-400';
+  if (severity <= 8) return 'bg-orange-500';
+  return 'bg-red-600';
+};
+
+const formatSeverity = (severity) => severity ? `${getSeverityFace(severity)} ${severity}/${SYMPTOM_SEVERITY_MAX}` : '—';
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const formatDay = (timestamp) => new Date(timestamp).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+
+// Note editor for one event, saved when it loses focus
+const EventNote = ({ event }) => {
+  const [note, setNote] = useState(event.note || '');
+
+  useEffect(() => {
+    setNote(event.note || '');
+  }, [event.note]);
+
+  const handleBlur = async () => {
+    if (note.trim() === (event.note || '')) return;
+    try {
+      await setSymptomNote(event.id, note);
+    } catch (error) {
+      console.error('Error saving note:', error);
+      alert('Failed to save the note. Please try again.');
+    }
+  };
+
+  return (
+    <>
+      <input
+        type="text"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        onBlur={handleBlur}
+        placeholder="Add a note"
+        className="w-full px-2 py-1 text-sm border border-gray-200 rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500 print:hidden"
+        aria-label={`Note for ${event.symptomType} at ${formatTime(event.timestamp)}`}
+      />
+      <span className="hidden print:inline text-sm">{event.note}</span>
+    </>
+  );
+};
+
+// Symptom diary for clinic visits: when symptoms happened, how often and how
+// bad they were, per day, week or month, with a printable report and a CSV
+// export (see symptomHistory.js)
+export default function SymptomDiary() {
+  const [period, setPeriod] = useState('week');
+  const [anchor, setAnchor] = useState(() => new Date());
+  const [symptomFilter, setSymptomFilter] = useState('');
+  const [events, setEvents] = useState([]);
+  const [sosEvents, setSosEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const caregiverMode = useCaregiverMode();
+  const can = usePermissions();
+
+  const diaryPeriod = getDiaryPeriod(period, anchor);
+  const fromTime = diaryPeriod.from.getTime();
+  const toTime = diaryPeriod.to.getTime();
+
+  const loadEvents = useCallback(async () => {
+    try {
+      setError(null);
+      const [symptomEvents, sos] = await Promise.all([
+        listDiaryEvents({ from: new Date(fromTime), to: new Date(toTime) }),
+        listSosEvents({ from: new Date(fromTime), to: new Date(toTime - 1) })
+      ]);
+      setEvents(symptomEvents);
+      setSosEvents(sos);
+    } catch (error) {
+      console.error('Error loading symptom diary:', error);
+      setError('Failed to load the symptom diary');
+    } finally {
+      setLoading(false);
+    }
+  }, [fromTime, toTime]);
+
+  useEffect(() => {
+    loadEvents();
+    // New taps, severities, notes and SOS calls show up without reopening the tab
+    const unsubscribeSymptoms = onSymptomHistoryChange(loadEvents);
+    const unsubscribeSos = onSosChange(loadEvents);
+    return () => {
+      unsubscribeSymptoms();
+      unsubscribeSos();
+    };
+  }, [loadEvents]);
+
+  useUndoRefresh(['symptomEvents', 'sosEvents'], loadEvents);
+
+  const summary = summarizeSymptoms(events);
+  const shownEvents = symptomFilter ? events.filter(event => getSymptomKey(event) === symptomFilter) : events;
+  const timeline = countEventsByBucket(shownEvents, diaryPeriod.buckets);
+  const maxBucketCount = Math.max(1, ...timeline.map(bucket => bucket.count));
+  const maxSymptomCount = Math.max(1, ...summary.map(row => row.count));
+  const filterLabel = summary.find(row => row.key === symptomFilter);
+
+  const eventsByDay = shownEvents.reduce((days, event) => {
+    const day = new Date(event.timestamp).toDateString();
+    const last = days[days.length - 1];
+    if (last && last.day === day) {
+      last.events.push(event);
+    } else {
+      days.push({ day, events: [event] });
+    }
+    return days;
+  }, []);
+
+  const handleExport = () => {
+    downloadFile(
+      symptomEventsToCsv(shownEvents),
+      `stroke-app-symptom-diary-${getFileDateStamp(diaryPeriod.from)}-${period}.csv`,
+      'text/csv'
+    );
+  };
+
+  const handleSosOutcome = async (sos, outcome) => {
+    try {
+      await setSosOutcome(sos.id, outcome);
+    } catch (error) {
+      console.error('Error saving SOS outcome:', error);
+      alert('Failed to save how the SOS ended. Please try again.');
+    }
+  };
+
+  const handleDelete = async (event) => {
+    if (!window.confirm(`Delete "${event.symptomType}" at ${formatTime(event.timestamp)} from the diary?`)) return;
+    try {
+      await deleteSymptomEvent(event.id);
+    } catch (error) {
+      console.error('Error deleting symptom event:', error);
+      alert(error.message || 'Failed to delete the event. Please try again.');
+    }
+  };
+
+  return (
+    <div className="max-w-6xl mx-auto p-6 space-y-6 print:p-0">
+      <div className="flex flex-wrap justify-between items-center gap-3">
+        <div className="flex items-center space-x-3">
+          <NotebookPen className="w-8 h-8 text-blue-600 print:hidden" />
+          <h1 className="text-3xl font-bold text-gray-800">
+            Symptom Diary
+            <span className="hidden print:inline"> – {getActivePatient().name}</span>
+          </h1>
+        </div>
+        <div className="flex space-x-2 print:hidden">
+          <button
+            onClick={handleExport}
+            disabled={shownEvents.length === 0}
+            className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 flex items-center space-x-2 disabled:opacity-50"
+          >
+            <Download className="w-4 h-4" />
+            <span>Export CSV</span>
+          </button>
+          <button
+            onClick={() => window.print()}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 flex items-center space-x-2"
+            title="Print the report or save it as a PDF"
+          >
+            <Printer className="w-4 h-4" />
+            <span>Print report</span>
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 flex flex-wrap items-center gap-3 print:hidden">
+        <div className="flex rounded-lg border border-gray-300 overflow-hidden" role="group" aria-label="Period">
+          {DIARY_PERIODS.map(value => (
+            <button
+              key={value}
+              onClick={() => setPeriod(value)}
+              aria-pressed={period === value}
+              className={`px-4 py-2 text-sm font-medium ${
+                period === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {PERIOD_LABELS[value]}
+            </button>
+          ))}
+        </div>
+        <div className="flex items-center space-x-1">
+          <button
+            onClick={() => setAnchor(shiftDiaryAnchor(period, anchor, -1))}
+            className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg"
+            aria-label={`Previous ${period}`}
+          >
+            <ChevronLeft className="w-5 h-5" />
+          </button>
+          <button
+            onClick={() => setAnchor(new Date())}
+            className="px-3 py-2 text-sm text-gray-700 hover:bg-gray-100 rounded-lg"
+          >
+            Today
+          </button>
+          <button
+            onClick={() => setAnchor(shiftDiaryAnchor(period, anchor, 1))}
+            className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg"
+            aria-label={`Next ${period}`}
+          >
+            <ChevronRight className="w-5 h-5" />
+          </button>
+        </div>
+        <select
+          value={symptomFilter}
+          onChange={(e) => setSymptomFilter(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          aria-label="Symptom"
+        >
+          <option value="">All symptoms</option>
+          {summary.map(row => (
+            <option key={row.key} value={row.key}>{row.symptomType} ({row.bodyPartName})</option>
+          ))}
+        </select>
+      </div>
+
+      <h2 className="text-xl font-semibold text-gray-900">
+        {diaryPeriod.title}
+        {filterLabel && <span className="text-gray-600 font-normal"> · {filterLabel.symptomType} ({filterLabel.bodyPartName})</span>}
+      </h2>
+
+      {error && (
+        <div className="flex items-center space-x-2 text-red-700 text-sm">
+          <AlertTriangle className="w-4 h-4" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {/* Timeline */}
+      <section className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 break-inside-avoid">
+        <h3 className="text-lg font-medium text-gray-900 mb-4">
+          Timeline <span className="text-sm font-normal text-gray-500">({shownEvents.length} events)</span>
+        </h3>
+        <div className="flex items-end gap-1 h-40" role="img" aria-label={`Symptom events per ${period === 'day' ? 'hour' : 'day'}`}>
+          {timeline.map(bucket => (
+            <div key={bucket.start.getTime()} className="flex-1 flex flex-col items-center justify-end h-full min-w-0">
+              {bucket.count > 0 && <span className="text-xs text-gray-700">{bucket.count}</span>}
+              <div
+                className={`w-full rounded-t ${severityBarColor(bucket.maxSeverity)}`}
+                style={{ height: `${(bucket.count / maxBucketCount) * 85}%` }}
+                title={`${bucket.label}: ${bucket.count}${bucket.maxSeverity ? `, worst ${bucket.maxSeverity}/${SYMPTOM_SEVERITY_MAX}` : ''}`}
+              />
+            </div>
+          ))}
+        </div>
+        <div className="flex gap-1 mt-1 border-t border-gray-200 pt-1">
+          {timeline.map((bucket, index) => (
+            <span key={bucket.start.getTime()} className="flex-1 text-center text-[10px] text-gray-500 min-w-0 truncate">
+              {period !== 'week' && index % (period === 'day' ? 3 : 5) !== 0 ? '' : bucket.label}
+            </span>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500 mt-3">Bars are colored by the worst severity: green mild, yellow moderate, orange severe, red worst, grey not rated.</p>
+      </section>
+
+      {/* Per-symptom frequency */}
+      <section className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 break-inside-avoid">
+        <h3 className="text-lg font-medium text-gray-900 mb-4">How often each symptom happened</h3>
+        {summary.length === 0 ? (
+          <p className="text-sm text-gray-500">{loading ? 'Loading...' : 'No symptoms were logged in this period.'}</p>
+        ) : (
+          <ul className="space-y-3">
+            {summary.map(row => (
+              <li key={row.key} className="grid grid-cols-12 items-center gap-3">
+                <div className="col-span-12 sm:col-span-4 min-w-0">
+                  <div className="font-medium text-gray-900 truncate">{row.symptomType}</div>
+                  <div className="text-xs text-gray-500 truncate">{row.bodyPartName}</div>
+                </div>
+                <div className="col-span-8 sm:col-span-5 bg-gray-100 rounded h-6">
+                  <div
+                    className={`h-6 rounded ${severityBarColor(row.maxSeverity)}`}
+                    style={{ width: `${(row.count / maxSymptomCount) * 100}%` }}
+                  />
+                </div>
+                <div className="col-span-4 sm:col-span-3 text-sm text-gray-700">
+                  <span className="font-bold">{row.count}×</span>
+                  {row.averageSeverity !== null && <span className="ml-2">avg {row.averageSeverity}, worst {row.maxSeverity}</span>}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      {/* SOS alerts */}
+      {sosEvents.length > 0 && (
+        <section className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 break-inside-avoid">
+          <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center space-x-2">
+            <Siren className="w-5 h-5 text-red-600" />
+            <span>SOS alerts</span>
+          </h3>
+          <table className="w-full text-sm">
+            <thead className="text-left text-gray-500">
+              <tr>
+                <th className="py-1 pr-3 font-normal">When</th>
+                <th className="py-1 pr-3 font-normal">Called</th>
+                <th className="py-1 pr-3 font-normal">Messaged</th>
+                <th className="py-1 pr-3 font-normal">Symptoms</th>
+                <th className="py-1 pr-3 font-normal">Outcome</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {sosEvents.map(sos => (
+                <tr key={sos.id}>
+                  <td className="py-2 pr-3 text-gray-700 whitespace-nowrap">{formatDay(sos.triggeredAt)}, {formatTime(sos.triggeredAt)}</td>
+                  <td className="py-2 pr-3">{sos.calledName || '—'}</td>
+                  <td className="py-2 pr-3">
+                    {sos.notifiedAt ? sos.recipients.map(recipient => recipient.name).join(', ') : '—'}
+                  </td>
+                  <td className="py-2 pr-3">{sos.symptoms.join(', ') || '—'}</td>
+                  <td className="py-2 pr-3">
+                    {sos.outcome === 'cancelled' ? (
+                      <span className="text-gray-500">{SOS_OUTCOMES.cancelled}</span>
+                    ) : (
+                      <>
+                        <select
+                          value={sos.outcome}
+                          onChange={(e) => handleSosOutcome(sos, e.target.value)}
+                          className="px-2 py-1 border border-gray-200 rounded text-sm print:hidden"
+                          aria-label={`Outcome of the SOS at ${formatTime(sos.triggeredAt)}`}
+                        >
+                          {SOS_FOLLOW_UP_OUTCOMES.map(outcome => (
+                            <option key={outcome} value={outcome}>{SOS_OUTCOMES[outcome]}</option>
+                          ))}
+                        </select>
+                        <span className="hidden print:inline">{SOS_OUTCOMES[sos.outcome]}</span>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      )}
+
+      {/* Event log */}
+      <section className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+        <h3 className="text-lg font-medium text-gray-900 mb-4">Events</h3>
+        {eventsByDay.length === 0 && <p className="text-sm text-gray-500">Nothing to show.</p>}
+        <div className="space-y-6">
+          {eventsByDay.map(({ day, events: dayEvents }) => (
+            <div key={day} className="break-inside-avoid">
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">{formatDay(dayEvents[0].timestamp)}</h4>
+              <table className="w-full text-sm">
+                <thead className="text-left text-gray-500">
+                  <tr>
+                    <th className="py-1 pr-3 font-normal w-16">Time</th>
+                    <th className="py-1 pr-3 font-normal">Symptom</th>
+                    <th className="py-1 pr-3 font-normal w-24">Severity</th>
+                    <th className="py-1 pr-3 font-normal">Note</th>
+                    {caregiverMode && <th className="w-10 print:hidden"><span className="sr-only">Delete</span></th>}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {dayEvents.map(event => (
+                    <tr key={event.id}>
+                      <td className="py-2 pr-3 text-gray-700 tabular-nums">{formatTime(event.timestamp)}</td>
+                      <td className="py-2 pr-3">
+                        <span className="font-medium text-gray-900">{event.symptomType}</span>
+                        <span className="text-gray-500"> · {event.bodyPartName}</span>
+                      </td>
+                      <td className="py-2 pr-3 whitespace-nowrap">{formatSeverity(event.severity)}</td>
+                      <td className="py-2 pr-3"><EventNote event={event} /></td>
+                      {caregiverMode && (
+                        <td className="py-2 text-right print:hidden">
+                          <button
+                            onClick={() => handleDelete(event)}
+                            disabled={!can('deleteSymptomEvent')}
+                            className="p-1 text-gray-400 hover:text-red-600 rounded disabled:opacity-50"
+                            aria-label={`Delete ${event.symptomType} at ${formatTime(event.timestamp)}`}
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+        </div>
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,216 @@
+import React, { useState } from 'react';
+import { RefreshCw, AlertTriangle, CheckCircle } from 'lucide-react';
+import { useSyncStatus } from '../hooks/useSync';
+import { usePermissions } from '../hooks/useCaregiverMode';
+import { getActivePatient } from '../utils/patientProfiles';
+import { getSyncTransports } from '../utils/syncTransports';
+import {
+  getSyncSettings,
+  configureSync,
+  leaveSync,
+  syncNow,
+  createRoomCode,
+  formatRoomCode
+} from '../utils/sync';
+
+const readForm = () => {
+  const settings = getSyncSettings();
+  return {
+    transport: settings?.transport || 'relay',
+    relayUrl: settings?.relayUrl || '',
+    roomCode: settings ? formatRoomCode(settings.roomCode) : '',
+    autoSync: settings ? settings.autoSync : true
+  };
+};
+
+// Set up sync of the open patient's data with other devices, e.g. a
+// caregiver's phone, and sync by hand (see sync.js)
+export default function SyncPanel() {
+  const { configured, syncing, lastSyncAt, lastError } = useSyncStatus();
+  const can = usePermissions();
+  const patient = getActivePatient();
+  const [form, setForm] = useState(readForm);
+  const [editing, setEditing] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const updateForm = (field) => (value) => setForm({ ...form, [field]: value });
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    try {
+      setError(null);
+      configureSync(form);
+      setForm(readForm());
+      setEditing(false);
+      setMessage('Sync is set up. Enter the same relay and room code on the other devices.');
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const handleSyncNow = async () => {
+    try {
+      setError(null);
+      setMessage(null);
+      const result = await syncNow();
+      setMessage(`Received ${result.received} changes and ${result.receivedImages} photos, sent ${result.sent} changes and ${result.sentImages} photos.`);
+    } catch (error) {
+      setError(error.message || 'Sync failed');
+    }
+  };
+
+  const handleLeave = () => {
+    try {
+      setError(null);
+      leaveSync();
+      setForm(readForm());
+      setMessage(`${patient.name}'s data is no longer synced from this device.`);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const transports = getSyncTransports();
+  const showForm = !configured || editing;
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-4">
+      <div className="flex items-center space-x-2">
+        <RefreshCw className="w-5 h-5 text-blue-600" />
+        <h3 className="text-lg font-medium text-gray-900">Sync with other devices</h3>
+      </div>
+
+      <p className="text-sm text-gray-600">
+        Keep {patient.name}'s contacts, phrases, foods, activities, emergency data and photos the same on this device and a
+        caregiver's phone. The devices meet through a relay on the local network (run <code>npm run sync-relay</code> on a
+        computer) and everything they send is encrypted with the room code.
+      </p>
+
+      {configured && !editing && (
+        <div className="space-y-3">
+          <div className="text-sm text-gray-700 space-y-1">
+            <div>Room code: <span className="font-mono font-medium">{formatRoomCode(getSyncSettings()?.roomCode)}</span></div>
+            <div>Relay: <span className="font-mono">{getSyncSettings()?.relayUrl}</span></div>
+            <div>Last sync: {lastSyncAt ? new Date(lastSyncAt).toLocaleString() : 'never'}</div>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={handleSyncNow}
+              disabled={syncing}
+              className="flex items-center space-x-1 px-3 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              <RefreshCw className={`w-4 h-4 ${syncing ? 'animate-spin' : ''}`} />
+              <span>{syncing ? 'Syncing...' : 'Sync now'}</span>
+            </button>
+            <button
+              onClick={() => setEditing(true)}
+              disabled={!can('manageSync')}
+              className="px-3 py-2 text-sm bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors disabled:opacity-50"
+            >
+              Change settings
+            </button>
+            <button
+              onClick={handleLeave}
+              disabled={syncing || !can('manageSync')}
+              className="px-3 py-2 text-sm bg-red-50 text-red-700 rounded-lg hover:bg-red-100 transition-colors disabled:opacity-50"
+            >
+              Stop syncing
+            </button>
+          </div>
+          {lastError && !error && (
+            <div className="flex items-center space-x-2 text-red-700 text-sm">
+              <AlertTriangle className="w-4 h-4" />
+              <span>Last sync failed: {lastError}</span>
+            </div>
+          )}
+        </div>
+      )}
+
+      {showForm && (
+        <form onSubmit={handleSave} className="space-y-3">
+          {transports.length > 1 && (
+            <select
+              value={form.transport}
+              onChange={(e) => updateForm('transport')(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+              aria-label="Connection"
+            >
+              {transports.map(transport => (
+                <option key={transport.name} value={transport.name}>{transport.label}</option>
+              ))}
+            </select>
+          )}
+          <input
+            type="text"
+            value={form.relayUrl}
+            onChange={(e) => updateForm('relayUrl')(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+            aria-label="Relay address"
+            placeholder="Relay address, e.g. 192.168.1.20:8787"
+          />
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={form.roomCode}
+              onChange={(e) => updateForm('roomCode')(e.target.value)}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg font-mono focus:ring-2 focus:ring-blue-500"
+              aria-label="Room code"
+              placeholder="Room code from the other device"
+            />
+            <button
+              type="button"
+              onClick={() => updateForm('roomCode')(createRoomCode())}
+              className="px-3 py-2 text-sm bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors"
+            >
+              New code
+            </button>
+          </div>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.autoSync}
+              onChange={(e) => updateForm('autoSync')(e.target.checked)}
+            />
+            <span>Sync automatically every minute</span>
+          </label>
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={!can('manageSync') || (form.transport === 'relay' && !form.relayUrl) || !form.roomCode}
+              className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              {configured ? 'Save' : 'Start syncing'}
+            </button>
+            {editing && (
+              <button
+                type="button"
+                onClick={() => {
+                  setForm(readForm());
+                  setEditing(false);
+                }}
+                className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      )}
+
+      {error && (
+        <div className="flex items-center space-x-2 text-red-700 text-sm">
+          <AlertTriangle className="w-4 h-4" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {message && (
+        <div className="flex items-center space-x-2 text-green-700 text-sm">
+          <CheckCircle className="w-4 h-4" />
+          <span>{message}</span>
+        </div>
+      )}
+    </div>
+  );
+}
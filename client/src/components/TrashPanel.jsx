@@ -0,0 +1,218 @@
+import React, { useState, useEffect } from 'react';
+import { Trash2, ArchiveRestore, AlertTriangle, CheckCircle } from 'lucide-react';
+import {
+  listTrash,
+  restoreFromTrash,
+  deleteFromTrash,
+  emptyTrash,
+  describeTrashEntry,
+  getTrashExpiry,
+  getTrashRetentionDays,
+  saveTrashRetentionDays,
+  TRASH_RETENTION_OPTIONS
+} from '../utils/trash';
+import { findImageReferences } from '../utils/storageIntegrity';
+import { useUndoRefresh } from '../hooks/useUndoHistory';
+import { usePermissions } from '../hooks/useCaregiverMode';
+import ImageDisplay from './ImageDisplay';
+
+export default function TrashPanel({ onChanged }) {
+  const [entries, setEntries] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(getTrashRetentionDays);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [showConfirmEmpty, setShowConfirmEmpty] = useState(false);
+  const can = usePermissions();
+
+  const loadTrash = async () => {
+    try {
+      setEntries(await listTrash());
+    } catch (error) {
+      console.error('Error loading trash:', error);
+      setError('Failed to load the trash');
+    }
+  };
+
+  useEffect(() => {
+    loadTrash();
+  }, []);
+
+  useUndoRefresh(['trash'], loadTrash);
+
+  const runAction = async (action, successMessage) => {
+    try {
+      setWorking(true);
+      setError(null);
+      setMessage(null);
+      const result = await action();
+      setMessage(successMessage(result));
+      await loadTrash();
+      if (onChanged) {
+        await onChanged();
+      }
+    } catch (error) {
+      console.error('Error updating trash:', error);
+      setError(error.message || 'Failed to update the trash');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleRestore = (entry) => runAction(
+    () => restoreFromTrash(entry.id),
+    () => `Restored ${describeTrashEntry(entry)}.`
+  );
+
+  const handleDeleteForever = (entry) => {
+    if (window.confirm(`Delete ${describeTrashEntry(entry)} for good? This cannot be undone.`)) {
+      runAction(
+        () => deleteFromTrash(entry.id),
+        (result) => `Deleted ${describeTrashEntry(entry)} and ${result.imagesDeleted} images.`
+      );
+    }
+  };
+
+  const handleEmpty = () => {
+    setShowConfirmEmpty(false);
+    runAction(
+      () => emptyTrash(),
+      (result) => `Deleted ${result.deleted} items and ${result.imagesDeleted} images.`
+    );
+  };
+
+  const handleRetentionChange = (e) => {
+    setRetentionDays(saveTrashRetentionDays(Number(e.target.value)));
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-2">
+          <Trash2 className="w-5 h-5 text-blue-600" />
+          <h3 className="text-lg font-medium text-gray-900">Trash</h3>
+        </div>
+        {entries.length > 0 && (
+          <button
+            onClick={() => setShowConfirmEmpty(true)}
+            disabled={working || !can('purgeTrash')}
+            className="flex items-center space-x-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors disabled:opacity-50"
+          >
+            <Trash2 className="w-4 h-4" />
+            <span>Empty trash</span>
+          </button>
+        )}
+      </div>
+      <div className="flex items-center justify-between mb-4 text-sm text-gray-600">
+        <p>Deleted contacts, phrases, foods, body parts, symptoms and activities are kept here with their photos.</p>
+        <label className="flex items-center space-x-2 whitespace-nowrap ml-4">
+          <span>Keep for</span>
+          <select
+            value={retentionDays}
+            onChange={handleRetentionChange}
+            disabled={!can('purgeTrash')}
+            className="px-2 py-1 border border-gray-300 rounded-lg disabled:opacity-50"
+          >
+            {TRASH_RETENTION_OPTIONS.map(days => (
+              <option key={days} value={days}>{days} days</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {error && (
+        <div className="mb-4 flex items-center space-x-2 text-red-700 text-sm">
+          <AlertTriangle className="w-4 h-4" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {message && (
+        <div className="mb-4 flex items-center space-x-2 text-green-700 text-sm">
+          <CheckCircle className="w-4 h-4" />
+          <span>{message}</span>
+        </div>
+      )}
+
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-500">The trash is empty.</p>
+      ) : (
+        <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {entries.map((entry) => {
+            const imageId = findImageReferences(entry.record)[0]?.imageId;
+            return (
+              <div key={entry.id} className="p-3 flex items-center justify-between">
+                <div className="flex items-center space-x-3">
+                  {imageId ? (
+                    <ImageDisplay
+                      imagePath={imageId}
+                      alt={entry.label}
+                      className="w-10 h-10 rounded-lg object-cover"
+                      fallbackClassName="w-10 h-10 rounded-lg"
+                    />
+                  ) : (
+                    <div className="w-10 h-10 rounded-lg bg-gray-100" />
+                  )}
+                  <div>
+                    <p className="font-medium text-gray-900 capitalize">{describeTrashEntry(entry)}</p>
+                    <p className="text-xs text-gray-500">
+                      {entry.kind === 'symptom' && `From ${entry.parentLabel} · `}
+                      Deleted {new Date(entry.deletedAt).toLocaleString()} ·
+                      removed for good after {getTrashExpiry(entry, retentionDays).toLocaleDateString()}
+                    </p>
+                  </div>
+                </div>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => handleRestore(entry)}
+                    disabled={working || !can('restoreFromTrash')}
+                    className="flex items-center space-x-1 px-3 py-1.5 text-sm bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50"
+                  >
+                    <ArchiveRestore className="w-4 h-4" />
+                    <span>Restore</span>
+                  </button>
+                  <button
+                    onClick={() => handleDeleteForever(entry)}
+                    disabled={working || !can('purgeTrash')}
+                    className="p-2 text-gray-400 hover:text-red-600 transition-colors disabled:opacity-50"
+                    title="Delete for good"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {showConfirmEmpty && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 max-w-md mx-4">
+            <div className="flex items-center space-x-3 mb-4">
+              <AlertTriangle className="w-6 h-6 text-red-500" />
+              <h3 className="text-lg font-medium text-gray-900">Empty Trash</h3>
+            </div>
+            <p className="text-gray-600 mb-6">
+              This will permanently delete {entries.length} items and any photos only they use. This action cannot be undone.
+            </p>
+            <div className="flex space-x-3">
+              <button
+                onClick={handleEmpty}
+                className="flex-1 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
+              >
+                Empty trash
+              </button>
+              <button
+                onClick={() => setShowConfirmEmpty(false)}
+                className="flex-1 px-4 py-2 bg-gray-300 text-gray-700 rounded-lg hover:bg-gray-400 transition-colors"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
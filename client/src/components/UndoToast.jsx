@@ -0,0 +1,100 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Undo2, Redo2, X } from 'lucide-react';
+import { onHistoryChange, undoLastMutation, redoLastMutation } from '../utils/undoHistory';
+import { useUndoHistory } from '../hooks/useUndoHistory';
+
+const TOAST_TIMEOUT_MS = 8000;
+
+const isEditingText = (target) => {
+  return target instanceof HTMLElement &&
+    (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+};
+
+// App-wide undo toast: appears after every recorded change (add, edit,
+// delete, usage) and after an undo, so the last changes can be stepped back
+// and forward from any tab. Ctrl+Z / Ctrl+Shift+Z work outside text fields.
+export default function UndoToast() {
+  const { undoEntry, redoEntry, canUndo, canRedo } = useUndoHistory();
+  const [message, setMessage] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    return onHistoryChange(({ type, entry }) => {
+      setError(null);
+      if (type === 'record') setMessage(entry.description);
+      if (type === 'undo') setMessage(`Undone: ${entry.description}`);
+      if (type === 'redo') setMessage(`Redone: ${entry.description}`);
+      if (type === 'clear') setMessage(null);
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!message || working) return;
+    const timer = setTimeout(() => setMessage(null), TOAST_TIMEOUT_MS);
+    return () => clearTimeout(timer);
+  }, [message, working]);
+
+  const run = useCallback(async (action) => {
+    try {
+      setWorking(true);
+      await action();
+    } catch (error) {
+      console.error('Error changing history:', error);
+      setError('That change could not be undone.');
+    } finally {
+      setWorking(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z' || isEditingText(event.target)) {
+        return;
+      }
+      event.preventDefault();
+      run(event.shiftKey ? redoLastMutation : undoLastMutation);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [run]);
+
+  if (!message && !error) {
+    return null;
+  }
+
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 w-full max-w-md px-4">
+      <div className="flex items-center space-x-3 bg-gray-900 text-white rounded-lg shadow-lg px-4 py-3">
+        <span className="flex-1 text-sm truncate" title={message || ''}>
+          {error || message}
+        </span>
+        <button
+          onClick={() => run(undoLastMutation)}
+          disabled={!canUndo || working}
+          title={undoEntry ? `Undo: ${undoEntry.description}` : 'Nothing to undo'}
+          className="flex items-center space-x-1 px-2 py-1 text-sm text-yellow-300 hover:text-yellow-100 disabled:opacity-40"
+        >
+          <Undo2 className="w-4 h-4" />
+          <span>Undo</span>
+        </button>
+        <button
+          onClick={() => run(redoLastMutation)}
+          disabled={!canRedo || working}
+          title={redoEntry ? `Redo: ${redoEntry.description}` : 'Nothing to redo'}
+          className="flex items-center space-x-1 px-2 py-1 text-sm text-gray-300 hover:text-white disabled:opacity-40"
+        >
+          <Redo2 className="w-4 h-4" />
+          <span>Redo</span>
+        </button>
+        <button
+          onClick={() => { setMessage(null); setError(null); }}
+          className="text-gray-400 hover:text-white"
+          aria-label="Dismiss"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+  );
+}
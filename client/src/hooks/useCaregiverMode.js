@@ -0,0 +1,37 @@
+import { useState, useEffect, useCallback } from 'react';
+import { isCaregiverUnlocked, getActiveProfile, onCaregiverModeChange } from '../utils/caregiverLock';
+import { roleCanPerform } from '../utils/permissions';
+
+// Whether caregiver mode is unlocked; admin-only screens and buttons render
+// only while this is true
+export const useCaregiverMode = () => {
+  const [unlocked, setUnlocked] = useState(isCaregiverUnlocked);
+
+  useEffect(() => {
+    // Catch a change between the first render and subscribing
+    setUnlocked(isCaregiverUnlocked());
+    return onCaregiverModeChange(setUnlocked);
+  }, []);
+
+  return unlocked;
+};
+
+// The caregiver profile that unlocked caregiver mode, or null while locked
+export const useCaregiverProfile = () => {
+  const [profile, setProfile] = useState(getActiveProfile);
+
+  useEffect(() => {
+    setProfile(getActiveProfile());
+    return onCaregiverModeChange(() => setProfile(getActiveProfile()));
+  }, []);
+
+  return profile;
+};
+
+// `can(operation)` for the active profile, to disable buttons for actions
+// its role doesn't allow (see permissions.js)
+export const usePermissions = () => {
+  const profile = useCaregiverProfile();
+  const role = profile?.role;
+  return useCallback((operation) => roleCanPerform(role, operation), [role]);
+};
@@ -1,6 +1,36 @@
 import { useState, useEffect, useCallback } from 'react';
 import { dbOperations, initDatabase } from '../utils/database';
 import { checkAndLoadInitialData } from '../utils/initialDataLoader';
+import { migrateLocalStorageToDexie } from '../utils/localStorageMigration';
+import { backfillImageThumbnails } from '../utils/indexedDB';
+import { purgeExpiredTrash } from '../utils/trash';
+
+// Shared by every hook instance so the legacy migration and the initial
+// data load only ever run once, however many managers mount at the same time
+let initializationPromise = null;
+
+const initializeDatabase = () => {
+  if (!initializationPromise) {
+    initializationPromise = (async () => {
+      await initDatabase();
+      await migrateLocalStorageToDexie();
+      await checkAndLoadInitialData();
+
+      // Images migrated from base64 or restored from a backup have no thumbnail
+      // yet; generate them in the background without delaying startup
+      backfillImageThumbnails().catch((err) => {
+        console.error('Error generating image thumbnails:', err);
+      });
+      purgeExpiredTrash().catch((err) => {
+        console.error('Error purging expired trash:', err);
+      });
+    })().catch((err) => {
+      initializationPromise = null;
+      throw err;
+    });
+  }
+  return initializationPromise;
+};
 
 export const useDatabase = () => {
   const [isInitialized, setIsInitialized] = useState(false);
@@ -12,10 +42,9 @@ export const useDatabase = () => {
     const initialize = async () => {
       try {
         setLoading(true);
-        await initDatabase();
         
-        // Load initial data if needed
-        await checkAndLoadInitialData();
+        // Open the database, migrate legacy localStorage data and load initial data if needed
+        await initializeDatabase();
         
         setIsInitialized(true);
       } catch (err) {
@@ -51,6 +80,8 @@ export const useDatabase = () => {
   const getEmergencyById = wrapOperation(dbOperations.getEmergencyById);
   const updateEmergency = wrapOperation(dbOperations.updateEmergency);
   const deleteEmergency = wrapOperation(dbOperations.deleteEmergency);
+  const deleteSymptom = wrapOperation(dbOperations.deleteSymptom);
+  const updateSymptomUsageCount = wrapOperation(dbOperations.updateSymptomUsageCount);
 
   // Food operations
   const addFood = wrapOperation(dbOperations.addFood);
@@ -59,18 +90,24 @@ export const useDatabase = () => {
   const getFavoriteFoods = wrapOperation(dbOperations.getFavoriteFoods);
   const updateFoodUsageCount = wrapOperation(dbOperations.updateFoodUsageCount);
   const toggleFavorite = wrapOperation(dbOperations.toggleFavorite);
+  const updateFood = wrapOperation(dbOperations.updateFood);
+  const deleteFood = wrapOperation(dbOperations.deleteFood);
 
   // Contact operations
   const addContact = wrapOperation(dbOperations.addContact);
   const getAllContacts = wrapOperation(dbOperations.getAllContacts);
   const getContactsByRelationship = wrapOperation(dbOperations.getContactsByRelationship);
   const updateContactUsageCount = wrapOperation(dbOperations.updateContactUsageCount);
+  const updateContact = wrapOperation(dbOperations.updateContact);
+  const deleteContact = wrapOperation(dbOperations.deleteContact);
 
   // Phrase operations
   const addPhrase = wrapOperation(dbOperations.addPhrase);
   const getAllPhrases = wrapOperation(dbOperations.getAllPhrases);
   const getPhrasesByCategory = wrapOperation(dbOperations.getPhrasesByCategory);
   const updatePhraseUsageCount = wrapOperation(dbOperations.updatePhraseUsageCount);
+  const updatePhrase = wrapOperation(dbOperations.updatePhrase);
+  const deletePhrase = wrapOperation(dbOperations.deletePhrase);
 
   // Order operations
   const addOrder = wrapOperation(dbOperations.addOrder);
@@ -85,9 +122,19 @@ export const useDatabase = () => {
   const getActiveActivities = wrapOperation(dbOperations.getActiveActivities);
   const updateActivityUsageCount = wrapOperation(dbOperations.updateActivityUsageCount);
   const toggleActivityActive = wrapOperation(dbOperations.toggleActivityActive);
+  const updateActivity = wrapOperation(dbOperations.updateActivity);
+  const deleteActivity = wrapOperation(dbOperations.deleteActivity);
+
+  // Medication operations
+  const addMedication = wrapOperation(dbOperations.addMedication);
+  const getAllMedications = wrapOperation(dbOperations.getAllMedications);
+  const updateMedication = wrapOperation(dbOperations.updateMedication);
+  const toggleMedicationActive = wrapOperation(dbOperations.toggleMedicationActive);
+  const deleteMedication = wrapOperation(dbOperations.deleteMedication);
 
   // Data management operations
   const exportData = wrapOperation(dbOperations.exportData);
+  const previewImport = wrapOperation(dbOperations.previewImport);
   const importData = wrapOperation(dbOperations.importData);
   const clearAllData = wrapOperation(dbOperations.clearAllData);
 
@@ -108,6 +155,8 @@ export const useDatabase = () => {
     getEmergencyById,
     updateEmergency,
     deleteEmergency,
+    deleteSymptom,
+    updateSymptomUsageCount,
     
     // Food operations
     addFood,
@@ -116,18 +165,24 @@ export const useDatabase = () => {
     getFavoriteFoods,
     updateFoodUsageCount,
     toggleFavorite,
+    updateFood,
+    deleteFood,
     
     // Contact operations
     addContact,
     getAllContacts,
     getContactsByRelationship,
     updateContactUsageCount,
+    updateContact,
+    deleteContact,
     
     // Phrase operations
     addPhrase,
     getAllPhrases,
     getPhrasesByCategory,
     updatePhraseUsageCount,
+    updatePhrase,
+    deletePhrase,
     
     // Order operations
     addOrder,
@@ -142,9 +197,19 @@ export const useDatabase = () => {
     getActiveActivities,
     updateActivityUsageCount,
     toggleActivityActive,
+    updateActivity,
+    deleteActivity,
+
+    // Medication operations
+    addMedication,
+    getAllMedications,
+    updateMedication,
+    toggleMedicationActive,
+    deleteMedication,
     
     // Data management
     exportData,
+    previewImport,
     importData,
     clearAllData,
     clearError
@@ -0,0 +1,14 @@
+import { useState, useEffect } from 'react';
+import { getEmergencySettings, onEmergencyNumbersChange } from '../utils/emergencyServices';
+
+// The emergency number settings of the active patient, updated when a
+// caregiver changes them
+export const useEmergencySettings = () => {
+  const [settings, setSettings] = useState(getEmergencySettings);
+
+  useEffect(() => {
+    return onEmergencyNumbersChange(() => setSettings(getEmergencySettings()));
+  }, []);
+
+  return settings;
+};
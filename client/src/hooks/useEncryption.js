@@ -0,0 +1,21 @@
+import { useState, useEffect } from 'react';
+import { isEncryptionEnabled, isEncryptionUnlocked, onEncryptionChange } from '../utils/encryption';
+
+const readEncryptionState = () => ({
+  enabled: isEncryptionEnabled(),
+  unlocked: isEncryptionUnlocked()
+});
+
+// Whether the active patient's data is encrypted, and whether the session
+// key to read it is unlocked
+export const useEncryptionState = () => {
+  const [state, setState] = useState(readEncryptionState);
+
+  useEffect(() => {
+    // Catch a change between the first render and subscribing
+    setState(readEncryptionState());
+    return onEncryptionChange(() => setState(readEncryptionState()));
+  }, []);
+
+  return state;
+};
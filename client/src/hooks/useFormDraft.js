@@ -0,0 +1,25 @@
+import { useState, useEffect, useCallback } from 'react';
+import { saveDraft, loadDraft, clearDraft } from '../utils/formDrafts';
+
+// Keep a form's data as a draft while it is open. `pendingDraft` is a draft
+// left over from an earlier session that the caregiver can restore; call
+// `discardDraft` after a successful save or an explicit cancel. `context`
+// holds anything else needed to reopen the form (e.g. the parent record id).
+export const useFormDraft = (formId, { formData, editingId = null, context = null, active }) => {
+  const [pendingDraft, setPendingDraft] = useState(() => loadDraft(formId));
+
+  useEffect(() => {
+    if (active) {
+      saveDraft(formId, { formData, editingId, context });
+      // Editing again replaces whatever draft was waiting to be restored
+      setPendingDraft(null);
+    }
+  }, [formId, formData, editingId, context, active]);
+
+  const discardDraft = useCallback(() => {
+    clearDraft(formId);
+    setPendingDraft(null);
+  }, [formId]);
+
+  return { pendingDraft, discardDraft };
+};
@@ -0,0 +1,29 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getMedicalId, onMedicalIdChange } from '../utils/medicalId';
+import { useUndoRefresh } from './useUndoHistory';
+
+// The active patient's medical ID (null until one is saved), reloaded when a
+// caregiver saves it, undoes a change or another device syncs one
+export const useMedicalId = () => {
+  const [medicalId, setMedicalId] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const load = useCallback(async () => {
+    try {
+      setMedicalId(await getMedicalId());
+    } catch {
+      // getMedicalId has logged it; the card says nothing is saved
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+    return onMedicalIdChange(load);
+  }, [load]);
+
+  useUndoRefresh(['medicalIds'], load);
+
+  return { medicalId, loading };
+};
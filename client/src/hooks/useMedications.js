@@ -0,0 +1,50 @@
+import { useState, useEffect, useCallback } from 'react';
+import { medicationOperations } from '../utils/database';
+import { listDoseLogs, onMedicationChange, DOSE_WINDOW_HOURS } from '../utils/medications';
+import { useUndoRefresh } from './useUndoHistory';
+
+// How often due doses are checked for. Reloading also picks up medications
+// edited on another screen.
+const CHECK_INTERVAL_MS = 30 * 1000;
+
+// Medications and the dose log from `since` (default: the oldest dose that
+// can still be due), reloaded on every answer, undo and sync and every
+// CHECK_INTERVAL_MS, with the `now` they were checked at.
+export const useMedications = (since = null) => {
+  const [medications, setMedications] = useState([]);
+  const [logs, setLogs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [now, setNow] = useState(() => new Date());
+  const sinceTime = since ? since.getTime() : null;
+
+  const load = useCallback(async () => {
+    try {
+      const from = new Date(sinceTime ?? Date.now() - DOSE_WINDOW_HOURS * 60 * 60 * 1000);
+      const [allMedications, doseLogs] = await Promise.all([
+        medicationOperations.getAllMedications(),
+        listDoseLogs({ from })
+      ]);
+      setMedications(allMedications);
+      setLogs(doseLogs);
+    } catch {
+      // Logged by the operations; keep what was shown
+    } finally {
+      setLoading(false);
+      setNow(new Date());
+    }
+  }, [sinceTime]);
+
+  useEffect(() => {
+    load();
+    return onMedicationChange(load);
+  }, [load]);
+
+  useUndoRefresh(['medications', 'medicationDoses'], load);
+
+  useEffect(() => {
+    const timer = setInterval(load, CHECK_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [load]);
+
+  return { medications, logs, loading, now, reload: load };
+};
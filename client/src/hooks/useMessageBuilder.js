@@ -0,0 +1,15 @@
+import { useState, useEffect } from 'react';
+import { getMessageTiles, onMessageChange } from '../utils/messageBuilder';
+
+// The tiles of the message being composed, updated as tiles are added,
+// moved or removed from any tab
+export const useMessageTiles = () => {
+  const [tiles, setTiles] = useState(getMessageTiles);
+
+  useEffect(() => {
+    setTiles(getMessageTiles());
+    return onMessageChange(() => setTiles(getMessageTiles()));
+  }, []);
+
+  return tiles;
+};
@@ -0,0 +1,107 @@
+import { useState, useEffect } from 'react';
+import {
+  checkReminders,
+  handleReminderAction,
+  getReminderBanners,
+  getReminderSettings,
+  getNotificationPermission,
+  getBackgroundDelivery,
+  onReminderChange,
+  REMINDER_MESSAGE_TYPE
+} from '../utils/reminders';
+
+// How often reminders are checked for while the app is open. Browsers may
+// check less often in background tabs. Where the service worker shows them
+// (see reminders.js) the check only keeps its schedule up to date and shows
+// what it missed.
+const CHECK_INTERVAL_MS = 30 * 1000;
+
+const answerReminder = (key, action) => {
+  handleReminderAction(key, action).catch(error => {
+    console.error('Error answering reminder:', error);
+  });
+};
+
+// Runs the reminder engine while the app is open and answers taps on its
+// notifications (see reminders.js). Mount once, inside the encryption gate.
+export const useReminderEngine = () => {
+  useEffect(() => {
+    const check = () => {
+      checkReminders().catch(error => {
+        console.error('Error checking reminders:', error);
+      });
+    };
+    check();
+    const timer = setInterval(check, CHECK_INTERVAL_MS);
+    document.addEventListener('visibilitychange', check);
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', check);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!navigator.serviceWorker) return undefined;
+    const handleMessage = (event) => {
+      if (event.data?.type === REMINDER_MESSAGE_TYPE) {
+        answerReminder(event.data.key, event.data.action);
+      }
+    };
+    navigator.serviceWorker.addEventListener('message', handleMessage);
+    return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+  }, []);
+
+  // Opened by a notification while the app was closed
+  useEffect(() => {
+    const url = new URL(window.location.href);
+    const key = url.searchParams.get('reminder');
+    if (!key) return;
+    answerReminder(key, url.searchParams.get('reminderAction') || 'open');
+    url.searchParams.delete('reminder');
+    url.searchParams.delete('reminderAction');
+    window.history.replaceState(window.history.state, '', url.href);
+  }, []);
+};
+
+// Reminders shown in the app because notifications are off
+export const useReminderBanners = () => {
+  const [banners, setBanners] = useState(getReminderBanners);
+
+  useEffect(() => {
+    return onReminderChange(() => setBanners(getReminderBanners()));
+  }, []);
+
+  return banners;
+};
+
+// The reminder settings, notification permission and how reminders reach
+// the patient while the app is closed (null until known), updated when they
+// change
+export const useReminderSettings = () => {
+  const [state, setState] = useState(() => ({
+    settings: getReminderSettings(),
+    permission: getNotificationPermission()
+  }));
+  const [delivery, setDelivery] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    const update = () => {
+      setState({ settings: getReminderSettings(), permission: getNotificationPermission() });
+      getBackgroundDelivery().then(mode => {
+        if (active) setDelivery(mode);
+      });
+    };
+    update();
+    // The permission may also change in the browser's site settings
+    window.addEventListener('focus', update);
+    const unsubscribe = onReminderChange(update);
+    return () => {
+      active = false;
+      window.removeEventListener('focus', update);
+      unsubscribe();
+    };
+  }, []);
+
+  return { ...state, delivery };
+};
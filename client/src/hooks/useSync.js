@@ -0,0 +1,40 @@
+import { useState, useEffect } from 'react';
+import { getSyncStatus, onSyncChange, syncNow, AUTO_SYNC_INTERVAL_MS } from '../utils/sync';
+import { isEncryptionEnabled, isEncryptionUnlocked } from '../utils/encryption';
+
+// Whether sync is set up for the active patient, and how the last sync went
+export const useSyncStatus = () => {
+  const [status, setStatus] = useState(getSyncStatus);
+
+  useEffect(() => {
+    // Catch a change between the first render and subscribing
+    setStatus(getSyncStatus());
+    return onSyncChange(() => setStatus(getSyncStatus()));
+  }, []);
+
+  return status;
+};
+
+// Sync in the background while auto-sync is on: when the app starts, every
+// AUTO_SYNC_INTERVAL_MS and when the device comes back online. A failure is
+// shown in the sync panel and retried next time.
+export const useAutoSync = () => {
+  const { configured, autoSync } = useSyncStatus();
+
+  useEffect(() => {
+    if (!configured || !autoSync) return;
+
+    const runSync = () => {
+      if (isEncryptionEnabled() && !isEncryptionUnlocked()) return;
+      syncNow().catch(() => {});
+    };
+
+    runSync();
+    const timer = setInterval(runSync, AUTO_SYNC_INTERVAL_MS);
+    window.addEventListener('online', runSync);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener('online', runSync);
+    };
+  }, [configured, autoSync]);
+};
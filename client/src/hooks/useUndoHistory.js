@@ -0,0 +1,51 @@
+import { useState, useEffect, useRef } from 'react';
+import { getHistoryState, onHistoryChange } from '../utils/undoHistory';
+import { onSyncChange } from '../utils/sync';
+import { onMessageChange } from '../utils/messageBuilder';
+
+// Current undo/redo state, updated whenever a mutation is recorded or undone
+export const useUndoHistory = () => {
+  const [history, setHistory] = useState(getHistoryState);
+
+  useEffect(() => {
+    return onHistoryChange(() => setHistory(getHistoryState()));
+  }, []);
+
+  return history;
+};
+
+// Call `onChange` whenever an undo, a redo, a sync from another device or a
+// message saved from the message strip touches one of `tables`, so a manager
+// can reload the records it shows
+export const useUndoRefresh = (tables, onChange) => {
+  const onChangeRef = useRef(onChange);
+  const tableKey = tables.join(',');
+
+  useEffect(() => {
+    onChangeRef.current = onChange;
+  });
+
+  useEffect(() => {
+    const watched = tableKey.split(',');
+    const unsubscribeHistory = onHistoryChange(({ type, entry }) => {
+      if ((type === 'undo' || type === 'redo') && entry.tables.some(table => watched.includes(table))) {
+        onChangeRef.current();
+      }
+    });
+    const unsubscribeSync = onSyncChange(({ type, tables }) => {
+      if (type === 'applied' && tables.some(table => watched.includes(table))) {
+        onChangeRef.current();
+      }
+    });
+    const unsubscribeMessage = onMessageChange(({ type }) => {
+      if (type === 'saved' && watched.includes('phrases')) {
+        onChangeRef.current();
+      }
+    });
+    return () => {
+      unsubscribeHistory();
+      unsubscribeSync();
+      unsubscribeMessage();
+    };
+  }, [tableKey]);
+};
@@ -0,0 +1,21 @@
+// Test environment for the storage modules: IndexedDB from fake-indexeddb
+// and an in-memory localStorage, reset before every test file
+import 'fake-indexeddb/auto';
+
+const createMemoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+    clear: () => items.clear(),
+    key: (index) => [...items.keys()][index] ?? null,
+    get length() {
+      return items.size;
+    }
+  };
+};
+
+globalThis.localStorage = createMemoryStorage();
+globalThis.sessionStorage = createMemoryStorage();
+globalThis.window = globalThis.window || globalThis;
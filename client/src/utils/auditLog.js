@@ -0,0 +1,135 @@
+import { toCsv } from './fileDownload';
+
+// Append-only log of caregiver changes: who changed which record, when, and
+// a field-by-field diff of what changed. Entries are written next to every
+// recorded mutation (see undoHistory.js) and never updated or deleted.
+
+// Which caregiver profile is making changes; `null` while caregiver mode is
+// locked, when changes (usage counts, favorites) come from the patient
+let activeActor = null;
+
+export const setAuditActor = (actor) => {
+  activeActor = actor ? { id: actor.id ?? null, name: actor.name || 'Caregiver' } : null;
+};
+
+export const getAuditActor = () => activeActor;
+
+// Entity type used for changes that touch whole collections at once
+export const ALL_ENTITIES = 'all';
+
+// Fields that change on every write and would only add noise
+const IGNORED_FIELDS = ['updatedAt'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Flatten a record into `path -> value`. Arrays of objects with an `id`
+// (e.g. a body part's symptoms) are keyed by id so reordering isn't a change.
+const flattenRecord = (value, prefix = '', result = {}) => {
+  if (Array.isArray(value) && value.every(item => isPlainObject(item) && item.id !== undefined)) {
+    value.forEach(item => flattenRecord(item, `${prefix}[${item.id}]`, result));
+    if (value.length === 0) result[prefix] = [];
+    return result;
+  }
+  if (isPlainObject(value)) {
+    Object.entries(value)
+      .filter(([key]) => !(prefix === '' && IGNORED_FIELDS.includes(key)))
+      .forEach(([key, item]) => flattenRecord(item, prefix ? `${prefix}.${key}` : key, result));
+    return result;
+  }
+  result[prefix] = value;
+  return result;
+};
+
+// `{ path: { before, after } }` for every field that differs
+export const diffRecords = (before, after) => {
+  const a = before ? flattenRecord(before) : {};
+  const b = after ? flattenRecord(after) : {};
+  const diff = {};
+
+  new Set([...Object.keys(a), ...Object.keys(b)]).forEach(path => {
+    if (JSON.stringify(a[path]) !== JSON.stringify(b[path])) {
+      diff[path] = { before: a[path] ?? null, after: b[path] ?? null };
+    }
+  });
+  return diff;
+};
+
+const getAction = (before, after) => {
+  if (!before) return 'create';
+  if (!after) return 'delete';
+  return 'update';
+};
+
+const createEntry = (fields) => ({
+  timestamp: new Date().toISOString(),
+  actorId: activeActor?.id ?? null,
+  actorName: activeActor?.name || 'Patient',
+  ...fields
+});
+
+// Log the record changes of one mutation. `source` says whether it was a
+// direct edit, an undo or a redo (undo applies each change in reverse).
+export const logMutation = async (database, { description, changes }, source = 'edit') => {
+  const entries = changes
+    .filter(change => change.table !== 'trash')
+    .map(change => {
+      const [before, after] = source === 'undo' ? [change.after, change.before] : [change.before, change.after];
+      return createEntry({
+        entityType: change.table,
+        entityId: change.key,
+        action: getAction(before, after),
+        source,
+        description,
+        diff: diffRecords(before, after)
+      });
+    });
+
+  if (entries.length > 0) {
+    await database.table('auditLog').bulkAdd(entries);
+  }
+};
+
+// Log a change that replaces or removes data wholesale (import, restore,
+// clearing or resetting a collection) as a single summary entry
+export const logBulkChange = async (database, { entityType = ALL_ENTITIES, action, description }) => {
+  await database.table('auditLog').add(createEntry({
+    entityType,
+    entityId: null,
+    action,
+    source: 'edit',
+    description,
+    diff: {}
+  }));
+};
+
+// Newest first, optionally filtered by entity type and a date range
+// (`from` / `to` are yyyy-mm-dd strings, both inclusive)
+export const queryAuditLog = async (database, { entityType = '', from = '', to = '' } = {}) => {
+  try {
+    const lower = from ? new Date(`${from}T00:00:00`).toISOString() : '';
+    const upper = to ? new Date(`${to}T23:59:59.999`).toISOString() : '\uffff';
+    const entries = await database.table('auditLog')
+      .where('timestamp').between(lower, upper, true, true)
+      .reverse()
+      .toArray();
+
+    return entityType ? entries.filter(entry => entry.entityType === entityType) : entries;
+  } catch (error) {
+    console.error('Error querying audit log:', error);
+    throw error;
+  }
+};
+
+// One row per changed field, so the CSV opens cleanly in a spreadsheet
+export const auditLogToCsv = (entries) => {
+  const header = ['timestamp', 'caregiver', 'entity', 'id', 'action', 'source', 'description', 'field', 'before', 'after'];
+  const rows = entries.flatMap(entry => {
+    const base = [entry.timestamp, entry.actorName, entry.entityType, entry.entityId, entry.action, entry.source, entry.description];
+    const fields = Object.entries(entry.diff || {});
+    return fields.length > 0
+      ? fields.map(([field, { before, after }]) => [...base, field, before, after])
+      : [[...base, '', '', '']];
+  });
+
+  return toCsv([header, ...rows]);
+};
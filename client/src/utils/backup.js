@@ -0,0 +1,329 @@
+import { db } from './database';
+import { getAllUserImages, clearAllUserImages, putUserImageRecords } from './indexedDB';
+import { buildImportDiff, applyImportDiff } from './importMerge';
+import { serializeImage, deserializeImage } from './imageProcessing';
+import { downloadFile, getFileDateStamp } from './fileDownload';
+import { clearHistory } from './undoHistory';
+import { logBulkChange } from './auditLog';
+import { assertCanPerform } from './caregiverLock';
+import { patientStorage, getActivePatient, isDeviceStorageKey } from './patientProfiles';
+import { ENCRYPTION_SETTINGS_KEY, isEncryptionEnabled, encryptWithPassphrase, decryptWithPassphrase } from './encryption';
+import { SYNC_SETTINGS_KEY } from './sync';
+import { SYNC_RECORDS_TABLE } from './syncTracking';
+import { TRUSTED_DEVICES_KEY, RECEIVED_SHARES_KEY } from './devicePairing';
+
+// Backup archive of the active patient profile: every StrokeAppDB table, the
+// patient's localStorage entries and the user-uploaded images, bundled into
+// one JSON file with a manifest of per-section counts and SHA-256 checksums.
+// An archive can be restored into any patient profile, and can be saved
+// encrypted with a passphrase.
+export const BACKUP_FORMAT = 'strokeapp-backup';
+// A whole archive encrypted with a passphrase (see encryption.js)
+export const ENCRYPTED_BACKUP_FORMAT = 'strokeapp-backup-encrypted';
+// v2: image Blobs are stored as data URLs in `blob` / `thumbnail`
+// (v1 archives hold a `base64Data` string, which still restores)
+export const BACKUP_FORMAT_VERSION = 2;
+
+export const RESTORE_MODES = ['merge', 'replace'];
+
+const TABLE_SECTION_PREFIX = 'tables.';
+
+const toHex = (buffer) => {
+  return Array.from(new Uint8Array(buffer))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+const checksum = async (value) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(value));
+  return toHex(await crypto.subtle.digest('SHA-256', bytes));
+};
+
+// The encryption key is wrapped with this device's passphrase and stays with
+// the patient profile it encrypts; sync settings and change tracking describe
+// this device's place in a sync room; paired devices trust this device's key
+const LOCAL_ONLY_KEYS = [ENCRYPTION_SETTINGS_KEY, SYNC_SETTINGS_KEY, TRUSTED_DEVICES_KEY, RECEIVED_SHARES_KEY];
+const isBackedUpKey = (key) => !LOCAL_ONLY_KEYS.includes(key);
+const isBackedUpTable = (table) => table.name !== SYNC_RECORDS_TABLE;
+
+const readLocalStorage = () => {
+  const entries = {};
+  patientStorage.keys().filter(isBackedUpKey).forEach(key => {
+    entries[key] = patientStorage.getItem(key);
+  });
+  return entries;
+};
+
+// Resolve a manifest section name to the data it describes
+const getSectionData = (archive, sectionName) => {
+  if (sectionName.startsWith(TABLE_SECTION_PREFIX)) {
+    return archive.tables?.[sectionName.slice(TABLE_SECTION_PREFIX.length)];
+  }
+  if (sectionName === 'localStorage') {
+    return archive.localStorage;
+  }
+  if (sectionName === 'images') {
+    return archive.images;
+  }
+  return undefined;
+};
+
+const countItems = (data) => {
+  if (Array.isArray(data)) {
+    return data.length;
+  }
+  return data ? Object.keys(data).length : 0;
+};
+
+// Bundle every collection and referenced image into a versioned archive
+export const createBackupArchive = async () => {
+  try {
+    const tables = {};
+    for (const table of db.tables.filter(isBackedUpTable)) {
+      tables[table.name] = await table.toArray();
+    }
+    const localStorageData = readLocalStorage();
+    const images = await Promise.all((await getAllUserImages()).map(serializeImage));
+
+    const archive = { tables, localStorage: localStorageData, images };
+    const sections = {};
+    const sectionNames = [
+      ...Object.keys(tables).map(name => `${TABLE_SECTION_PREFIX}${name}`),
+      'localStorage',
+      'images'
+    ];
+    for (const sectionName of sectionNames) {
+      const data = getSectionData(archive, sectionName);
+      sections[sectionName] = {
+        count: countItems(data),
+        checksum: await checksum(data)
+      };
+    }
+    sections.images.bytes = images.reduce((sum, image) => sum + (image.size || 0), 0);
+
+    return {
+      manifest: {
+        format: BACKUP_FORMAT,
+        formatVersion: BACKUP_FORMAT_VERSION,
+        createdAt: new Date().toISOString(),
+        schemaVersion: db.verno,
+        patient: { id: getActivePatient().id, name: getActivePatient().name },
+        sections
+      },
+      ...archive
+    };
+  } catch (error) {
+    console.error('Error creating backup archive:', error);
+    throw error;
+  }
+};
+
+// Create an archive and hand it to the browser as a download. With a
+// passphrase the whole file is encrypted, and its name leaves out the patient.
+// Encrypted patient data is only ever backed up encrypted.
+export const downloadBackupArchive = async ({ passphrase } = {}) => {
+  if (!passphrase && isEncryptionEnabled()) {
+    throw new Error("This patient's data is encrypted, so the backup needs a passphrase too.");
+  }
+
+  const archive = await createBackupArchive();
+  if (passphrase) {
+    const encrypted = await encryptWithPassphrase(JSON.stringify(archive), passphrase);
+    downloadFile(
+      JSON.stringify({ format: ENCRYPTED_BACKUP_FORMAT, ...encrypted }),
+      `stroke-app-backup-encrypted-${getFileDateStamp()}.json`
+    );
+    return archive;
+  }
+
+  const patientName = archive.manifest.patient.name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  downloadFile(JSON.stringify(archive), `stroke-app-backup-${patientName}-${getFileDateStamp()}.json`);
+  return archive;
+};
+
+// Check the manifest and every section checksum. Returns a list of problems.
+export const validateBackupArchive = async (archive) => {
+  const errors = [];
+  const manifest = archive?.manifest;
+
+  if (!manifest || manifest.format !== BACKUP_FORMAT) {
+    errors.push('Not a Stroke App backup file');
+    return errors;
+  }
+
+  if (!Number.isInteger(manifest.formatVersion) || manifest.formatVersion > BACKUP_FORMAT_VERSION) {
+    errors.push(`Unsupported backup version ${manifest.formatVersion}`);
+    return errors;
+  }
+
+  for (const [sectionName, section] of Object.entries(manifest.sections || {})) {
+    const data = getSectionData(archive, sectionName);
+    if (data === undefined) {
+      errors.push(`Missing section ${sectionName}`);
+    } else if (countItems(data) !== section.count) {
+      errors.push(`Section ${sectionName} has ${countItems(data)} entries, expected ${section.count}`);
+    } else if (await checksum(data) !== section.checksum) {
+      errors.push(`Checksum mismatch in section ${sectionName}`);
+    }
+  }
+
+  return errors;
+};
+
+export const isBackupPassphraseRequired = (error) => error?.name === 'BackupPassphraseRequiredError';
+
+const decryptBackup = async (encrypted, passphrase) => {
+  if (!passphrase) {
+    const error = new Error('This backup is encrypted. Enter its passphrase.');
+    error.name = 'BackupPassphraseRequiredError';
+    throw error;
+  }
+  const text = await decryptWithPassphrase(encrypted, passphrase);
+  if (text === null) {
+    throw new Error('The passphrase for this backup is not correct.');
+  }
+  return JSON.parse(text);
+};
+
+// Parse and validate a backup file chosen by the caregiver. An encrypted file
+// needs its passphrase; without one a BackupPassphraseRequiredError is thrown.
+export const readBackupFile = async (file, passphrase) => {
+  let archive;
+  try {
+    archive = JSON.parse(await file.text());
+  } catch (error) {
+    console.error('Error parsing backup file:', error);
+    throw new Error('The backup file could not be read.');
+  }
+
+  if (archive?.format === ENCRYPTED_BACKUP_FORMAT) {
+    archive = await decryptBackup(archive, passphrase);
+  }
+
+  const errors = await validateBackupArchive(archive);
+  if (errors.length > 0) {
+    throw new Error(errors.join(', '));
+  }
+  return archive;
+};
+
+// Compare what the archive holds with what is on this device, section by section
+export const summarizeBackupArchive = async (archive) => {
+  try {
+    const currentImages = await getAllUserImages();
+    const currentLocalStorage = readLocalStorage();
+    const rows = [];
+
+    for (const [name, records] of Object.entries(archive.tables)) {
+      const table = db.tables.find(t => t.name === name);
+      rows.push({
+        section: `${TABLE_SECTION_PREFIX}${name}`,
+        label: name,
+        incoming: records.length,
+        current: table ? await table.count() : 0,
+        supported: Boolean(table)
+      });
+    }
+
+    rows.push({
+      section: 'localStorage',
+      label: 'settings',
+      incoming: countItems(archive.localStorage),
+      current: countItems(currentLocalStorage),
+      supported: true
+    });
+    rows.push({
+      section: 'images',
+      label: 'images',
+      incoming: archive.images.length,
+      current: currentImages.length,
+      supported: true
+    });
+
+    return rows;
+  } catch (error) {
+    console.error('Error summarizing backup archive:', error);
+    throw error;
+  }
+};
+
+// Diff of the archive's records against this device, for reviewing a merge
+export const previewBackupMerge = (archive) => buildImportDiff(db, archive.tables);
+
+// Never cleared by a replace restore: the archive's entries are added to the
+// device's own
+const APPEND_ONLY_TABLES = ['auditLog'];
+
+const restoreTables = async (tables, mode, mergeOptions) => {
+  const targetTables = db.tables.filter(table => isBackedUpTable(table) && Array.isArray(tables[table.name]));
+
+  if (mode === 'merge') {
+    // Match records by identity so nothing is duplicated or collides
+    const diff = await buildImportDiff(db, tables);
+    await applyImportDiff(db, diff, mergeOptions);
+    return targetTables.length;
+  }
+
+  const replacedTables = targetTables.filter(table => !APPEND_ONLY_TABLES.includes(table.name));
+  await db.transaction('rw', replacedTables, async () => {
+    for (const table of replacedTables) {
+      await table.clear();
+      await table.bulkPut(tables[table.name]);
+    }
+  });
+
+  const appendOnly = Object.fromEntries(
+    APPEND_ONLY_TABLES.filter(name => Array.isArray(tables[name])).map(name => [name, tables[name]])
+  );
+  await applyImportDiff(db, await buildImportDiff(db, appendOnly));
+
+  return targetTables.length;
+};
+
+// Archives made before patient profiles existed also hold device settings
+// such as the caregiver lock, which a restore must not overwrite
+const restoreLocalStorage = (entries, mode) => {
+  Object.entries(entries)
+    .filter(([key]) => !isDeviceStorageKey(key) && isBackedUpKey(key))
+    .forEach(([key, value]) => {
+      if (mode === 'replace' || patientStorage.getItem(key) === null) {
+        patientStorage.setItem(key, value);
+      }
+    });
+};
+
+const restoreImages = async (archivedImages, mode) => {
+  const images = archivedImages.map(deserializeImage);
+  if (mode === 'replace') {
+    await clearAllUserImages();
+    return putUserImageRecords(images);
+  }
+
+  const existingIds = new Set((await getAllUserImages()).map(image => image.id));
+  return putUserImageRecords(images.filter(image => !existingIds.has(image.id)));
+};
+
+// Restore a validated archive. 'replace' wipes each restored collection first,
+// 'merge' keeps what is on the device and merges the archive's records into it
+// (`resolutions` and `usageMode` are passed on to applyImportDiff).
+export const restoreBackupArchive = async (archive, { mode = 'merge', resolutions, usageMode } = {}) => {
+  if (!RESTORE_MODES.includes(mode)) {
+    throw new Error(`Invalid restore mode: ${mode}`);
+  }
+
+  try {
+    assertCanPerform('restoreBackup');
+    const tableCount = await restoreTables(archive.tables, mode, { resolutions, usageMode });
+    restoreLocalStorage(archive.localStorage, mode);
+    const imageCount = await restoreImages(archive.images, mode);
+    await logBulkChange(db, { action: 'restore', description: `Restored a backup (${mode})` });
+    // Restored records can't be unwound change by change
+    clearHistory();
+
+    console.log(`Backup restored (${mode}): ${tableCount} tables, ${imageCount} images`);
+    return { tableCount, imageCount };
+  } catch (error) {
+    console.error('Error restoring backup archive:', error);
+    throw error;
+  }
+};
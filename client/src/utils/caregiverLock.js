@@ -0,0 +1,419 @@
+// Caregiver mode: a single app-wide unlock that shows the edit screens.
+// Each caregiver has a profile with a role (see permissions.js) and their
+// own PIN or pattern. Only salted hashes are stored (localStorage
+// 'caregiverLock'), and a one-time backup code resets an owner's forgotten
+// secret. Caregiver mode locks itself again after a period of inactivity.
+
+import { roleCanPerform, createPermissionError, ROLE_IDS } from './permissions';
+import { setAuditActor } from './auditLog';
+import { clearHistory } from './undoHistory';
+
+const LOCK_KEY = 'caregiverLock';
+
+export const LOCK_TYPES = ['pin', 'pattern'];
+export const PIN_LENGTH = { min: 4, max: 8 };
+export const MIN_PATTERN_LENGTH = 4;
+export const AUTO_LOCK_OPTIONS = [1, 2, 5, 10, 15];
+export const DEFAULT_AUTO_LOCK_MINUTES = 5;
+
+// After this many wrong entries in a row, unlocking pauses for a while
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 30 * 1000;
+
+// No 0/O or 1/I so the code can be read back from paper
+const BACKUP_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const randomHex = (bytes) => {
+  const values = crypto.getRandomValues(new Uint8Array(bytes));
+  return Array.from(values, value => value.toString(16).padStart(2, '0')).join('');
+};
+
+const hashSecret = async (secret, salt) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${secret}`));
+  return Array.from(new Uint8Array(digest), value => value.toString(16).padStart(2, '0')).join('');
+};
+
+// A pattern is the list of dots (0-8, row by row) in the order they were joined
+const encodeSecret = (type, secret) => type === 'pattern' ? secret.join('-') : secret;
+
+const normalizeBackupCode = (code) => code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const generateBackupCode = () => {
+  const values = crypto.getRandomValues(new Uint8Array(12));
+  const code = Array.from(values, value => BACKUP_CODE_ALPHABET[value % BACKUP_CODE_ALPHABET.length]).join('');
+  return code.match(/.{4}/g).join('-');
+};
+
+// Settings saved before profiles existed hold a single secret; it becomes
+// the owner profile
+const upgradeLockSettings = (settings) => {
+  if (!settings || Array.isArray(settings.profiles)) {
+    return settings;
+  }
+
+  const { type, salt, secretHash, ...rest } = settings;
+  return {
+    ...rest,
+    profiles: secretHash
+      ? [{ id: 'owner', name: 'Owner', role: 'owner', type, salt, secretHash, createdAt: settings.updatedAt }]
+      : []
+  };
+};
+
+export const getLockSettings = () => {
+  try {
+    return upgradeLockSettings(JSON.parse(localStorage.getItem(LOCK_KEY)));
+  } catch {
+    return null;
+  }
+};
+
+const saveLockSettings = (settings) => {
+  localStorage.setItem(LOCK_KEY, JSON.stringify(settings));
+  return settings;
+};
+
+const getStoredProfiles = () => getLockSettings()?.profiles || [];
+
+// Profiles without their hashes, for pickers and the profile list
+const toPublicProfile = ({ id, name, role, type }) => ({ id, name, role, type });
+
+export const getCaregiverProfiles = () => getStoredProfiles().map(toPublicProfile);
+
+export const isCaregiverLockConfigured = () => getStoredProfiles().length > 0;
+
+export const getAutoLockMinutes = () => getLockSettings()?.autoLockMinutes || DEFAULT_AUTO_LOCK_MINUTES;
+
+// Returns an error message, or null when the PIN/pattern can be used
+export const validateSecret = (type, secret) => {
+  if (type === 'pin') {
+    if (!/^\d+$/.test(secret) || secret.length < PIN_LENGTH.min || secret.length > PIN_LENGTH.max) {
+      return `The PIN must be ${PIN_LENGTH.min} to ${PIN_LENGTH.max} digits`;
+    }
+    return null;
+  }
+  if (type === 'pattern') {
+    if (!Array.isArray(secret) || secret.length < MIN_PATTERN_LENGTH || new Set(secret).size !== secret.length) {
+      return `Connect at least ${MIN_PATTERN_LENGTH} dots`;
+    }
+    return null;
+  }
+  return `Unknown lock type: ${type}`;
+};
+
+const validateProfile = ({ name, role }) => {
+  if (!name?.trim()) {
+    return 'Enter a name for the profile';
+  }
+  if (!ROLE_IDS.includes(role)) {
+    return `Unknown role: ${role}`;
+  }
+  return null;
+};
+
+const hashProfileSecret = async (type, secret) => {
+  const problem = validateSecret(type, secret);
+  if (problem) {
+    throw new Error(problem);
+  }
+
+  const salt = randomHex(16);
+  return { type, salt, secretHash: await hashSecret(encodeSecret(type, secret), salt) };
+};
+
+// A new backup code, which is shown to the caregiver once and only stored
+// as a hash
+const issueBackupCode = async (settings) => {
+  const backupSalt = randomHex(16);
+  const backupCode = generateBackupCode();
+  saveLockSettings({
+    ...settings,
+    backupSalt,
+    backupHash: await hashSecret(normalizeBackupCode(backupCode), backupSalt),
+    updatedAt: new Date().toISOString()
+  });
+  return backupCode;
+};
+
+const saveProfiles = (profiles) => saveLockSettings({
+  ...getLockSettings(),
+  profiles,
+  updatedAt: new Date().toISOString()
+});
+
+export const saveAutoLockMinutes = (minutes) => {
+  if (!AUTO_LOCK_OPTIONS.includes(minutes)) {
+    throw new Error(`Invalid auto-lock time: ${minutes} minutes`);
+  }
+  assertCanPerform('manageCaregivers');
+  saveLockSettings({ ...getLockSettings(), autoLockMinutes: minutes });
+  scheduleAutoLock();
+  return minutes;
+};
+
+// --- Session state (memory only, so a reload always starts locked) ---
+
+let unlocked = false;
+let activeProfileId = null;
+let lastActivity = 0;
+let autoLockTimer = null;
+const modeListeners = new Set();
+const unlockRequestListeners = new Set();
+
+// Subscribe to lock/unlock and changes to the active profile. Returns an
+// unsubscribe function.
+export const onCaregiverModeChange = (listener) => {
+  modeListeners.add(listener);
+  return () => modeListeners.delete(listener);
+};
+
+// Subscribe to requests to show the unlock dialog (e.g. from a banner)
+export const onCaregiverUnlockRequest = (listener) => {
+  unlockRequestListeners.add(listener);
+  return () => unlockRequestListeners.delete(listener);
+};
+
+export const requestCaregiverUnlock = () => {
+  unlockRequestListeners.forEach(listener => listener());
+};
+
+export const isCaregiverUnlocked = () => unlocked;
+
+// The profile that unlocked caregiver mode, or null while locked
+export const getActiveProfile = () => {
+  const profile = unlocked ? getStoredProfiles().find(p => p.id === activeProfileId) : null;
+  return profile ? toPublicProfile(profile) : null;
+};
+
+// Whether the active profile's role allows an operation (see permissions.js)
+export const canPerform = (operation) => roleCanPerform(getActiveProfile()?.role, operation);
+
+export const assertCanPerform = (operation) => {
+  if (!canPerform(operation)) {
+    throw createPermissionError(operation, getActiveProfile()?.role);
+  }
+};
+
+const notifyModeListeners = () => {
+  modeListeners.forEach(listener => listener(unlocked));
+};
+
+// Changes are attributed to the active profile in the change log, and the
+// undo history never carries one caregiver's changes over to the next
+const setSession = (profile) => {
+  unlocked = Boolean(profile);
+  activeProfileId = profile?.id ?? null;
+  setAuditActor(profile);
+  clearHistory();
+  notifyModeListeners();
+};
+
+const scheduleAutoLock = () => {
+  clearTimeout(autoLockTimer);
+  if (unlocked) {
+    autoLockTimer = setTimeout(lockCaregiverMode, getAutoLockMinutes() * 60 * 1000);
+  }
+};
+
+export const lockCaregiverMode = () => {
+  clearTimeout(autoLockTimer);
+  if (unlocked) {
+    setSession(null);
+  }
+};
+
+// Called on user interaction while unlocked. Timers don't run while the
+// tablet sleeps, so an overdue session is locked here instead of extended.
+export const recordCaregiverActivity = () => {
+  if (!unlocked) return;
+  const now = Date.now();
+  if (now - lastActivity > getAutoLockMinutes() * 60 * 1000) {
+    lockCaregiverMode();
+    return;
+  }
+  lastActivity = now;
+  scheduleAutoLock();
+};
+
+// Wrong entries are counted next to the PIN/pattern hashes rather than in
+// memory, so reloading the app neither resets the count nor ends a lockout
+const getFailedAttempts = () => getLockSettings()?.failedAttempts || 0;
+
+const getLockedOutUntil = () => getLockSettings()?.lockedOutUntil || 0;
+
+const saveFailedAttempts = (failedAttempts, lockedOutUntil) => {
+  const settings = getLockSettings();
+  if (settings) {
+    saveLockSettings({ ...settings, failedAttempts, lockedOutUntil });
+  }
+};
+
+const startSession = (profile) => {
+  if (getFailedAttempts() > 0 || getLockedOutUntil() > 0) {
+    saveFailedAttempts(0, 0);
+  }
+  lastActivity = Date.now();
+  setSession(profile);
+  scheduleAutoLock();
+};
+
+// Seconds until another unlock attempt is allowed (0 when it is)
+export const getLockoutRemaining = () => Math.max(0, Math.ceil((getLockedOutUntil() - Date.now()) / 1000));
+
+const registerFailure = () => {
+  const failedAttempts = getFailedAttempts() + 1;
+  if (failedAttempts >= MAX_FAILED_ATTEMPTS) {
+    saveFailedAttempts(0, Date.now() + LOCKOUT_MS);
+  } else {
+    saveFailedAttempts(failedAttempts, getLockedOutUntil());
+  }
+};
+
+// Unlock as a profile with its PIN/pattern. Returns true on success.
+export const unlockCaregiverMode = async (profileId, secret) => {
+  const profile = getStoredProfiles().find(p => p.id === profileId);
+  if (!profile || getLockoutRemaining() > 0) {
+    return false;
+  }
+
+  const hash = await hashSecret(encodeSecret(profile.type, secret), profile.salt);
+  if (hash !== profile.secretHash) {
+    registerFailure();
+    return false;
+  }
+  startSession(profile);
+  return true;
+};
+
+// First-time setup creates the owner profile and unlocks straight away.
+// Returns the backup code.
+export const setupCaregiverLock = async (name, type, secret) => {
+  if (isCaregiverLockConfigured()) {
+    throw new Error('Caregiver mode is already set up');
+  }
+  const problem = validateProfile({ name, role: 'owner' });
+  if (problem) {
+    throw new Error(problem);
+  }
+
+  const profile = {
+    id: randomHex(8),
+    name: name.trim(),
+    role: 'owner',
+    ...(await hashProfileSecret(type, secret)),
+    createdAt: new Date().toISOString()
+  };
+  const backupCode = await issueBackupCode({ ...getLockSettings(), profiles: [profile] });
+  startSession(profile);
+  return backupCode;
+};
+
+// Check a backup code before letting the caregiver choose a new PIN/pattern.
+// The code is single-use: setting the new secret issues a new one.
+export const verifyBackupCode = async (code) => {
+  const settings = getLockSettings();
+  if (!settings?.backupHash || getLockoutRemaining() > 0) {
+    return false;
+  }
+
+  const hash = await hashSecret(normalizeBackupCode(code), settings.backupSalt);
+  if (hash !== settings.backupHash) {
+    registerFailure();
+    return false;
+  }
+  return true;
+};
+
+// Replace the first owner's forgotten PIN/pattern after the backup code was
+// accepted, and unlock as that owner. Returns the new backup code.
+export const recoverCaregiverLock = async (code, type, secret) => {
+  if (!(await verifyBackupCode(code))) {
+    throw new Error('The backup code is not correct');
+  }
+
+  const settings = getLockSettings();
+  const owner = settings.profiles.find(p => p.role === 'owner');
+  const recovered = { ...owner, ...(await hashProfileSecret(type, secret)), updatedAt: new Date().toISOString() };
+  const backupCode = await issueBackupCode({
+    ...settings,
+    profiles: settings.profiles.map(p => p.id === owner.id ? recovered : p)
+  });
+  startSession(recovered);
+  return backupCode;
+};
+
+// --- Profile management ---
+
+// Add a caregiver profile with its own PIN/pattern
+export const addCaregiverProfile = async ({ name, role, type, secret }) => {
+  assertCanPerform('manageCaregivers');
+  const problem = validateProfile({ name, role });
+  if (problem) {
+    throw new Error(problem);
+  }
+
+  const profile = {
+    id: randomHex(8),
+    name: name.trim(),
+    role,
+    ...(await hashProfileSecret(type, secret)),
+    createdAt: new Date().toISOString()
+  };
+  saveProfiles([...getStoredProfiles(), profile]);
+  notifyModeListeners();
+  return toPublicProfile(profile);
+};
+
+// There must always be an owner who can manage profiles and restore backups
+const assertOwnerRemains = (profiles) => {
+  if (!profiles.some(p => p.role === 'owner')) {
+    throw new Error('At least one profile must be an owner');
+  }
+};
+
+export const updateCaregiverProfile = (id, { name, role }) => {
+  assertCanPerform('manageCaregivers');
+  const problem = validateProfile({ name, role });
+  if (problem) {
+    throw new Error(problem);
+  }
+
+  const profiles = getStoredProfiles().map(p => p.id === id
+    ? { ...p, name: name.trim(), role, updatedAt: new Date().toISOString() }
+    : p);
+  assertOwnerRemains(profiles);
+  saveProfiles(profiles);
+  if (id === activeProfileId) {
+    setAuditActor(getActiveProfile());
+  }
+  notifyModeListeners();
+};
+
+export const removeCaregiverProfile = (id) => {
+  assertCanPerform('manageCaregivers');
+  if (id === activeProfileId) {
+    throw new Error("You can't remove the profile you are using");
+  }
+
+  const profiles = getStoredProfiles().filter(p => p.id !== id);
+  assertOwnerRemains(profiles);
+  saveProfiles(profiles);
+  notifyModeListeners();
+};
+
+// Change a profile's PIN/pattern: anyone may change their own, owners may
+// reset anyone's
+export const setProfileSecret = async (id, type, secret) => {
+  if (id !== activeProfileId) {
+    assertCanPerform('manageCaregivers');
+  }
+  if (!unlocked) {
+    throw createPermissionError('setProfileSecret', null);
+  }
+
+  const hashed = await hashProfileSecret(type, secret);
+  saveProfiles(getStoredProfiles().map(p => p.id === id
+    ? { ...p, ...hashed, updatedAt: new Date().toISOString() }
+    : p));
+  notifyModeListeners();
+};
@@ -0,0 +1,54 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// A fresh copy of the module, as after reloading the app
+const reload = async () => {
+  vi.resetModules();
+  return import('./caregiverLock');
+};
+
+const enterWrongPin = async (caregiverLock, times) => {
+  const [profile] = caregiverLock.getCaregiverProfiles();
+  for (let attempt = 0; attempt < times; attempt += 1) {
+    expect(await caregiverLock.unlockCaregiverMode(profile.id, '0000')).toBe(false);
+  }
+};
+
+describe('caregiver lockout', () => {
+  let caregiverLock;
+
+  beforeEach(async () => {
+    localStorage.clear();
+    caregiverLock = await reload();
+    await caregiverLock.setupCaregiverLock('Owner', 'pin', '1234');
+    caregiverLock.lockCaregiverMode();
+  });
+
+  it('outlasts a reload', async () => {
+    await enterWrongPin(caregiverLock, 5);
+    expect(caregiverLock.getLockoutRemaining()).toBeGreaterThan(0);
+
+    const reloaded = await reload();
+    const [profile] = reloaded.getCaregiverProfiles();
+    expect(reloaded.getLockoutRemaining()).toBeGreaterThan(0);
+    expect(await reloaded.unlockCaregiverMode(profile.id, '1234')).toBe(false);
+  });
+
+  it('keeps counting wrong entries across a reload', async () => {
+    await enterWrongPin(caregiverLock, 4);
+    const reloaded = await reload();
+    expect(reloaded.getLockoutRemaining()).toBe(0);
+
+    await enterWrongPin(reloaded, 1);
+    expect(reloaded.getLockoutRemaining()).toBeGreaterThan(0);
+  });
+
+  it('starts counting again after unlocking', async () => {
+    await enterWrongPin(caregiverLock, 4);
+    const [profile] = caregiverLock.getCaregiverProfiles();
+    expect(await caregiverLock.unlockCaregiverMode(profile.id, '1234')).toBe(true);
+    caregiverLock.lockCaregiverMode();
+
+    await enterWrongPin(caregiverLock, 4);
+    expect(caregiverLock.getLockoutRemaining()).toBe(0);
+  });
+});
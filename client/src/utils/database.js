@@ -1,7 +1,18 @@
 import Dexie from 'dexie';
+import { applySchemaMigrations, LATEST_SCHEMA_VERSION } from './schemaMigrations';
+import { createSnapshotIfUpgrading, restoreSchemaSnapshot } from './schemaSnapshots';
+import { buildImportDiff, applyImportDiff } from './importMerge';
+import { recordMutation, trackRecordChange, clearHistory } from './undoHistory';
+import { logBulkChange } from './auditLog';
+import { isRestrictedOperation } from './permissions';
+import { assertCanPerform } from './caregiverLock';
+import { getPatientDatabaseName } from './patientProfiles';
+import { applyEncryptionMiddleware } from './encryptedStorage';
+import { applySyncTracking } from './syncTracking';
+import { getActivityRule } from './recurrence';
 
-// Create a new database instance
-export const db = new Dexie('StrokeAppDB');
+// Create a new database instance for the active patient profile
+export const db = new Dexie(getPatientDatabaseName('StrokeAppDB'));
 
 // Enum constants for validation and UI
 export const ENUMS = {
@@ -10,6 +21,9 @@ export const ENUMS = {
   
   // Contact gender
   CONTACT_GENDER: ['male', 'female'],
+
+  // What happens to a contact in an SOS: nothing, a message, or a call first
+  CONTACT_EMERGENCY_ROLES: ['none', 'notify', 'primary'],
   
   // Food categories
   FOOD_CATEGORIES: ['breakfast', 'lunch', 'dinner', 'snack', 'drink', 'dessert'],
@@ -24,29 +38,20 @@ export const ENUMS = {
   ACTIVITY_CATEGORIES: ['health', 'exercise', 'entertainment', 'personal_care', 'other'],
   
   // Activity frequency
-  ACTIVITY_FREQUENCY: ['daily', 'weekly', 'monthly', 'custom']
+  ACTIVITY_FREQUENCY: ['daily', 'weekly', 'monthly', 'custom'],
+
+  // Answers to a due medication dose; "later" brings it back after a snooze
+  MEDICATION_DOSE_STATUSES: ['taken', 'skipped', 'later']
 };
 
-// Define the database schema based on your MongoDB models
-db.version(1).stores({
-  // Emergency: for fast action emergency situations
-  emergencies: '++id, name, description, createdAt',
-  
-  // Food: for food preferences and meal requests
-  foods: '++id, name, category, isFavorite, usageCount, createdAt',
-  
-  // Contact: has a name, image, relationship, gender, and phone number
-  contacts: '++id, name, relationship, gender, phoneNumber, usageCount, createdAt, updatedAt',
-  
-  // Phrase: text, image, and usage count for suggestions
-  phrases: '++id, text, category, usageCount, createdAt, updatedAt',
-  
-  // Order: for food orders and requests
-  orders: '++id, orderNumber, status, totalAmount, isUrgent, orderDate, createdAt, updatedAt',
-  
-  // Activity: for daily activities and routines
-  activities: '++id, name, category, isRecurring, frequency, isActive, usageCount, createdAt'
-});
+// Define the database schema from the numbered migrations in schemaMigrations.js
+applySchemaMigrations(db);
+
+// Encrypt records at rest while encryption is turned on (see encryption.js)
+applyEncryptionMiddleware(db);
+
+// Track changes to the synced collections for device sync (see sync.js)
+applySyncTracking(db);
 
 // Helper function to convert image file to base64
 export const imageToBase64 = (file) => {
@@ -114,6 +119,13 @@ export const validateContactData = (data) => {
   if (!validateEnum(data.gender, ENUMS.CONTACT_GENDER)) {
     errors.push('Invalid gender');
   }
+
+  // Contacts saved before SOS existed have no role
+  if (data.emergencyRole !== undefined && !validateEnum(data.emergencyRole, ENUMS.CONTACT_EMERGENCY_ROLES)) {
+    errors.push('Invalid emergency role');
+  } else if (data.emergencyRole && data.emergencyRole !== 'none' && !data.phoneNumber?.trim()) {
+    errors.push('An SOS contact needs a phone number');
+  }
   
   return errors;
 };
@@ -171,13 +183,82 @@ export const validateActivityData = (data) => {
     errors.push('Invalid category');
   }
   
-  if (data.isRecurring && !validateEnum(data.frequency, ENUMS.ACTIVITY_FREQUENCY)) {
+  errors.push(...validateActivityRule(data));
+  
+  return errors;
+};
+
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const validateMedicationData = (data) => {
+  const errors = [];
+
+  if (!data.name?.trim()) {
+    errors.push('Name is required');
+  }
+
+  if (!data.dose?.trim()) {
+    errors.push('Dose is required');
+  }
+
+  if (!Array.isArray(data.timesOfDay) || data.timesOfDay.length === 0) {
+    errors.push('Add at least one time of day');
+  } else if (!data.timesOfDay.every(time => TIME_OF_DAY_PATTERN.test(time))) {
+    errors.push('Invalid time of day');
+  }
+
+  if (!DATE_PATTERN.test(data.startDate || '')) {
+    errors.push('Start date is required');
+  }
+
+  if (data.endDate && (!DATE_PATTERN.test(data.endDate) || data.endDate < data.startDate)) {
+    errors.push('End date must be on or after the start date');
+  }
+
+  return errors;
+};
+
+// A recurrence rule as used for reminders (see recurrence.js)
+export const validateRecurrenceRule = (rule) => {
+  const errors = [];
+
+  if (!validateEnum(rule.frequency, ENUMS.ACTIVITY_FREQUENCY)) {
     errors.push('Invalid frequency');
   }
-  
+
+  if (!Array.isArray(rule.times) || rule.times.length === 0) {
+    errors.push('Add at least one time of day');
+  } else if (!rule.times.every(time => TIME_OF_DAY_PATTERN.test(time))) {
+    errors.push('Invalid time of day');
+  }
+
+  if (rule.frequency === 'weekly' && (!Array.isArray(rule.daysOfWeek) || rule.daysOfWeek.length === 0
+    || !rule.daysOfWeek.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+    errors.push('Pick at least one day of the week');
+  }
+
+  if (rule.frequency === 'custom' && !(Number.isInteger(rule.intervalDays) && rule.intervalDays >= 1 && rule.intervalDays <= 365)) {
+    errors.push('Repeat every 1 to 365 days');
+  }
+
+  if (!DATE_PATTERN.test(rule.startDate || '')) {
+    errors.push('Start date is required');
+  }
+
+  if (rule.endDate && (!DATE_PATTERN.test(rule.endDate) || rule.endDate < rule.startDate)) {
+    errors.push('End date must be on or after the start date');
+  }
+
   return errors;
 };
 
+// Only activities with reminder fields have a rule to check (see getActivityRule)
+const validateActivityRule = (activity) => {
+  const rule = getActivityRule(activity);
+  return rule ? validateRecurrenceRule(rule) : [];
+};
+
 // Database operations for Emergency
 export const emergencyOperations = {
   async addEmergency(emergencyData) {
@@ -224,6 +305,24 @@ export const emergencyOperations = {
     }
   },
 
+  // Symptom taps from the patient view; unlike `updateEmergency` this needs
+  // no caregiver permission
+  async updateSymptomUsageCount(bodyPartId, symptomId) {
+    try {
+      const bodyPart = await db.emergencies.get(bodyPartId);
+      await db.emergencies.update(bodyPartId, {
+        symptoms: (bodyPart.symptoms || []).map(s => s.id === symptomId
+          ? { ...s, usageCount: (s.usageCount || 0) + 1 }
+          : s),
+        updatedAt: new Date().toISOString()
+      });
+      return await db.emergencies.get(bodyPartId);
+    } catch (error) {
+      console.error('Error updating symptom usage count:', error);
+      throw error;
+    }
+  },
+
   async deleteEmergency(id) {
     try {
       await db.emergencies.delete(id);
@@ -300,6 +399,27 @@ export const foodOperations = {
       console.error('Error toggling favorite:', error);
       throw error;
     }
+  },
+
+  async updateFood(id, foodData) {
+    try {
+      const now = new Date().toISOString();
+      await db.foods.update(id, { ...foodData, updatedAt: now });
+      return await db.foods.get(id);
+    } catch (error) {
+      console.error('Error updating food:', error);
+      throw error;
+    }
+  },
+
+  async deleteFood(id) {
+    try {
+      await db.foods.delete(id);
+      return true;
+    } catch (error) {
+      console.error('Error deleting food:', error);
+      throw error;
+    }
   }
 };
 
@@ -353,6 +473,27 @@ export const contactOperations = {
       console.error('Error updating contact usage count:', error);
       throw error;
     }
+  },
+
+  async updateContact(id, contactData) {
+    try {
+      const now = new Date().toISOString();
+      await db.contacts.update(id, { ...contactData, updatedAt: now });
+      return await db.contacts.get(id);
+    } catch (error) {
+      console.error('Error updating contact:', error);
+      throw error;
+    }
+  },
+
+  async deleteContact(id) {
+    try {
+      await db.contacts.delete(id);
+      return true;
+    } catch (error) {
+      console.error('Error deleting contact:', error);
+      throw error;
+    }
   }
 };
 
@@ -406,6 +547,27 @@ export const phraseOperations = {
       console.error('Error updating phrase usage count:', error);
       throw error;
     }
+  },
+
+  async updatePhrase(id, phraseData) {
+    try {
+      const now = new Date().toISOString();
+      await db.phrases.update(id, { ...phraseData, updatedAt: now });
+      return await db.phrases.get(id);
+    } catch (error) {
+      console.error('Error updating phrase:', error);
+      throw error;
+    }
+  },
+
+  async deletePhrase(id) {
+    try {
+      await db.phrases.delete(id);
+      return true;
+    } catch (error) {
+      console.error('Error deleting phrase:', error);
+      throw error;
+    }
   }
 };
 
@@ -462,6 +624,10 @@ export const orderOperations = {
 export const activityOperations = {
   async addActivity(activityData) {
     try {
+      const errors = validateActivityRule(activityData);
+      if (errors.length > 0) {
+        throw new Error(errors.join(', '));
+      }
       const now = new Date().toISOString();
       const activity = {
         ...activityData,
@@ -523,28 +689,341 @@ export const activityOperations = {
       console.error('Error toggling activity active:', error);
       throw error;
     }
+  },
+
+  async updateActivity(id, activityData) {
+    try {
+      const activity = { ...(await db.activities.get(id)), ...activityData };
+      const errors = validateActivityRule(activity);
+      if (errors.length > 0) {
+        throw new Error(errors.join(', '));
+      }
+      const now = new Date().toISOString();
+      await db.activities.update(id, { ...activityData, updatedAt: now });
+      return await db.activities.get(id);
+    } catch (error) {
+      console.error('Error updating activity:', error);
+      throw error;
+    }
+  },
+
+  async deleteActivity(id) {
+    try {
+      await db.activities.delete(id);
+      return true;
+    } catch (error) {
+      console.error('Error deleting activity:', error);
+      throw error;
+    }
+  }
+};
+
+// Database operations for Medication. Doses given or missed are logged in
+// medications.js.
+export const medicationOperations = {
+  async addMedication(medicationData) {
+    try {
+      const errors = validateMedicationData(medicationData);
+      if (errors.length > 0) {
+        throw new Error(errors.join(', '));
+      }
+      const now = new Date().toISOString();
+      const medication = {
+        ...medicationData,
+        isActive: true,
+        createdAt: now,
+        updatedAt: now
+      };
+
+      const id = await db.medications.add(medication);
+      return { id, ...medication };
+    } catch (error) {
+      console.error('Error adding medication:', error);
+      throw error;
+    }
+  },
+
+  async getAllMedications() {
+    try {
+      return await db.medications.orderBy('createdAt').toArray();
+    } catch (error) {
+      console.error('Error getting medications:', error);
+      throw error;
+    }
+  },
+
+  async updateMedication(id, medicationData) {
+    try {
+      const errors = validateMedicationData({ ...(await db.medications.get(id)), ...medicationData });
+      if (errors.length > 0) {
+        throw new Error(errors.join(', '));
+      }
+      const now = new Date().toISOString();
+      await db.medications.update(id, { ...medicationData, updatedAt: now });
+      return await db.medications.get(id);
+    } catch (error) {
+      console.error('Error updating medication:', error);
+      throw error;
+    }
+  },
+
+  // Paused medications keep their history but are not due
+  async toggleMedicationActive(id) {
+    try {
+      const medication = await db.medications.get(id);
+      await db.medications.update(id, { isActive: !medication.isActive, updatedAt: new Date().toISOString() });
+      return await db.medications.get(id);
+    } catch (error) {
+      console.error('Error toggling medication active:', error);
+      throw error;
+    }
+  }
+};
+
+// What a record of each table is called in undo descriptions and the trash
+export const RECORD_TYPE_LABELS = {
+  emergencies: 'body part',
+  foods: 'food',
+  contacts: 'contact',
+  phrases: 'phrase',
+  orders: 'order',
+  activities: 'activity',
+  symptoms: 'symptom',
+  symptomEvents: 'symptom event',
+  medicalIds: 'medical ID',
+  medications: 'medication'
+};
+
+export const getRecordLabel = (record) => {
+  return record?.name || record?.text || record?.title || record?.type || record?.orderNumber || `#${record?.id}`;
+};
+
+// Caregiver mutations that can be undone from the app-wide undo toast: the
+// table each one changes, the verb for its description and the argument
+// holding the record key (inserts take the key from the returned record)
+const UNDOABLE_OPERATIONS = {
+  addEmergency: { table: 'emergencies', verb: 'Add' },
+  updateEmergency: { table: 'emergencies', verb: 'Edit', keyArg: 0 },
+  updateSymptomUsageCount: { table: 'emergencies', verb: 'Use symptom in', keyArg: 0 },
+  addFood: { table: 'foods', verb: 'Add' },
+  updateFoodUsageCount: { table: 'foods', verb: 'Use', keyArg: 0 },
+  toggleFavorite: { table: 'foods', verb: 'Change favorite', keyArg: 0 },
+  updateFood: { table: 'foods', verb: 'Edit', keyArg: 0 },
+  addContact: { table: 'contacts', verb: 'Add' },
+  updateContactUsageCount: { table: 'contacts', verb: 'Use', keyArg: 0 },
+  updateContact: { table: 'contacts', verb: 'Edit', keyArg: 0 },
+  addPhrase: { table: 'phrases', verb: 'Add' },
+  updatePhraseUsageCount: { table: 'phrases', verb: 'Use', keyArg: 0 },
+  updatePhrase: { table: 'phrases', verb: 'Edit', keyArg: 0 },
+  addOrder: { table: 'orders', verb: 'Add' },
+  updateOrderStatus: { table: 'orders', verb: 'Change status of', keyArg: 0 },
+  addActivity: { table: 'activities', verb: 'Add' },
+  updateActivityUsageCount: { table: 'activities', verb: 'Use', keyArg: 0 },
+  toggleActivityActive: { table: 'activities', verb: 'Switch', keyArg: 0 },
+  updateActivity: { table: 'activities', verb: 'Edit', keyArg: 0 },
+  addMedication: { table: 'medications', verb: 'Add' },
+  updateMedication: { table: 'medications', verb: 'Edit', keyArg: 0 },
+  toggleMedicationActive: { table: 'medications', verb: 'Pause or resume', keyArg: 0 }
+};
+
+const withUndoTracking = (operations) => {
+  return Object.fromEntries(Object.entries(operations).map(([name, operation]) => {
+    const undoable = UNDOABLE_OPERATIONS[name];
+    if (!undoable) {
+      return [name, operation];
+    }
+
+    const tracked = (...args) => trackRecordChange(
+      db,
+      (record) => `${undoable.verb} ${RECORD_TYPE_LABELS[undoable.table]} "${getRecordLabel(record)}"`,
+      undoable.table,
+      undoable.keyArg === undefined ? null : args[undoable.keyArg],
+      () => operation(...args)
+    );
+    return [name, tracked];
+  }));
+};
+
+// Operations in the permission matrix check the active caregiver profile's
+// role before running (see permissions.js)
+const withPermissionCheck = (operations) => {
+  return Object.fromEntries(Object.entries(operations).map(([name, operation]) => {
+    if (typeof operation !== 'function' || !isRestrictedOperation(name)) {
+      return [name, operation];
+    }
+
+    const checked = async (...args) => {
+      assertCanPerform(name);
+      return operation(...args);
+    };
+    return [name, checked];
+  }));
+};
+
+// Soft delete: the record moves to the trash together with its image ids
+// (the images themselves stay stored), so restoring brings both back
+const moveRecordToTrash = async (tableName, key) => {
+  const table = db.table(tableName);
+  const { record, entry } = await db.transaction('rw', table, db.trash, async () => {
+    const record = await table.get(key);
+    if (!record) {
+      return {};
+    }
+
+    const entry = {
+      table: tableName,
+      recordKey: key,
+      kind: 'record',
+      record,
+      label: getRecordLabel(record),
+      deletedAt: new Date().toISOString()
+    };
+    entry.id = await db.trash.add(entry);
+    await table.delete(key);
+    return { record, entry };
+  });
+
+  if (entry) {
+    await recordMutation(db, `Delete ${RECORD_TYPE_LABELS[tableName]} "${entry.label}"`, [
+      { table: tableName, key, before: record, after: null },
+      { table: 'trash', key: entry.id, before: null, after: entry }
+    ]);
+  }
+  return true;
+};
+
+// Symptoms live inside their body part, so the trash entry keeps the body
+// part's key to restore the symptom into
+const moveSymptomToTrash = async (bodyPartId, symptomId) => {
+  const result = await db.transaction('rw', db.emergencies, db.trash, async () => {
+    const bodyPart = await db.emergencies.get(bodyPartId);
+    const symptom = bodyPart?.symptoms?.find(s => s.id === symptomId);
+    if (!symptom) {
+      return { updated: bodyPart };
+    }
+
+    const entry = {
+      table: 'emergencies',
+      recordKey: symptomId,
+      parentKey: bodyPartId,
+      parentLabel: getRecordLabel(bodyPart),
+      kind: 'symptom',
+      record: symptom,
+      label: getRecordLabel(symptom),
+      deletedAt: new Date().toISOString()
+    };
+    entry.id = await db.trash.add(entry);
+    const updated = {
+      ...bodyPart,
+      symptoms: bodyPart.symptoms.filter(s => s.id !== symptomId),
+      updatedAt: entry.deletedAt
+    };
+    await db.emergencies.put(updated);
+    return { bodyPart, updated, entry };
+  });
+
+  if (result.entry) {
+    await recordMutation(db, `Delete symptom "${result.entry.label}"`, [
+      { table: 'emergencies', key: bodyPartId, before: result.bodyPart, after: result.updated },
+      { table: 'trash', key: result.entry.id, before: null, after: result.entry }
+    ]);
+  }
+  return result.updated;
+};
+
+// Caregiver deletes move records to the trash (see trash.js for restoring)
+export const trashOperations = {
+  async deleteEmergency(id) {
+    try {
+      return await moveRecordToTrash('emergencies', id);
+    } catch (error) {
+      console.error('Error deleting emergency:', error);
+      throw error;
+    }
+  },
+
+  // Returns the body part without the deleted symptom
+  async deleteSymptom(bodyPartId, symptomId) {
+    try {
+      return await moveSymptomToTrash(bodyPartId, symptomId);
+    } catch (error) {
+      console.error('Error deleting symptom:', error);
+      throw error;
+    }
+  },
+
+  async deleteFood(id) {
+    try {
+      return await moveRecordToTrash('foods', id);
+    } catch (error) {
+      console.error('Error deleting food:', error);
+      throw error;
+    }
+  },
+
+  async deleteContact(id) {
+    try {
+      return await moveRecordToTrash('contacts', id);
+    } catch (error) {
+      console.error('Error deleting contact:', error);
+      throw error;
+    }
+  },
+
+  async deletePhrase(id) {
+    try {
+      return await moveRecordToTrash('phrases', id);
+    } catch (error) {
+      console.error('Error deleting phrase:', error);
+      throw error;
+    }
+  },
+
+  async deleteActivity(id) {
+    try {
+      return await moveRecordToTrash('activities', id);
+    } catch (error) {
+      console.error('Error deleting activity:', error);
+      throw error;
+    }
+  },
+
+  // Its doses leave the adherence report; pausing keeps them
+  async deleteMedication(id) {
+    try {
+      return await moveRecordToTrash('medications', id);
+    } catch (error) {
+      console.error('Error deleting medication:', error);
+      throw error;
+    }
   }
 };
 
 // Combined database operations
-export const dbOperations = {
+export const dbOperations = withPermissionCheck({
   // Emergency operations
-  ...emergencyOperations,
+  ...withUndoTracking(emergencyOperations),
   
   // Food operations
-  ...foodOperations,
+  ...withUndoTracking(foodOperations),
   
   // Contact operations
-  ...contactOperations,
+  ...withUndoTracking(contactOperations),
   
   // Phrase operations
-  ...phraseOperations,
+  ...withUndoTracking(phraseOperations),
   
   // Order operations
-  ...orderOperations,
+  ...withUndoTracking(orderOperations),
   
   // Activity operations
-  ...activityOperations,
+  ...withUndoTracking(activityOperations),
+
+  // Medication operations
+  ...withUndoTracking(medicationOperations),
+
+  // Deletes go to the trash
+  ...trashOperations,
 
   // Export all data (for backup)
   async exportData() {
@@ -563,37 +1042,26 @@ export const dbOperations = {
     }
   },
 
-  // Import data (for restore)
-  async importData(data) {
+  // Compare import data with the database without writing anything
+  async previewImport(data) {
     try {
-      await db.transaction('rw', [
-        db.emergencies, 
-        db.foods, 
-        db.contacts, 
-        db.phrases, 
-        db.orders, 
-        db.activities
-      ], async () => {
-        if (data.emergencies && Array.isArray(data.emergencies)) {
-          await db.emergencies.bulkAdd(data.emergencies);
-        }
-        if (data.foods && Array.isArray(data.foods)) {
-          await db.foods.bulkAdd(data.foods);
-        }
-        if (data.contacts && Array.isArray(data.contacts)) {
-          await db.contacts.bulkAdd(data.contacts);
-        }
-        if (data.phrases && Array.isArray(data.phrases)) {
-          await db.phrases.bulkAdd(data.phrases);
-        }
-        if (data.orders && Array.isArray(data.orders)) {
-          await db.orders.bulkAdd(data.orders);
-        }
-        if (data.activities && Array.isArray(data.activities)) {
-          await db.activities.bulkAdd(data.activities);
-        }
-      });
-      return true;
+      return await buildImportDiff(db, data);
+    } catch (error) {
+      console.error('Error previewing import:', error);
+      throw error;
+    }
+  },
+
+  // Import data (for restore). Records are matched by identity and merged;
+  // see importMerge.js for `resolutions` and `usageMode`.
+  async importData(data, options = {}) {
+    try {
+      const diff = await buildImportDiff(db, data);
+      const result = await applyImportDiff(db, diff, options);
+      await logBulkChange(db, { action: 'import', description: 'Imported data' });
+      // Merged records can't be unwound change by change
+      clearHistory();
+      return result;
     } catch (error) {
       console.error('Error importing data:', error);
       throw error;
@@ -609,22 +1077,44 @@ export const dbOperations = {
       await db.phrases.clear();
       await db.orders.clear();
       await db.activities.clear();
+      await db.symptomEvents.clear();
+      await db.strokeChecks.clear();
+      await db.sosEvents.clear();
+      await db.medicalIds.clear();
+      await db.medications.clear();
+      await db.medicationDoses.clear();
+      await db.trash.clear();
+      await logBulkChange(db, { action: 'clear', description: 'Cleared all data' });
+      clearHistory();
       return true;
     } catch (error) {
       console.error('Error clearing data:', error);
       throw error;
     }
   }
-};
+});
 
 // Initialize database
 export const initDatabase = async () => {
+  let snapshot = null;
   try {
+    if (!db.isOpen()) {
+      // Keep a copy of the data before any pending schema migration runs
+      snapshot = await createSnapshotIfUpgrading(db.name, LATEST_SCHEMA_VERSION);
+    }
     await db.open();
     console.log('Stroke App Database initialized successfully');
     return true;
   } catch (error) {
     console.error('Error initializing database:', error);
+    if (snapshot) {
+      try {
+        db.close();
+        await restoreSchemaSnapshot(snapshot.id);
+      } catch (rollbackError) {
+        console.error('Error rolling back failed schema migration:', rollbackError);
+      }
+    }
     throw error;
   }
 }; 
\ No newline at end of file
@@ -0,0 +1,426 @@
+// Pairing of devices and records sent from one device to another through QR
+// codes, e.g. from a caregiver's phone to the patient tablet.
+//
+// Every device has a signing key pair. To pair, the tablet shows a code with
+// its public key and a one-time token; the caregiver device scans it, trusts
+// the tablet and answers with a code of its own that carries the token back.
+// Once the tablet has scanned that answer, each side keeps a trusted device
+// record with the other's public key.
+//
+// A paired caregiver device can then send a contact, a phrase pack or a food
+// list as a signed code. The tablet only imports it when the signature
+// belongs to a trusted device, the code hasn't expired and it wasn't
+// imported before. Photos don't fit in a QR code and stay behind.
+//
+// A code is `STROKEAPP1.<body>.<signature>`: the deflated JSON body and its
+// ECDSA P-256 signature, both base64url.
+
+import { db, validateContactData, validatePhraseData, validateFoodData } from './database';
+import { buildImportDiff, applyImportDiff } from './importMerge';
+import { clearHistory } from './undoHistory';
+import { logBulkChange } from './auditLog';
+import { assertCanPerform } from './caregiverLock';
+import { patientStorage } from './patientProfiles';
+import { getDeviceId } from './syncTracking';
+import { getQrCapacity } from './qrCode';
+
+// Device-level localStorage (see patientProfiles.js): this device's name and
+// key pair
+export const DEVICE_IDENTITY_KEY = 'deviceIdentity';
+
+// Per patient, never part of a backup: the paired devices and the codes that
+// were already imported
+export const TRUSTED_DEVICES_KEY = 'trustedDevices';
+export const RECEIVED_SHARES_KEY = 'receivedShares';
+
+const CODE_PREFIX = 'STROKEAPP1';
+const PAIRING_EXPIRY_MS = 10 * 60 * 1000;
+const SHARE_EXPIRY_MS = 24 * 60 * 60 * 1000;
+
+// Shares are shown with the lowest error correction, so they can be as large
+// as a QR code gets
+export const MAX_SHARE_CODE_LENGTH = getQrCapacity('L');
+
+const SIGNING_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGNATURE_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+
+const createPairingError = (message) => {
+  const error = new Error(message);
+  error.name = 'PairingError';
+  return error;
+};
+
+export const isPairingError = (error) => error?.name === 'PairingError';
+
+// --- Encoding ---
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  new Uint8Array(bytes).forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+const transformBytes = async (bytes, stream) => {
+  const output = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(output).arrayBuffer());
+};
+
+const randomToken = () => toBase64Url(crypto.getRandomValues(new Uint8Array(16)));
+
+// --- This device ---
+
+const importPublicKey = ({ x, y }) => {
+  return crypto.subtle.importKey('jwk', { kty: 'EC', crv: 'P-256', x, y, ext: true }, SIGNING_ALGORITHM, true, ['verify']);
+};
+
+const readIdentity = () => {
+  try {
+    return JSON.parse(localStorage.getItem(DEVICE_IDENTITY_KEY));
+  } catch {
+    return null;
+  }
+};
+
+// The key pair is created the first time it's needed
+let identityPromise = null;
+
+const getIdentity = () => {
+  if (!identityPromise) {
+    identityPromise = (async () => {
+      const stored = readIdentity();
+      if (stored?.privateKey) {
+        return stored;
+      }
+      const keyPair = await crypto.subtle.generateKey(SIGNING_ALGORITHM, true, ['sign', 'verify']);
+      const privateKey = await crypto.subtle.exportKey('jwk', keyPair.privateKey);
+      const identity = {
+        name: stored?.name || getDeviceName(),
+        publicKey: { x: privateKey.x, y: privateKey.y },
+        privateKey
+      };
+      localStorage.setItem(DEVICE_IDENTITY_KEY, JSON.stringify(identity));
+      return identity;
+    })().catch((error) => {
+      identityPromise = null;
+      throw error;
+    });
+  }
+  return identityPromise;
+};
+
+// How other devices list this one
+export const getDeviceName = () => readIdentity()?.name || `Device ${getDeviceId().slice(0, 4).toUpperCase()}`;
+
+export const setDeviceName = (name) => {
+  assertCanPerform('managePairing');
+  if (!name?.trim()) {
+    throw createPairingError('Enter a name for this device');
+  }
+  localStorage.setItem(DEVICE_IDENTITY_KEY, JSON.stringify({ ...readIdentity(), name: name.trim() }));
+  identityPromise = null;
+};
+
+// --- Signed codes ---
+
+const createCode = async (body) => {
+  const identity = await getIdentity();
+  const bodyBytes = await transformBytes(new TextEncoder().encode(JSON.stringify(body)), new CompressionStream('deflate-raw'));
+  const privateKey = await crypto.subtle.importKey('jwk', identity.privateKey, SIGNING_ALGORITHM, false, ['sign']);
+  const signature = await crypto.subtle.sign(SIGNATURE_ALGORITHM, privateKey, bodyBytes);
+  return `${CODE_PREFIX}.${toBase64Url(bodyBytes)}.${toBase64Url(signature)}`;
+};
+
+// The body of a code, with its signature still to be checked
+const parseCode = async (code) => {
+  const [prefix, body, signature, ...rest] = (code || '').trim().split('.');
+  if (prefix !== CODE_PREFIX || !body || !signature || rest.length > 0) {
+    throw createPairingError("This isn't a code from this app");
+  }
+  try {
+    const bodyBytes = fromBase64Url(body);
+    const json = await transformBytes(bodyBytes, new DecompressionStream('deflate-raw'));
+    return { body: JSON.parse(new TextDecoder().decode(json)), bodyBytes, signature: fromBase64Url(signature) };
+  } catch (error) {
+    console.error('Error reading code:', error);
+    throw createPairingError('The code is incomplete or damaged. Scan or paste it again.');
+  }
+};
+
+const verifySignature = async ({ bodyBytes, signature }, publicKey) => {
+  try {
+    const key = await importPublicKey(publicKey);
+    return await crypto.subtle.verify(SIGNATURE_ALGORITHM, key, signature, bodyBytes);
+  } catch {
+    return false;
+  }
+};
+
+const assertNotExpired = (body, message) => {
+  if (!(Date.parse(body.expiresAt) > Date.now())) {
+    throw createPairingError(message);
+  }
+};
+
+// --- Trusted devices ---
+
+export const getTrustedDevices = () => {
+  try {
+    return JSON.parse(patientStorage.getItem(TRUSTED_DEVICES_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const trustDevice = ({ deviceId, name, publicKey }) => {
+  const device = { deviceId, name: String(name || deviceId), publicKey, pairedAt: new Date().toISOString() };
+  patientStorage.setItem(TRUSTED_DEVICES_KEY, JSON.stringify([
+    ...getTrustedDevices().filter(trusted => trusted.deviceId !== deviceId),
+    device
+  ]));
+  return device;
+};
+
+export const removeTrustedDevice = (deviceId) => {
+  assertCanPerform('managePairing');
+  patientStorage.setItem(TRUSTED_DEVICES_KEY, JSON.stringify(getTrustedDevices().filter(device => device.deviceId !== deviceId)));
+};
+
+const readPairingBody = async (code, type) => {
+  const parsed = await parseCode(code);
+  const { body } = parsed;
+  if (body.type !== type) {
+    throw createPairingError(type === 'pair-offer'
+      ? 'This is not a pairing code. Show the pairing code on the other device.'
+      : 'This is not the answer to the pairing code shown here.');
+  }
+  if (!body.deviceId || !body.publicKey?.x || !body.publicKey?.y || !(await verifySignature(parsed, body.publicKey))) {
+    throw createPairingError('The pairing code is not valid');
+  }
+  if (body.deviceId === getDeviceId()) {
+    throw createPairingError('This code comes from this device. Scan it with the other device.');
+  }
+  return body;
+};
+
+// Only one pairing code is open at a time, and only until it is used
+let pendingOffer = null;
+
+// Step 1, on the tablet: a code to scan with the caregiver device
+export const createPairingOffer = async () => {
+  assertCanPerform('managePairing');
+  const identity = await getIdentity();
+  pendingOffer = { token: randomToken(), expiresAt: new Date(Date.now() + PAIRING_EXPIRY_MS).toISOString() };
+  return createCode({
+    type: 'pair-offer',
+    deviceId: getDeviceId(),
+    name: identity.name,
+    publicKey: identity.publicKey,
+    token: pendingOffer.token,
+    expiresAt: pendingOffer.expiresAt
+  });
+};
+
+export const cancelPairingOffer = () => {
+  pendingOffer = null;
+};
+
+// Step 2, on the caregiver device: trust the tablet and return the code that
+// the tablet scans back. Resolves to `{ device, code }`.
+export const acceptPairingOffer = async (offerCode) => {
+  assertCanPerform('managePairing');
+  const offer = await readPairingBody(offerCode, 'pair-offer');
+  assertNotExpired(offer, 'This pairing code has expired. Show a new one on the other device.');
+
+  const identity = await getIdentity();
+  const code = await createCode({
+    type: 'pair-accept',
+    deviceId: getDeviceId(),
+    name: identity.name,
+    publicKey: identity.publicKey,
+    token: offer.token,
+    offerDeviceId: offer.deviceId,
+    expiresAt: offer.expiresAt
+  });
+  return { device: trustDevice(offer), code };
+};
+
+// Step 3, on the tablet: check the answer against the open pairing code and
+// trust the caregiver device
+export const completePairing = async (acceptCode) => {
+  assertCanPerform('managePairing');
+  const answer = await readPairingBody(acceptCode, 'pair-accept');
+  if (!pendingOffer || answer.offerDeviceId !== getDeviceId() || answer.token !== pendingOffer.token) {
+    throw createPairingError('This answer belongs to another pairing code. Start pairing again.');
+  }
+  assertNotExpired(pendingOffer, 'The pairing code has expired. Start pairing again.');
+
+  pendingOffer = null;
+  const device = trustDevice(answer);
+  await logBulkChange(db, { action: 'pair', description: `Paired with ${device.name}` });
+  return device;
+};
+
+// --- Sharing records ---
+
+const pickFields = (fields) => (record) => Object.fromEntries(
+  fields
+    .filter(field => record[field] !== undefined && record[field] !== null)
+    .map(field => [field, record[field]])
+);
+
+// What can be sent, where it goes and who may import it. Only content fields
+// travel: ids, usage counts, favorites and photos stay on the sending device.
+export const SHARE_KINDS = {
+  contact: {
+    table: 'contacts',
+    label: 'contact',
+    permission: 'addContact',
+    pick: pickFields(['name', 'relationship', 'gender', 'phoneNumber', 'emergencyRole']),
+    validate: validateContactData
+  },
+  phrases: {
+    table: 'phrases',
+    label: 'phrase pack',
+    permission: 'addPhrase',
+    pick: pickFields(['text', 'category']),
+    validate: validatePhraseData
+  },
+  foods: {
+    table: 'foods',
+    label: 'food list',
+    permission: 'addFood',
+    pick: pickFields(['name', 'description', 'category']),
+    validate: validateFoodData
+  }
+};
+
+// A signed code with `records` of a kind, labelled for the receiving side,
+// e.g. "Greetings". Throws when the records don't fit in a QR code.
+export const createShareCode = async (kind, records, label) => {
+  const shareKind = SHARE_KINDS[kind];
+  if (!shareKind) {
+    throw createPairingError(`Unknown kind of share: ${kind}`);
+  }
+  const items = records.map(shareKind.pick);
+  if (items.length === 0) {
+    throw createPairingError(`There is nothing to send in this ${shareKind.label}`);
+  }
+
+  const identity = await getIdentity();
+  const now = Date.now();
+  const code = await createCode({
+    type: 'share',
+    kind,
+    label: label || shareKind.label,
+    items,
+    deviceId: getDeviceId(),
+    name: identity.name,
+    nonce: randomToken(),
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + SHARE_EXPIRY_MS).toISOString()
+  });
+  if (code.length > MAX_SHARE_CODE_LENGTH) {
+    throw createPairingError(`This ${shareKind.label} is too large for a QR code. Send fewer items at a time.`);
+  }
+  return code;
+};
+
+const getReceivedShares = () => {
+  try {
+    return JSON.parse(patientStorage.getItem(RECEIVED_SHARES_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+// Expired codes can't be imported anyway, so their nonces are dropped
+const recordReceivedShare = ({ nonce, expiresAt }) => {
+  const now = Date.now();
+  patientStorage.setItem(RECEIVED_SHARES_KEY, JSON.stringify([
+    ...getReceivedShares().filter(share => Date.parse(share.expiresAt) > now),
+    { nonce, expiresAt }
+  ]));
+};
+
+// Check a share code and return `{ kind, label, items, sender, nonce,
+// expiresAt }`. With `expectedKind`, codes of another kind are refused.
+export const readShareCode = async (code, expectedKind) => {
+  const parsed = await parseCode(code);
+  const { body } = parsed;
+  if (body.type !== 'share' || !SHARE_KINDS[body.kind]) {
+    throw createPairingError('This is not a code with records. Use "Send" on the other device.');
+  }
+  const shareKind = SHARE_KINDS[body.kind];
+  if (expectedKind && body.kind !== expectedKind) {
+    throw createPairingError(`This code has a ${shareKind.label}. Receive it in the ${shareKind.table} screen.`);
+  }
+
+  const sender = getTrustedDevices().find(device => device.deviceId === body.deviceId);
+  if (!sender) {
+    throw createPairingError(`${body.name || 'The sending device'} is not paired with this device. Pair the devices first.`);
+  }
+  if (!(await verifySignature(parsed, sender.publicKey))) {
+    throw createPairingError(`The code is not signed by ${sender.name}. Pair the devices again.`);
+  }
+  assertNotExpired(body, 'This code has expired. Send it again.');
+  if (getReceivedShares().some(share => share.nonce === body.nonce)) {
+    throw createPairingError('This code was already imported');
+  }
+
+  if (!Array.isArray(body.items) || body.items.length === 0) {
+    throw createPairingError('The code has no records');
+  }
+  const items = body.items.map(shareKind.pick);
+  const problems = items.flatMap(shareKind.validate);
+  if (problems.length > 0) {
+    throw createPairingError(`The code has invalid records: ${[...new Set(problems)].join(', ')}`);
+  }
+
+  return {
+    kind: body.kind,
+    label: String(body.label || shareKind.label),
+    items,
+    sender: { deviceId: sender.deviceId, name: sender.name },
+    nonce: body.nonce,
+    expiresAt: body.expiresAt
+  };
+};
+
+// Compare a share with the records on this device, for ImportReviewDialog
+export const previewSharedItems = (share) => {
+  return buildImportDiff(db, { [SHARE_KINDS[share.kind].table]: share.items });
+};
+
+// Import a share read with readShareCode. Records are matched and merged like
+// any import (see importMerge.js), and the same code can't be imported twice.
+export const importSharedItems = async (share, options = {}) => {
+  const shareKind = SHARE_KINDS[share.kind];
+  assertCanPerform(shareKind.permission);
+  if (getReceivedShares().some(received => received.nonce === share.nonce)) {
+    throw createPairingError('This code was already imported');
+  }
+
+  try {
+    const diff = await previewSharedItems(share);
+    const result = await applyImportDiff(db, diff, options);
+    recordReceivedShare(share);
+    await logBulkChange(db, {
+      entityType: shareKind.table,
+      action: 'import',
+      description: `Imported ${shareKind.label} "${share.label}" from ${share.sender.name}`
+    });
+    // Merged records can't be unwound change by change
+    clearHistory();
+    return result;
+  } catch (error) {
+    console.error('Error importing shared records:', error);
+    throw error;
+  }
+};
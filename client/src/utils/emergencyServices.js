@@ -0,0 +1,180 @@
+import { assertCanPerform } from './caregiverLock';
+import { patientStorage } from './patientProfiles';
+
+// Emergency services registry: the numbers for where the patient lives,
+// from a country preset the caregiver picks (suggested from the device
+// language until then), numbers the preset lacks, such as a stroke hotline,
+// and extra numbers of the caregiver's own. The overview and the emergency
+// flows (the stroke check) all dial from here.
+
+const SETTINGS_KEY = 'emergencyNumbers';
+
+// Shown in this order. `image` is used where the app has one, `icon` elsewhere.
+export const EMERGENCY_SERVICES = {
+  police: { label: 'Police', icon: '👮', image: '/image/police.png' },
+  ambulance: { label: 'Ambulance', icon: '🚑', image: '/image/ambulance.png' },
+  fire: { label: 'Fire', icon: '🚒' },
+  poison: { label: 'Poison control', icon: '☠️' },
+  stroke: { label: 'Stroke hotline', icon: '🧠' }
+};
+
+// Country presets, by ISO region code. Countries with a single number for
+// everything list it for each service.
+export const COUNTRY_PRESETS = {
+  SA: { name: 'Saudi Arabia', numbers: { police: '999', ambulance: '997', fire: '998' } },
+  AE: { name: 'United Arab Emirates', numbers: { police: '999', ambulance: '998', fire: '997' } },
+  EG: { name: 'Egypt', numbers: { police: '122', ambulance: '123', fire: '180' } },
+  JO: { name: 'Jordan', numbers: { police: '911', ambulance: '911', fire: '911' } },
+  KW: { name: 'Kuwait', numbers: { police: '112', ambulance: '112', fire: '112' } },
+  QA: { name: 'Qatar', numbers: { police: '999', ambulance: '999', fire: '999' } },
+  BH: { name: 'Bahrain', numbers: { police: '999', ambulance: '999', fire: '999' } },
+  OM: { name: 'Oman', numbers: { police: '9999', ambulance: '9999', fire: '9999' } },
+  LB: { name: 'Lebanon', numbers: { police: '112', ambulance: '140', fire: '175' } },
+  IQ: { name: 'Iraq', numbers: { police: '104', ambulance: '122', fire: '115' } },
+  MA: { name: 'Morocco', numbers: { police: '19', ambulance: '15', fire: '15' } },
+  DZ: { name: 'Algeria', numbers: { police: '17', ambulance: '14', fire: '14' } },
+  TN: { name: 'Tunisia', numbers: { police: '197', ambulance: '190', fire: '198' } },
+  GB: { name: 'United Kingdom', numbers: { police: '999', ambulance: '999', fire: '999' } },
+  US: { name: 'United States', numbers: { police: '911', ambulance: '911', fire: '911', poison: '18002221222' } },
+  // 112 reaches emergency services from most mobile phones worldwide
+  INTL: { name: 'Other country (112)', numbers: { police: '112', ambulance: '112', fire: '112' } }
+};
+
+export const DEFAULT_COUNTRY = 'INTL';
+
+// Speech falls back to Saudi Arabic (see speech.js), so plain "ar" does too
+const LANGUAGE_DEFAULT_COUNTRIES = { ar: 'SA' };
+
+// Icons offered for the caregiver's own numbers
+export const EXTRA_NUMBER_ICONS = ['📞', '🏥', '🩺', '👨‍⚕️', '👩‍⚕️', '🧠', '💊', '🚑', '🏠', '👪', '🕌', '⭐'];
+
+export const MAX_EXTRA_NUMBERS = 10;
+
+const listeners = new Set();
+
+// Subscribe to changes of the registry. Returns an unsubscribe function.
+export const onEmergencyNumbersChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const notifyListeners = () => {
+  listeners.forEach(listener => listener());
+};
+
+const getRegion = (languageTag) => {
+  try {
+    return new Intl.Locale(languageTag).region || null;
+  } catch {
+    return null;
+  }
+};
+
+// The preset matching the device's languages, e.g. "ar-EG" -> EG
+export const getSuggestedCountry = (languages = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : []) => {
+  for (const tag of languages.filter(Boolean)) {
+    const region = getRegion(tag);
+    if (region && COUNTRY_PRESETS[region]) {
+      return region;
+    }
+  }
+  for (const tag of languages.filter(Boolean)) {
+    const country = LANGUAGE_DEFAULT_COUNTRIES[tag.split('-')[0].toLowerCase()];
+    if (country) {
+      return country;
+    }
+  }
+  return DEFAULT_COUNTRY;
+};
+
+// `confirmed` is false until a caregiver has saved the settings, while the
+// country is only a suggestion
+export const getEmergencySettings = () => {
+  try {
+    const stored = JSON.parse(patientStorage.getItem(SETTINGS_KEY));
+    if (stored && COUNTRY_PRESETS[stored.country]) {
+      return { overrides: {}, extras: [], ...stored, confirmed: true };
+    }
+  } catch {
+    // Fall through to the suggestion
+  }
+  return { country: getSuggestedCountry(), overrides: {}, extras: [], confirmed: false };
+};
+
+// Digits with an optional leading +, as typed on a phone
+const normalizeNumber = (number) => String(number ?? '').replace(/[\s\-().]/g, '');
+
+const isValidNumber = (number) => /^\+?[0-9*#]{2,20}$/.test(number);
+
+const randomId = () => Array.from(crypto.getRandomValues(new Uint8Array(4)), value => value.toString(16).padStart(2, '0')).join('');
+
+export const saveEmergencySettings = ({ country, overrides = {}, extras = [] }) => {
+  assertCanPerform('manageEmergencyNumbers');
+  if (!COUNTRY_PRESETS[country]) {
+    throw new Error(`Unknown country: ${country}`);
+  }
+
+  const cleanOverrides = {};
+  Object.entries(overrides).forEach(([service, value]) => {
+    const number = normalizeNumber(value);
+    if (!EMERGENCY_SERVICES[service] || !number) return;
+    if (!isValidNumber(number)) {
+      throw new Error(`"${value}" is not a valid number for ${EMERGENCY_SERVICES[service].label}`);
+    }
+    cleanOverrides[service] = number;
+  });
+
+  if (extras.length > MAX_EXTRA_NUMBERS) {
+    throw new Error(`Add at most ${MAX_EXTRA_NUMBERS} extra numbers`);
+  }
+  const cleanExtras = extras.map((extra) => {
+    const label = extra.label?.trim();
+    const number = normalizeNumber(extra.number);
+    if (!label) {
+      throw new Error('Enter a name for every extra number');
+    }
+    if (!isValidNumber(number)) {
+      throw new Error(`"${extra.number}" is not a valid number for ${label}`);
+    }
+    return {
+      id: extra.id || randomId(),
+      label,
+      number,
+      icon: EXTRA_NUMBER_ICONS.includes(extra.icon) ? extra.icon : EXTRA_NUMBER_ICONS[0]
+    };
+  });
+
+  const settings = { country, overrides: cleanOverrides, extras: cleanExtras };
+  patientStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  notifyListeners();
+  return { ...settings, confirmed: true };
+};
+
+// Every number to show, services first: `{ id, label, number, icon, image }`
+export const getEmergencyNumbers = (settings = getEmergencySettings()) => {
+  const preset = COUNTRY_PRESETS[settings.country].numbers;
+  const services = Object.entries(EMERGENCY_SERVICES)
+    .map(([service, { label, icon, image }]) => ({
+      id: service,
+      service,
+      label,
+      number: settings.overrides[service] || preset[service] || null,
+      icon,
+      image: image || null
+    }))
+    .filter(entry => entry.number);
+  const extras = settings.extras.map(extra => ({ ...extra, service: null, image: null }));
+  return [...services, ...extras];
+};
+
+export const getServiceNumber = (service, settings = getEmergencySettings()) => {
+  return settings.overrides[service] || COUNTRY_PRESETS[settings.country].numbers[service] || null;
+};
+
+// The number emergency flows call for an ambulance
+export const getAmbulanceNumber = () => getServiceNumber('ambulance');
+
+// Start a phone call through the tel: protocol
+export const dialNumber = (number) => {
+  window.open(`tel:${number}`, '_self');
+};
@@ -0,0 +1,134 @@
+import { shouldEncryptWrites, sealRecord, openRecord, isSealed } from './encryption';
+
+// Dexie middleware that stores StrokeAppDB records encrypted while
+// encryption is turned on (see encryption.js). Primary keys and the indexed
+// fields the app sorts and filters by stay readable; everything else,
+// including trash and audit log contents, is encrypted. Records written
+// before encryption was turned on are read as they are.
+
+// Indexed in the schema but never queried, so they are encrypted too
+const SENSITIVE_INDEXES = ['name', 'description', 'phoneNumber', 'gender', 'text', 'orderNumber', 'totalAmount'];
+
+// An IndexedDB transaction commits as soon as no request is pending, and
+// WebCrypto resolves outside of it. Keep a cheap request going until the work
+// is done, and settle from inside that request's callback so the caller can
+// go on using the transaction.
+const whileActive = (trans, storeName, work) => new Promise((resolve, reject) => {
+  let outcome = null;
+  work.then(value => { outcome = { value }; }, error => { outcome = { error }; });
+
+  const poll = () => {
+    if (outcome) {
+      if (outcome.error) {
+        reject(outcome.error);
+      } else {
+        resolve(outcome.value);
+      }
+      return;
+    }
+    const request = trans.objectStore(storeName).count();
+    request.onsuccess = poll;
+    request.onerror = () => reject(request.error);
+  };
+  poll();
+});
+
+const openRecords = (records) => Promise.all(records.map(record => record && openRecord(record)));
+
+const hasSealedRecords = (records) => records.some(record => isSealed(record));
+
+// The fields of a record that stay readable when it is sealed: the primary
+// key and the indexes the app queries by
+export const getPlainFields = (indexes) => indexes
+  .map(index => index.keyPath)
+  .filter(keyPath => typeof keyPath === 'string' && !SENSITIVE_INDEXES.includes(keyPath));
+
+const createEncryptedTable = (table) => {
+  const { primaryKey, indexes } = table.schema;
+  const plainFields = getPlainFields([primaryKey, ...indexes]);
+
+  const openCursor = (cursor, trans) => Object.create(cursor, {
+    key: {
+      get() {
+        return cursor.key;
+      }
+    },
+    primaryKey: {
+      get() {
+        return cursor.primaryKey;
+      }
+    },
+    value: {
+      get() {
+        return cursor.decryptedValue;
+      }
+    },
+    start: {
+      value(callback) {
+        return cursor.start(() => {
+          if (!isSealed(cursor.value)) {
+            cursor.decryptedValue = cursor.value;
+            callback();
+            return;
+          }
+          whileActive(trans, table.name, openRecord(cursor.value))
+            .then(value => {
+              cursor.decryptedValue = value;
+              callback();
+            })
+            .catch(error => cursor.fail(error));
+        });
+      }
+    }
+  });
+
+  return {
+    ...table,
+
+    mutate(req) {
+      if ((req.type !== 'add' && req.type !== 'put') || !shouldEncryptWrites()) {
+        return table.mutate(req);
+      }
+      const sealing = Promise.all(req.values.map(value => sealRecord(value, plainFields)));
+      return whileActive(req.trans, table.name, sealing)
+        .then(values => table.mutate({ ...req, values }));
+    },
+
+    get(req) {
+      return table.get(req).then(record => isSealed(record)
+        ? whileActive(req.trans, table.name, openRecord(record))
+        : record);
+    },
+
+    getMany(req) {
+      return table.getMany(req).then(records => hasSealedRecords(records)
+        ? whileActive(req.trans, table.name, openRecords(records))
+        : records);
+    },
+
+    query(req) {
+      return table.query(req).then(response => req.values && hasSealedRecords(response.result)
+        ? whileActive(req.trans, table.name, openRecords(response.result)).then(result => ({ ...response, result }))
+        : response);
+    },
+
+    openCursor(req) {
+      return table.openCursor(req).then(cursor => cursor && req.values ? openCursor(cursor, req.trans) : cursor);
+    }
+  };
+};
+
+// Register on a Dexie instance before it is opened. It sits below Dexie's own
+// middleware (hooks, live queries and the cache), which see plaintext.
+export const applyEncryptionMiddleware = (database) => {
+  database.use({
+    stack: 'dbcore',
+    name: 'encryption',
+    level: -1,
+    create: (down) => ({
+      ...down,
+      table: (tableName) => createEncryptedTable(down.table(tableName))
+    })
+  });
+  return database;
+};
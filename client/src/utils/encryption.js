@@ -0,0 +1,347 @@
+// At-rest encryption of a patient's data with a caregiver passphrase.
+// A random AES-GCM data key encrypts the records and images; it is stored
+// wrapped by a key derived from the passphrase (PBKDF2), so changing the
+// passphrase only re-wraps it. The unwrapped key lives in memory for a
+// session that ends after a period of inactivity, so the patient can use the
+// app all day after a caregiver unlocked it once.
+
+import { patientStorage } from './patientProfiles';
+import { assertCanPerform } from './caregiverLock';
+
+// Per patient (see patientProfiles.js), never part of a backup
+export const ENCRYPTION_SETTINGS_KEY = 'encryption';
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+export const SESSION_TIMEOUT_OPTIONS = [30, 120, 480, 1440];
+export const DEFAULT_SESSION_TIMEOUT_MINUTES = 480;
+
+const PBKDF2_ITERATIONS = 310000;
+
+// Encrypted values and records carry their ciphertext under this field
+const SEALED_FIELD = '__encrypted';
+
+// In chunks, since backups run to megabytes
+const toBase64 = (bytes) => {
+  const view = new Uint8Array(bytes);
+  let binary = '';
+  for (let i = 0; i < view.length; i += 0x8000) {
+    binary += String.fromCharCode(...view.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+const randomBytes = (length) => crypto.getRandomValues(new Uint8Array(length));
+
+const deriveWrappingKey = async (passphrase, salt, iterations) => {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt', 'wrapKey', 'unwrapKey']
+  );
+};
+
+export const createEncryptionLockedError = () => {
+  const error = new Error('Enter the passphrase to open the encrypted data');
+  error.name = 'EncryptionLockedError';
+  return error;
+};
+
+export const isEncryptionLockedError = (error) => error?.name === 'EncryptionLockedError';
+
+// Returns an error message, or null when the passphrase can be used
+export const validatePassphrase = (passphrase) => {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    return `The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`;
+  }
+  return null;
+};
+
+const getEncryptionSettings = () => {
+  try {
+    return JSON.parse(patientStorage.getItem(ENCRYPTION_SETTINGS_KEY));
+  } catch {
+    return null;
+  }
+};
+
+const saveEncryptionSettings = (settings) => {
+  patientStorage.setItem(ENCRYPTION_SETTINGS_KEY, JSON.stringify(settings));
+  return settings;
+};
+
+export const isEncryptionEnabled = () => Boolean(getEncryptionSettings());
+
+// False while encryption is being turned off: new writes are stored in
+// plaintext, but records that are still encrypted can be read
+export const shouldEncryptWrites = () => Boolean(getEncryptionSettings() && !getEncryptionSettings().decrypting);
+
+export const getSessionTimeoutMinutes = () => getEncryptionSettings()?.timeoutMinutes || DEFAULT_SESSION_TIMEOUT_MINUTES;
+
+export const saveSessionTimeoutMinutes = (minutes) => {
+  if (!SESSION_TIMEOUT_OPTIONS.includes(minutes)) {
+    throw new Error(`Invalid session length: ${minutes} minutes`);
+  }
+  assertCanPerform('manageEncryption');
+  saveEncryptionSettings({ ...getEncryptionSettings(), timeoutMinutes: minutes });
+  scheduleSessionExpiry();
+  return minutes;
+};
+
+// Unwrap the data key with a passphrase, or null when it is wrong
+const unwrapDataKey = async (settings, passphrase, extractable = false) => {
+  const wrappingKey = await deriveWrappingKey(passphrase, fromBase64(settings.salt), settings.iterations);
+  try {
+    return await crypto.subtle.unwrapKey(
+      'raw',
+      fromBase64(settings.wrappedKey),
+      wrappingKey,
+      { name: 'AES-GCM', iv: fromBase64(settings.iv) },
+      { name: 'AES-GCM', length: 256 },
+      extractable,
+      ['encrypt', 'decrypt']
+    );
+  } catch {
+    return null;
+  }
+};
+
+const wrapDataKey = async (dataKey, passphrase) => {
+  const salt = randomBytes(16);
+  const iv = randomBytes(12);
+  const wrappingKey = await deriveWrappingKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const wrappedKey = await crypto.subtle.wrapKey('raw', dataKey, wrappingKey, { name: 'AES-GCM', iv });
+  return {
+    salt: toBase64(salt),
+    iterations: PBKDF2_ITERATIONS,
+    iv: toBase64(iv),
+    wrappedKey: toBase64(wrappedKey)
+  };
+};
+
+// --- Session state (memory only, so a reload always starts locked) ---
+
+let sessionKey = null;
+let lastActivity = 0;
+let expiryTimer = null;
+const listeners = new Set();
+
+// Subscribe to the session being unlocked or locked and to encryption being
+// turned on or off. Returns an unsubscribe function.
+export const onEncryptionChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const notifyListeners = () => {
+  listeners.forEach(listener => listener());
+};
+
+export const isEncryptionUnlocked = () => Boolean(sessionKey);
+
+const scheduleSessionExpiry = () => {
+  clearTimeout(expiryTimer);
+  if (sessionKey) {
+    expiryTimer = setTimeout(lockEncryption, getSessionTimeoutMinutes() * 60 * 1000);
+  }
+};
+
+const startSession = (key) => {
+  sessionKey = key;
+  lastActivity = Date.now();
+  scheduleSessionExpiry();
+  notifyListeners();
+};
+
+export const lockEncryption = () => {
+  clearTimeout(expiryTimer);
+  if (sessionKey) {
+    sessionKey = null;
+    notifyListeners();
+  }
+};
+
+// Called on user interaction while unlocked. Timers don't run while the
+// tablet sleeps, so an overdue session is locked here instead of extended.
+export const recordEncryptionActivity = () => {
+  if (!sessionKey) return;
+  const now = Date.now();
+  if (now - lastActivity > getSessionTimeoutMinutes() * 60 * 1000) {
+    lockEncryption();
+    return;
+  }
+  lastActivity = now;
+  scheduleSessionExpiry();
+};
+
+// Open the session with the passphrase. Returns true on success.
+export const unlockEncryption = async (passphrase) => {
+  const settings = getEncryptionSettings();
+  if (!settings) {
+    return false;
+  }
+
+  const key = await unwrapDataKey(settings, passphrase);
+  if (!key) {
+    return false;
+  }
+  startSession(key);
+  return true;
+};
+
+// --- Turning encryption on and off (the data itself is rewritten by
+// encryptionSetup.js) ---
+
+// Create the data key and open a session with it
+export const createEncryptionKey = async (passphrase, timeoutMinutes = DEFAULT_SESSION_TIMEOUT_MINUTES) => {
+  assertCanPerform('manageEncryption');
+  const problem = validatePassphrase(passphrase);
+  if (problem) {
+    throw new Error(problem);
+  }
+  if (isEncryptionEnabled()) {
+    throw new Error('Encryption is already turned on');
+  }
+
+  const dataKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+  saveEncryptionSettings({
+    ...(await wrapDataKey(dataKey, passphrase)),
+    timeoutMinutes,
+    createdAt: new Date().toISOString()
+  });
+  startSession(await unwrapDataKey(getEncryptionSettings(), passphrase));
+};
+
+// Stop encrypting new writes so the stored data can be decrypted. Throws when
+// the passphrase is wrong.
+export const beginDecryption = async (passphrase) => {
+  assertCanPerform('manageEncryption');
+  if (!(await unlockEncryption(passphrase))) {
+    throw new Error('The passphrase is not correct');
+  }
+  saveEncryptionSettings({ ...getEncryptionSettings(), decrypting: true });
+};
+
+// Forget the data key once nothing is encrypted with it any more
+export const removeEncryptionKey = () => {
+  patientStorage.removeItem(ENCRYPTION_SETTINGS_KEY);
+  clearTimeout(expiryTimer);
+  sessionKey = null;
+  notifyListeners();
+};
+
+export const changeEncryptionPassphrase = async (currentPassphrase, newPassphrase) => {
+  assertCanPerform('manageEncryption');
+  const problem = validatePassphrase(newPassphrase);
+  if (problem) {
+    throw new Error(problem);
+  }
+
+  const settings = getEncryptionSettings();
+  const dataKey = settings && await unwrapDataKey(settings, currentPassphrase, true);
+  if (!dataKey) {
+    throw new Error('The current passphrase is not correct');
+  }
+  saveEncryptionSettings({ ...settings, ...(await wrapDataKey(dataKey, newPassphrase)), updatedAt: new Date().toISOString() });
+};
+
+// --- Encrypting values ---
+
+const requireSessionKey = () => {
+  if (!sessionKey) {
+    throw createEncryptionLockedError();
+  }
+  return sessionKey;
+};
+
+export const isSealed = (value) => Boolean(value?.[SEALED_FIELD]);
+
+// Any JSON value as `{ __encrypted: { iv, data } }`
+export const sealValue = async (value) => {
+  const key = requireSessionKey();
+  const iv = randomBytes(12);
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+  return { [SEALED_FIELD]: { iv, data } };
+};
+
+export const openValue = async (sealed) => {
+  const { iv, data } = sealed[SEALED_FIELD];
+  const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, requireSessionKey(), data);
+  return JSON.parse(new TextDecoder().decode(plaintext));
+};
+
+export const sealBlob = async (blob) => {
+  const key = requireSessionKey();
+  const iv = randomBytes(12);
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, await blob.arrayBuffer());
+  return { [SEALED_FIELD]: { iv, data, type: blob.type } };
+};
+
+export const openBlob = async (sealed) => {
+  const { iv, data, type } = sealed[SEALED_FIELD];
+  return new Blob([await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, requireSessionKey(), data)], { type });
+};
+
+// Encrypt every field of a record except `plainFields`, which stay readable
+// (primary keys and the indexes the app queries by)
+export const sealRecord = async (record, plainFields) => {
+  const plain = {};
+  const secret = {};
+  Object.entries(record).forEach(([field, value]) => {
+    (plainFields.includes(field) ? plain : secret)[field] = value;
+  });
+  return { ...plain, ...(await sealValue(secret)) };
+};
+
+export const openRecord = async (record) => {
+  if (!isSealed(record)) {
+    return record;
+  }
+  const { [SEALED_FIELD]: envelope, ...plain } = record;
+  return { ...plain, ...(await openValue({ [SEALED_FIELD]: envelope })) };
+};
+
+// --- Text encrypted with a key that isn't the session's ---
+
+// A key derived from a secret that several devices know, such as a sync room
+// code. The salt only has to be the same on each of them.
+export const deriveSharedKey = (secret, salt) => deriveWrappingKey(secret, new TextEncoder().encode(salt), PBKDF2_ITERATIONS);
+
+export const encryptText = async (text, key) => {
+  const iv = randomBytes(12);
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+  return { iv: toBase64(iv), data: toBase64(data) };
+};
+
+// Returns the text, or null when it was encrypted with another key
+export const decryptText = async ({ iv, data }, key) => {
+  try {
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(data));
+    return new TextDecoder().decode(plaintext);
+  } catch {
+    return null;
+  }
+};
+
+// --- Passphrase-encrypted files (backups), independent of the session ---
+
+export const encryptWithPassphrase = async (text, passphrase) => {
+  const problem = validatePassphrase(passphrase);
+  if (problem) {
+    throw new Error(problem);
+  }
+
+  const salt = randomBytes(16);
+  const key = await deriveWrappingKey(passphrase, salt, PBKDF2_ITERATIONS);
+  return { salt: toBase64(salt), iterations: PBKDF2_ITERATIONS, ...(await encryptText(text, key)) };
+};
+
+// Returns the text, or null when the passphrase is wrong
+export const decryptWithPassphrase = async ({ salt, iterations, iv, data }, passphrase) => {
+  const key = await deriveWrappingKey(passphrase, fromBase64(salt), iterations);
+  return decryptText({ iv, data }, key);
+};
@@ -0,0 +1,46 @@
+import { db } from './database';
+import { getAllUserImages, putUserImageRecords } from './indexedDB';
+import { createEncryptionKey, beginDecryption, removeEncryptionKey } from './encryption';
+import { clearStoredDrafts } from './formDrafts';
+import { logBulkChange } from './auditLog';
+import { deleteSchemaSnapshots } from './schemaSnapshots';
+
+// Turning encryption on or off for the active patient. Every record and
+// image is read and written back, so it ends up stored the way the
+// encryption middleware (encryptedStorage.js) and indexedDB.js write now.
+const rewritePatientData = async () => {
+  for (const table of db.tables) {
+    await db.transaction('rw', table, async () => {
+      await table.bulkPut(await table.toArray());
+    });
+  }
+  await putUserImageRecords(await getAllUserImages());
+};
+
+export const turnOnEncryption = async (passphrase, timeoutMinutes) => {
+  try {
+    await createEncryptionKey(passphrase, timeoutMinutes);
+    await rewritePatientData();
+    // Snapshots taken before now hold the data in plaintext
+    await deleteSchemaSnapshots(db.name);
+    clearStoredDrafts();
+    await logBulkChange(db, { action: 'encrypt', description: 'Turned on encryption' });
+  } catch (error) {
+    console.error('Error turning on encryption:', error);
+    throw error;
+  }
+};
+
+// The key is only forgotten once everything has been decrypted, so an
+// interrupted run can be repeated with the same passphrase
+export const turnOffEncryption = async (passphrase) => {
+  try {
+    await beginDecryption(passphrase);
+    await rewritePatientData();
+    removeEncryptionKey();
+    await logBulkChange(db, { action: 'decrypt', description: 'Turned off encryption' });
+  } catch (error) {
+    console.error('Error turning off encryption:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,27 @@
+// Trigger a browser download for generated content (JSON, CSV, vCard...)
+export const downloadFile = (content, filename, type = 'application/json') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+// Date stamp used in exported file names, e.g. 2024-01-15
+export const getFileDateStamp = (date = new Date()) => date.toISOString().split('T')[0];
+
+const escapeCsv = (value) => {
+  let text = value === null || value === undefined ? '' : typeof value === 'string' ? value : JSON.stringify(value);
+  // Keep spreadsheets from evaluating caregiver-entered text as a formula
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows of values (the first one the header) as CSV text
+export const toCsv = (rows) => rows.map(row => row.map(escapeCsv).join(',')).join('\r\n');
@@ -0,0 +1,77 @@
+import { patientStorage } from './patientProfiles';
+import { isEncryptionEnabled } from './encryption';
+import { isUserUploadedImage } from './indexedDB';
+
+// Unsaved form drafts. A form's data is kept here while it is open so an
+// edit survives a failed save or a reload, and is cleared once the save succeeds.
+
+const DRAFT_KEY_PREFIX = 'formDraft:';
+
+// Used when localStorage itself is full, or while the patient's data is
+// encrypted (localStorage is written synchronously, before WebCrypto could
+// encrypt the draft), so the draft at least survives until the page is closed
+const memoryDrafts = new Map();
+
+export const isDraftKey = (key) => key.startsWith(DRAFT_KEY_PREFIX);
+
+export const saveDraft = (formId, draft) => {
+  const entry = { ...draft, savedAt: new Date().toISOString() };
+  memoryDrafts.set(formId, entry);
+  if (isEncryptionEnabled()) {
+    return;
+  }
+  try {
+    patientStorage.setItem(`${DRAFT_KEY_PREFIX}${formId}`, JSON.stringify(entry));
+  } catch (error) {
+    console.warn('Keeping form draft in memory only:', error);
+  }
+};
+
+export const loadDraft = (formId) => {
+  try {
+    const stored = patientStorage.getItem(`${DRAFT_KEY_PREFIX}${formId}`);
+    if (stored) {
+      return JSON.parse(stored);
+    }
+  } catch (error) {
+    console.error('Error reading form draft:', error);
+  }
+  return memoryDrafts.get(formId) || null;
+};
+
+// Remove drafts that were saved before encryption was turned on
+export const clearStoredDrafts = () => {
+  patientStorage.keys()
+    .filter(isDraftKey)
+    .forEach(key => patientStorage.removeItem(key));
+};
+
+export const clearDraft = (formId) => {
+  memoryDrafts.delete(formId);
+  patientStorage.removeItem(`${DRAFT_KEY_PREFIX}${formId}`);
+};
+
+const collectStrings = (value) => {
+  if (typeof value === 'string') return [value];
+  if (value && typeof value === 'object') return Object.values(value).flatMap(collectStrings);
+  return [];
+};
+
+// Images picked in an unsaved form, in memory or in localStorage, so they are
+// not purged as unused before the form is saved
+export const getDraftImageIds = () => {
+  const storedDrafts = patientStorage.keys()
+    .filter(isDraftKey)
+    .map(key => {
+      try {
+        return JSON.parse(patientStorage.getItem(key));
+      } catch {
+        return null;
+      }
+    });
+
+  const imageIds = [...memoryDrafts.values(), ...storedDrafts]
+    .flatMap(collectStrings)
+    .filter(isUserUploadedImage);
+  return [...new Set(imageIds)];
+};
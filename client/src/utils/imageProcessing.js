@@ -0,0 +1,109 @@
+// Image processing for user uploads: resizing on a canvas and conversion
+// between Blobs and data URLs (used by backups, sync and the legacy migration)
+
+export const THUMBNAIL_MAX_DIMENSION = 320;
+const THUMBNAIL_QUALITY = 0.8;
+
+// Formats that can have transparent pixels; only these are checked for them
+const ALPHA_TYPES = ['image/png', 'image/gif', 'image/webp', 'image/svg+xml', 'image/avif', 'image/x-icon', 'image/vnd.microsoft.icon'];
+
+const hasTransparency = (ctx, width, height) => {
+  const { data } = ctx.getImageData(0, 0, width, height);
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] < 255) return true;
+  }
+  return false;
+};
+
+// Resize an image Blob so neither side exceeds maxDimension and re-encode it:
+// as JPEG, or as WebP when it has transparent pixels so they stay
+// transparent (browsers that can't encode WebP return PNG, which keeps them too)
+export const resizeImage = (blob, maxDimension = 1024, quality = 0.85) => {
+  return new Promise((resolve, reject) => {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    const img = new Image();
+    const objectUrl = URL.createObjectURL(blob);
+
+    img.onload = () => {
+      URL.revokeObjectURL(objectUrl);
+
+      // Calculate new dimensions while maintaining aspect ratio
+      let { width, height } = img;
+
+      if (width > maxDimension) {
+        height = (height * maxDimension) / width;
+        width = maxDimension;
+      }
+
+      if (height > maxDimension) {
+        width = (width * maxDimension) / height;
+        height = maxDimension;
+      }
+
+      canvas.width = width;
+      canvas.height = height;
+
+      // Draw and compress image
+      ctx.drawImage(img, 0, 0, width, height);
+      const keepsAlpha = ALPHA_TYPES.includes(blob.type) && hasTransparency(ctx, canvas.width, canvas.height);
+
+      canvas.toBlob(
+        (result) => {
+          if (result) {
+            resolve(result);
+          } else {
+            reject(new Error('Failed to compress image'));
+          }
+        },
+        keepsAlpha ? 'image/webp' : 'image/jpeg',
+        quality
+      );
+    };
+
+    img.onerror = () => {
+      URL.revokeObjectURL(objectUrl);
+      reject(new Error('Failed to load image'));
+    };
+    img.src = objectUrl;
+  });
+};
+
+// Small variant shown in grids
+export const createThumbnail = (blob) => {
+  return resizeImage(blob, THUMBNAIL_MAX_DIMENSION, THUMBNAIL_QUALITY);
+};
+
+export const blobToDataUrl = (blob) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('Failed to read blob'));
+    reader.readAsDataURL(blob);
+  });
+};
+
+// Synchronous so it can run inside an IndexedDB upgrade transaction
+export const dataUrlToBlob = (dataUrl) => {
+  const [header, data] = dataUrl.split(',');
+  const mimeType = header.match(/^data:([^;]+)/)?.[1] || 'application/octet-stream';
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: mimeType });
+};
+
+// Blobs don't survive JSON, so stored images travel as data URLs
+export const serializeImage = async (image) => ({
+  ...image,
+  blob: image.blob ? await blobToDataUrl(image.blob) : null,
+  thumbnail: image.thumbnail ? await blobToDataUrl(image.thumbnail) : null
+});
+
+export const deserializeImage = (image) => ({
+  ...image,
+  blob: typeof image.blob === 'string' ? dataUrlToBlob(image.blob) : image.blob,
+  thumbnail: typeof image.thumbnail === 'string' ? dataUrlToBlob(image.thumbnail) : image.thumbnail
+});
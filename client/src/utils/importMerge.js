@@ -0,0 +1,235 @@
+// Conflict-aware import: incoming records are matched to existing ones by a
+// stable identity instead of their (device-specific) auto-increment ids, so
+// importing a backup into a non-empty database neither collides nor
+// duplicates. Every match is classified as new, changed or identical and the
+// caregiver decides per record which side wins.
+
+export const USAGE_MERGE_MODES = ['max', 'sum'];
+
+const normalize = (value) => String(value ?? '').trim().toLowerCase();
+
+// Identity of a record within its table, or null when it can't be matched
+const IMPORT_IDENTITY = {
+  contacts: (contact) => contact.name
+    ? `${normalize(contact.name)}|${String(contact.phoneNumber ?? '').replace(/\D/g, '')}`
+    : null,
+  phrases: (phrase) => phrase.text ? normalize(phrase.text) : null,
+  foods: (food) => food.name ? normalize(food.name) : null,
+  emergencies: (emergency) => emergency.name ? normalize(emergency.name) : null,
+  activities: (activity) => (activity.title || activity.name) ? normalize(activity.title || activity.name) : null,
+  orders: (order) => order.orderNumber ? normalize(order.orderNumber) : null,
+  symptomEvents: (event) => event.timestamp
+    ? `${event.timestamp}|${normalize(event.bodyPartName)}|${normalize(event.symptomType)}`
+    : null,
+  strokeChecks: (check) => check.startedAt || null,
+  sosEvents: (sos) => sos.triggeredAt || null,
+  // There is only one
+  medicalIds: () => 'medical-id',
+  medications: (medication) => medication.name
+    ? `${normalize(medication.name)}|${normalize(medication.dose)}`
+    : null,
+  medicationDoses: (dose) => dose.scheduledAt && dose.medicationSyncId
+    ? `${dose.scheduledAt}|${dose.medicationSyncId}`
+    : null,
+  // The same deletion arriving twice is one trash entry
+  trash: (entry) => entry.table && entry.deletedAt
+    ? `${entry.table}|${entry.recordKey}|${entry.record?.id ?? ''}|${entry.deletedAt}`
+    : null,
+  auditLog: (entry) => entry.timestamp
+    ? `${entry.timestamp}|${entry.entityType}|${entry.entityId ?? ''}|${entry.action}`
+    : null
+};
+
+// Human readable label for a record in the review list
+export const getImportRecordLabel = (record) => {
+  return record.name || record.text || record.title || record.orderNumber || record.label || `#${record.id}`;
+};
+
+// Fields that never count as a content change
+const VOLATILE_FIELDS = ['id', 'syncId', 'createdAt', 'updatedAt', 'usageCount'];
+
+const stripVolatile = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(stripVolatile);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value)
+      .filter(key => !VOLATILE_FIELDS.includes(key))
+      .sort()
+      .reduce((result, key) => ({ ...result, [key]: stripVolatile(value[key]) }), {});
+  }
+  return value;
+};
+
+const getChangedFields = (existing, incoming) => {
+  const a = stripVolatile(existing);
+  const b = stripVolatile(incoming);
+  const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...fields].filter(field => JSON.stringify(a[field]) !== JSON.stringify(b[field]));
+};
+
+const getIdentityFn = (table) => {
+  if (IMPORT_IDENTITY[table.name]) {
+    return IMPORT_IDENTITY[table.name];
+  }
+  // Tables with explicit keys (not ++id) can be matched on the key itself
+  const { primKey } = table.schema;
+  return primKey.auto ? () => null : (record) => record[primKey.keyPath] ?? null;
+};
+
+export const getImportEntryId = (tableName, key) => `${tableName}:${key}`;
+
+// Compare incoming records with the database, table by table
+export const buildImportDiff = async (database, data) => {
+  const diff = {};
+
+  for (const table of database.tables) {
+    const incomingRecords = data[table.name];
+    if (!Array.isArray(incomingRecords) || incomingRecords.length === 0) {
+      continue;
+    }
+
+    const getIdentity = getIdentityFn(table);
+    const existingByKey = new Map();
+    for (const record of await table.toArray()) {
+      const key = getIdentity(record);
+      if (key !== null && !existingByKey.has(key)) {
+        existingByKey.set(key, record);
+      }
+    }
+
+    const seenKeys = new Set();
+    diff[table.name] = [];
+    incomingRecords.forEach((incoming, index) => {
+      const identity = getIdentity(incoming);
+      // Records without an identity can only ever be added
+      const key = identity ?? `new-${index}`;
+      if (seenKeys.has(key)) {
+        return;
+      }
+      seenKeys.add(key);
+
+      const existing = identity !== null ? existingByKey.get(identity) : undefined;
+      if (!existing) {
+        diff[table.name].push({ key, status: 'new', incoming, existing: null, changedFields: [] });
+        return;
+      }
+
+      const changedFields = getChangedFields(existing, incoming);
+      diff[table.name].push({
+        key,
+        status: changedFields.length > 0 ? 'changed' : 'identical',
+        incoming,
+        existing,
+        changedFields
+      });
+    });
+  }
+
+  return diff;
+};
+
+// Count new / changed / identical entries per table
+export const summarizeImportDiff = (diff) => {
+  return Object.entries(diff).map(([table, entries]) => ({
+    table,
+    new: entries.filter(entry => entry.status === 'new').length,
+    changed: entries.filter(entry => entry.status === 'changed').length,
+    identical: entries.filter(entry => entry.status === 'identical').length
+  }));
+};
+
+const mergeUsage = (a, b, usageMode) => {
+  return usageMode === 'sum' ? (a || 0) + (b || 0) : Math.max(a || 0, b || 0);
+};
+
+const earliest = (a, b) => {
+  if (!a) return b;
+  if (!b) return a;
+  return a < b ? a : b;
+};
+
+// Take the winning side's content but never lose usage history or the
+// original creation date. Nested emergency symptoms are matched by id or
+// type: the winner's version of each is kept, and symptoms only the other
+// side has are added rather than dropped.
+const mergeRecords = (winner, existing, incoming, usageMode) => {
+  const merged = { ...winner };
+
+  if ('usageCount' in existing || 'usageCount' in incoming) {
+    merged.usageCount = mergeUsage(existing.usageCount, incoming.usageCount, usageMode);
+  }
+  if (existing.createdAt || incoming.createdAt) {
+    merged.createdAt = earliest(existing.createdAt, incoming.createdAt);
+  }
+
+  if (Array.isArray(existing.symptoms) || Array.isArray(incoming.symptoms)) {
+    const isSameSymptom = (a, b) => (a.id != null && String(a.id) === String(b.id)) || normalize(a.type) === normalize(b.type);
+    const findSymptom = (record, symptom) => (record.symptoms || []).find(s => isSameSymptom(s, symptom));
+    const other = winner === existing ? incoming : existing;
+    const otherOnly = (other.symptoms || []).filter(symptom => !findSymptom(winner, symptom));
+    merged.symptoms = [...(winner.symptoms || []), ...otherOnly].map(symptom => ({
+      ...symptom,
+      usageCount: mergeUsage(
+        findSymptom(existing, symptom)?.usageCount,
+        findSymptom(incoming, symptom)?.usageCount,
+        usageMode
+      )
+    }));
+  }
+
+  return merged;
+};
+
+// Write a diff to the database. `resolutions` maps getImportEntryId() to
+// 'incoming' or 'existing' for changed records; the device's copy wins by default.
+export const applyImportDiff = async (database, diff, { resolutions = {}, usageMode = 'max' } = {}) => {
+  if (!USAGE_MERGE_MODES.includes(usageMode)) {
+    throw new Error(`Invalid usage merge mode: ${usageMode}`);
+  }
+
+  const result = { added: 0, updated: 0, unchanged: 0 };
+  const tables = Object.keys(diff).map(name => database.table(name));
+
+  await database.transaction('rw', tables, async () => {
+    for (const table of tables) {
+      const { primKey } = table.schema;
+
+      for (const entry of diff[table.name]) {
+        if (entry.status === 'new') {
+          const record = { ...entry.incoming };
+          if (primKey.auto) {
+            // Auto-increment keys from another device would collide, let Dexie assign a new one
+            delete record[primKey.keyPath];
+          }
+          await table.add(record);
+          result.added++;
+          continue;
+        }
+
+        const useIncoming = entry.status === 'changed' &&
+          resolutions[getImportEntryId(table.name, entry.key)] === 'incoming';
+        const merged = mergeRecords(
+          useIncoming ? entry.incoming : entry.existing,
+          entry.existing,
+          entry.incoming,
+          usageMode
+        );
+        merged[primKey.keyPath] = entry.existing[primKey.keyPath];
+        // Synced devices know the record by the device's sync id (see syncTracking.js)
+        if (entry.existing.syncId) {
+          merged.syncId = entry.existing.syncId;
+        }
+
+        if (JSON.stringify(merged) === JSON.stringify(entry.existing)) {
+          result.unchanged++;
+        } else {
+          await table.put(merged);
+          result.updated++;
+        }
+      }
+    }
+  });
+
+  return result;
+};
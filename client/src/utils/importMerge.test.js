@@ -0,0 +1,193 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import Dexie from 'dexie';
+import { buildImportDiff, applyImportDiff, getImportEntryId } from './importMerge';
+
+const DATABASE_NAME = 'ImportMergeTestDB';
+
+const HEAD = {
+  name: 'Head',
+  usageCount: 2,
+  createdAt: '2025-01-01T00:00:00.000Z',
+  symptoms: [
+    { id: '1', type: 'Headache', description: 'My head hurts', usageCount: 3 },
+    { id: '2', type: 'Dizziness', description: 'I feel dizzy', usageCount: 1 }
+  ]
+};
+
+describe('importing emergency data', () => {
+  let database;
+
+  beforeEach(async () => {
+    await Dexie.delete(DATABASE_NAME);
+    database = new Dexie(DATABASE_NAME);
+    database.version(1).stores({ emergencies: '++id, name' });
+    await database.emergencies.add(structuredClone(HEAD));
+  });
+
+  afterEach(() => {
+    database.close();
+  });
+
+  // The backup's copy of Head: the headache renamed, dizziness used more, a
+  // symptom this device doesn't have and one added under another id
+  const INCOMING_HEAD = {
+    ...HEAD,
+    usageCount: 5,
+    symptoms: [
+      { id: '1', type: 'Bad headache', description: 'My head hurts a lot', usageCount: 1 },
+      { id: '7', type: 'dizziness', description: 'Everything spins', usageCount: 4 },
+      { id: '8', type: 'Blurred vision', description: "I can't see well", usageCount: 2 }
+    ]
+  };
+
+  const importHead = async (resolution) => {
+    const diff = await buildImportDiff(database, { emergencies: [INCOMING_HEAD] });
+    await applyImportDiff(database, diff, {
+      resolutions: resolution ? { [getImportEntryId('emergencies', 'head')]: resolution } : {}
+    });
+    return (await database.emergencies.toArray())[0];
+  };
+
+  it('keeps the device\'s symptoms and adds the ones only the backup has', async () => {
+    const head = await importHead();
+    expect(head.usageCount).toBe(5);
+    expect(head.symptoms).toEqual([
+      { id: '1', type: 'Headache', description: 'My head hurts', usageCount: 3 },
+      { id: '2', type: 'Dizziness', description: 'I feel dizzy', usageCount: 4 },
+      { id: '8', type: 'Blurred vision', description: "I can't see well", usageCount: 2 }
+    ]);
+  });
+
+  it('keeps the device\'s extra symptoms when the backup wins', async () => {
+    await database.emergencies.toCollection().modify(record => {
+      record.symptoms.push({ id: '9', type: 'Ear pain', description: 'My ear hurts', usageCount: 1 });
+    });
+    const head = await importHead('incoming');
+    expect(head.symptoms.map(symptom => [symptom.type, symptom.usageCount])).toEqual([
+      ['Bad headache', 3],
+      ['dizziness', 4],
+      ['Blurred vision', 2],
+      ['Ear pain', 1]
+    ]);
+  });
+});
+
+// Per table: a device record, the backup's copy of it under another id with a
+// different spelling and one changed field, and a look-alike that is a
+// different record
+const TABLE_CASES = [
+  {
+    table: 'contacts',
+    stores: '++id, name',
+    identity: 'sara|966501234567',
+    lookAlikeIdentity: 'sara|966550000000',
+    field: 'relationship',
+    existing: { name: 'Sara', phoneNumber: '+966 50 123 4567', relationship: 'family' },
+    incoming: { name: '  sara ', phoneNumber: '966501234567', relationship: 'friend' },
+    lookAlike: { name: 'Sara', phoneNumber: '+966 55 000 0000', relationship: 'friend' }
+  },
+  {
+    table: 'phrases',
+    stores: '++id, text',
+    identity: 'i need water',
+    lookAlikeIdentity: 'i need water now',
+    field: 'category',
+    existing: { text: 'I need water', category: 'needs' },
+    incoming: { text: ' I NEED WATER', category: 'basic' },
+    lookAlike: { text: 'I need water now', category: 'needs' }
+  },
+  {
+    table: 'foods',
+    stores: '++id, name',
+    identity: 'rice',
+    lookAlikeIdentity: 'rice pudding',
+    field: 'category',
+    existing: { name: 'Rice', category: 'meals' },
+    incoming: { name: 'RICE ', category: 'snacks' },
+    lookAlike: { name: 'Rice pudding', category: 'meals' }
+  },
+  {
+    table: 'activities',
+    stores: '++id, title',
+    identity: 'walk',
+    lookAlikeIdentity: 'walk the dog',
+    field: 'time',
+    existing: { title: 'Walk', time: '09:00' },
+    incoming: { name: ' walk', time: '10:00' },
+    lookAlike: { title: 'Walk the dog', time: '09:00' }
+  }
+];
+
+describe.each(TABLE_CASES)('importing $table', ({ table, stores, identity, lookAlikeIdentity, field, existing, incoming, lookAlike }) => {
+  let database;
+  let deviceId;
+
+  const DEVICE_RECORD = {
+    ...existing,
+    usageCount: 2,
+    syncId: 'device-sync-id',
+    createdAt: '2025-01-01T00:00:00.000Z'
+  };
+  // Auto-increment ids from the other device collide with this one's
+  const BACKUP_RECORD = {
+    ...incoming,
+    id: 1,
+    usageCount: 3,
+    syncId: 'backup-sync-id',
+    createdAt: '2025-03-01T00:00:00.000Z'
+  };
+  const LOOK_ALIKE = { ...lookAlike, id: 2, usageCount: 1 };
+
+  beforeEach(async () => {
+    await Dexie.delete(DATABASE_NAME);
+    database = new Dexie(DATABASE_NAME);
+    database.version(1).stores({ [table]: stores });
+    deviceId = await database.table(table).add({ ...DEVICE_RECORD });
+  });
+
+  afterEach(() => {
+    database.close();
+  });
+
+  it('matches records by identity and keeps the device\'s copy by default', async () => {
+    const diff = await buildImportDiff(database, { [table]: [BACKUP_RECORD, LOOK_ALIKE] });
+    expect(diff[table].map(entry => [entry.key, entry.status, entry.changedFields])).toEqual([
+      [identity, 'changed', expect.arrayContaining([field])],
+      [lookAlikeIdentity, 'new', []]
+    ]);
+
+    // Only volatile fields differ
+    const unchangedDiff = await buildImportDiff(database, { [table]: [{ ...DEVICE_RECORD, id: 9, usageCount: 7 }] });
+    expect(unchangedDiff[table].map(entry => entry.status)).toEqual(['identical']);
+
+    expect(await applyImportDiff(database, diff)).toEqual({ added: 1, updated: 1, unchanged: 0 });
+    const records = await database.table(table).toArray();
+    expect(records).toHaveLength(2);
+    expect(records.find(record => record.id === deviceId)).toEqual({
+      ...DEVICE_RECORD,
+      id: deviceId,
+      usageCount: 3
+    });
+    expect(records.find(record => record.id !== deviceId)).toEqual({
+      ...LOOK_ALIKE,
+      id: expect.any(Number)
+    });
+  });
+
+  it('takes the backup\'s copy when the caregiver picks it', async () => {
+    const diff = await buildImportDiff(database, { [table]: [BACKUP_RECORD] });
+    const result = await applyImportDiff(database, diff, {
+      resolutions: { [getImportEntryId(table, identity)]: 'incoming' },
+      usageMode: 'sum'
+    });
+
+    expect(result).toEqual({ added: 0, updated: 1, unchanged: 0 });
+    expect(await database.table(table).toArray()).toEqual([{
+      ...BACKUP_RECORD,
+      id: deviceId,
+      usageCount: 5,
+      syncId: 'device-sync-id',
+      createdAt: '2025-01-01T00:00:00.000Z'
+    }]);
+  });
+});
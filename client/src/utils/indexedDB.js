@@ -1,8 +1,63 @@
-// IndexedDB utilities for storing user-uploaded images
-const DB_NAME = 'EmergencyAppDB';
-const DB_VERSION = 1;
+import { createThumbnail, resizeImage, dataUrlToBlob } from './imageProcessing';
+import { getPatientDatabaseName } from './patientProfiles';
+import { shouldEncryptWrites, sealBlob, openBlob, sealValue, openValue, isSealed } from './encryption';
+
+// IndexedDB utilities for storing user-uploaded images (one database per
+// patient profile)
+const DB_NAME = getPatientDatabaseName('EmergencyAppDB');
+// v2: images are stored as Blobs with a thumbnail instead of base64 data URLs
+const DB_VERSION = 2;
 const STORE_NAME = 'userImages';
 
+// Convert a v1 record (`base64Data` string) to the Blob layout. The thumbnail
+// is left empty and filled in later by backfillImageThumbnails.
+export const migrateLegacyImageRecord = (record) => {
+  if (!record.base64Data) {
+    return record;
+  }
+
+  const { base64Data, ...rest } = record;
+  const blob = dataUrlToBlob(base64Data);
+  return {
+    ...rest,
+    blob,
+    mimeType: blob.type,
+    size: blob.size,
+    thumbnail: null,
+    thumbnailSize: 0
+  };
+};
+
+// While encryption is on (see encryption.js) the image bytes and file name
+// are stored encrypted; ids, links and sizes stay readable for the indexes
+// and the storage overview. Sealing happens before a transaction is opened,
+// since WebCrypto would let it commit.
+const sealImageRecord = async (record) => {
+  if (!shouldEncryptWrites()) {
+    return record;
+  }
+  return {
+    ...record,
+    blob: record.blob && await sealBlob(record.blob),
+    thumbnail: record.thumbnail && await sealBlob(record.thumbnail),
+    originalName: record.originalName && await sealValue(record.originalName)
+  };
+};
+
+const openImageRecord = async (record) => {
+  if (!record) {
+    return record;
+  }
+  return {
+    ...record,
+    blob: isSealed(record.blob) ? await openBlob(record.blob) : record.blob,
+    thumbnail: isSealed(record.thumbnail) ? await openBlob(record.thumbnail) : record.thumbnail,
+    originalName: isSealed(record.originalName) ? await openValue(record.originalName) : record.originalName
+  };
+};
+
+const openImageRecords = (records) => Promise.all(records.map(openImageRecord));
+
 // Initialize the database
 export const initDB = () => {
   return new Promise((resolve, reject) => {
@@ -37,6 +92,18 @@ export const initDB = () => {
         
         console.log('IndexedDB store created successfully');
       }
+
+      if (event.oldVersion >= 1 && event.oldVersion < 2) {
+        const store = event.target.transaction.objectStore(STORE_NAME);
+        store.openCursor().onsuccess = (cursorEvent) => {
+          const cursor = cursorEvent.target.result;
+          if (cursor) {
+            cursor.update(migrateLegacyImageRecord(cursor.value));
+            cursor.continue();
+          }
+        };
+        console.log('Migrating stored images to Blobs');
+      }
     };
   });
 };
@@ -44,23 +111,26 @@ export const initDB = () => {
 // Store a user-uploaded image
 export const storeUserImage = async (imageData) => {
   try {
-    const db = await initDB();
-    const transaction = db.transaction([STORE_NAME], 'readwrite');
-    const store = transaction.objectStore(STORE_NAME);
-
-         const imageRecord = {
+         const imageRecord = await sealImageRecord({
        id: imageData.id,
        type: imageData.type, // 'bodypart', 'symptom', 'contact', 'food', 'phrase'
-       base64Data: imageData.base64Data,
+       blob: imageData.blob,
+       thumbnail: imageData.thumbnail || null,
+       mimeType: imageData.blob.type,
        originalName: imageData.originalName,
        uploadDate: new Date().toISOString(),
-       size: imageData.size,
+       size: imageData.blob.size,
+       thumbnailSize: imageData.thumbnail ? imageData.thumbnail.size : 0,
        bodyPartId: imageData.bodyPartId,
        symptomId: imageData.symptomId,
        contactId: imageData.contactId,
        foodId: imageData.foodId,
        phraseId: imageData.phraseId
-     };
+     });
+
+    const db = await initDB();
+    const transaction = db.transaction([STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
 
     const request = store.put(imageRecord);
 
@@ -93,7 +163,7 @@ export const getUserImage = async (imageId) => {
     return new Promise((resolve, reject) => {
       request.onsuccess = () => {
         if (request.result) {
-          resolve(request.result);
+          resolve(openImageRecord(request.result));
         } else {
           resolve(null);
         }
@@ -110,6 +180,33 @@ export const getUserImage = async (imageId) => {
   }
 };
 
+// Write complete image records (used when restoring a backup)
+export const putUserImageRecords = async (imageRecords) => {
+  try {
+    const records = await Promise.all(imageRecords.map(record => sealImageRecord(migrateLegacyImageRecord(record))));
+    const db = await initDB();
+    const transaction = db.transaction([STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+
+    records.forEach(record => store.put(record));
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => {
+        console.log('Image records stored successfully:', imageRecords.length);
+        resolve(imageRecords.length);
+      };
+
+      transaction.onerror = () => {
+        console.error('Error storing image records:', transaction.error);
+        reject(transaction.error);
+      };
+    });
+  } catch (error) {
+    console.error('Error in putUserImageRecords:', error);
+    throw error;
+  }
+};
+
 // Get all images for a specific body part
 export const getImagesByBodyPart = async (bodyPartId) => {
   try {
@@ -122,7 +219,7 @@ export const getImagesByBodyPart = async (bodyPartId) => {
 
     return new Promise((resolve, reject) => {
       request.onsuccess = () => {
-        resolve(request.result || []);
+        resolve(openImageRecords(request.result || []));
       };
 
       request.onerror = () => {
@@ -147,7 +244,7 @@ export const getAllUserImages = async () => {
 
     return new Promise((resolve, reject) => {
       request.onsuccess = () => {
-        resolve(request.result || []);
+        resolve(openImageRecords(request.result || []));
       };
 
       request.onerror = () => {
@@ -187,6 +284,32 @@ export const deleteUserImage = async (imageId) => {
   }
 };
 
+// Delete several user-uploaded images in one transaction
+export const deleteUserImages = async (imageIds) => {
+  try {
+    const db = await initDB();
+    const transaction = db.transaction([STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+
+    imageIds.forEach(imageId => store.delete(imageId));
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => {
+        console.log('Images deleted successfully:', imageIds.length);
+        resolve(imageIds.length);
+      };
+
+      transaction.onerror = () => {
+        console.error('Error deleting images:', transaction.error);
+        reject(transaction.error);
+      };
+    });
+  } catch (error) {
+    console.error('Error in deleteUserImages:', error);
+    throw error;
+  }
+};
+
 // Get storage usage information
 export const getStorageInfo = async () => {
   try {
@@ -199,7 +322,7 @@ export const getStorageInfo = async () => {
     return new Promise((resolve, reject) => {
       request.onsuccess = () => {
         const images = request.result || [];
-        const totalSize = images.reduce((sum, img) => sum + (img.size || 0), 0);
+        const totalSize = images.reduce((sum, img) => sum + (img.size || 0) + (img.thumbnailSize || 0), 0);
         const totalImages = images.length;
 
         resolve({
@@ -258,18 +381,75 @@ export const isUserUploadedImage = (imagePath) => {
   return imagePath && imagePath.startsWith('user_upload_');
 };
 
-// Get image source (either from IndexedDB or direct path)
-export const getImageSource = async (imagePath) => {
-  if (isUserUploadedImage(imagePath)) {
-    try {
-      const imageData = await getUserImage(imagePath);
-      return imageData ? imageData.base64Data : null;
-    } catch (error) {
-      console.error('Error loading user image:', error);
-      return null;
+// Get the Blob for a user-uploaded image. The 'thumbnail' variant falls back
+// to the full image until its thumbnail has been generated.
+export const getUserImageBlob = async (imageId, variant = 'full') => {
+  const record = await getUserImage(imageId);
+  if (!record) {
+    return null;
+  }
+  return (variant === 'thumbnail' && record.thumbnail) || record.blob || null;
+};
+
+// Generate thumbnails for images that don't have one yet (migrated or restored records)
+export const backfillImageThumbnails = async () => {
+  try {
+    const images = await getAllUserImages();
+    const missing = images.filter(image => image.blob && !image.thumbnail);
+    if (missing.length === 0) {
+      return 0;
     }
-  } else {
-    // Return direct path for pre-existing images
-    return imagePath;
+
+    const updated = [];
+    for (const image of missing) {
+      try {
+        const thumbnail = await createThumbnail(image.blob);
+        updated.push({ ...image, thumbnail, thumbnailSize: thumbnail.size });
+      } catch (error) {
+        console.error('Error creating thumbnail for image:', image.id, error);
+      }
+    }
+
+    await putUserImageRecords(updated);
+    console.log('Thumbnails generated:', updated.length);
+    return updated.length;
+  } catch (error) {
+    console.error('Error in backfillImageThumbnails:', error);
+    throw error;
   }
-}; 
\ No newline at end of file
+};
+
+// Downscale and re-encode stored images to free space. Each image is written
+// back on its own so space is released progressively even when storage is full.
+export const compressStoredImages = async ({ maxDimension = 800, quality = 0.7, minSize = 150 * 1024 } = {}) => {
+  try {
+    const images = await getAllUserImages();
+    let compressed = 0;
+    let savedBytes = 0;
+
+    for (const image of images) {
+      if (!image.blob || image.blob.size < minSize) {
+        continue;
+      }
+
+      try {
+        const blob = await resizeImage(image.blob, maxDimension, quality);
+        if (blob.size >= image.blob.size) {
+          continue;
+        }
+
+        await putUserImageRecords([{ ...image, blob, mimeType: blob.type, size: blob.size }]);
+        savedBytes += image.blob.size - blob.size;
+        compressed++;
+      } catch (error) {
+        console.error('Error compressing image:', image.id, error);
+      }
+    }
+
+    console.log('Images compressed:', compressed, 'saved bytes:', savedBytes);
+    return { compressed, savedBytes };
+  } catch (error) {
+    console.error('Error in compressStoredImages:', error);
+    throw error;
+  }
+};
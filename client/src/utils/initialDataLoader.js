@@ -1,4 +1,10 @@
-import { dbOperations } from './database';
+import { db, emergencyOperations, dbOperations } from './database';
+import { clearHistory } from './undoHistory';
+import { logBulkChange } from './auditLog';
+import { assertCanPerform } from './caregiverLock';
+import { clearAllUserImages } from './indexedDB';
+import { patientStorage } from './patientProfiles';
+import { ENCRYPTION_SETTINGS_KEY } from './encryption';
 
 // Load initial emergency data into the database
 // Updated to fetch from public directory instead of importing
@@ -22,23 +28,29 @@ export const loadInitialEmergencyData = async () => {
     const emergencyData = await response.json();
 
     // Load body parts and their symptoms
-    for (const bodyPart of emergencyData.body_parts) {
+    for (const [index, bodyPart] of emergencyData.body_parts.entries()) {
       const emergencyDataItem = {
         name: bodyPart.name,
         description: bodyPart.description,
         bodyPartImage: bodyPart.bodyPartImage,
         icon: bodyPart.icon,
-        symptoms: bodyPart.symptoms.map(symptom => ({
+        symptoms: bodyPart.symptoms.map((symptom, symptomIndex) => ({
+          id: `symptom_${index}_${symptomIndex}`,
           type: symptom.type,
           description: symptom.description,
           symptomImage: symptom.symptomImage,
           icon: symptom.icon,
           usageCount: 0,
           createdAt: new Date().toISOString()
-        }))
+        })),
+        usageCount: 0,
+        updatedAt: new Date().toISOString(),
+        // The same on every device, so synced devices don't get the template twice
+        syncId: `template-emergency-${index}`
       };
 
-      await dbOperations.addEmergency(emergencyDataItem);
+      // Seeding is not a caregiver edit, so it bypasses undo tracking
+      await emergencyOperations.addEmergency(emergencyDataItem);
     }
 
     console.log('Initial emergency data loaded successfully');
@@ -91,4 +103,53 @@ export const resetAndReloadData = async () => {
     console.error('Error resetting and reloading data:', error);
     throw error;
   }
+};
+
+// Put the active patient profile back to the template: every collection,
+// photo and patient setting is removed and the initial data is loaded again.
+// The change log is kept.
+export const resetPatientToTemplate = async () => {
+  try {
+    assertCanPerform('managePatients');
+    const tables = db.tables.filter(table => table.name !== 'auditLog');
+    await db.transaction('rw', tables, async () => {
+      for (const table of tables) {
+        await table.clear();
+      }
+    });
+    await clearAllUserImages();
+    // Encryption stays on with the same passphrase
+    patientStorage.keys()
+      .filter(key => key !== ENCRYPTION_SETTINGS_KEY)
+      .forEach(key => patientStorage.removeItem(key));
+    await loadAllInitialData();
+    await logBulkChange(db, { action: 'reset', description: 'Reset the patient profile to the template' });
+    clearHistory();
+  } catch (error) {
+    console.error('Error resetting patient profile:', error);
+    throw error;
+  }
+};
+
+// Replace the emergency body parts with a fresh copy of emergency.json
+export const reloadInitialEmergencyData = async () => {
+  try {
+    assertCanPerform('reloadEmergencyData');
+    console.log('Reloading emergency data from emergency.json...');
+    const existingEmergencies = await dbOperations.getAllEmergencies();
+    // Replaced body parts are removed outright rather than moved to the trash
+    for (const emergency of existingEmergencies) {
+      await emergencyOperations.deleteEmergency(emergency.id);
+    }
+    await loadInitialEmergencyData();
+    await logBulkChange(db, {
+      entityType: 'emergencies',
+      action: 'reset',
+      description: 'Reloaded body parts and symptoms from emergency.json'
+    });
+    clearHistory();
+  } catch (error) {
+    console.error('Error reloading emergency data:', error);
+    throw error;
+  }
 }; 
\ No newline at end of file
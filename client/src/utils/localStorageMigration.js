@@ -0,0 +1,66 @@
+import { db } from './database';
+import { patientStorage } from './patientProfiles';
+
+// Collections the managers used to keep as JSON blobs in localStorage,
+// mapped to the Dexie table that now holds them
+const LEGACY_COLLECTIONS = [
+  { key: 'contacts', table: 'contacts' },
+  { key: 'foods', table: 'foods' },
+  { key: 'phrases', table: 'phrases' },
+  { key: 'emergencyData', table: 'emergencies' }
+];
+
+const readLegacyCollection = (key) => {
+  try {
+    const stored = patientStorage.getItem(key);
+    const parsed = stored ? JSON.parse(stored) : null;
+    return Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    console.error(`Error reading ${key} from localStorage:`, error);
+    return null;
+  }
+};
+
+// Drop the string id the manager generated so Dexie assigns its own key.
+// Everything else (usageCount, user_upload_ image references, nested
+// symptoms) is carried over untouched.
+const toDexieRecord = ({ id: _legacyId, ...record }) => {
+  const now = new Date().toISOString();
+  return {
+    ...record,
+    usageCount: record.usageCount || 0,
+    createdAt: record.createdAt || now,
+    updatedAt: record.updatedAt || record.createdAt || now
+  };
+};
+
+// One-time import of the legacy localStorage collections into StrokeAppDB.
+// localStorage was what the patient actually used, so it replaces whatever
+// the matching table holds (e.g. the emergency.json seed). The legacy keys
+// are removed afterwards, which also marks the migration as done.
+export const migrateLocalStorageToDexie = async () => {
+  const pending = LEGACY_COLLECTIONS
+    .map(collection => ({ ...collection, records: readLegacyCollection(collection.key) }))
+    .filter(collection => collection.records !== null);
+
+  if (pending.length === 0) {
+    return false;
+  }
+
+  try {
+    console.log('Migrating localStorage data to IndexedDB...');
+    await db.transaction('rw', pending.map(collection => db[collection.table]), async () => {
+      for (const collection of pending) {
+        await db[collection.table].clear();
+        await db[collection.table].bulkAdd(collection.records.map(toDexieRecord));
+      }
+    });
+
+    pending.forEach(collection => patientStorage.removeItem(collection.key));
+    console.log('localStorage data migrated successfully');
+    return true;
+  } catch (error) {
+    console.error('Error migrating localStorage data:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,267 @@
+import { db, RECORD_TYPE_LABELS } from './database';
+import { trackRecordChange } from './undoHistory';
+import { assertCanPerform } from './caregiverLock';
+import { getActivePatient } from './patientProfiles';
+
+// Medical ID: what paramedics and a new doctor need to know at a glance,
+// kept as a single record per patient. It is shown as a full-screen card the
+// patient can open without caregiver mode, printed as a wallet card and
+// shared as a vCard or a QR code of it. Only caregivers edit it.
+
+// Every device creates the same record, so that synced devices merge their
+// medical IDs instead of keeping one each
+const MEDICAL_ID_SYNC_ID = 'medical-id';
+
+// An empty value means "not known"
+export const BLOOD_TYPES = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+export const AFFECTED_SIDES = {
+  left: 'Left side',
+  right: 'Right side',
+  both: 'Both sides',
+  none: 'No weakness'
+};
+
+export const APHASIA_TYPES = {
+  none: 'No aphasia',
+  expressive: "Expressive (Broca's): understands more than they can say",
+  receptive: "Receptive (Wernicke's): speaks, but has trouble understanding",
+  global: 'Global: has trouble speaking and understanding',
+  anomic: 'Anomic: has trouble finding words',
+  other: 'Other'
+};
+
+// Blood thinners decide whether clot-dissolving treatment can be given
+export const ANTICOAGULANT_STATUSES = {
+  none: 'Not on blood thinners',
+  anticoagulant: 'Takes an anticoagulant',
+  antiplatelet: 'Takes an antiplatelet'
+};
+
+export const createMedicalId = () => ({
+  name: getActivePatient().name,
+  dateOfBirth: '',
+  bloodType: '',
+  strokeHistory: '',
+  strokeDate: '',
+  affectedSide: '',
+  aphasiaType: '',
+  allergies: '',
+  medications: '',
+  anticoagulantStatus: '',
+  anticoagulantName: '',
+  physicianName: '',
+  physicianPhone: '',
+  nextOfKinName: '',
+  nextOfKinRelationship: '',
+  nextOfKinPhone: ''
+});
+
+const TEXT_FIELDS = Object.keys(createMedicalId());
+
+const listeners = new Set();
+
+// Subscribe to changes of the medical ID. Returns an unsubscribe function.
+export const onMedicalIdChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const notifyListeners = () => {
+  listeners.forEach(listener => listener());
+};
+
+const isOneOf = (value, allowed) => !value || allowed.includes(value);
+
+const isPastDate = (value) => {
+  if (!value) return true;
+  const date = new Date(`${value}T00:00:00`);
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(date.getTime()) && date.getTime() <= Date.now();
+};
+
+export const validateMedicalId = (data) => {
+  const errors = [];
+
+  if (!data.name?.trim()) {
+    errors.push('Name is required');
+  }
+  if (!isPastDate(data.dateOfBirth)) {
+    errors.push('Enter a date of birth in the past');
+  }
+  if (!isPastDate(data.strokeDate)) {
+    errors.push('Enter a stroke date in the past');
+  }
+  if (!isOneOf(data.bloodType, BLOOD_TYPES)) {
+    errors.push('Invalid blood type');
+  }
+  if (!isOneOf(data.affectedSide, Object.keys(AFFECTED_SIDES))) {
+    errors.push('Invalid affected side');
+  }
+  if (!isOneOf(data.aphasiaType, Object.keys(APHASIA_TYPES))) {
+    errors.push('Invalid aphasia type');
+  }
+  if (!isOneOf(data.anticoagulantStatus, Object.keys(ANTICOAGULANT_STATUSES))) {
+    errors.push('Invalid anticoagulant status');
+  }
+
+  return errors;
+};
+
+// The saved medical ID, or null before a caregiver has filled it in
+export const getMedicalId = async () => {
+  try {
+    return await db.medicalIds.where('syncId').equals(MEDICAL_ID_SYNC_ID).first() || null;
+  } catch (error) {
+    console.error('Error loading medical ID:', error);
+    throw error;
+  }
+};
+
+export const saveMedicalId = async (data) => {
+  try {
+    assertCanPerform('updateMedicalId');
+    const errors = validateMedicalId(data);
+    if (errors.length > 0) {
+      throw new Error(errors.join(', '));
+    }
+
+    const values = {};
+    TEXT_FIELDS.forEach(field => {
+      values[field] = String(data[field] ?? '').trim();
+    });
+    const existing = await getMedicalId();
+    const now = new Date().toISOString();
+    const saved = await trackRecordChange(
+      db,
+      `${existing ? 'Edit' : 'Add'} ${RECORD_TYPE_LABELS.medicalIds}`,
+      'medicalIds',
+      existing?.id ?? null,
+      async () => {
+        if (existing) {
+          await db.medicalIds.update(existing.id, { ...values, updatedAt: now });
+          return { ...existing, ...values, updatedAt: now };
+        }
+        const record = { ...values, syncId: MEDICAL_ID_SYNC_ID, createdAt: now, updatedAt: now };
+        const id = await db.medicalIds.add(record);
+        return { ...record, id };
+      }
+    );
+    notifyListeners();
+    return saved;
+  } catch (error) {
+    console.error('Error saving medical ID:', error);
+    throw error;
+  }
+};
+
+// --- Display ---
+
+// Age in whole years, or null without a date of birth
+export const getAge = (dateOfBirth, now = new Date()) => {
+  if (!dateOfBirth) return null;
+  const [year, month, day] = dateOfBirth.split('-').map(Number);
+  const hadBirthday = now.getMonth() + 1 > month || (now.getMonth() + 1 === month && now.getDate() >= day);
+  return now.getFullYear() - year - (hadBirthday ? 0 : 1);
+};
+
+export const formatMedicalDate = (value) => value
+  ? new Date(`${value}T00:00:00`).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' })
+  : '';
+
+export const getAnticoagulantText = (medicalId) => {
+  const status = ANTICOAGULANT_STATUSES[medicalId.anticoagulantStatus];
+  if (!status) return '';
+  return medicalId.anticoagulantName && medicalId.anticoagulantStatus !== 'none'
+    ? `${status}: ${medicalId.anticoagulantName}`
+    : status;
+};
+
+export const getStrokeText = (medicalId) => [
+  medicalId.strokeHistory,
+  medicalId.strokeDate && `(${formatMedicalDate(medicalId.strokeDate)})`
+].filter(Boolean).join(' ');
+
+// The medical ID as labelled lines, in the order paramedics need them; empty
+// fields are left out
+export const getMedicalIdLines = (medicalId) => [
+  { label: 'Date of birth', value: medicalId.dateOfBirth && `${formatMedicalDate(medicalId.dateOfBirth)} (age ${getAge(medicalId.dateOfBirth)})` },
+  { label: 'Blood type', value: medicalId.bloodType },
+  { label: 'Blood thinners', value: getAnticoagulantText(medicalId) },
+  { label: 'Allergies', value: medicalId.allergies },
+  { label: 'Stroke', value: getStrokeText(medicalId) },
+  { label: 'Affected side', value: AFFECTED_SIDES[medicalId.affectedSide] },
+  { label: 'Aphasia', value: APHASIA_TYPES[medicalId.aphasiaType] },
+  { label: 'Medications', value: medicalId.medications },
+  { label: 'Physician', value: [medicalId.physicianName, medicalId.physicianPhone].filter(Boolean).join(', ') },
+  {
+    label: 'Next of kin',
+    value: [
+      medicalId.nextOfKinName && (medicalId.nextOfKinRelationship ? `${medicalId.nextOfKinName} (${medicalId.nextOfKinRelationship})` : medicalId.nextOfKinName),
+      medicalId.nextOfKinPhone
+    ].filter(Boolean).join(', ')
+  }
+].filter(line => line.value);
+
+// --- vCard ---
+
+const escapeVCardText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/([,;])/g, '\\$1');
+
+const utf8 = new TextEncoder();
+
+// Lines longer than 75 octets of UTF-8 are folded onto continuation lines,
+// which start with a space; a character is never split across two lines
+const foldVCardLine = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = utf8.encode(char).length;
+    const limit = parts.length === 0 ? 75 : 74;
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// The structured name (family;given;additional;prefix;suffix), taking the
+// first word as the given name and the last as the family name
+const toVCardName = (name) => {
+  const [given = '', ...rest] = String(name || '').trim().split(/\s+/).filter(Boolean);
+  const family = rest.pop() || '';
+  return [family, given, rest.join(' '), '', ''].map(escapeVCardText).join(';');
+};
+
+// A vCard 3.0 of the patient with the medical ID in its note, and the next
+// of kin and physician as labelled phone numbers (the labels are an Apple
+// extension other phones show as plain numbers)
+export const medicalIdToVCard = (medicalId) => {
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `FN:${escapeVCardText(medicalId.name)}`,
+    `N:${toVCardName(medicalId.name)}`
+  ];
+  if (medicalId.dateOfBirth) {
+    lines.push(`BDAY:${medicalId.dateOfBirth}`);
+  }
+  [
+    { label: `Next of kin${medicalId.nextOfKinName ? ` (${medicalId.nextOfKinName})` : ''}`, phone: medicalId.nextOfKinPhone },
+    { label: `Physician${medicalId.physicianName ? ` (${medicalId.physicianName})` : ''}`, phone: medicalId.physicianPhone }
+  ].filter(entry => entry.phone).forEach((entry, index) => {
+    lines.push(`item${index + 1}.TEL:${escapeVCardText(entry.phone)}`);
+    lines.push(`item${index + 1}.X-ABLabel:${escapeVCardText(entry.label)}`);
+  });
+  const note = ['MEDICAL ID', ...getMedicalIdLines(medicalId).map(line => `${line.label}: ${line.value}`)].join('\n');
+  lines.push(`NOTE:${escapeVCardText(note)}`);
+  lines.push('END:VCARD');
+  return lines.map(foldVCardLine).join('\r\n') + '\r\n';
+};
@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { medicalIdToVCard } from './medicalId';
+
+const utf8Length = (text) => new TextEncoder().encode(text).length;
+
+const unfold = (vcard) => vcard.replace(/\r\n /g, '');
+
+describe('medicalIdToVCard', () => {
+  it('splits the name into given, middle and family names', () => {
+    expect(medicalIdToVCard({ name: 'Sara Ali Hassan' })).toContain('\r\nN:Hassan;Sara;Ali;;\r\n');
+    expect(medicalIdToVCard({ name: 'Sara' })).toContain('\r\nN:;Sara;;;\r\n');
+    expect(medicalIdToVCard({ name: '' })).toContain('\r\nN:;;;;\r\n');
+  });
+
+  it('folds long lines at 75 octets without splitting characters', () => {
+    const medicalId = {
+      name: 'سارة علي حسن',
+      allergies: 'بنسلين، '.repeat(20),
+      medications: '💊 Aspirin 100 mg; '.repeat(10)
+    };
+    const vcard = medicalIdToVCard(medicalId);
+    const lines = vcard.split('\r\n');
+
+    lines.forEach(line => {
+      expect(utf8Length(line)).toBeLessThanOrEqual(75);
+      // A lone surrogate means an emoji was cut in half
+      expect(line).not.toMatch(/[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/);
+    });
+    expect(lines.some(line => line.startsWith(' '))).toBe(true);
+    expect(unfold(vcard)).toContain(`Allergies: ${medicalId.allergies.replace(/,/g, '\\,')}`);
+    expect(unfold(vcard)).toContain('💊 Aspirin 100 mg\\; 💊 Aspirin');
+  });
+});
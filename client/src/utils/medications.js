@@ -0,0 +1,210 @@
+import Dexie from 'dexie';
+import { db, ENUMS } from './database';
+import { toCsv } from './fileDownload';
+import { getOccurrences } from './recurrence';
+
+// Medication schedule: each medication is due at its times of day between
+// its start and end dates. A due dose asks the patient "taken, skipped or
+// later?"; the answer is logged per dose, "later" brings the dose back after
+// a snooze, and a dose nobody answers counts as missed once its window has
+// passed. Like the symptom history, answering never waits for caregiver
+// mode. Medications themselves are edited through dbOperations.
+
+export const MEDICATION_SNOOZE_MINUTES = 15;
+
+// A dose stays due this long after its time, then it is missed
+export const DOSE_WINDOW_HOURS = 4;
+
+export const DOSE_STATUS_LABELS = {
+  taken: 'Taken',
+  skipped: 'Skipped',
+  later: 'Later',
+  missed: 'Missed',
+  due: 'Due now',
+  upcoming: 'Later today'
+};
+
+export const DOSE_STATUS_ICONS = {
+  taken: '✅',
+  skipped: '❌',
+  later: '⏰',
+  missed: '⚠️',
+  due: '🔔',
+  upcoming: '🕒'
+};
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const listeners = new Set();
+
+// Subscribe to changes of the dose log. Returns an unsubscribe function.
+export const onMedicationChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const notifyListeners = () => {
+  listeners.forEach(listener => listener());
+};
+
+// --- Schedule ---
+
+// Medications repeat daily at their times of day (see recurrence.js)
+export const getMedicationRule = (medication) => ({
+  frequency: 'daily',
+  times: medication.timesOfDay,
+  startDate: medication.startDate,
+  endDate: medication.endDate || null
+});
+
+// Every dose of `medications` due between `from` and `to` (Dates), oldest
+// first: `{ medication, scheduledAt }` with scheduledAt as an ISO string
+export const getScheduledDoses = (medications, from, to) => {
+  return medications
+    .filter(medication => medication.isActive !== false)
+    .flatMap(medication => getOccurrences(getMedicationRule(medication), from, to)
+      .map(at => ({ medication, scheduledAt: at.toISOString() })))
+    .sort((a, b) => a.scheduledAt.localeCompare(b.scheduledAt));
+};
+
+export const getDoseKey = (medicationSyncId, scheduledAt) => `${medicationSyncId}|${scheduledAt}`;
+
+const indexLogs = (logs) => new Map(logs.map(log => [getDoseKey(log.medicationSyncId, log.scheduledAt), log]));
+
+// Where a dose stands at `now`: taken, skipped, later (snoozed), due,
+// upcoming or missed
+export const getDoseStatus = (scheduledAt, log, now = new Date()) => {
+  if (log && log.status !== 'later') {
+    return log.status;
+  }
+  const time = new Date(scheduledAt).getTime();
+  if (time > now.getTime()) {
+    return 'upcoming';
+  }
+  if (now.getTime() - time > DOSE_WINDOW_HOURS * HOUR_MS) {
+    return 'missed';
+  }
+  return log && new Date(log.snoozedUntil).getTime() > now.getTime() ? 'later' : 'due';
+};
+
+// The scheduled doses with their log entry and status
+export const getDoseSchedule = (medications, logs, from, to, now = new Date()) => {
+  const logsByDose = indexLogs(logs);
+  return getScheduledDoses(medications, from, to).map(({ medication, scheduledAt }) => {
+    const log = logsByDose.get(getDoseKey(medication.syncId, scheduledAt)) || null;
+    return { medication, scheduledAt, log, status: getDoseStatus(scheduledAt, log, now) };
+  });
+};
+
+// Doses to ask about now, oldest first
+export const getDueDoses = (medications, logs, now = new Date()) => {
+  return getDoseSchedule(medications, logs, new Date(now.getTime() - DOSE_WINDOW_HOURS * HOUR_MS), now, now)
+    .filter(dose => dose.status === 'due');
+};
+
+// When the next dose is due after `now`, or null
+export const getNextDoseTime = (medications, logs, now = new Date()) => {
+  const upcoming = getScheduledDoses(medications, now, new Date(now.getTime() + 2 * DAY_MS))
+    .find(dose => new Date(dose.scheduledAt) > now);
+  const snoozed = logs
+    .filter(log => log.status === 'later' && new Date(log.snoozedUntil) > now)
+    .map(log => new Date(log.snoozedUntil));
+  const times = [upcoming && new Date(upcoming.scheduledAt), ...snoozed].filter(Boolean);
+  return times.length > 0 ? new Date(Math.min(...times)) : null;
+};
+
+export const getReminderSentence = (medication) => `Time for your medicine: ${medication.dose} of ${medication.name}.`;
+
+// --- Dose log ---
+
+export const listDoseLogs = async ({ from, to } = {}) => {
+  try {
+    const lower = from ? from.toISOString() : Dexie.minKey;
+    const upper = to ? to.toISOString() : Dexie.maxKey;
+    return await db.medicationDoses.where('scheduledAt').between(lower, upper, true, true).toArray();
+  } catch (error) {
+    console.error('Error listing medication doses:', error);
+    throw error;
+  }
+};
+
+// Answer a dose. Answering again (e.g. taken after later) replaces the
+// answer; "later" snoozes the dose for MEDICATION_SNOOZE_MINUTES.
+export const recordDoseResponse = async (medication, scheduledAt, status, now = new Date()) => {
+  if (!ENUMS.MEDICATION_DOSE_STATUSES.includes(status)) {
+    throw new Error(`Unknown dose status: ${status}`);
+  }
+  try {
+    const existing = await db.medicationDoses
+      .where('scheduledAt').equals(scheduledAt)
+      .filter(log => log.medicationSyncId === medication.syncId)
+      .first();
+    const answer = {
+      status,
+      respondedAt: now.toISOString(),
+      snoozedUntil: status === 'later' ? new Date(now.getTime() + MEDICATION_SNOOZE_MINUTES * MINUTE_MS).toISOString() : null,
+      snoozeCount: (existing?.snoozeCount || 0) + (status === 'later' ? 1 : 0)
+    };
+    let log;
+    if (existing) {
+      await db.medicationDoses.update(existing.id, answer);
+      log = { ...existing, ...answer };
+    } else {
+      log = {
+        medicationSyncId: medication.syncId,
+        medicationName: medication.name,
+        dose: medication.dose,
+        scheduledAt,
+        ...answer
+      };
+      log.id = await db.medicationDoses.add(log);
+    }
+    notifyListeners();
+    return log;
+  } catch (error) {
+    console.error('Error logging medication dose:', error);
+    throw error;
+  }
+};
+
+// --- Adherence ---
+
+// Past doses of the period with their outcome, for the clinician. Doses
+// still due or snoozed count as neither taken nor missed yet.
+export const getAdherenceReport = (medications, logs, from, to, now = new Date()) => {
+  const end = new Date(Math.min(to.getTime(), now.getTime()));
+  const doses = getDoseSchedule(medications, logs, from, end, now);
+  const byMedication = new Map();
+  doses.forEach(dose => {
+    const key = dose.medication.syncId;
+    if (!byMedication.has(key)) {
+      byMedication.set(key, { medication: dose.medication, scheduled: 0, taken: 0, skipped: 0, missed: 0, pending: 0 });
+    }
+    const row = byMedication.get(key);
+    row.scheduled += 1;
+    if (['taken', 'skipped', 'missed'].includes(dose.status)) {
+      row[dose.status] += 1;
+    } else {
+      row.pending += 1;
+    }
+  });
+  const summary = [...byMedication.values()].map(row => {
+    const settled = row.taken + row.skipped + row.missed;
+    return { ...row, adherence: settled > 0 ? Math.round(row.taken / settled * 100) : null };
+  });
+  return { doses, summary };
+};
+
+export const adherenceToCsv = (doses) => toCsv([
+  ['Scheduled', 'Medication', 'Dose', 'Status', 'Answered at', 'Times snoozed'],
+  ...doses.map(({ medication, scheduledAt, log, status }) => [
+    scheduledAt,
+    medication.name,
+    medication.dose,
+    DOSE_STATUS_LABELS[status],
+    log?.respondedAt || '',
+    log?.snoozeCount || 0
+  ])
+]);
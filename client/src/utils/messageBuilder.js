@@ -0,0 +1,86 @@
+import { dbOperations } from './database';
+
+// The message the patient is composing from tiles, e.g. "I want / water /
+// now": tapping a phrase, food, contact or symptom appends it, and the whole
+// message is spoken as one sentence (see MessageStrip.jsx). The message lives
+// in memory, so it follows the patient across tabs but never reaches storage
+// unless it is saved as a phrase.
+
+export const MESSAGE_TILE_KINDS = ['phrase', 'food', 'contact', 'symptom'];
+
+// Long enough for any sentence, short enough to stay on screen
+export const MAX_MESSAGE_TILES = 20;
+
+let tiles = [];
+let nextTileId = 1;
+const listeners = new Set();
+
+// Subscribe to message events: `{ type: 'change' }` whenever tiles are added,
+// moved or removed and `{ type: 'saved', phrase }` once the message was saved
+// as a phrase. Returns an unsubscribe function.
+export const onMessageChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const notifyListeners = (event) => {
+  listeners.forEach(listener => listener(event));
+};
+
+const setTiles = (nextTiles) => {
+  tiles = nextTiles;
+  notifyListeners({ type: 'change' });
+};
+
+export const getMessageTiles = () => tiles;
+
+// `label` is shown on the chip; `text` is what is spoken, when it differs
+// (e.g. a symptom's description)
+export const addMessageTile = ({ kind, label, text }) => {
+  if (!MESSAGE_TILE_KINDS.includes(kind)) {
+    throw new Error(`Unknown message tile kind: ${kind}`);
+  }
+  if (!label?.trim() || tiles.length >= MAX_MESSAGE_TILES) {
+    return null;
+  }
+  const tile = { id: nextTileId++, kind, label: label.trim(), text: (text || label).trim() };
+  setTiles([...tiles, tile]);
+  return tile;
+};
+
+export const removeMessageTile = (id) => {
+  setTiles(tiles.filter(tile => tile.id !== id));
+};
+
+// Move a tile `offset` places, e.g. -1 for one to the left
+export const moveMessageTile = (id, offset) => {
+  const from = tiles.findIndex(tile => tile.id === id);
+  const to = from + offset;
+  if (from === -1 || to < 0 || to >= tiles.length) {
+    return;
+  }
+  const nextTiles = [...tiles];
+  const [tile] = nextTiles.splice(from, 1);
+  nextTiles.splice(to, 0, tile);
+  setTiles(nextTiles);
+};
+
+export const clearMessage = () => {
+  if (tiles.length > 0) {
+    setTiles([]);
+  }
+};
+
+// The message as one utterance
+export const getMessageText = () => tiles.map(tile => tile.text).join(' ');
+
+// Keep the composed message as a new phrase, so it is one tap next time
+export const saveMessageAsPhrase = async (category = 'common') => {
+  const text = getMessageText();
+  if (!text) {
+    throw new Error('The message is empty');
+  }
+  const phrase = await dbOperations.addPhrase({ text, category, phraseImage: '', usageCount: 0 });
+  notifyListeners({ type: 'saved', phrase });
+  return phrase;
+};
@@ -0,0 +1,142 @@
+import Dexie from 'dexie';
+import { assertCanPerform } from './caregiverLock';
+import { deleteSchemaSnapshots } from './schemaSnapshots';
+
+// Patient profiles for a tablet shared between several patients. Each
+// profile has its own StrokeAppDB and EmergencyAppDB and its own localStorage
+// keys; the first profile keeps the original names, so data from before
+// profiles existed stays where it is. The databases are opened once at
+// startup, which is why switching profiles reloads the app.
+
+const PROFILES_KEY = 'patientProfiles';
+const KEY_PREFIX = 'patient:';
+
+export const DEFAULT_PATIENT_ID = 'default';
+
+// localStorage keys that belong to the device rather than to a patient
+const DEVICE_STORAGE_KEYS = [PROFILES_KEY, 'caregiverLock', 'storageWarningThresholds', 'syncDeviceId', 'deviceIdentity'];
+
+// Database names are suffixed with the profile id
+const PATIENT_DATABASES = ['StrokeAppDB', 'EmergencyAppDB'];
+
+const DEFAULT_REGISTRY = {
+  profiles: [{ id: DEFAULT_PATIENT_ID, name: 'Patient', createdAt: null }],
+  activeId: DEFAULT_PATIENT_ID
+};
+
+const getRegistry = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PROFILES_KEY));
+    return stored?.profiles?.length ? stored : DEFAULT_REGISTRY;
+  } catch {
+    return DEFAULT_REGISTRY;
+  }
+};
+
+const saveRegistry = (registry) => {
+  localStorage.setItem(PROFILES_KEY, JSON.stringify(registry));
+  return registry;
+};
+
+export const getPatientProfiles = () => getRegistry().profiles;
+
+export const getActivePatient = () => {
+  const { profiles, activeId } = getRegistry();
+  return profiles.find(profile => profile.id === activeId) || profiles[0];
+};
+
+export const getPatientDatabaseName = (baseName, patientId = getActivePatient().id) => {
+  return patientId === DEFAULT_PATIENT_ID ? baseName : `${baseName}_${patientId}`;
+};
+
+export const isDeviceStorageKey = (key) => DEVICE_STORAGE_KEYS.includes(key);
+
+const getKeyPrefix = (patientId) => patientId === DEFAULT_PATIENT_ID ? '' : `${KEY_PREFIX}${patientId}:`;
+
+// The patient's own localStorage keys, without their profile prefix
+const listPatientKeys = (patientId) => {
+  const prefix = getKeyPrefix(patientId);
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (prefix ? key.startsWith(prefix) : !key.startsWith(KEY_PREFIX) && !isDeviceStorageKey(key)) {
+      keys.push(key.slice(prefix.length));
+    }
+  }
+  return keys;
+};
+
+// localStorage scoped to the active patient. Keys are given without the
+// profile prefix, the way the app used them before profiles existed.
+export const patientStorage = {
+  getItem: (key) => localStorage.getItem(`${getKeyPrefix(getActivePatient().id)}${key}`),
+  setItem: (key, value) => localStorage.setItem(`${getKeyPrefix(getActivePatient().id)}${key}`, value),
+  removeItem: (key) => localStorage.removeItem(`${getKeyPrefix(getActivePatient().id)}${key}`),
+  keys: () => listPatientKeys(getActivePatient().id)
+};
+
+const validateName = (name) => {
+  if (!name?.trim()) {
+    throw new Error('Enter a name for the patient');
+  }
+  return name.trim();
+};
+
+const randomId = () => {
+  const values = crypto.getRandomValues(new Uint8Array(6));
+  return Array.from(values, value => value.toString(16).padStart(2, '0')).join('');
+};
+
+// New profiles start empty; the template data is loaded the first time the
+// app opens them
+export const addPatientProfile = (name) => {
+  assertCanPerform('managePatients');
+  const registry = getRegistry();
+  const profile = { id: randomId(), name: validateName(name), createdAt: new Date().toISOString() };
+  saveRegistry({ ...registry, profiles: [...registry.profiles, profile] });
+  return profile;
+};
+
+export const renamePatientProfile = (id, name) => {
+  assertCanPerform('managePatients');
+  const registry = getRegistry();
+  saveRegistry({
+    ...registry,
+    profiles: registry.profiles.map(profile => profile.id === id ? { ...profile, name: validateName(name) } : profile)
+  });
+};
+
+// Delete a profile together with its databases, their upgrade snapshots and
+// its localStorage keys. The active profile can't be deleted; switch to
+// another one first.
+export const deletePatientProfile = async (id) => {
+  assertCanPerform('managePatients');
+  const registry = getRegistry();
+  if (id === getActivePatient().id) {
+    throw new Error("The open patient can't be deleted. Switch to another patient first.");
+  }
+
+  try {
+    for (const baseName of PATIENT_DATABASES) {
+      await Dexie.delete(getPatientDatabaseName(baseName, id));
+      await deleteSchemaSnapshots(getPatientDatabaseName(baseName, id));
+    }
+    const prefix = getKeyPrefix(id);
+    listPatientKeys(id).forEach(key => localStorage.removeItem(`${prefix}${key}`));
+    saveRegistry({ ...registry, profiles: registry.profiles.filter(profile => profile.id !== id) });
+  } catch (error) {
+    console.error('Error deleting patient profile:', error);
+    throw error;
+  }
+};
+
+// Make another profile the active one and restart the app on its data
+export const switchPatientProfile = (id) => {
+  assertCanPerform('switchPatient');
+  const registry = getRegistry();
+  if (!registry.profiles.some(profile => profile.id === id)) {
+    throw new Error('This patient no longer exists');
+  }
+  saveRegistry({ ...registry, activeId: id });
+  window.location.reload();
+};
@@ -0,0 +1,38 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import Dexie from 'dexie';
+import { applySchemaMigrations, LATEST_SCHEMA_VERSION } from './schemaMigrations';
+import { createSnapshotIfUpgrading, listSchemaSnapshots } from './schemaSnapshots';
+import { setupCaregiverLock, lockCaregiverMode } from './caregiverLock';
+import { addPatientProfile, deletePatientProfile, getPatientDatabaseName } from './patientProfiles';
+
+const snapshotV1Database = async (databaseName) => {
+  const database = applySchemaMigrations(new Dexie(databaseName), { maxVersion: 1 });
+  await database.open();
+  await database.table('contacts').add({ name: 'Sara', relationship: 'family' });
+  database.close();
+  await createSnapshotIfUpgrading(databaseName, LATEST_SCHEMA_VERSION);
+};
+
+describe('deletePatientProfile', () => {
+  beforeEach(async () => {
+    localStorage.clear();
+    await setupCaregiverLock('Owner', 'pin', '1234');
+  });
+
+  afterEach(() => {
+    lockCaregiverMode();
+  });
+
+  it('deletes the upgrade snapshots of the patient\'s database and no other', async () => {
+    const patient = addPatientProfile('Second patient');
+    const databaseName = getPatientDatabaseName('StrokeAppDB', patient.id);
+    await snapshotV1Database(databaseName);
+    await snapshotV1Database('StrokeAppDB');
+
+    await deletePatientProfile(patient.id);
+
+    expect(await Dexie.exists(databaseName)).toBe(false);
+    expect(await listSchemaSnapshots(databaseName)).toEqual([]);
+    expect(await listSchemaSnapshots('StrokeAppDB')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,134 @@
+// Caregiver roles and what each may change. Operations are the mutating
+// `dbOperations` names plus the caregiver screens that write elsewhere
+// (trash, backups, the image store, lock settings, patient profiles,
+// encryption, sync, device pairing, emergency numbers, reminder settings and
+// the medical ID).
+// Patient actions such as usage counts and favorites are not listed and are
+// always allowed.
+
+export const ROLES = {
+  owner: {
+    label: 'Owner',
+    description: 'Can change everything, including profiles, backups and storage'
+  },
+  family: {
+    label: 'Family',
+    description: 'Can add, edit and delete records and restore them from the trash'
+  },
+  therapist: {
+    label: 'Therapist',
+    description: 'Can edit phrases, activities, foods and symptoms, but not delete body parts or contacts'
+  }
+};
+
+export const ROLE_IDS = Object.keys(ROLES);
+
+const ALL = ['owner', 'family', 'therapist'];
+const FAMILY = ['owner', 'family'];
+const OWNER = ['owner'];
+
+// Which roles may run each operation
+export const PERMISSION_MATRIX = {
+  // Emergency screen
+  addEmergency: FAMILY,
+  updateEmergency: ALL,
+  deleteEmergency: FAMILY,
+  deleteSymptom: FAMILY,
+  reloadEmergencyData: OWNER,
+
+  // Foods
+  addFood: ALL,
+  updateFood: ALL,
+  deleteFood: FAMILY,
+
+  // Contacts
+  addContact: FAMILY,
+  updateContact: FAMILY,
+  deleteContact: FAMILY,
+
+  // Phrases
+  addPhrase: ALL,
+  updatePhrase: ALL,
+  deletePhrase: ALL,
+
+  // Orders
+  addOrder: ALL,
+  updateOrderStatus: ALL,
+
+  // Activities
+  addActivity: ALL,
+  updateActivity: ALL,
+  toggleActivityActive: ALL,
+  deleteActivity: ALL,
+
+  // Medications
+  addMedication: FAMILY,
+  updateMedication: FAMILY,
+  toggleMedicationActive: FAMILY,
+  deleteMedication: FAMILY,
+
+  // Whole collections
+  importData: OWNER,
+  clearAllData: OWNER,
+  restoreBackup: OWNER,
+  restoreSchemaSnapshot: OWNER,
+
+  // Trash
+  restoreFromTrash: FAMILY,
+  purgeTrash: OWNER,
+
+  // Symptom diary (see symptomHistory.js)
+  deleteSymptomEvent: FAMILY,
+
+  // Image store and storage settings
+  manageStorage: OWNER,
+
+  // Caregiver profiles and lock settings
+  manageCaregivers: OWNER,
+
+  // Patient profiles (see patientProfiles.js)
+  switchPatient: ALL,
+  managePatients: OWNER,
+
+  // At-rest encryption (see encryption.js)
+  manageEncryption: OWNER,
+
+  // Device sync (see sync.js)
+  manageSync: OWNER,
+
+  // Paired devices (see devicePairing.js)
+  managePairing: OWNER,
+
+  // Emergency numbers (see emergencyServices.js)
+  manageEmergencyNumbers: FAMILY,
+
+  // Reminder settings (see reminders.js)
+  manageReminders: FAMILY,
+
+  // Medical ID (see medicalId.js)
+  updateMedicalId: FAMILY
+};
+
+export const isRestrictedOperation = (operation) => Object.hasOwn(PERMISSION_MATRIX, operation);
+
+// Whether a role may run an operation. Without a role (caregiver mode
+// locked) only unrestricted operations are allowed.
+export const roleCanPerform = (role, operation) => {
+  if (!isRestrictedOperation(operation)) {
+    return true;
+  }
+  return Boolean(role) && PERMISSION_MATRIX[operation].includes(role);
+};
+
+export const getRoleLabel = (role) => ROLES[role]?.label || role;
+
+export const createPermissionError = (operation, role) => {
+  const error = new Error(role
+    ? `${getRoleLabel(role)} profiles can't do this (${operation})`
+    : `Unlock caregiver mode to do this (${operation})`);
+  error.name = 'PermissionDeniedError';
+  error.operation = operation;
+  return error;
+};
+
+export const isPermissionError = (error) => error?.name === 'PermissionDeniedError';
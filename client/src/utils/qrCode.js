@@ -0,0 +1,366 @@
+// QR code encoder for the pairing and sharing codes (see devicePairing.js),
+// after ISO/IEC 18004: byte mode, error correction level L or M, versions 1
+// to 40. The app has no QR dependency, and this is all the codes need.
+
+// Error correction codewords per block and number of blocks, by version
+const ECC_CODEWORDS_PER_BLOCK = {
+  L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28]
+};
+const ECC_BLOCKS = {
+  L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49]
+};
+const FORMAT_BITS = { L: 1, M: 0 };
+
+export const MAX_QR_VERSION = 40;
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+// Modules left for data and error correction once the patterns are drawn
+const getRawDataModules = (version) => {
+  let modules = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignmentCount = Math.floor(version / 7) + 2;
+    modules -= (25 * alignmentCount - 10) * alignmentCount - 55;
+    if (version >= 7) {
+      modules -= 36;
+    }
+  }
+  return modules;
+};
+
+const getDataCodewords = (version, level) => Math.floor(getRawDataModules(version) / 8)
+  - ECC_CODEWORDS_PER_BLOCK[level][version] * ECC_BLOCKS[level][version];
+
+// The most bytes a code of the given level can hold
+export const getQrCapacity = (level = 'L') => getDataCodewords(MAX_QR_VERSION, level) - 3;
+
+// --- Reed-Solomon error correction over GF(2^8) ---
+
+const gfMultiply = (x, y) => {
+  let product = 0;
+  for (let i = 7; i >= 0; i--) {
+    product = (product << 1) ^ ((product >>> 7) * 0x11d);
+    product ^= ((y >>> i) & 1) * x;
+  }
+  return product;
+};
+
+const createDivisor = (degree) => {
+  const divisor = new Array(degree).fill(0);
+  divisor[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      divisor[j] = gfMultiply(divisor[j], root);
+      if (j + 1 < degree) {
+        divisor[j] ^= divisor[j + 1];
+      }
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return divisor;
+};
+
+const computeRemainder = (data, divisor) => {
+  const remainder = divisor.map(() => 0);
+  data.forEach((byte) => {
+    const factor = byte ^ remainder.shift();
+    remainder.push(0);
+    divisor.forEach((coefficient, i) => {
+      remainder[i] ^= gfMultiply(coefficient, factor);
+    });
+  });
+  return remainder;
+};
+
+// Split the data into blocks, add each block's error correction and
+// interleave them
+const addErrorCorrection = (data, version, level) => {
+  const blockCount = ECC_BLOCKS[level][version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[level][version];
+  const rawCodewords = Math.floor(getRawDataModules(version) / 8);
+  const shortBlockCount = blockCount - rawCodewords % blockCount;
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+  const divisor = createDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const blockData = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1));
+    offset += blockData.length;
+    const ecc = computeRemainder(blockData, divisor);
+    if (i < shortBlockCount) {
+      blockData.push(0);
+    }
+    blocks.push([...blockData, ...ecc]);
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Short blocks have a padding byte where long blocks have data
+      if (i !== shortBlockLength - eccLength || j >= shortBlockCount) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+};
+
+// --- Data ---
+
+const encodeBytes = (bytes, version, level) => {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) {
+      bits.push((value >>> i) & 1);
+    }
+  };
+
+  append(0b0100, 4);
+  append(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach(byte => append(byte, 8));
+
+  const capacity = getDataCodewords(version, level) * 8;
+  append(0, Math.min(4, capacity - bits.length));
+  append(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+    append(pad, 8);
+  }
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return codewords;
+};
+
+const chooseVersion = (byteLength, level) => {
+  for (let version = 1; version <= MAX_QR_VERSION; version++) {
+    const neededBits = 4 + (version < 10 ? 8 : 16) + byteLength * 8;
+    if (neededBits <= getDataCodewords(version, level) * 8) {
+      return version;
+    }
+  }
+  return null;
+};
+
+// --- Matrix ---
+
+const getAlignmentPositions = (version) => {
+  if (version === 1) {
+    return [];
+  }
+  const count = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const positions = [6];
+  for (let position = version * 4 + 10; positions.length < count; position -= step) {
+    positions.splice(1, 0, position);
+  }
+  return positions;
+};
+
+const createMatrix = (version, level, codewords, mask) => {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const setFunctionModule = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    setFunctionModule(6, i, i % 2 === 0);
+    setFunctionModule(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with their separators
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) {
+          setFunctionModule(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  });
+
+  // Alignment patterns, except where they would overlap a finder pattern
+  const positions = getAlignmentPositions(version);
+  const last = positions.length - 1;
+  positions.forEach((cy, i) => {
+    positions.forEach((cx, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+        return;
+      }
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setFunctionModule(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  // Format information: level and mask, BCH-coded, twice
+  const formatData = (FORMAT_BITS[level] << 3) | mask;
+  let formatRemainder = formatData;
+  for (let i = 0; i < 10; i++) {
+    formatRemainder = (formatRemainder << 1) ^ ((formatRemainder >>> 9) * 0x537);
+  }
+  const formatBits = ((formatData << 10) | formatRemainder) ^ 0x5412;
+  const formatBit = (i) => ((formatBits >>> i) & 1) !== 0;
+  for (let i = 0; i <= 5; i++) {
+    setFunctionModule(8, i, formatBit(i));
+  }
+  setFunctionModule(8, 7, formatBit(6));
+  setFunctionModule(8, 8, formatBit(7));
+  setFunctionModule(7, 8, formatBit(8));
+  for (let i = 9; i < 15; i++) {
+    setFunctionModule(14 - i, 8, formatBit(i));
+  }
+  for (let i = 0; i < 8; i++) {
+    setFunctionModule(size - 1 - i, 8, formatBit(i));
+  }
+  for (let i = 8; i < 15; i++) {
+    setFunctionModule(8, size - 15 + i, formatBit(i));
+  }
+  setFunctionModule(8, size - 8, true);
+
+  // Version information from version 7 on
+  if (version >= 7) {
+    let versionRemainder = version;
+    for (let i = 0; i < 12; i++) {
+      versionRemainder = (versionRemainder << 1) ^ ((versionRemainder >>> 11) * 0x1f25);
+    }
+    const versionBits = (version << 12) | versionRemainder;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((versionBits >>> i) & 1) !== 0;
+      const a = size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      setFunctionModule(a, b, dark);
+      setFunctionModule(b, a, dark);
+    }
+  }
+
+  // Data in two-module columns, zigzagging up and down from the right
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) {
+      right = 5;
+    }
+    for (let vertical = 0; vertical < size; vertical++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vertical : vertical;
+        if (!reserved[y][x] && bitIndex < codewords.length * 8) {
+          modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) !== 0;
+          bitIndex++;
+        }
+      }
+    }
+  }
+
+  const maskFn = MASKS[mask];
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!reserved[y][x] && maskFn(x, y)) {
+        modules[y][x] = !modules[y][x];
+      }
+    }
+  }
+  return modules;
+};
+
+// --- Mask choice: the mask with the lowest penalty is easiest to scan ---
+
+const FINDER_LIKE = [[1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0], [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1]];
+
+const scoreLine = (line) => {
+  let penalty = 0;
+  let runLength = 1;
+  for (let i = 1; i <= line.length; i++) {
+    if (i < line.length && line[i] === line[i - 1]) {
+      runLength++;
+    } else {
+      if (runLength >= 5) {
+        penalty += runLength - 2;
+      }
+      runLength = 1;
+    }
+  }
+  const bits = line.map(Number);
+  for (let i = 0; i + 11 <= bits.length; i++) {
+    if (FINDER_LIKE.some(pattern => pattern.every((bit, k) => bits[i + k] === bit))) {
+      penalty += 40;
+    }
+  }
+  return penalty;
+};
+
+const getPenalty = (modules) => {
+  const size = modules.length;
+  let penalty = 0;
+  let dark = 0;
+  for (let i = 0; i < size; i++) {
+    penalty += scoreLine(modules[i]);
+    penalty += scoreLine(modules.map(row => row[i]));
+  }
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) {
+        dark++;
+      }
+      if (x + 1 < size && y + 1 < size) {
+        const color = modules[y][x];
+        if (modules[y][x + 1] === color && modules[y + 1][x] === color && modules[y + 1][x + 1] === color) {
+          penalty += 3;
+        }
+      }
+    }
+  }
+  penalty += Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+  return penalty;
+};
+
+// Encode `text` (UTF-8) as a QR code. Returns the modules as rows of
+// booleans, true for dark, without the quiet zone. Throws when the text is
+// too long for any version.
+export const createQrMatrix = (text, { level = 'M' } = {}) => {
+  const bytes = Array.from(new TextEncoder().encode(text));
+  // Use a higher level when it doesn't make the code any bigger
+  let chosenLevel = level;
+  let version = chooseVersion(bytes.length, level);
+  if (version === null && level !== 'L') {
+    chosenLevel = 'L';
+    version = chooseVersion(bytes.length, 'L');
+  }
+  if (version === null) {
+    throw new Error(`Too much data for a QR code (${bytes.length} bytes)`);
+  }
+
+  const codewords = addErrorCorrection(encodeBytes(bytes, version, chosenLevel), version, chosenLevel);
+  let best = null;
+  MASKS.forEach((_, mask) => {
+    const modules = createMatrix(version, chosenLevel, codewords, mask);
+    const penalty = getPenalty(modules);
+    if (!best || penalty < best.penalty) {
+      best = { modules, penalty };
+    }
+  });
+  return best.modules;
+};
@@ -0,0 +1,100 @@
+// Recurrence rules shared by medications and activity reminders:
+// `{ frequency, times, daysOfWeek, intervalDays, startDate, endDate }` with
+// frequency one of ENUMS.ACTIVITY_FREQUENCY. Daily rules repeat every day,
+// weekly ones on `daysOfWeek` (0 = Sunday), monthly ones on the day of the
+// month of `startDate` (the last day in shorter months) and custom ones
+// every `intervalDays` days from `startDate`. Dates are local calendar dates
+// ("2026-10-18"), times local "HH:MM". Validation is in database.js.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// A local calendar date as stored on rules, e.g. "2026-10-18"
+export const toDateString = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+export const atTimeOfDay = (day, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes);
+};
+
+// Whole days between two calendar dates, unaffected by daylight saving
+const daysBetween = (fromDate, toDate) => {
+  const [fromYear, fromMonth, fromDay] = fromDate.split('-').map(Number);
+  const [toYear, toMonth, toDay] = toDate.split('-').map(Number);
+  return Math.round((Date.UTC(toYear, toMonth - 1, toDay) - Date.UTC(fromYear, fromMonth - 1, fromDay)) / DAY_MS);
+};
+
+const daysInMonth = (day) => new Date(day.getFullYear(), day.getMonth() + 1, 0).getDate();
+
+export const isOccurrenceDay = (rule, day) => {
+  const date = toDateString(day);
+  if (date < rule.startDate || (rule.endDate && date > rule.endDate)) {
+    return false;
+  }
+  switch (rule.frequency) {
+    case 'daily':
+      return true;
+    case 'weekly':
+      return (rule.daysOfWeek || []).includes(day.getDay());
+    case 'monthly':
+      return day.getDate() === Math.min(Number(rule.startDate.slice(8, 10)), daysInMonth(day));
+    case 'custom':
+      return rule.intervalDays > 0 && daysBetween(rule.startDate, date) % rule.intervalDays === 0;
+    default:
+      return false;
+  }
+};
+
+// Every time the rule falls due between `from` and `to` (Dates), oldest first
+export const getOccurrences = (rule, from, to) => {
+  const occurrences = [];
+  for (let day = new Date(from.getFullYear(), from.getMonth(), from.getDate()); day <= to; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+    if (!isOccurrenceDay(rule, day)) continue;
+    [...new Set(rule.times)].forEach(time => {
+      const at = atTimeOfDay(day, time);
+      if (at >= from && at <= to) {
+        occurrences.push(at);
+      }
+    });
+  }
+  return occurrences.sort((a, b) => a - b);
+};
+
+// "Every day", "Mon, Wed", "Every 3 days"... followed by the times
+export const describeRule = (rule) => {
+  const times = [...new Set(rule.times)].sort().join(', ');
+  switch (rule.frequency) {
+    case 'daily':
+      return `Every day at ${times}`;
+    case 'weekly':
+      return `${[...rule.daysOfWeek].sort().map(day => WEEKDAY_LABELS[day]).join(', ')} at ${times}`;
+    case 'monthly':
+      return `Monthly on day ${Number(rule.startDate.slice(8, 10))} at ${times}`;
+    case 'custom':
+      return `Every ${rule.intervalDays} days at ${times}`;
+    default:
+      return times;
+  }
+};
+
+// The rule of a recurring activity, or null. Activities keep it as
+// `frequency` and the reminder* fields; recurring activities saved before
+// reminders existed have none of them and get no reminders.
+export const getActivityRule = (activity) => {
+  if (!activity.isRecurring || !activity.reminderTimes) {
+    return null;
+  }
+  return {
+    frequency: activity.frequency,
+    times: activity.reminderTimes,
+    daysOfWeek: activity.reminderDays || [],
+    intervalDays: activity.reminderInterval || 1,
+    startDate: activity.reminderStartDate,
+    endDate: null
+  };
+};
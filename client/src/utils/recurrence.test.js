@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { getActivityRule } from './recurrence';
+import { activityOperations, db } from './database';
+
+// A recurring activity saved before reminders existed
+const LEGACY_ACTIVITY = {
+  title: 'Walk',
+  category: 'exercise',
+  isRecurring: true,
+  frequency: 'daily',
+  isActive: true,
+  usageCount: 0
+};
+
+describe('getActivityRule', () => {
+  it('reads the rule from the reminder fields', () => {
+    expect(getActivityRule({
+      ...LEGACY_ACTIVITY,
+      frequency: 'weekly',
+      reminderTimes: ['09:00'],
+      reminderDays: [1, 3],
+      reminderStartDate: '2025-01-06'
+    })).toEqual({
+      frequency: 'weekly',
+      times: ['09:00'],
+      daysOfWeek: [1, 3],
+      intervalDays: 1,
+      startDate: '2025-01-06',
+      endDate: null
+    });
+  });
+
+  it('has no rule for activities without reminders', () => {
+    expect(getActivityRule({ ...LEGACY_ACTIVITY, isRecurring: false, reminderTimes: ['09:00'] })).toBeNull();
+    expect(getActivityRule(LEGACY_ACTIVITY)).toBeNull();
+  });
+});
+
+describe('recurring activities saved before reminders existed', () => {
+  it('can still be added and edited', async () => {
+    const { id } = await activityOperations.addActivity({ ...LEGACY_ACTIVITY });
+    await activityOperations.updateActivity(id, { title: 'Morning walk' });
+    expect(await db.activities.get(id)).toMatchObject({ title: 'Morning walk', isRecurring: true });
+  });
+
+  it('are checked once reminders are added', async () => {
+    const { id } = await activityOperations.addActivity({ ...LEGACY_ACTIVITY });
+    await expect(activityOperations.updateActivity(id, { reminderTimes: [] }))
+      .rejects.toThrow('Add at least one time of day');
+  });
+});
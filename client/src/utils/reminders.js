@@ -0,0 +1,548 @@
+import { db, activityOperations, medicationOperations } from './database';
+import { assertCanPerform } from './caregiverLock';
+import { patientStorage } from './patientProfiles';
+import { isEncryptionEnabled } from './encryption';
+import { getActivityRule, getOccurrences, describeRule, atTimeOfDay } from './recurrence';
+import {
+  listDoseLogs,
+  getScheduledDoses,
+  getDoseStatus,
+  getDoseKey,
+  getReminderSentence,
+  recordDoseResponse,
+  DOSE_WINDOW_HOURS
+} from './medications';
+
+// Reminder engine: recurring activities (see recurrence.js) and medication
+// doses become reminders at their times. While notifications are allowed the
+// next day's reminders are handed to the service worker
+// (public/reminder-sw.js), which shows them when the app is closed: with
+// Notification Triggers where the browser has them, else from a schedule it
+// reads when periodic background sync wakes it. The app also checks for
+// reminders while it is open and shows the ones nothing else did, as a system
+// notification or, when notifications are denied or unsupported, as an in-app
+// banner. Reminders falling in the quiet hours wait until they end. A snoozed
+// activity reminder comes back after the snooze; medication doses snooze
+// through their dose log, and in the app they are asked by the full-screen
+// medication prompt rather than a banner.
+
+const SETTINGS_KEY = 'reminderSettings';
+const STATE_KEY = 'reminderState';
+
+export const SNOOZE_OPTIONS = [5, 10, 15, 30, 60];
+
+export const DEFAULT_REMINDER_SETTINGS = {
+  snoozeMinutes: 10,
+  quietHours: { enabled: false, start: '22:00', end: '07:00' }
+};
+
+// Reminders due while the app was closed still show if they are this recent
+const CATCH_UP_MINUTES = 60;
+
+// Posted by the service worker when a notification or one of its buttons
+// is tapped. Keep in sync with public/reminder-sw.js.
+export const REMINDER_MESSAGE_TYPE = 'reminder-action';
+
+// Reminders are handed to the service worker this far ahead
+const SCHEDULE_AHEAD_HOURS = 24;
+
+// Asked of the browser, which decides how often it really wakes the worker
+const PERIODIC_SYNC_MINUTES = 15;
+
+// Keep in sync with public/reminder-sw.js
+const REMINDER_SYNC_TAG = 'reminders';
+const SCHEDULE_CACHE = 'reminder-schedule';
+const SCHEDULE_URL = '/reminder-schedule.json';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const NOTIFICATION_ACTIONS = {
+  activity: [{ action: 'done', title: '✅ Done' }, { action: 'snooze', title: '⏰ Snooze' }],
+  medication: [{ action: 'done', title: '✅ Taken' }, { action: 'snooze', title: '⏰ Later' }]
+};
+
+const listeners = new Set();
+let banners = [];
+let running = null;
+
+// Subscribe to changes of the settings, the notification permission and
+// the banners. Returns an unsubscribe function.
+export const onReminderChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const notifyListeners = () => {
+  listeners.forEach(listener => listener());
+};
+
+const readJson = (key) => {
+  try {
+    return JSON.parse(patientStorage.getItem(key));
+  } catch {
+    return null;
+  }
+};
+
+// --- Settings ---
+
+export const getReminderSettings = () => {
+  const stored = readJson(SETTINGS_KEY) || {};
+  return {
+    ...DEFAULT_REMINDER_SETTINGS,
+    ...stored,
+    quietHours: { ...DEFAULT_REMINDER_SETTINGS.quietHours, ...stored.quietHours }
+  };
+};
+
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export const saveReminderSettings = ({ snoozeMinutes, quietHours }) => {
+  assertCanPerform('manageReminders');
+  if (!SNOOZE_OPTIONS.includes(snoozeMinutes)) {
+    throw new Error(`Snooze for one of ${SNOOZE_OPTIONS.join(', ')} minutes`);
+  }
+  if (!TIME_OF_DAY_PATTERN.test(quietHours.start) || !TIME_OF_DAY_PATTERN.test(quietHours.end)) {
+    throw new Error('Invalid quiet hours');
+  }
+  const settings = {
+    snoozeMinutes,
+    quietHours: { enabled: Boolean(quietHours.enabled), start: quietHours.start, end: quietHours.end }
+  };
+  patientStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  notifyListeners();
+  return settings;
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Quiet hours may span midnight, e.g. 22:00 to 07:00
+export const isInQuietHours = (date, settings = getReminderSettings()) => {
+  const { enabled, start, end } = settings.quietHours;
+  if (!enabled || start === end) {
+    return false;
+  }
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  return toMinutes(start) < toMinutes(end)
+    ? minutes >= toMinutes(start) && minutes < toMinutes(end)
+    : minutes >= toMinutes(start) || minutes < toMinutes(end);
+};
+
+export const getQuietHoursEnd = (date, settings = getReminderSettings()) => {
+  const end = atTimeOfDay(date, settings.quietHours.end);
+  return end > date ? end : atTimeOfDay(new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1), settings.quietHours.end);
+};
+
+// --- Notification permission ---
+
+// 'granted', 'denied', 'default' (not asked yet) or 'unsupported'
+export const getNotificationPermission = () => {
+  return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+};
+
+// Must be called from a tap or click
+export const requestNotificationPermission = async () => {
+  if (getNotificationPermission() === 'unsupported') {
+    return 'unsupported';
+  }
+  const permission = await Notification.requestPermission();
+  notifyListeners();
+  return permission;
+};
+
+// --- Reminders ---
+
+// A reminder is one occurrence of an activity or a medication dose:
+// `{ key, source, itemSyncId, scheduledAt, title, body, image }`
+const getReminderKey = (source, itemSyncId, scheduledAt) => `${source}|${itemSyncId}|${scheduledAt}`;
+
+const parseReminderKey = (key) => {
+  const parts = key.split('|');
+  return { source: parts[0], itemSyncId: parts.slice(1, -1).join('|'), scheduledAt: parts[parts.length - 1] };
+};
+
+// Everything reminders are made from, with medication doses as far back as
+// they can still be due
+const loadReminderSources = async (now) => {
+  const [activities, medications, doseLogs] = await Promise.all([
+    activityOperations.getAllActivities(),
+    medicationOperations.getAllMedications(),
+    listDoseLogs({ from: new Date(now.getTime() - DOSE_WINDOW_HOURS * HOUR_MS) })
+  ]);
+  return { activities, medications, doseLogs };
+};
+
+const isReminding = (activity) => activity.isActive !== false && getActivityRule(activity) !== null;
+
+// Keys of the reminders falling due after `from` and up to `to`: activity
+// occurrences, doses at their time and snoozed doses when the snooze ends
+export const getReminderKeysBetween = ({ activities, medications, doseLogs }, from, to) => {
+  const isAfterFrom = (at) => new Date(at) > from;
+  const activityKeys = activities.filter(isReminding).flatMap(activity => getOccurrences(getActivityRule(activity), from, to)
+    .filter(isAfterFrom)
+    .map(at => getReminderKey('activity', activity.syncId, at.toISOString())));
+  const doseKeys = getScheduledDoses(medications, from, to)
+    .filter(dose => isAfterFrom(dose.scheduledAt))
+    .map(dose => getReminderKey('medication', dose.medication.syncId, dose.scheduledAt));
+  const snoozedKeys = doseLogs
+    .filter(log => log.status === 'later' && isAfterFrom(log.snoozedUntil) && new Date(log.snoozedUntil) <= to)
+    .map(log => getReminderKey('medication', log.medicationSyncId, log.scheduledAt));
+  return [...new Set([...activityKeys, ...doseKeys, ...snoozedKeys])];
+};
+
+// The reminder for `key`, or null when it no longer applies: the activity
+// was removed or paused, or the dose was answered or is past its window
+export const buildReminder = ({ activities, medications, doseLogs }, key, now = new Date()) => {
+  const { source, itemSyncId, scheduledAt } = parseReminderKey(key);
+  if (source === 'activity') {
+    const activity = activities.find(item => item.syncId === itemSyncId);
+    if (!activity || !isReminding(activity)) {
+      return null;
+    }
+    return {
+      key,
+      source,
+      itemSyncId,
+      scheduledAt,
+      title: activity.title || activity.name,
+      body: activity.description || describeRule(getActivityRule(activity)),
+      image: activity.activityImage || null
+    };
+  }
+  if (source === 'medication') {
+    const medication = medications.find(item => item.syncId === itemSyncId);
+    const log = doseLogs.find(item => getDoseKey(item.medicationSyncId, item.scheduledAt) === getDoseKey(itemSyncId, scheduledAt)) || null;
+    if (!medication || medication.isActive === false || getDoseStatus(scheduledAt, log, now) !== 'due') {
+      return null;
+    }
+    return {
+      key,
+      source,
+      itemSyncId,
+      scheduledAt,
+      title: `💊 ${medication.name}`,
+      body: getReminderSentence(medication),
+      image: medication.pillImage || null
+    };
+  }
+  return null;
+};
+
+// When the engine last looked, the reminders held back by a snooze or the
+// quiet hours and those scheduled with Notification Triggers:
+// `{ lastCheckedAt, pending: { [key]: until }, scheduled: { [key]: showAt } }`
+const getReminderState = () => ({ lastCheckedAt: null, pending: {}, scheduled: {}, ...readJson(STATE_KEY) });
+
+const saveReminderState = (state) => {
+  patientStorage.setItem(STATE_KEY, JSON.stringify(state));
+};
+
+export const getReminderBanners = () => banners;
+
+const addBanner = (reminder) => {
+  banners = [...banners.filter(banner => banner.key !== reminder.key), reminder];
+  notifyListeners();
+};
+
+const removeBanner = (key) => {
+  if (!banners.some(banner => banner.key === key)) return;
+  banners = banners.filter(banner => banner.key !== key);
+  notifyListeners();
+};
+
+const getNotificationOptions = (reminder, body) => ({
+  body,
+  tag: reminder.key,
+  data: { key: reminder.key },
+  requireInteraction: true,
+  renotify: true
+});
+
+const showSystemNotification = async (reminder) => {
+  if (getNotificationPermission() !== 'granted') {
+    return false;
+  }
+  const options = getNotificationOptions(reminder, reminder.body);
+  try {
+    const registration = await navigator.serviceWorker?.getRegistration();
+    if (registration) {
+      await registration.showNotification(reminder.title, { ...options, actions: NOTIFICATION_ACTIONS[reminder.source] });
+      return true;
+    }
+    // No service worker (the dev server): a plain notification without buttons
+    const notification = new Notification(reminder.title, options);
+    notification.onclick = () => window.focus();
+    return true;
+  } catch (error) {
+    console.error('Error showing notification:', error);
+    return false;
+  }
+};
+
+// Shows a reminder; returns 'notification' or 'banner'
+export const deliverReminder = async (reminder) => {
+  if (await showSystemNotification(reminder)) {
+    return 'notification';
+  }
+  if (reminder.source !== 'medication') {
+    addBanner(reminder);
+  }
+  return 'banner';
+};
+
+// --- Delivery while the app is closed ---
+
+const supportsNotificationTriggers = () => 'TimestampTrigger' in window
+  && 'showTrigger' in Notification.prototype;
+
+const detectBackgroundDelivery = async () => {
+  if (getNotificationPermission() !== 'granted') {
+    return 'none';
+  }
+  const registration = await navigator.serviceWorker?.getRegistration();
+  if (!registration) {
+    return 'none';
+  }
+  if (supportsNotificationTriggers()) {
+    return 'triggers';
+  }
+  if ('periodicSync' in registration) {
+    // Granted by the browser, e.g. for an installed app it sees used often
+    const { state } = await navigator.permissions.query({ name: 'periodic-background-sync' });
+    if (state === 'granted') {
+      await registration.periodicSync.register(REMINDER_SYNC_TAG, { minInterval: PERIODIC_SYNC_MINUTES * MINUTE_MS });
+      return 'periodic-sync';
+    }
+  }
+  return 'none';
+};
+
+let backgroundDelivery = { permission: null, mode: null };
+
+// How reminders reach the patient while the app is closed: 'triggers'
+// (scheduled ahead as notifications), 'periodic-sync' (shown when the
+// browser next wakes the service worker, so possibly late) or 'none' (only
+// while the app is open). Detected again when the permission changes.
+export const getBackgroundDelivery = () => {
+  const permission = getNotificationPermission();
+  if (backgroundDelivery.permission !== permission) {
+    backgroundDelivery = {
+      permission,
+      mode: detectBackgroundDelivery().catch(error => {
+        console.error('Error setting up background reminders:', error);
+        return 'none';
+      })
+    };
+  }
+  return backgroundDelivery.mode;
+};
+
+// When a reminder is shown: a snoozed dose when its snooze ends, anything
+// else at its time
+const getShowTime = ({ doseLogs }, key) => {
+  const { source, itemSyncId, scheduledAt } = parseReminderKey(key);
+  const snoozed = source === 'medication' && doseLogs.find(log => log.status === 'later'
+    && getDoseKey(log.medicationSyncId, log.scheduledAt) === getDoseKey(itemSyncId, scheduledAt));
+  return new Date(snoozed ? snoozed.snoozedUntil : scheduledAt);
+};
+
+// The reminders showing after `now` and within SCHEDULE_AHEAD_HOURS, each
+// with its `showAt`: held back ones when they are released, and those
+// falling in the quiet hours when the quiet hours end
+export const getUpcomingReminders = (sources, now, pending = {}, settings = getReminderSettings()) => {
+  const to = new Date(now.getTime() + SCHEDULE_AHEAD_HOURS * HOUR_MS);
+  const showTimes = new Map(getReminderKeysBetween(sources, now, to).map(key => [key, getShowTime(sources, key)]));
+  Object.entries(pending).forEach(([key, until]) => {
+    if (new Date(until) > now && new Date(until) <= to) {
+      showTimes.set(key, new Date(until));
+    }
+  });
+
+  return [...showTimes]
+    .map(([key, at]) => {
+      const showAt = isInQuietHours(at, settings) ? getQuietHoursEnd(at, settings) : at;
+      const reminder = buildReminder(sources, key, showAt);
+      return reminder && { ...reminder, showAt: showAt.toISOString() };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.showAt.localeCompare(b.showAt));
+};
+
+// The browser keeps notifications scheduled ahead until they show, so while
+// encryption is on they don't name the activity or medicine
+const toScheduledNotification = (reminder) => {
+  const [title, body] = isEncryptionEnabled()
+    ? [reminder.source === 'medication' ? '💊 Medicine time' : 'Reminder', 'Open the app to see it.']
+    : [reminder.title, reminder.body];
+  return {
+    key: reminder.key,
+    showAt: reminder.showAt,
+    title,
+    options: { ...getNotificationOptions(reminder, body), actions: NOTIFICATION_ACTIONS[reminder.source] }
+  };
+};
+
+// Schedule the upcoming reminders with Notification Triggers, replacing
+// those scheduled earlier that changed or no longer apply
+const scheduleWithTriggers = async (registration, reminders) => {
+  const wanted = new Map(reminders.map(reminder => {
+    const notification = toScheduledNotification(reminder);
+    return [notification.key, notification];
+  }));
+  const scheduled = await registration.getNotifications({ includeTriggered: false });
+  scheduled.filter(notification => notification.data?.showAt).forEach(notification => {
+    const current = wanted.get(notification.data.key);
+    if (current && current.showAt === notification.data.showAt
+      && current.title === notification.title && current.options.body === notification.body) {
+      wanted.delete(notification.data.key);
+    } else {
+      notification.close();
+    }
+  });
+  for (const notification of wanted.values()) {
+    await registration.showNotification(notification.title, {
+      ...notification.options,
+      data: { ...notification.options.data, showAt: notification.showAt },
+      showTrigger: new window.TimestampTrigger(new Date(notification.showAt).getTime())
+    });
+  }
+};
+
+// The schedule the service worker shows from when periodic background sync
+// wakes it, with the reminders it (or the app) already showed:
+// `{ catchUpMinutes, reminders, shown: { [key]: shownAt } }`
+const readWorkerSchedule = async () => {
+  const response = await (await caches.open(SCHEDULE_CACHE)).match(SCHEDULE_URL);
+  return response ? response.json() : { reminders: [], shown: {} };
+};
+
+const saveWorkerSchedule = async (reminders, shown, now) => {
+  const since = now.getTime() - SCHEDULE_AHEAD_HOURS * HOUR_MS;
+  const schedule = {
+    catchUpMinutes: CATCH_UP_MINUTES,
+    reminders: reminders.map(toScheduledNotification),
+    shown: Object.fromEntries(Object.entries(shown).filter(([, shownAt]) => new Date(shownAt).getTime() > since))
+  };
+  const cache = await caches.open(SCHEDULE_CACHE);
+  await cache.put(SCHEDULE_URL, new Response(JSON.stringify(schedule), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+};
+
+// Keys of the due reminders the service worker has already shown
+const getShownInBackground = async (mode, state, now) => {
+  if (mode === 'triggers') {
+    return new Set(Object.keys(state.scheduled).filter(key => new Date(state.scheduled[key]) <= now));
+  }
+  if (mode === 'periodic-sync') {
+    return new Set(Object.keys((await readWorkerSchedule()).shown));
+  }
+  return new Set();
+};
+
+const scheduleInBackground = async (mode, upcoming, delivered, now) => {
+  if (mode === 'triggers') {
+    await scheduleWithTriggers(await navigator.serviceWorker.getRegistration(), upcoming);
+  } else if (mode === 'periodic-sync') {
+    const { shown } = await readWorkerSchedule();
+    delivered.forEach(reminder => {
+      shown[reminder.key] = now.toISOString();
+    });
+    await saveWorkerSchedule(upcoming, shown, now);
+  }
+};
+
+// --- Checking while the app is open ---
+
+const runCheck = async (now) => {
+  const settings = getReminderSettings();
+  const state = getReminderState();
+  const from = state.lastCheckedAt
+    ? new Date(Math.max(new Date(state.lastCheckedAt).getTime(), now.getTime() - CATCH_UP_MINUTES * MINUTE_MS))
+    : now;
+  const sources = await loadReminderSources(now);
+  const background = await getBackgroundDelivery();
+  const shownInBackground = await getShownInBackground(background, state, now);
+
+  const pending = {};
+  const dueKeys = getReminderKeysBetween(sources, from, now);
+  Object.entries(state.pending).forEach(([key, until]) => {
+    if (new Date(until) > now) {
+      pending[key] = until;
+    } else if (!dueKeys.includes(key)) {
+      dueKeys.push(key);
+    }
+  });
+
+  const due = [];
+  dueKeys.forEach(key => {
+    const reminder = buildReminder(sources, key, now);
+    if (!reminder) return;
+    if (isInQuietHours(now, settings)) {
+      pending[key] = getQuietHoursEnd(now, settings).toISOString();
+    } else {
+      delete pending[key];
+      if (!shownInBackground.has(key)) {
+        due.push(reminder);
+      }
+    }
+  });
+
+  const upcoming = getUpcomingReminders(sources, now, pending, settings);
+  saveReminderState({
+    lastCheckedAt: now.toISOString(),
+    pending,
+    scheduled: background === 'triggers' ? Object.fromEntries(upcoming.map(reminder => [reminder.key, reminder.showAt])) : {}
+  });
+  for (const reminder of due) {
+    await deliverReminder(reminder);
+  }
+  try {
+    await scheduleInBackground(background, upcoming, due, now);
+  } catch (error) {
+    console.error('Error scheduling background reminders:', error);
+  }
+  return due;
+};
+
+// Shows the reminders that fell due since the last check and returns them.
+// Overlapping calls share one check.
+export const checkReminders = (now = new Date()) => {
+  if (!running) {
+    running = runCheck(now).finally(() => {
+      running = null;
+    });
+  }
+  return running;
+};
+
+// Answer a reminder from its banner or notification: 'done' (taken, for a
+// dose), 'snooze' or 'open' (just opens the app)
+export const handleReminderAction = async (key, action, now = new Date()) => {
+  removeBanner(key);
+  if (action !== 'done' && action !== 'snooze') {
+    return;
+  }
+  const { source, itemSyncId, scheduledAt } = parseReminderKey(key);
+  if (source === 'medication') {
+    const medication = await db.medications.where('syncId').equals(itemSyncId).first();
+    if (medication) {
+      await recordDoseResponse(medication, scheduledAt, action === 'done' ? 'taken' : 'later', now);
+    }
+    return;
+  }
+  if (running) {
+    await running;
+  }
+  const state = getReminderState();
+  const pending = { ...state.pending };
+  delete pending[key];
+  if (action === 'snooze') {
+    pending[key] = new Date(now.getTime() + getReminderSettings().snoozeMinutes * MINUTE_MS).toISOString();
+  }
+  saveReminderState({ ...state, pending });
+};
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { getUpcomingReminders, DEFAULT_REMINDER_SETTINGS } from './reminders';
+
+const at = (day, hours, minutes = 0) => new Date(2025, 0, day, hours, minutes);
+
+const WALK = {
+  syncId: 'walk',
+  title: 'Walk',
+  isRecurring: true,
+  frequency: 'daily',
+  reminderTimes: ['09:00'],
+  reminderStartDate: '2025-01-01'
+};
+
+const ASPIRIN = {
+  syncId: 'aspirin',
+  name: 'Aspirin',
+  dose: '1 tablet',
+  timesOfDay: ['08:00', '20:00'],
+  startDate: '2025-01-01'
+};
+
+const SOURCES = { activities: [WALK], medications: [ASPIRIN], doseLogs: [] };
+
+const summarize = (reminders) => reminders.map(reminder => [reminder.key.split('|')[1], reminder.showAt]);
+
+describe('getUpcomingReminders', () => {
+  it('lists the next day of reminders in the order they show', () => {
+    expect(summarize(getUpcomingReminders(SOURCES, at(6, 7), {}, DEFAULT_REMINDER_SETTINGS))).toEqual([
+      ['aspirin', at(6, 8).toISOString()],
+      ['walk', at(6, 9).toISOString()],
+      ['aspirin', at(6, 20).toISOString()]
+    ]);
+  });
+
+  it('shows held back reminders when they are released', () => {
+    const snoozedWalk = `activity|walk|${at(6, 9).toISOString()}`;
+    const reminders = getUpcomingReminders(SOURCES, at(6, 9, 1), { [snoozedWalk]: at(6, 9, 11).toISOString() }, DEFAULT_REMINDER_SETTINGS);
+    expect(reminders.find(reminder => reminder.key === snoozedWalk).showAt).toBe(at(6, 9, 11).toISOString());
+  });
+
+  it('shows a snoozed dose when its snooze ends', () => {
+    const doseLogs = [{
+      medicationSyncId: 'aspirin',
+      scheduledAt: at(6, 8).toISOString(),
+      status: 'later',
+      snoozedUntil: at(6, 8, 30).toISOString()
+    }];
+    const reminders = getUpcomingReminders({ ...SOURCES, doseLogs }, at(6, 8, 5), {}, DEFAULT_REMINDER_SETTINGS);
+    expect(summarize(reminders)[0]).toEqual(['aspirin', at(6, 8, 30).toISOString()]);
+    expect(reminders[0].key).toBe(`medication|aspirin|${at(6, 8).toISOString()}`);
+  });
+
+  it('moves reminders in the quiet hours to their end, unless the dose is missed by then', () => {
+    const settings = { ...DEFAULT_REMINDER_SETTINGS, quietHours: { enabled: true, start: '19:00', end: '08:30' } };
+    expect(summarize(getUpcomingReminders(SOURCES, at(6, 12), {}, settings))).toEqual([
+      ['aspirin', at(7, 8, 30).toISOString()],
+      ['walk', at(7, 9).toISOString()]
+    ]);
+  });
+});
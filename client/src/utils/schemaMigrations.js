@@ -0,0 +1,135 @@
+// Numbered schema migrations for StrokeAppDB.
+//
+// Each entry becomes a Dexie `db.version(n)`: `stores` lists only the tables
+// that are added or changed in that version (Dexie carries the rest over) and
+// the optional `upgrade(tx)` transforms existing rows, e.g.
+// `tx.table('contacts').toCollection().modify(contact => { ... })`.
+// Released entries must never change - append a new version instead.
+export const SCHEMA_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Initial schema',
+    stores: {
+      // Emergency: for fast action emergency situations
+      emergencies: '++id, name, description, createdAt',
+
+      // Food: for food preferences and meal requests
+      foods: '++id, name, category, isFavorite, usageCount, createdAt',
+
+      // Contact: has a name, image, relationship, gender, and phone number
+      contacts: '++id, name, relationship, gender, phoneNumber, usageCount, createdAt, updatedAt',
+
+      // Phrase: text, image, and usage count for suggestions
+      phrases: '++id, text, category, usageCount, createdAt, updatedAt',
+
+      // Order: for food orders and requests
+      orders: '++id, orderNumber, status, totalAmount, isUrgent, orderDate, createdAt, updatedAt',
+
+      // Activity: for daily activities and routines
+      activities: '++id, name, category, isRecurring, frequency, isActive, usageCount, createdAt'
+    }
+  },
+  {
+    version: 2,
+    description: 'Add trash for soft-deleted records',
+    stores: {
+      // Trash: deleted records (or symptoms, with their parent body part key)
+      // kept until the retention period runs out
+      trash: '++id, table, kind, deletedAt'
+    }
+  },
+  {
+    version: 3,
+    description: 'Add audit log of caregiver changes',
+    stores: {
+      // Audit log: append-only, one row per changed record
+      auditLog: '++id, timestamp, entityType, entityId, action, actorId'
+    }
+  },
+  {
+    version: 4,
+    description: 'Add sync ids and change tracking for device sync',
+    stores: {
+      // Synced collections get a `syncId` that is the same on every device
+      emergencies: '++id, name, description, createdAt, syncId',
+      foods: '++id, name, category, isFavorite, usageCount, createdAt, syncId',
+      contacts: '++id, name, relationship, gender, phoneNumber, usageCount, createdAt, updatedAt, syncId',
+      phrases: '++id, text, category, usageCount, createdAt, updatedAt, syncId',
+      orders: '++id, orderNumber, status, totalAmount, isUrgent, orderDate, createdAt, updatedAt, syncId',
+      activities: '++id, name, category, isRecurring, frequency, isActive, usageCount, createdAt, syncId',
+
+      // Sync records: per-field clocks and tombstones of synced records (see
+      // syncTracking.js)
+      syncRecords: 'syncId, table, updatedAt'
+    }
+  },
+  {
+    version: 5,
+    description: 'Add symptom history',
+    stores: {
+      // Symptom events: one row per symptom the patient tapped, with the
+      // severity they picked (see symptomHistory.js)
+      symptomEvents: '++id, timestamp, syncId'
+    }
+  },
+  {
+    version: 6,
+    description: 'Add BE-FAST stroke checks',
+    stores: {
+      // Stroke checks: the answers, symptom onset and escalation of each
+      // BE-FAST check (see strokeCheck.js)
+      strokeChecks: '++id, startedAt, syncId'
+    }
+  },
+  {
+    version: 7,
+    description: 'Add SOS log',
+    stores: {
+      // SOS events: who was called and messaged for each SOS, and how it
+      // ended (see sos.js)
+      sosEvents: '++id, triggeredAt, syncId'
+    }
+  },
+  {
+    version: 8,
+    description: 'Add medical ID',
+    stores: {
+      // The patient's medical ID, a single record (see medicalId.js)
+      medicalIds: '++id, syncId'
+    }
+  },
+  {
+    version: 9,
+    description: 'Add medications and their dose log',
+    stores: {
+      // Medication: drug, dose, times of day, pill photo and start/end dates
+      medications: '++id, createdAt, syncId',
+
+      // Dose log: the answer to each scheduled dose, by the medication's
+      // syncId so it matches on every synced device (see medications.js)
+      medicationDoses: '++id, scheduledAt, medicationSyncId, syncId'
+    }
+  }
+];
+
+export const LATEST_SCHEMA_VERSION = Math.max(...SCHEMA_MIGRATIONS.map(migration => migration.version));
+
+// Register migrations on a Dexie instance. Passing `maxVersion` declares the
+// schema as it was at that version, which is how a snapshot is restored.
+export const applySchemaMigrations = (database, { maxVersion = LATEST_SCHEMA_VERSION, includeUpgrades = true } = {}) => {
+  SCHEMA_MIGRATIONS
+    .filter(migration => migration.version <= maxVersion)
+    .sort((a, b) => a.version - b.version)
+    .forEach((migration) => {
+      const version = database.version(migration.version).stores(migration.stores);
+
+      if (includeUpgrades && migration.upgrade) {
+        version.upgrade(async (tx) => {
+          console.log(`Running schema migration v${migration.version}: ${migration.description}`);
+          await migration.upgrade(tx);
+        });
+      }
+    });
+
+  return database;
+};
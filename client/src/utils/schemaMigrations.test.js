@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import Dexie from 'dexie';
+import { SCHEMA_MIGRATIONS, LATEST_SCHEMA_VERSION, applySchemaMigrations } from './schemaMigrations';
+import { createSnapshotIfUpgrading, restoreSchemaSnapshot, listSchemaSnapshots } from './schemaSnapshots';
+
+const DATABASE_NAME = 'MigrationTestDB';
+
+// One row in every v1 table
+const V1_ROWS = {
+  emergencies: { name: 'Head', description: 'Head and face', symptoms: [{ id: 1, name: 'Headache' }], createdAt: '2025-01-01T00:00:00.000Z' },
+  foods: { name: 'Tea', category: 'drink', isFavorite: 1, usageCount: 4, createdAt: '2025-01-01T00:00:00.000Z' },
+  contacts: { name: 'Sara', relationship: 'family', gender: 'female', phoneNumber: '+966501234567', usageCount: 2, createdAt: '2025-01-01T00:00:00.000Z', updatedAt: '2025-01-01T00:00:00.000Z' },
+  phrases: { text: 'I am thirsty', category: 'common', usageCount: 7, createdAt: '2025-01-01T00:00:00.000Z', updatedAt: '2025-01-01T00:00:00.000Z' },
+  orders: { orderNumber: 'A1', status: 'pending', totalAmount: 0, isUrgent: 0, orderDate: '2025-01-01', createdAt: '2025-01-01T00:00:00.000Z', updatedAt: '2025-01-01T00:00:00.000Z' },
+  activities: { name: 'Walk', category: 'exercise', isRecurring: 1, frequency: 'daily', isActive: 1, usageCount: 0, createdAt: '2025-01-01T00:00:00.000Z' }
+};
+
+const openAt = async (maxVersion, { includeUpgrades = true } = {}) => {
+  const database = applySchemaMigrations(new Dexie(DATABASE_NAME), { maxVersion, includeUpgrades });
+  await database.open();
+  return database;
+};
+
+const seedV1Database = async () => {
+  const database = await openAt(1);
+  for (const [table, row] of Object.entries(V1_ROWS)) {
+    await database.table(table).add({ ...row });
+  }
+  database.close();
+};
+
+const readRows = async (database) => {
+  const rows = {};
+  for (const table of Object.keys(V1_ROWS)) {
+    rows[table] = (await database.table(table).toArray()).map((row) => {
+      const copy = { ...row };
+      delete copy.id;
+      return copy;
+    });
+  }
+  return rows;
+};
+
+// "++id, name, createdAt" -> { primaryKey: 'id', indexes: ['name', 'createdAt'] }
+const parseStore = (store) => {
+  const [primaryKey, ...indexes] = store.split(',').map(part => part.trim().replace(/^\+\+/, ''));
+  return { primaryKey, indexes };
+};
+
+describe('schema migrations', () => {
+  beforeEach(async () => {
+    await Dexie.delete(DATABASE_NAME);
+  });
+
+  it('numbers the migrations 1, 2, 3... without gaps', () => {
+    expect(SCHEMA_MIGRATIONS.map(migration => migration.version))
+      .toEqual(SCHEMA_MIGRATIONS.map((_, index) => index + 1));
+    expect(LATEST_SCHEMA_VERSION).toBe(SCHEMA_MIGRATIONS.length);
+  });
+
+  it.each(SCHEMA_MIGRATIONS.filter(migration => migration.version > 1).map(migration => [migration.version, migration]))(
+    'upgrades a seeded v1 database through v%i',
+    async (version, migration) => {
+      await seedV1Database();
+      const previous = await openAt(version - 1);
+      const before = await readRows(previous);
+      previous.close();
+
+      const database = await openAt(version);
+      try {
+        expect(database.verno).toBe(version);
+        Object.entries(migration.stores).forEach(([table, store]) => {
+          const { primaryKey, indexes } = parseStore(store);
+          const { schema } = database.table(table);
+          expect(schema.primKey.name).toBe(primaryKey);
+          expect(schema.indexes.map(index => index.name).sort()).toEqual([...indexes].sort());
+        });
+        expect(await readRows(database)).toEqual(before);
+      } finally {
+        database.close();
+      }
+    }
+  );
+
+  it('opens a v1 database at the latest version with its rows intact', async () => {
+    await seedV1Database();
+    const database = await openAt(LATEST_SCHEMA_VERSION);
+    try {
+      expect(database.verno).toBe(LATEST_SCHEMA_VERSION);
+      expect(await readRows(database)).toEqual(Object.fromEntries(Object.entries(V1_ROWS).map(([table, row]) => [table, [row]])));
+    } finally {
+      database.close();
+    }
+  });
+
+  it('rolls a failed upgrade back to the snapshot', async () => {
+    await seedV1Database();
+    const snapshot = await createSnapshotIfUpgrading(DATABASE_NAME, LATEST_SCHEMA_VERSION);
+    expect(snapshot).toMatchObject({ databaseName: DATABASE_NAME, version: 1, targetVersion: LATEST_SCHEMA_VERSION });
+
+    // The latest schema, with an upgrade that fails halfway through
+    const failing = applySchemaMigrations(new Dexie(DATABASE_NAME), { maxVersion: LATEST_SCHEMA_VERSION - 1 });
+    failing.version(LATEST_SCHEMA_VERSION).stores(SCHEMA_MIGRATIONS[LATEST_SCHEMA_VERSION - 1].stores).upgrade(async (tx) => {
+      await tx.table('contacts').toCollection().modify({ name: 'Changed' });
+      throw new Error('Migration failed');
+    });
+    await expect(failing.open()).rejects.toThrow();
+    failing.close();
+
+    await restoreSchemaSnapshot(snapshot.id);
+
+    const installed = new Dexie(DATABASE_NAME);
+    try {
+      await installed.open();
+      expect(installed.verno).toBe(1);
+      expect(installed.tables.map(table => table.name).sort()).toEqual(Object.keys(V1_ROWS).sort());
+      expect(await readRows(installed)).toEqual(Object.fromEntries(Object.entries(V1_ROWS).map(([table, row]) => [table, [row]])));
+    } finally {
+      installed.close();
+    }
+
+    const [listed] = await listSchemaSnapshots(DATABASE_NAME);
+    expect(listed).toMatchObject({ id: snapshot.id, version: 1, rowCount: Object.keys(V1_ROWS).length });
+    expect(listed.tables).toBeUndefined();
+  });
+
+  it('takes no snapshot when the database is new or already up to date', async () => {
+    expect(await createSnapshotIfUpgrading(DATABASE_NAME, LATEST_SCHEMA_VERSION)).toBeNull();
+    (await openAt(LATEST_SCHEMA_VERSION)).close();
+    expect(await createSnapshotIfUpgrading(DATABASE_NAME, LATEST_SCHEMA_VERSION)).toBeNull();
+  });
+});
@@ -0,0 +1,166 @@
+import Dexie from 'dexie';
+import { applySchemaMigrations } from './schemaMigrations';
+import { isEncryptionEnabled, isEncryptionUnlocked, isSealed, sealRecord } from './encryption';
+import { getPlainFields } from './encryptedStorage';
+
+// Pre-migration snapshots live in their own database so a failed upgrade of
+// StrokeAppDB can never take them down with it
+const SNAPSHOT_DB_NAME = 'StrokeAppDBSnapshots';
+const MAX_SNAPSHOTS_PER_DATABASE = 3;
+
+const snapshotDb = new Dexie(SNAPSHOT_DB_NAME);
+snapshotDb.version(1).stores({
+  snapshots: '++id, databaseName, version, createdAt'
+});
+
+// While encryption is on a snapshot is stored the way the encryption
+// middleware stores records, so restoring it needs no key. Rows written
+// before encryption was turned on are sealed here, which needs an unlocked
+// session; without one no snapshot is taken rather than keep a plaintext copy.
+const sealRows = async (table, rows) => {
+  if (!isEncryptionEnabled() || rows.every(row => isSealed(row))) {
+    return rows;
+  }
+  if (!isEncryptionUnlocked()) {
+    return null;
+  }
+  const plainFields = getPlainFields([table.schema.primKey, ...table.schema.indexes]);
+  return Promise.all(rows.map(row => (isSealed(row) ? row : sealRecord(row, plainFields))));
+};
+
+// Read the installed version and every row of a database without declaring
+// a schema (Dexie opens it in dynamic mode). Null rows mean they could not be
+// sealed (see sealRows).
+const readInstalledDatabase = async (databaseName) => {
+  if (!(await Dexie.exists(databaseName))) {
+    return null;
+  }
+
+  const installed = new Dexie(databaseName);
+  try {
+    await installed.open();
+    const tables = {};
+    for (const table of installed.tables) {
+      const rows = await sealRows(table, await table.toArray());
+      if (!rows) {
+        return { version: installed.verno, tables: null };
+      }
+      tables[table.name] = rows;
+    }
+    return { version: installed.verno, tables };
+  } finally {
+    installed.close();
+  }
+};
+
+const pruneSnapshots = async (databaseName) => {
+  const snapshotIds = await snapshotDb.snapshots
+    .where('databaseName')
+    .equals(databaseName)
+    .primaryKeys();
+  const expiredIds = snapshotIds
+    .sort((a, b) => b - a)
+    .slice(MAX_SNAPSHOTS_PER_DATABASE);
+
+  if (expiredIds.length > 0) {
+    await snapshotDb.snapshots.bulkDelete(expiredIds);
+  }
+};
+
+// Snapshot the installed database if opening it at `targetVersion` will run
+// schema migrations. Returns null when there is nothing to upgrade.
+export const createSnapshotIfUpgrading = async (databaseName, targetVersion) => {
+  try {
+    const installed = await readInstalledDatabase(databaseName);
+    if (!installed || installed.version >= targetVersion) {
+      return null;
+    }
+    if (!installed.tables) {
+      console.warn(`Not saving a snapshot of ${databaseName}: encryption is locked`);
+      return null;
+    }
+
+    const snapshot = {
+      databaseName,
+      version: installed.version,
+      targetVersion,
+      createdAt: new Date().toISOString(),
+      tables: installed.tables
+    };
+    const id = await snapshotDb.snapshots.add(snapshot);
+    await pruneSnapshots(databaseName);
+
+    console.log(`Saved v${installed.version} snapshot of ${databaseName} before upgrading to v${targetVersion}`);
+    return { id, ...snapshot };
+  } catch (error) {
+    console.error('Error creating schema snapshot:', error);
+    throw error;
+  }
+};
+
+// Rebuild a database exactly as it was when the snapshot was taken: the
+// schema is declared up to the snapshot's version and every row is restored
+export const restoreSchemaSnapshot = async (snapshotId) => {
+  try {
+    const snapshot = await snapshotDb.snapshots.get(snapshotId);
+    if (!snapshot) {
+      throw new Error(`Schema snapshot ${snapshotId} not found`);
+    }
+
+    await Dexie.delete(snapshot.databaseName);
+
+    const restored = applySchemaMigrations(new Dexie(snapshot.databaseName), {
+      maxVersion: snapshot.version,
+      includeUpgrades: false
+    });
+
+    try {
+      await restored.open();
+      await restored.transaction('rw', restored.tables, async () => {
+        for (const table of restored.tables) {
+          const rows = snapshot.tables[table.name];
+          if (rows && rows.length > 0) {
+            await table.bulkPut(rows);
+          }
+        }
+      });
+    } finally {
+      restored.close();
+    }
+
+    console.log(`Restored ${snapshot.databaseName} to its v${snapshot.version} snapshot`);
+    return snapshot;
+  } catch (error) {
+    console.error('Error restoring schema snapshot:', error);
+    throw error;
+  }
+};
+
+// List snapshots (without their rows) for a database, newest first
+export const listSchemaSnapshots = async (databaseName) => {
+  try {
+    const snapshots = await snapshotDb.snapshots
+      .where('databaseName')
+      .equals(databaseName)
+      .reverse()
+      .sortBy('id');
+    return snapshots.map(({ tables, ...snapshot }) => ({
+      ...snapshot,
+      rowCount: Object.values(tables).reduce((sum, rows) => sum + rows.length, 0)
+    }));
+  } catch (error) {
+    console.error('Error listing schema snapshots:', error);
+    throw error;
+  }
+};
+
+// Remove every snapshot of a database, e.g. when the database is deleted or
+// its snapshots hold data that has since been encrypted
+export const deleteSchemaSnapshots = async (databaseName) => {
+  try {
+    return await snapshotDb.snapshots.where('databaseName').equals(databaseName).delete();
+  } catch (error) {
+    console.error('Error deleting schema snapshots:', error);
+    throw error;
+  }
+};
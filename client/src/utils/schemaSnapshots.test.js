@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import Dexie from 'dexie';
+import { applySchemaMigrations, LATEST_SCHEMA_VERSION } from './schemaMigrations';
+import {
+  createSnapshotIfUpgrading,
+  restoreSchemaSnapshot,
+  listSchemaSnapshots,
+  deleteSchemaSnapshots
+} from './schemaSnapshots';
+import {
+  createEncryptionKey,
+  lockEncryption,
+  removeEncryptionKey,
+  isSealed,
+  openRecord,
+  sealRecord
+} from './encryption';
+import { setupCaregiverLock, lockCaregiverMode } from './caregiverLock';
+
+const DATABASE_NAME = 'SnapshotTestDB';
+const PASSPHRASE = 'correct horse battery';
+
+const CONTACT = { name: 'Sara', relationship: 'family', phoneNumber: '+966501234567', usageCount: 2 };
+
+const seedV1Database = async (contact = CONTACT) => {
+  const database = applySchemaMigrations(new Dexie(DATABASE_NAME), { maxVersion: 1 });
+  await database.open();
+  await database.table('contacts').add({ ...contact });
+  database.close();
+};
+
+const readContacts = async () => {
+  const database = new Dexie(DATABASE_NAME);
+  try {
+    await database.open();
+    return await database.table('contacts').toArray();
+  } finally {
+    database.close();
+  }
+};
+
+describe('schema snapshots', () => {
+  beforeEach(async () => {
+    await Dexie.delete(DATABASE_NAME);
+    await deleteSchemaSnapshots(DATABASE_NAME);
+    localStorage.clear();
+    // Turning encryption on is for the owner
+    await setupCaregiverLock('Owner', 'pin', '1234');
+  });
+
+  afterEach(() => {
+    lockEncryption();
+    removeEncryptionKey();
+    lockCaregiverMode();
+  });
+
+  it('keeps snapshots in plaintext while encryption is off', async () => {
+    await seedV1Database();
+    await createSnapshotIfUpgrading(DATABASE_NAME, LATEST_SCHEMA_VERSION);
+    const [snapshot] = await listSchemaSnapshots(DATABASE_NAME);
+
+    await restoreSchemaSnapshot(snapshot.id);
+    expect(await readContacts()).toEqual([{ id: 1, ...CONTACT }]);
+  });
+
+  it('seals plaintext rows in snapshots taken while encryption is on', async () => {
+    await seedV1Database();
+    await createEncryptionKey(PASSPHRASE);
+    const snapshot = await createSnapshotIfUpgrading(DATABASE_NAME, LATEST_SCHEMA_VERSION);
+
+    const [row] = snapshot.tables.contacts;
+    expect(isSealed(row)).toBe(true);
+    expect(row.phoneNumber).toBeUndefined();
+    expect(row).toMatchObject({ id: 1, relationship: 'family' });
+
+    // Restoring needs no key: the rows go back sealed, as the middleware reads them
+    lockEncryption();
+    await restoreSchemaSnapshot(snapshot.id);
+    const [restored] = await readContacts();
+    expect(isSealed(restored)).toBe(true);
+    expect(restored).toEqual(row);
+  });
+
+  it('keeps rows that are already sealed as they are', async () => {
+    await createEncryptionKey(PASSPHRASE);
+    const sealed = await sealRecord({ id: 1, ...CONTACT }, ['id', 'relationship']);
+    await seedV1Database(sealed);
+    lockEncryption();
+
+    const snapshot = await createSnapshotIfUpgrading(DATABASE_NAME, LATEST_SCHEMA_VERSION);
+    expect(snapshot.tables.contacts).toEqual([sealed]);
+  });
+
+  it('takes no snapshot of plaintext rows while encryption is locked', async () => {
+    await seedV1Database();
+    await createEncryptionKey(PASSPHRASE);
+    lockEncryption();
+
+    expect(await createSnapshotIfUpgrading(DATABASE_NAME, LATEST_SCHEMA_VERSION)).toBeNull();
+    expect(await listSchemaSnapshots(DATABASE_NAME)).toEqual([]);
+  });
+
+  it('deletes every snapshot of a database', async () => {
+    await seedV1Database();
+    await createSnapshotIfUpgrading(DATABASE_NAME, LATEST_SCHEMA_VERSION);
+    await createSnapshotIfUpgrading(DATABASE_NAME, LATEST_SCHEMA_VERSION);
+
+    expect(await deleteSchemaSnapshots(DATABASE_NAME)).toBe(2);
+    expect(await listSchemaSnapshots(DATABASE_NAME)).toEqual([]);
+  });
+
+  it('opens sealed snapshot rows with the session key', async () => {
+    await seedV1Database();
+    await createEncryptionKey(PASSPHRASE);
+    const snapshot = await createSnapshotIfUpgrading(DATABASE_NAME, LATEST_SCHEMA_VERSION);
+    expect(await openRecord(snapshot.tables.contacts[0])).toEqual({ id: 1, ...CONTACT });
+  });
+});
@@ -0,0 +1,206 @@
+import Dexie from 'dexie';
+import { db } from './database';
+import { getActivePatient, patientStorage } from './patientProfiles';
+import { getMessageTiles } from './messageBuilder';
+import { getAmbulanceNumber } from './emergencyServices';
+
+// SOS: after a short countdown the patient can cancel, the app calls the
+// contact marked "called first" in the contacts (the ambulance when there is
+// none) and offers a pre-filled text message to every contact marked for
+// SOS, with the patient's name, the symptoms in the message strip and,
+// optionally, where the device is. Each SOS is logged with who was called
+// and messaged and how it ended. Like the symptom history, none of this
+// waits for caregiver mode.
+
+export const SOS_COUNTDOWN_SECONDS = 5;
+
+// How an SOS ended. `pending` until someone says otherwise.
+export const SOS_OUTCOMES = {
+  pending: 'Waiting for help',
+  help_arrived: 'Help arrived',
+  handled_by_phone: 'Sorted out on the phone',
+  no_answer: 'Nobody answered',
+  false_alarm: 'False alarm',
+  cancelled: 'Cancelled before the call'
+};
+
+// Outcomes that can be picked after the call; `cancelled` is only recorded
+// by the countdown
+export const SOS_FOLLOW_UP_OUTCOMES = ['pending', 'help_arrived', 'handled_by_phone', 'no_answer', 'false_alarm'];
+
+const SHARE_LOCATION_KEY = 'sosShareLocation';
+
+const LOCATION_TIMEOUT_MS = 10000;
+
+const listeners = new Set();
+
+// Subscribe to changes of the SOS log. Returns an unsubscribe function.
+export const onSosChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const notifyListeners = () => {
+  listeners.forEach(listener => listener());
+};
+
+// --- Settings ---
+
+// On unless turned off for this patient
+export const getShareLocation = () => patientStorage.getItem(SHARE_LOCATION_KEY) !== 'false';
+
+export const setShareLocation = (share) => {
+  patientStorage.setItem(SHARE_LOCATION_KEY, share ? 'true' : 'false');
+};
+
+// --- Who to reach ---
+
+const hasNumber = (contact) => Boolean(contact.phoneNumber?.trim());
+
+// `contacts` as listed by contactOperations.getAllContacts, most used first,
+// so the most used "called first" contact is called when there are several.
+// Returns `{ call: { name, number, contactId }, recipients }`; without a
+// contact to call, the ambulance is called.
+export const getSosContacts = (contacts) => {
+  const primary = contacts.find(contact => contact.emergencyRole === 'primary' && hasNumber(contact));
+  const ambulance = getAmbulanceNumber();
+  const call = primary
+    ? { name: primary.name, number: primary.phoneNumber.trim(), contactId: primary.id }
+    : ambulance && { name: 'Ambulance', number: ambulance, contactId: null };
+  const recipients = contacts.filter(contact => ['primary', 'notify'].includes(contact.emergencyRole) && hasNumber(contact));
+  return { call: call || null, recipients };
+};
+
+// --- The message ---
+
+// The symptoms the patient has put in the message strip, each once
+export const getSelectedSymptoms = () => {
+  const labels = getMessageTiles().filter(tile => tile.kind === 'symptom').map(tile => tile.label);
+  return [...new Set(labels)];
+};
+
+export const getMapLink = ({ latitude, longitude }) => `https://maps.google.com/?q=${latitude.toFixed(5)},${longitude.toFixed(5)}`;
+
+export const buildSosMessage = ({ patientName = getActivePatient().name, symptoms = [], location = null } = {}) => {
+  const lines = [`SOS from ${patientName}: they need help now.`];
+  if (symptoms.length > 0) {
+    lines.push(`Symptoms: ${symptoms.join(', ')}.`);
+  }
+  if (location) {
+    lines.push(`Location: ${getMapLink(location)} (within ${Math.round(location.accuracy)} m)`);
+  }
+  return lines.join('\n');
+};
+
+// An sms: link (RFC 5724) opening the messaging app with the text filled in.
+// Several numbers are comma-separated, which most phones open as one group.
+export const buildSmsLink = (numbers, body) => {
+  const recipients = [].concat(numbers).map(number => number.replace(/[\s\-().]/g, '')).join(',');
+  return `sms:${recipients}?body=${encodeURIComponent(body)}`;
+};
+
+// The device's position, or null when it is unavailable, not allowed or too
+// slow. Never rejects: an SOS goes ahead without it.
+export const getDeviceLocation = (timeout = LOCATION_TIMEOUT_MS) => new Promise((resolve) => {
+  if (typeof navigator === 'undefined' || !navigator.geolocation) {
+    resolve(null);
+    return;
+  }
+  navigator.geolocation.getCurrentPosition(
+    ({ coords }) => resolve({ latitude: coords.latitude, longitude: coords.longitude, accuracy: coords.accuracy }),
+    (error) => {
+      console.warn('Location unavailable for SOS:', error.message);
+      resolve(null);
+    },
+    { enableHighAccuracy: true, timeout, maximumAge: 60000 }
+  );
+});
+
+// --- The log ---
+
+const addSosEvent = async (sos) => {
+  try {
+    const id = await db.sosEvents.add(sos);
+    notifyListeners();
+    return { ...sos, id };
+  } catch (error) {
+    console.error('Error logging SOS:', error);
+    throw error;
+  }
+};
+
+const updateSosEvent = async (id, changes) => {
+  try {
+    await db.sosEvents.update(id, changes);
+    notifyListeners();
+    return await db.sosEvents.get(id);
+  } catch (error) {
+    console.error('Error saving SOS:', error);
+    throw error;
+  }
+};
+
+// Logged when the countdown ends, before the call is made
+export const recordSos = ({ call, recipients = [], symptoms = [], location = null }) => addSosEvent({
+  triggeredAt: new Date().toISOString(),
+  patientName: getActivePatient().name,
+  symptoms,
+  location,
+  calledName: call?.name || null,
+  calledNumber: call?.number || null,
+  recipients: recipients.map(contact => ({ contactId: contact.id, name: contact.name, number: contact.phoneNumber.trim() })),
+  notifiedAt: null,
+  outcome: 'pending',
+  outcomeAt: null,
+  note: ''
+});
+
+// A countdown cancelled in time is logged too, so accidental presses show up
+export const recordCancelledSos = ({ symptoms = [] } = {}) => addSosEvent({
+  triggeredAt: new Date().toISOString(),
+  patientName: getActivePatient().name,
+  symptoms,
+  location: null,
+  calledName: null,
+  calledNumber: null,
+  recipients: [],
+  notifiedAt: null,
+  outcome: 'cancelled',
+  outcomeAt: new Date().toISOString(),
+  note: ''
+});
+
+// The location can arrive after the call has been made
+export const setSosLocation = (sos, location) => updateSosEvent(sos.id, { location });
+
+// When the message was first opened for sending; the phone doesn't tell us
+// whether it was actually sent
+export const markSosNotified = async (sos) => {
+  return sos.notifiedAt ? sos : updateSosEvent(sos.id, { notifiedAt: new Date().toISOString() });
+};
+
+export const setSosOutcome = async (id, outcome, note) => {
+  if (!SOS_FOLLOW_UP_OUTCOMES.includes(outcome)) {
+    throw new Error(`Unknown SOS outcome: ${outcome}`);
+  }
+  const changes = { outcome, outcomeAt: outcome === 'pending' ? null : new Date().toISOString() };
+  if (note !== undefined) {
+    changes.note = note.trim();
+  }
+  return updateSosEvent(id, changes);
+};
+
+export const listSosEvents = async ({ from, to } = {}) => {
+  try {
+    const lower = from ? from.toISOString() : Dexie.minKey;
+    const upper = to ? to.toISOString() : Dexie.maxKey;
+    return await db.sosEvents
+      .where('triggeredAt')
+      .between(lower, upper, true, true)
+      .reverse()
+      .toArray();
+  } catch (error) {
+    console.error('Error listing SOS events:', error);
+    throw error;
+  }
+};
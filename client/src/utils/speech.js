@@ -0,0 +1,79 @@
+// Speak text aloud for the patient: with ElevenLabs when an API key is
+// configured, otherwise (or when the request fails) with the browser's own
+// speech synthesis in the language of the text.
+
+const ELEVENLABS_VOICE_ID = '21m00Tcm4TlvDq8ikWAM';
+
+const ARABIC_SCRIPT = /[\u0600-\u06FF]/;
+
+// Text in Arabic script gets an Arabic voice; anything else, such as the
+// sentences the app builds itself, an English one
+export const getSpeechLanguage = (text) => (ARABIC_SCRIPT.test(text) ? 'ar-SA' : 'en-US');
+
+const speakWithBrowser = (text, lang) => {
+  if (!('speechSynthesis' in window)) {
+    return false;
+  }
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.rate = 0.8;
+  utterance.pitch = 1;
+  utterance.volume = 1;
+  utterance.lang = lang;
+  speechSynthesis.speak(utterance);
+  return true;
+};
+
+const speakWithElevenLabs = async (text) => {
+  const ELEVENLABS_API_KEY = import.meta.env.VITE_ELEVENLABS_API_KEY;
+  if (!ELEVENLABS_API_KEY) {
+    throw new Error('ElevenLabs API key not configured');
+  }
+
+  const response = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/${ELEVENLABS_VOICE_ID}`, {
+    method: 'POST',
+    headers: {
+      'Accept': 'audio/mpeg',
+      'Content-Type': 'application/json',
+      'xi-api-key': ELEVENLABS_API_KEY,
+    },
+    body: JSON.stringify({
+      text,
+      model_id: 'eleven_multilingual_v2',
+      voice_settings: {
+        stability: 0.5,
+        similarity_boost: 0.5
+      }
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to generate speech');
+  }
+
+  const audioBlob = await response.blob();
+  const audioUrl = URL.createObjectURL(audioBlob);
+  const audio = new Audio(audioUrl);
+  audio.play();
+
+  // Clean up the URL after playing
+  audio.onended = () => {
+    URL.revokeObjectURL(audioUrl);
+  };
+};
+
+// Resolves once speaking has started. Shows the text when the device can't
+// speak at all. `lang` is a BCP 47 tag for the browser's voice; ElevenLabs
+// tells the language from the text.
+export const speakText = async (text, lang = getSpeechLanguage(text)) => {
+  if (!text?.trim()) {
+    return;
+  }
+  try {
+    await speakWithElevenLabs(text);
+  } catch (error) {
+    console.error('ElevenLabs API error:', error);
+    if (!speakWithBrowser(text, lang)) {
+      alert(`Selected: ${text}`);
+    }
+  }
+};
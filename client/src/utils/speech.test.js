@@ -0,0 +1,42 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { speakText, getSpeechLanguage } from './speech';
+import { getSymptomSentence } from './symptomHistory';
+
+describe('speakText', () => {
+  let spoken;
+
+  beforeEach(() => {
+    spoken = [];
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.stubGlobal('SpeechSynthesisUtterance', class {
+      constructor(text) {
+        this.text = text;
+      }
+    });
+    vi.stubGlobal('speechSynthesis', { speak: (utterance) => spoken.push(utterance) });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('speaks the built symptom sentence with an English voice', async () => {
+    const sentence = getSymptomSentence({ name: 'Chest' }, { type: 'Chest pain' });
+    expect(sentence).toBe('My chest hurts – chest pain');
+
+    await speakText(sentence);
+    expect(spoken).toEqual([expect.objectContaining({ text: sentence, lang: 'en-US' })]);
+  });
+
+  it('speaks Arabic text with an Arabic voice', async () => {
+    await speakText('أحتاج إلى ماء');
+    expect(spoken[0].lang).toBe('ar-SA');
+  });
+
+  it('takes the language from the caller', async () => {
+    await speakText('Bonjour', 'fr-FR');
+    expect(spoken[0].lang).toBe('fr-FR');
+    expect(getSpeechLanguage('Bonjour')).toBe('en-US');
+  });
+});
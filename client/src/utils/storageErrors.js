@@ -0,0 +1,37 @@
+// Shared handling for storage errors. Save paths report failures here; quota
+// exhaustion is routed to the recovery dialog (mounted once in App) instead
+// of ending in a generic alert.
+
+const QUOTA_ERROR_NAMES = ['QuotaExceededError', 'NS_ERROR_DOM_QUOTA_REACHED'];
+// Legacy DOMException codes for quota errors (WebKit/Blink and Firefox)
+const QUOTA_ERROR_CODES = [22, 1014];
+
+// Recognize quota exhaustion from localStorage, raw IndexedDB and Dexie
+// (which wraps the DOMException, sometimes inside an AbortError)
+export const isQuotaExceededError = (error) => {
+  if (!error) return false;
+  if (QUOTA_ERROR_NAMES.includes(error.name) || QUOTA_ERROR_CODES.includes(error.code)) {
+    return true;
+  }
+  return isQuotaExceededError(error.inner) || isQuotaExceededError(error.cause);
+};
+
+const quotaListeners = new Set();
+
+// Subscribe to quota errors. Returns an unsubscribe function.
+export const onQuotaExceeded = (listener) => {
+  quotaListeners.add(listener);
+  return () => quotaListeners.delete(listener);
+};
+
+// Report a failed save. `description` names what was being saved and
+// `retry` repeats the save once space has been freed. Returns true when the
+// error was a quota error that is now being handled by the recovery dialog.
+export const reportStorageError = (error, { description = 'your changes', retry = null } = {}) => {
+  if (!isQuotaExceededError(error) || quotaListeners.size === 0) {
+    return false;
+  }
+
+  quotaListeners.forEach(listener => listener({ error, description, retry }));
+  return true;
+};
@@ -0,0 +1,220 @@
+import { db } from './database';
+import { getAllUserImages, deleteUserImages, isUserUploadedImage } from './indexedDB';
+import { assertCanPerform } from './caregiverLock';
+import { patientStorage } from './patientProfiles';
+import { getDraftImageIds, isDraftKey } from './formDrafts';
+
+// Storage-wide referential integrity: user images live in EmergencyAppDB and
+// are referenced from StrokeAppDB records (and localStorage) only by their
+// `user_upload_...` id, so nothing stops either side from going stale.
+
+// `user_upload_<type>_<identifier>_<timestamp>_<random>` (see generateImageId)
+const IMAGE_ID_PATTERN = /^user_upload_([^_]+)_(.*)_(\d+)_([a-z0-9]+)$/;
+
+const parseImageId = (imageId) => {
+  const match = IMAGE_ID_PATTERN.exec(imageId);
+  return match ? { type: match[1], identifier: match[2], timestamp: Number(match[3]) } : null;
+};
+
+// Collect every user image id found anywhere inside a value, with its path
+export const findImageReferences = (value, path = []) => {
+  if (typeof value === 'string') {
+    return isUserUploadedImage(value) ? [{ imageId: value, path }] : [];
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap((item, index) => findImageReferences(item, [...path, index]));
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, item]) => findImageReferences(item, [...path, key]));
+  }
+  return [];
+};
+
+const parseStoredValue = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+const describeRecord = (record) => {
+  return record.name || record.text || record.title || `#${record.id}`;
+};
+
+// The audit log keeps the ids an edit replaced. It is append-only history,
+// so it neither keeps an image alive nor gets repaired
+const HISTORY_TABLES = ['auditLog'];
+
+// Every image reference in the database tables, the patient's localStorage
+// and the unsaved form drafts
+export const collectImageReferences = async () => {
+  const references = [];
+
+  for (const table of db.tables.filter(table => !HISTORY_TABLES.includes(table.name))) {
+    const { keyPath } = table.schema.primKey;
+    for (const record of await table.toArray()) {
+      findImageReferences(record).forEach(reference => {
+        references.push({
+          ...reference,
+          source: 'table',
+          table: table.name,
+          key: record[keyPath],
+          label: describeRecord(record)
+        });
+      });
+    }
+  }
+
+  for (const key of patientStorage.keys().filter(key => !isDraftKey(key))) {
+    findImageReferences(parseStoredValue(patientStorage.getItem(key))).forEach(reference => {
+      references.push({ ...reference, source: 'localStorage', key, label: key });
+    });
+  }
+
+  getDraftImageIds().forEach(imageId => {
+    references.push({ imageId, path: [], source: 'draft', label: 'Unsaved form' });
+  });
+
+  return references;
+};
+
+// Pick the newest orphan uploaded for the same type and identifier as a
+// broken reference - typically the replacement written by an edit
+const findRelinkCandidate = (imageId, orphans) => {
+  const broken = parseImageId(imageId);
+  if (!broken) return null;
+
+  return orphans
+    .map(image => ({ image, parsed: parseImageId(image.id) }))
+    .filter(({ parsed }) => parsed && parsed.type === broken.type && parsed.identifier === broken.identifier)
+    .sort((a, b) => b.parsed.timestamp - a.parsed.timestamp)[0]?.image || null;
+};
+
+// Walk every collection and compare its image references with stored images
+export const scanStorageIntegrity = async () => {
+  try {
+    const [images, references] = await Promise.all([getAllUserImages(), collectImageReferences()]);
+    const imageIds = new Set(images.map(image => image.id));
+    const referencedIds = new Set(references.map(reference => reference.imageId));
+
+    // Report metadata only, the image data itself is not needed
+    const orphans = images
+      .filter(image => !referencedIds.has(image.id))
+      .map(image => ({
+        id: image.id,
+        type: image.type,
+        originalName: image.originalName,
+        size: image.size,
+        thumbnailSize: image.thumbnailSize,
+        uploadDate: image.uploadDate
+      }));
+    // A draft only keeps its images alive, it is not saved data to repair
+    const brokenReferences = references
+      .filter(reference => reference.source !== 'draft' && !imageIds.has(reference.imageId))
+      .map(reference => ({
+        ...reference,
+        relinkTo: findRelinkCandidate(reference.imageId, orphans)?.id || null
+      }));
+    const relinkTargets = new Set(brokenReferences.map(reference => reference.relinkTo));
+    const purgeable = orphans.filter(image => !relinkTargets.has(image.id));
+
+    return {
+      scannedAt: new Date().toISOString(),
+      totalImages: images.length,
+      referencedImages: images.length - orphans.length,
+      referenceCount: references.length,
+      orphans,
+      brokenReferences,
+      reclaimableBytes: purgeable.reduce((sum, image) => sum + (image.size || 0) + (image.thumbnailSize || 0), 0)
+    };
+  } catch (error) {
+    console.error('Error scanning storage integrity:', error);
+    throw error;
+  }
+};
+
+const setAtPath = (target, path, value) => {
+  const parent = path.slice(0, -1).reduce((node, key) => node[key], target);
+  parent[path[path.length - 1]] = value;
+};
+
+const updateReference = async (reference, value) => {
+  if (reference.source === 'localStorage') {
+    const stored = parseStoredValue(patientStorage.getItem(reference.key));
+    if (reference.path.length === 0) {
+      patientStorage.setItem(reference.key, value);
+    } else {
+      setAtPath(stored, reference.path, value);
+      patientStorage.setItem(reference.key, JSON.stringify(stored));
+    }
+    return;
+  }
+
+  const table = db.table(reference.table);
+  const record = await table.get(reference.key);
+  if (record) {
+    setAtPath(record, reference.path, value);
+    await table.put(record);
+  }
+};
+
+// Re-check references so re-linked images and anything saved since the scan
+// are never purged
+const deleteOrphans = async (orphans) => {
+  const referencedIds = new Set((await collectImageReferences()).map(reference => reference.imageId));
+  const purgeable = orphans.filter(image => !referencedIds.has(image.id));
+  await deleteUserImages(purgeable.map(image => image.id));
+
+  return {
+    purged: purgeable.length,
+    reclaimedBytes: purgeable.reduce((sum, image) => sum + (image.size || 0) + (image.thumbnailSize || 0), 0)
+  };
+};
+
+// Delete unused images only, leaving broken references alone
+export const purgeOrphanImages = async () => {
+  try {
+    assertCanPerform('manageStorage');
+    const report = await scanStorageIntegrity();
+    const result = await deleteOrphans(report.orphans);
+    console.log('Orphan images purged:', result);
+    return result;
+  } catch (error) {
+    console.error('Error purging orphan images:', error);
+    throw error;
+  }
+};
+
+// Re-link broken references (to a matching orphan, or clear them so the
+// default image shows) and then delete the orphans nobody uses
+export const repairStorageIntegrity = async (report) => {
+  try {
+    assertCanPerform('manageStorage');
+    let relinked = 0;
+    let cleared = 0;
+
+    for (const reference of report.brokenReferences) {
+      if (reference.relinkTo) {
+        await updateReference(reference, reference.relinkTo);
+        relinked++;
+      } else {
+        await updateReference(reference, '');
+        cleared++;
+      }
+    }
+
+    const purged = await deleteOrphans(report.orphans);
+
+    const result = {
+      relinked,
+      cleared,
+      ...purged
+    };
+    console.log('Storage integrity repaired:', result);
+    return result;
+  } catch (error) {
+    console.error('Error repairing storage integrity:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { db, dbOperations } from './database';
+import { storeUserImage, getAllUserImages, deleteUserImages, generateImageId } from './indexedDB';
+import { scanStorageIntegrity, repairStorageIntegrity, purgeOrphanImages } from './storageIntegrity';
+import { setupCaregiverLock, lockCaregiverMode } from './caregiverLock';
+import { saveDraft, clearDraft } from './formDrafts';
+import { createEncryptionKey, lockEncryption, removeEncryptionKey } from './encryption';
+
+const storeImage = async () => {
+  const id = generateImageId('contact', 'sara');
+  await storeUserImage({ id, type: 'contact', blob: new Blob(['photo'], { type: 'image/png' }), originalName: 'sara.png' });
+  return id;
+};
+
+const addContactWithReplacedPhoto = async () => {
+  const first = await storeImage();
+  const second = await storeImage();
+  const contact = await dbOperations.addContact({ name: 'Sara', phoneNumber: '+966501234567', contactImage: first });
+  await dbOperations.updateContact(contact.id, { contactImage: second });
+  return { contact, first, second };
+};
+
+describe('storage integrity', () => {
+  beforeEach(async () => {
+    localStorage.clear();
+    await Promise.all(db.tables.map(table => table.clear()));
+    await setupCaregiverLock('Owner', 'pin', '1234');
+  });
+
+  afterEach(async () => {
+    clearDraft('contact');
+    // Sealed images can only be listed while the key is unlocked
+    await deleteUserImages((await getAllUserImages()).map(image => image.id));
+    lockEncryption();
+    removeEncryptionKey();
+    lockCaregiverMode();
+  });
+
+  it('reports a photo replaced by an edit as an orphan', async () => {
+    const { first, second } = await addContactWithReplacedPhoto();
+    expect(await db.auditLog.count()).toBeGreaterThan(0);
+
+    const report = await scanStorageIntegrity();
+
+    expect(report.orphans.map(image => image.id)).toEqual([first]);
+    expect(report.brokenReferences).toEqual([]);
+    expect(report.referencedImages).toBe(1);
+    expect((await getAllUserImages()).map(image => image.id)).toContain(second);
+  });
+
+  it('leaves audit entries unchanged when repairing', async () => {
+    const { contact, second } = await addContactWithReplacedPhoto();
+    await deleteUserImages((await getAllUserImages()).map(image => image.id));
+    const auditBefore = await db.auditLog.toArray();
+
+    const report = await scanStorageIntegrity();
+    expect(report.brokenReferences.map(reference => reference.table)).toEqual(['contacts']);
+    expect(report.brokenReferences[0].imageId).toBe(second);
+
+    await repairStorageIntegrity(report);
+
+    expect(await db.auditLog.toArray()).toEqual(auditBefore);
+    expect((await db.contacts.get(contact.id)).contactImage).toBe('');
+  });
+
+  it('keeps the photo of an unsaved draft when purging unused images', async () => {
+    await createEncryptionKey('correct horse battery');
+    const photo = await storeImage();
+    saveDraft('contact', { formData: { name: 'Sara', contactImage: photo }, editingId: null, context: null });
+    expect(Object.keys(localStorage).some(key => key.includes('formDraft:'))).toBe(false);
+
+    const result = await purgeOrphanImages();
+
+    expect(result.purged).toBe(0);
+    expect((await getAllUserImages()).map(image => image.id)).toEqual([photo]);
+  });
+
+  it('keeps the photo of a draft stored in localStorage', async () => {
+    const photo = await storeImage();
+    saveDraft('contact', { formData: { name: 'Sara', contactImage: photo }, editingId: null, context: null });
+
+    const report = await scanStorageIntegrity();
+
+    expect(report.orphans).toEqual([]);
+    expect(report.referenceCount).toBe(1);
+  });
+
+  it('needs the caregiver to remove unused images', async () => {
+    const photo = await storeImage();
+    lockCaregiverMode();
+
+    await expect(purgeOrphanImages()).rejects.toMatchObject({ name: 'PermissionDeniedError', operation: 'manageStorage' });
+    expect((await getAllUserImages()).map(image => image.id)).toEqual([photo]);
+  });
+});
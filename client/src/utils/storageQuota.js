@@ -0,0 +1,142 @@
+import { db } from './database';
+import { getAllUserImages } from './indexedDB';
+import { assertCanPerform } from './caregiverLock';
+
+// Persistent storage and quota monitoring. Without persistence the browser
+// may evict everything this app stores once the device runs low on space.
+
+const THRESHOLDS_KEY = 'storageWarningThresholds';
+
+// Fractions of the quota at which the caregiver is warned
+export const DEFAULT_STORAGE_THRESHOLDS = { warning: 0.7, critical: 0.9 };
+
+// localStorage has its own, much smaller limit that estimate() doesn't report
+export const LOCAL_STORAGE_LIMIT_BYTES = 5 * 1024 * 1024;
+
+const hasStorageManager = () => typeof navigator !== 'undefined' && Boolean(navigator.storage);
+
+// 'granted', 'prompt' (not persisted yet) or 'unsupported'
+export const getPersistenceState = async () => {
+  if (!hasStorageManager() || !navigator.storage.persisted) {
+    return 'unsupported';
+  }
+  return (await navigator.storage.persisted()) ? 'granted' : 'prompt';
+};
+
+// Ask the browser not to evict this origin's data. Returns the new state.
+export const requestPersistentStorage = async () => {
+  if (!hasStorageManager() || !navigator.storage.persist) {
+    return 'unsupported';
+  }
+  try {
+    return (await navigator.storage.persist()) ? 'granted' : 'prompt';
+  } catch (error) {
+    console.error('Error requesting persistent storage:', error);
+    return 'prompt';
+  }
+};
+
+export const getStorageThresholds = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(THRESHOLDS_KEY));
+    return { ...DEFAULT_STORAGE_THRESHOLDS, ...stored };
+  } catch {
+    return DEFAULT_STORAGE_THRESHOLDS;
+  }
+};
+
+export const saveStorageThresholds = (thresholds) => {
+  assertCanPerform('manageStorage');
+  const { warning, critical } = thresholds;
+  if (!(warning > 0 && warning < critical && critical < 1)) {
+    throw new Error('Thresholds must satisfy 0 < warning < critical < 1');
+  }
+  localStorage.setItem(THRESHOLDS_KEY, JSON.stringify({ warning, critical }));
+  return { warning, critical };
+};
+
+// 'ok', 'warning' or 'critical' for a usage/quota pair
+export const getUsageLevel = (usage, quota, thresholds = getStorageThresholds()) => {
+  if (!quota) return 'ok';
+  const ratio = usage / quota;
+  if (ratio >= thresholds.critical) return 'critical';
+  if (ratio >= thresholds.warning) return 'warning';
+  return 'ok';
+};
+
+const byteLength = (value) => new TextEncoder().encode(value).length;
+
+// localStorage is UTF-16, two bytes per character for key and value
+const getLocalStorageEntries = () => {
+  const entries = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    const value = localStorage.getItem(key) || '';
+    entries.push({ key, bytes: (key.length + value.length) * 2 });
+  }
+  return entries.sort((a, b) => b.bytes - a.bytes);
+};
+
+// Approximate bytes held by each part of the app's storage
+export const getStorageBreakdown = async () => {
+  try {
+    const tables = [];
+    for (const table of db.tables) {
+      const rows = await table.toArray();
+      tables.push({ name: table.name, count: rows.length, bytes: byteLength(JSON.stringify(rows)) });
+    }
+
+    const localStorageEntries = getLocalStorageEntries();
+    const images = await getAllUserImages();
+
+    return {
+      tables,
+      localStorage: {
+        entries: localStorageEntries,
+        bytes: localStorageEntries.reduce((sum, entry) => sum + entry.bytes, 0)
+      },
+      images: {
+        count: images.length,
+        bytes: images.reduce((sum, image) => sum + (image.size || 0) + (image.thumbnailSize || 0), 0)
+      }
+    };
+  } catch (error) {
+    console.error('Error building storage breakdown:', error);
+    throw error;
+  }
+};
+
+// Origin-wide usage from navigator.storage.estimate() plus the separate
+// localStorage budget, each classified against the configured thresholds
+export const checkStorageQuota = async () => {
+  const thresholds = getStorageThresholds();
+  const localStorageBytes = getLocalStorageEntries().reduce((sum, entry) => sum + entry.bytes, 0);
+
+  let usage = null;
+  let quota = null;
+  if (hasStorageManager() && navigator.storage.estimate) {
+    ({ usage, quota } = await navigator.storage.estimate());
+  }
+
+  const originLevel = quota ? getUsageLevel(usage, quota, thresholds) : 'ok';
+  const localStorageLevel = getUsageLevel(localStorageBytes, LOCAL_STORAGE_LIMIT_BYTES, thresholds);
+  const levels = ['ok', 'warning', 'critical'];
+
+  return {
+    usage,
+    quota,
+    localStorageBytes,
+    localStorageQuota: LOCAL_STORAGE_LIMIT_BYTES,
+    thresholds,
+    originLevel,
+    localStorageLevel,
+    level: levels[Math.max(levels.indexOf(originLevel), levels.indexOf(localStorageLevel))]
+  };
+};
+
+export const formatBytes = (bytes) => {
+  if (!bytes) return '0 KB';
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+  return `${(bytes / 1024).toFixed(1)} KB`;
+};
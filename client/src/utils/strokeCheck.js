@@ -0,0 +1,149 @@
+import { db } from './database';
+
+// BE-FAST stroke check (Balance, Eyes, Face, Arms, Speech, Time) that a
+// caregiver runs when a stroke is suspected. Each answer is saved as it is
+// given, together with when the symptoms started, which decides whether clot-
+// dissolving treatment is still possible. Like the symptom history, running
+// a check must never wait for caregiver mode to be unlocked.
+
+export const BE_FAST_SIGNS = [
+  {
+    id: 'balance',
+    letter: 'B',
+    label: 'Balance',
+    question: 'Sudden loss of balance, coordination or dizziness?',
+    instruction: 'If it is safe, ask them to stand up or take a few steps.'
+  },
+  {
+    id: 'eyes',
+    letter: 'E',
+    label: 'Eyes',
+    question: 'Sudden loss of vision, or blurred or double vision?',
+    instruction: 'Hold up fingers on each side and ask how many they see.'
+  },
+  {
+    id: 'face',
+    letter: 'F',
+    label: 'Face',
+    question: 'Does one side of the face droop?',
+    instruction: 'Ask them to smile or show their teeth.'
+  },
+  {
+    id: 'arms',
+    letter: 'A',
+    label: 'Arms',
+    question: 'Is one arm weak or numb, or does it drift down?',
+    instruction: 'Ask them to raise both arms and hold them up for 10 seconds.'
+  },
+  {
+    id: 'speech',
+    letter: 'S',
+    label: 'Speech',
+    question: 'Is their speech slurred or stranger than usual, or do they not understand you?',
+    instruction: 'Ask them to repeat a simple sentence. Compare with how they usually speak.'
+  }
+];
+
+// How symptom onset was established. Without a witnessed start, treatment
+// times count from when the patient was last seen well.
+export const ONSET_KINDS = {
+  witnessed: 'Symptoms started',
+  last_known_well: 'Last seen well'
+};
+
+// Clot-dissolving treatment (thrombolysis) is usually given within this many
+// hours of onset
+export const THROMBOLYSIS_WINDOW_HOURS = 4.5;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Tapped symptoms that should prompt a stroke check
+const STROKE_WARNING_SYMPTOMS = /speech|paralysis|confusion|numbness|weakness|blurred vision|dizziness|unconscious/i;
+
+export const isStrokeWarningSymptom = (symptom) => STROKE_WARNING_SYMPTOMS.test(symptom?.type || '');
+
+export const getPositiveSigns = (check) => BE_FAST_SIGNS.filter(sign => check.findings[sign.id] === true);
+
+// Any positive sign means: call an ambulance now
+export const isStrokeSuspected = (check) => getPositiveSigns(check).length > 0;
+
+export const getTimeSinceOnset = (check, now = new Date()) => {
+  return check.onsetAt ? now.getTime() - new Date(check.onsetAt).getTime() : null;
+};
+
+// Negative once the window has passed
+export const getTreatmentWindowLeft = (check, now = new Date()) => {
+  const elapsed = getTimeSinceOnset(check, now);
+  return elapsed === null ? null : THROMBOLYSIS_WINDOW_HOURS * HOUR_MS - elapsed;
+};
+
+// e.g. "1 h 05 min"
+export const formatDuration = (ms) => {
+  const minutes = Math.floor(Math.abs(ms) / 60000);
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours} h ${String(minutes % 60).padStart(2, '0')} min` : `${minutes} min`;
+};
+
+// A check that hasn't been saved (yet)
+export const createStrokeCheck = () => ({
+  startedAt: new Date().toISOString(),
+  findings: {},
+  onsetAt: null,
+  onsetKind: 'witnessed',
+  escalatedAt: null,
+  completedAt: null
+});
+
+export const startStrokeCheck = async () => {
+  try {
+    const check = createStrokeCheck();
+    const id = await db.strokeChecks.add(check);
+    return { ...check, id };
+  } catch (error) {
+    console.error('Error starting stroke check:', error);
+    throw error;
+  }
+};
+
+const updateStrokeCheck = async (id, changes) => {
+  try {
+    await db.strokeChecks.update(id, changes);
+    return await db.strokeChecks.get(id);
+  } catch (error) {
+    console.error('Error saving stroke check:', error);
+    throw error;
+  }
+};
+
+// `present` is true, false, or null when it couldn't be checked
+export const recordStrokeFinding = async (check, signId, present) => {
+  if (!BE_FAST_SIGNS.some(sign => sign.id === signId)) {
+    throw new Error(`Unknown BE-FAST sign: ${signId}`);
+  }
+  return updateStrokeCheck(check.id, { findings: { ...check.findings, [signId]: present } });
+};
+
+export const setStrokeOnset = async (check, onsetAt, onsetKind) => {
+  if (!ONSET_KINDS[onsetKind]) {
+    throw new Error(`Unknown onset kind: ${onsetKind}`);
+  }
+  const onset = new Date(onsetAt);
+  if (Number.isNaN(onset.getTime()) || onset.getTime() > Date.now() + 60000) {
+    throw new Error('Enter when the symptoms started, not a time in the future');
+  }
+  return updateStrokeCheck(check.id, { onsetAt: onset.toISOString(), onsetKind, completedAt: new Date().toISOString() });
+};
+
+// Keeps the first call's time; later calls are still dialed
+export const markStrokeCheckEscalated = async (check) => {
+  return check.escalatedAt ? check : updateStrokeCheck(check.id, { escalatedAt: new Date().toISOString() });
+};
+
+export const getLatestStrokeCheck = async () => {
+  try {
+    return await db.strokeChecks.orderBy('startedAt').last() || null;
+  } catch (error) {
+    console.error('Error loading stroke check:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,264 @@
+import Dexie from 'dexie';
+import { db, RECORD_TYPE_LABELS } from './database';
+import { trackRecordChange } from './undoHistory';
+import { assertCanPerform } from './caregiverLock';
+import { toCsv } from './fileDownload';
+
+// Symptom history: every symptom the patient taps is logged with the time,
+// the body part and, once picked on the symptom card, how bad it is. Logging,
+// rating and annotating events is part of using the app, so it is neither
+// permission checked nor undoable; only deleting an event is a caregiver
+// change. The diary (SymptomDiary.jsx) shows the log per day, week or month.
+
+export const SYMPTOM_SEVERITY_MIN = 1;
+export const SYMPTOM_SEVERITY_MAX = 10;
+
+// A face per severity, from no bother at all to the worst imaginable
+const SEVERITY_FACES = ['😀', '🙂', '🙂', '😐', '😐', '😕', '😟', '😣', '😖', '😭'];
+
+export const isValidSeverity = (severity) => Number.isInteger(severity)
+  && severity >= SYMPTOM_SEVERITY_MIN
+  && severity <= SYMPTOM_SEVERITY_MAX;
+
+const listeners = new Set();
+
+// Subscribe to changes of the log (an event recorded, rated, annotated or
+// deleted). Returns an unsubscribe function.
+export const onSymptomHistoryChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const notifyListeners = () => {
+  listeners.forEach(listener => listener());
+};
+
+export const getSeverityFace = (severity) => isValidSeverity(severity) ? SEVERITY_FACES[severity - 1] : '';
+
+// "Stomach / Abdomen" is spoken as "stomach"
+const getSpokenBodyPart = (bodyPart) => (bodyPart?.name || '').split('/')[0].trim().toLowerCase();
+
+// The sentence spoken for a symptom: its own `sentence` when the caregiver
+// wrote one, otherwise e.g. "My chest hurts – chest pain"
+export const getSymptomSentence = (bodyPart, symptom) => {
+  if (symptom.sentence?.trim()) {
+    return symptom.sentence.trim();
+  }
+  const part = getSpokenBodyPart(bodyPart);
+  const type = symptom.type.trim().toLowerCase();
+  if (!part) {
+    return type;
+  }
+  const verb = /[^s]s$/.test(part) ? 'hurt' : 'hurts';
+  return `My ${part} ${verb} – ${type}`;
+};
+
+export const recordSymptomEvent = async (bodyPart, symptom) => {
+  try {
+    const event = {
+      timestamp: new Date().toISOString(),
+      bodyPartId: bodyPart.id,
+      bodyPartName: bodyPart.name,
+      symptomId: symptom.id,
+      symptomType: symptom.type,
+      severity: null,
+      note: ''
+    };
+    const id = await db.symptomEvents.add(event);
+    notifyListeners();
+    return { ...event, id };
+  } catch (error) {
+    console.error('Error recording symptom event:', error);
+    throw error;
+  }
+};
+
+export const setSymptomSeverity = async (eventId, severity) => {
+  if (!isValidSeverity(severity)) {
+    throw new Error(`Invalid severity: ${severity}`);
+  }
+  try {
+    await db.symptomEvents.update(eventId, { severity });
+    notifyListeners();
+    return await db.symptomEvents.get(eventId);
+  } catch (error) {
+    console.error('Error saving symptom severity:', error);
+    throw error;
+  }
+};
+
+export const setSymptomNote = async (eventId, note) => {
+  try {
+    await db.symptomEvents.update(eventId, { note: note.trim() });
+    notifyListeners();
+    return await db.symptomEvents.get(eventId);
+  } catch (error) {
+    console.error('Error saving symptom note:', error);
+    throw error;
+  }
+};
+
+// For taps made by mistake
+export const deleteSymptomEvent = async (eventId) => {
+  try {
+    assertCanPerform('deleteSymptomEvent');
+    await trackRecordChange(
+      db,
+      (event) => `Delete ${RECORD_TYPE_LABELS.symptomEvents} "${event?.symptomType}"`,
+      'symptomEvents',
+      eventId,
+      () => db.symptomEvents.delete(eventId)
+    );
+    notifyListeners();
+  } catch (error) {
+    console.error('Error deleting symptom event:', error);
+    throw error;
+  }
+};
+
+// Newest first, optionally only those between `from` and `to` (Dates)
+export const listSymptomEvents = async ({ from, to } = {}) => {
+  try {
+    const lower = from ? from.toISOString() : Dexie.minKey;
+    const upper = to ? to.toISOString() : Dexie.maxKey;
+    return await db.symptomEvents
+      .where('timestamp')
+      .between(lower, upper, true, true)
+      .reverse()
+      .toArray();
+  } catch (error) {
+    console.error('Error listing symptom events:', error);
+    throw error;
+  }
+};
+
+// --- Diary periods ---
+// A day is split into hours, a week (Monday to Sunday) and a month into days
+
+export const DIARY_PERIODS = ['day', 'week', 'month'];
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const getPeriodStart = (period, anchor) => {
+  const day = startOfDay(anchor);
+  if (period === 'week') {
+    return addDays(day, -((day.getDay() + 6) % 7));
+  }
+  if (period === 'month') {
+    return new Date(day.getFullYear(), day.getMonth(), 1);
+  }
+  return day;
+};
+
+// The period containing `anchor`: its bounds (`to` exclusive), a title and the
+// timeline buckets
+export const getDiaryPeriod = (period, anchor = new Date()) => {
+  if (!DIARY_PERIODS.includes(period)) {
+    throw new Error(`Unknown diary period: ${period}`);
+  }
+  const from = getPeriodStart(period, anchor);
+  const buckets = [];
+
+  if (period === 'day') {
+    for (let hour = 0; hour < 24; hour++) {
+      const start = new Date(from.getFullYear(), from.getMonth(), from.getDate(), hour);
+      buckets.push({ start, end: new Date(start.getTime() + 60 * 60 * 1000), label: String(hour).padStart(2, '0') });
+    }
+  } else {
+    const days = period === 'week' ? 7 : new Date(from.getFullYear(), from.getMonth() + 1, 0).getDate();
+    for (let index = 0; index < days; index++) {
+      const start = addDays(from, index);
+      buckets.push({
+        start,
+        end: addDays(start, 1),
+        label: period === 'week' ? start.toLocaleDateString(undefined, { weekday: 'short' }) : String(start.getDate())
+      });
+    }
+  }
+
+  const to = buckets[buckets.length - 1].end;
+  const title = {
+    day: () => from.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }),
+    week: () => `${from.toLocaleDateString()} – ${addDays(to, -1).toLocaleDateString()}`,
+    month: () => from.toLocaleDateString(undefined, { year: 'numeric', month: 'long' })
+  }[period]();
+
+  return { period, from, to, title, buckets };
+};
+
+// The anchor `offset` periods before or after, e.g. -1 for the previous week
+export const shiftDiaryAnchor = (period, anchor, offset) => {
+  if (period === 'month') {
+    return new Date(anchor.getFullYear(), anchor.getMonth() + offset, 1);
+  }
+  return addDays(anchor, offset * (period === 'week' ? 7 : 1));
+};
+
+export const listDiaryEvents = ({ from, to }) => listSymptomEvents({ from, to: new Date(to.getTime() - 1) });
+
+// --- Summaries ---
+
+export const getSymptomKey = (event) => `${event.bodyPartName}|${event.symptomType}`;
+
+const averageSeverity = (events) => {
+  const rated = events.filter(event => isValidSeverity(event.severity));
+  return rated.length > 0
+    ? Math.round(rated.reduce((sum, event) => sum + event.severity, 0) / rated.length * 10) / 10
+    : null;
+};
+
+// How many events fall into each timeline bucket, and the worst severity
+export const countEventsByBucket = (events, buckets) => buckets.map(bucket => {
+  const inBucket = events.filter((event) => {
+    const time = new Date(event.timestamp);
+    return time >= bucket.start && time < bucket.end;
+  });
+  const severities = inBucket.map(event => event.severity).filter(isValidSeverity);
+  return {
+    ...bucket,
+    count: inBucket.length,
+    maxSeverity: severities.length > 0 ? Math.max(...severities) : null
+  };
+});
+
+// One row per symptom, most frequent first
+export const summarizeSymptoms = (events) => {
+  const groups = new Map();
+  events.forEach((event) => {
+    const key = getSymptomKey(event);
+    groups.set(key, [...(groups.get(key) || []), event]);
+  });
+
+  return [...groups.entries()]
+    .map(([key, group]) => ({
+      key,
+      bodyPartName: group[0].bodyPartName,
+      symptomType: group[0].symptomType,
+      count: group.length,
+      averageSeverity: averageSeverity(group),
+      maxSeverity: Math.max(0, ...group.map(event => event.severity).filter(isValidSeverity)) || null,
+      lastTimestamp: group.reduce((last, event) => event.timestamp > last ? event.timestamp : last, '')
+    }))
+    .sort((a, b) => b.count - a.count || a.symptomType.localeCompare(b.symptomType));
+};
+
+// For clinic visits: one row per event, oldest first
+export const symptomEventsToCsv = (events) => {
+  const header = ['date', 'time', 'body part', 'symptom', 'severity', 'note'];
+  const rows = [...events]
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+    .map((event) => {
+      const time = new Date(event.timestamp);
+      return [
+        time.toLocaleDateString('en-CA'),
+        time.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' }),
+        event.bodyPartName,
+        event.symptomType,
+        event.severity ?? '',
+        event.note
+      ];
+    });
+  return toCsv([header, ...rows]);
+};
@@ -0,0 +1,357 @@
+// Sync of a patient's data between devices, e.g. the patient tablet and a
+// caregiver phone. Devices that share a room code exchange encrypted batches
+// through a transport (see syncTransports.js): first everything the others
+// sent since the last sync is merged in, then this device's own changes are
+// sent. Records are merged per field from their sync records (see
+// syncTracking.js); photos are only ever added, so a photo deleted on one
+// device stays on the others. The room code both finds the room and derives
+// the key, so a relay never sees the data.
+
+import { db } from './database';
+import { getAllUserImages, putUserImageRecords } from './indexedDB';
+import { serializeImage, deserializeImage } from './imageProcessing';
+import { clearHistory } from './undoHistory';
+import { logBulkChange } from './auditLog';
+import { assertCanPerform } from './caregiverLock';
+import { patientStorage } from './patientProfiles';
+import {
+  isEncryptionEnabled,
+  isEncryptionUnlocked,
+  createEncryptionLockedError,
+  deriveSharedKey,
+  encryptText,
+  decryptText
+} from './encryption';
+import { createSyncTransport, normalizeRelayUrl } from './syncTransports';
+import {
+  SYNCED_TABLES,
+  SYNC_RECORDS_TABLE,
+  getDeviceId,
+  markRemoteTransaction,
+  mergeRecordStates,
+  observeClock,
+  toSyncedRecord
+} from './syncTracking';
+
+// Per patient (see patientProfiles.js), never part of a backup
+export const SYNC_SETTINGS_KEY = 'syncSettings';
+
+export const AUTO_SYNC_INTERVAL_MS = 60 * 1000;
+
+const ROOM_SALT = 'strokeapp-sync';
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 16;
+
+// Photos make batches large, so they travel a few at a time
+const RECORDS_PER_BATCH = 200;
+const IMAGES_PER_BATCH = 4;
+
+// --- Room codes ---
+
+export const normalizeRoomCode = (roomCode) => (roomCode || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// Groups of four, e.g. "K7QM-4XRT-PW2H-9CJD"
+export const formatRoomCode = (roomCode) => normalizeRoomCode(roomCode).match(/.{1,4}/g)?.join('-') || '';
+
+export const createRoomCode = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(ROOM_CODE_LENGTH));
+  return formatRoomCode(Array.from(bytes, byte => ROOM_CODE_ALPHABET[byte % ROOM_CODE_ALPHABET.length]).join(''));
+};
+
+const toHex = (buffer) => {
+  return Array.from(new Uint8Array(buffer))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+// Deriving the key is slow on purpose, so it is kept for the session
+let openedRoom = null;
+
+const openRoom = async (roomCode) => {
+  if (openedRoom?.roomCode !== roomCode) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${ROOM_SALT}:${roomCode}`));
+    openedRoom = { roomCode, roomId: toHex(digest), key: await deriveSharedKey(roomCode, ROOM_SALT) };
+  }
+  return openedRoom;
+};
+
+// --- Settings ---
+
+export const getSyncSettings = () => {
+  try {
+    return JSON.parse(patientStorage.getItem(SYNC_SETTINGS_KEY));
+  } catch {
+    return null;
+  }
+};
+
+const saveSyncSettings = (settings) => {
+  patientStorage.setItem(SYNC_SETTINGS_KEY, JSON.stringify(settings));
+  return settings;
+};
+
+// How far this device got in its room: the transport's cursor, the newest
+// change it sent and the photos it sent
+const NO_PROGRESS = { cursor: null, pushedClock: null, sentImageIds: [], lastSyncAt: null };
+
+// Save progress unless the room was left or changed while syncing
+const saveSyncProgress = (roomCode, progress) => {
+  const settings = getSyncSettings();
+  if (settings?.roomCode === roomCode) {
+    saveSyncSettings({ ...settings, ...progress });
+  }
+};
+
+let running = null;
+let lastError = null;
+const listeners = new Set();
+
+// Subscribe to sync events: `{ type: 'status' }` when sync starts, ends or is
+// set up, and `{ type: 'applied', tables }` when changes from another device
+// were written to `tables`. Returns an unsubscribe function.
+export const onSyncChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const notifyListeners = (event) => {
+  listeners.forEach(listener => listener(event));
+};
+
+export const getSyncStatus = () => {
+  const settings = getSyncSettings();
+  return {
+    configured: Boolean(settings),
+    syncing: Boolean(running),
+    autoSync: Boolean(settings?.autoSync),
+    lastSyncAt: settings?.lastSyncAt || null,
+    lastError
+  };
+};
+
+// Join a room, or change how this device reaches it. Joining another room
+// starts over, so everything is exchanged with the devices there.
+export const configureSync = ({ transport = 'relay', relayUrl, roomCode, autoSync = true }) => {
+  assertCanPerform('manageSync');
+  const code = normalizeRoomCode(roomCode);
+  if (code.length !== ROOM_CODE_LENGTH) {
+    throw new Error(`The room code has ${ROOM_CODE_LENGTH} letters and digits`);
+  }
+  const url = normalizeRelayUrl(relayUrl);
+  if (transport === 'relay' && !url) {
+    throw new Error('Enter the address of the sync relay');
+  }
+
+  const current = getSyncSettings();
+  const progress = current?.roomCode === code && current.transport === transport
+    ? { cursor: current.cursor, pushedClock: current.pushedClock, sentImageIds: current.sentImageIds, lastSyncAt: current.lastSyncAt }
+    : NO_PROGRESS;
+  const settings = saveSyncSettings({ transport, relayUrl: url, roomCode: code, autoSync: Boolean(autoSync), ...progress });
+  lastError = null;
+  notifyListeners({ type: 'status' });
+  return settings;
+};
+
+// Stop syncing this patient. The data on the device stays as it is.
+export const leaveSync = () => {
+  assertCanPerform('manageSync');
+  patientStorage.removeItem(SYNC_SETTINGS_KEY);
+  lastError = null;
+  notifyListeners({ type: 'status' });
+};
+
+// --- Receiving ---
+
+const isSameRecord = (a, b) => {
+  const fields = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+  return Boolean(a && b) && Array.from(fields).every(field => JSON.stringify(a[field]) === JSON.stringify(b[field]));
+};
+
+const applyRemoteRecord = (entry) => {
+  const { state } = entry;
+  if (!SYNCED_TABLES.includes(state?.table)) {
+    return false;
+  }
+  observeClock(state.updatedAt);
+
+  const table = db.table(state.table);
+  const syncRecords = db.table(SYNC_RECORDS_TABLE);
+  return db.transaction('rw', table, syncRecords, async (tx) => {
+    markRemoteTransaction(tx);
+    const localState = await syncRecords.get(state.syncId);
+    const localRecord = await table.where('syncId').equals(state.syncId).first();
+    const merged = mergeRecordStates(localState, localRecord, entry);
+
+    let changed = false;
+    if (merged.record) {
+      const record = localRecord ? { ...merged.record, id: localRecord.id } : merged.record;
+      if (!isSameRecord(record, localRecord)) {
+        await table.put(record);
+        changed = true;
+      }
+    } else if (localRecord) {
+      await table.delete(localRecord.id);
+      changed = true;
+    }
+    if (!isSameRecord(merged.state, localState)) {
+      await syncRecords.put(merged.state);
+    }
+    return changed;
+  });
+};
+
+const receiveChanges = async (transport, settings, key, knownImageIds) => {
+  const received = { records: 0, imageIds: [], tables: new Set() };
+  let cursor = settings.cursor;
+  let more = true;
+
+  while (more) {
+    const response = await transport.receive(cursor);
+    for (const batch of response.batches) {
+      const text = await decryptText(batch.payload, key);
+      if (text === null) {
+        console.warn('Skipping a sync batch that was not encrypted with this room code');
+        continue;
+      }
+
+      const { records = [], images = [] } = JSON.parse(text);
+      for (const entry of records) {
+        if (await applyRemoteRecord(entry)) {
+          received.records++;
+          received.tables.add(entry.state.table);
+        }
+      }
+
+      const newImages = images.filter(image => !knownImageIds.has(image.id));
+      if (newImages.length > 0) {
+        await putUserImageRecords(newImages.map(deserializeImage));
+        newImages.forEach((image) => {
+          knownImageIds.add(image.id);
+          received.imageIds.push(image.id);
+        });
+      }
+    }
+
+    cursor = response.cursor;
+    more = Boolean(response.more);
+    saveSyncProgress(settings.roomCode, { cursor });
+  }
+
+  return received;
+};
+
+// --- Sending ---
+
+const sendBatch = async (transport, key, batch) => {
+  await transport.send(await encryptText(JSON.stringify(batch), key));
+};
+
+const sendChanges = async (transport, settings, key) => {
+  const pending = await db.table(SYNC_RECORDS_TABLE)
+    .where('updatedAt')
+    .above(settings.pushedClock || '')
+    .sortBy('updatedAt');
+
+  for (let i = 0; i < pending.length; i += RECORDS_PER_BATCH) {
+    const states = pending.slice(i, i + RECORDS_PER_BATCH);
+    const records = await Promise.all(states.map(async (state) => {
+      const record = state.deleted ? null : await db.table(state.table).where('syncId').equals(state.syncId).first();
+      return { state, record: record ? toSyncedRecord(record) : null };
+    }));
+    await sendBatch(transport, key, { records });
+    saveSyncProgress(settings.roomCode, { pushedClock: states[states.length - 1].updatedAt });
+  }
+
+  return pending.length;
+};
+
+// Photos this device has that it hasn't sent or received in this room
+const sendImages = async (transport, settings, key, localImages) => {
+  const sentImageIds = new Set(settings.sentImageIds);
+  const unsent = localImages.filter(image => !sentImageIds.has(image.id));
+
+  for (let i = 0; i < unsent.length; i += IMAGES_PER_BATCH) {
+    const images = unsent.slice(i, i + IMAGES_PER_BATCH);
+    await sendBatch(transport, key, { images: await Promise.all(images.map(serializeImage)) });
+    images.forEach(image => sentImageIds.add(image.id));
+    saveSyncProgress(settings.roomCode, { sentImageIds: Array.from(sentImageIds) });
+  }
+
+  return unsent.length;
+};
+
+// --- Syncing ---
+
+// Records from before sync was set up get a sync id and sync record when
+// they are written back
+const trackExistingRecords = async () => {
+  for (const tableName of SYNCED_TABLES) {
+    const table = db.table(tableName);
+    const untracked = await table.filter(record => !record.syncId).toArray();
+    if (untracked.length > 0) {
+      await table.bulkPut(untracked);
+    }
+  }
+};
+
+const runSync = async () => {
+  const settings = getSyncSettings();
+  if (!settings) {
+    throw new Error('Sync is not set up for this patient');
+  }
+  if (isEncryptionEnabled() && !isEncryptionUnlocked()) {
+    throw createEncryptionLockedError();
+  }
+
+  try {
+    const { roomId, key } = await openRoom(settings.roomCode);
+    const transport = createSyncTransport(settings.transport, {
+      relayUrl: settings.relayUrl,
+      roomId,
+      deviceId: getDeviceId()
+    });
+
+    await trackExistingRecords();
+    const localImages = await getAllUserImages();
+    const knownImageIds = new Set(localImages.map(image => image.id));
+    const received = await receiveChanges(transport, settings, key, knownImageIds);
+    // Received photos are already on the other devices
+    saveSyncProgress(settings.roomCode, { sentImageIds: [...settings.sentImageIds, ...received.imageIds] });
+
+    const sent = await sendChanges(transport, settings, key);
+    const sentImages = await sendImages(transport, getSyncSettings() || settings, key, localImages);
+
+    saveSyncProgress(settings.roomCode, { lastSyncAt: new Date().toISOString() });
+    lastError = null;
+
+    const receivedImages = received.imageIds.length;
+    if (received.records > 0 || receivedImages > 0) {
+      await logBulkChange(db, {
+        action: 'sync',
+        description: `Synced ${received.records} changes and ${receivedImages} photos from other devices`
+      });
+      // Undo entries would put back records as they were before the sync
+      clearHistory();
+      notifyListeners({ type: 'applied', tables: Array.from(received.tables) });
+    }
+
+    console.log(`Sync finished: received ${received.records} changes and ${receivedImages} photos, sent ${sent} changes and ${sentImages} photos`);
+    return { received: received.records, receivedImages, sent, sentImages };
+  } catch (error) {
+    console.error('Error syncing:', error);
+    lastError = error.message || 'Sync failed';
+    throw error;
+  }
+};
+
+// Sync now, or join the sync that is already running
+export const syncNow = () => {
+  if (!running) {
+    running = runSync().finally(() => {
+      running = null;
+      notifyListeners({ type: 'status' });
+    });
+    notifyListeners({ type: 'status' });
+  }
+  return running;
+};
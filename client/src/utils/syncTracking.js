@@ -0,0 +1,281 @@
+// Change tracking for device sync (see sync.js). A Dexie middleware gives
+// every record of a synced collection a `syncId` that is the same on every
+// device, and keeps a sync record next to it in `syncRecords`: a hybrid
+// logical clock per field, per-device shares of the usage counters, and a
+// tombstone once the record is deleted. Merging two devices' sync records is
+// per field last-writer-wins, except that usage counts are added up.
+
+// The collections that are synced. The trash and the audit log describe what
+// happened on one device and stay there.
+export const SYNCED_TABLES = ['emergencies', 'foods', 'contacts', 'phrases', 'orders', 'activities', 'symptomEvents', 'strokeChecks', 'sosEvents', 'medicalIds', 'medications', 'medicationDoses'];
+export const SYNC_RECORDS_TABLE = 'syncRecords';
+
+// Fields that differ per device and are never compared or sent
+const LOCAL_FIELDS = ['id', 'syncId'];
+
+// Counted on every device and added up rather than overwritten
+const MERGED_COUNTERS = ['usageCount'];
+
+// Device-level localStorage (see patientProfiles.js)
+export const SYNC_DEVICE_ID_KEY = 'syncDeviceId';
+
+const randomHex = (length) => Array.from(crypto.getRandomValues(new Uint8Array(length)))
+  .map(byte => byte.toString(16).padStart(2, '0'))
+  .join('');
+
+export const createSyncId = () => randomHex(16);
+
+export const getDeviceId = () => {
+  let deviceId = localStorage.getItem(SYNC_DEVICE_ID_KEY);
+  if (!deviceId) {
+    deviceId = randomHex(6);
+    localStorage.setItem(SYNC_DEVICE_ID_KEY, deviceId);
+  }
+  return deviceId;
+};
+
+// --- Hybrid logical clock ---
+// `<milliseconds>-<counter>-<device id>`, zero-padded so clocks compare as
+// strings. Clocks keep increasing even if this device's time runs behind
+// another's, as long as it has seen the other's clocks (observeClock).
+
+let lastClock = { time: 0, counter: 0 };
+
+const formatClock = ({ time, counter }) => `${String(time).padStart(13, '0')}-${String(counter).padStart(4, '0')}-${getDeviceId()}`;
+
+export const observeClock = (clock) => {
+  const [time, counter] = (clock || '').split('-').map(Number);
+  if (time > lastClock.time || (time === lastClock.time && counter > lastClock.counter)) {
+    lastClock = { time, counter };
+  }
+};
+
+export const nextClock = () => {
+  const now = Date.now();
+  lastClock = now > lastClock.time
+    ? { time: now, counter: 0 }
+    : { time: lastClock.time, counter: lastClock.counter + 1 };
+  return formatClock(lastClock);
+};
+
+const maxClock = (...clocks) => clocks.filter(Boolean).sort().pop() || null;
+
+// --- Sync records ---
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const isTrackedField = (field) => !LOCAL_FIELDS.includes(field) && !MERGED_COUNTERS.includes(field);
+
+// A record as it is sent to other devices, without this device's `id`
+export const toSyncedRecord = (record) => {
+  const synced = { ...record };
+  delete synced.id;
+  return synced;
+};
+
+const sumCounter = (shares = {}) => Object.values(shares).reduce((sum, share) => sum + share.count, 0);
+
+// The sync record after a local write of `after` over `before` (null when the
+// record did not exist), or null when nothing that syncs has changed
+const trackWrite = (state, syncId, tableName, before, after) => {
+  observeClock(state?.updatedAt);
+  const clock = nextClock();
+  const deviceId = getDeviceId();
+  const next = {
+    syncId,
+    table: tableName,
+    clock: { ...state?.clock },
+    counters: { ...state?.counters },
+    deleted: false,
+    deletedAt: state?.deletedAt || null,
+    updatedAt: clock
+  };
+  let changed = !state || state.deleted;
+
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after)]);
+  fields.forEach((field) => {
+    if (isTrackedField(field) && (!before || !isSameValue(before[field], after[field]))) {
+      next.clock[field] = clock;
+      changed = true;
+    }
+  });
+
+  MERGED_COUNTERS.filter(counter => typeof after[counter] === 'number').forEach((counter) => {
+    const shares = next.counters[counter] || {};
+    const ownCount = after[counter] - (sumCounter(shares) - (shares[deviceId]?.count || 0));
+    if (shares[deviceId]?.count !== ownCount) {
+      next.counters[counter] = { ...shares, [deviceId]: { count: ownCount, clock } };
+      changed = true;
+    }
+  });
+
+  return changed ? next : null;
+};
+
+const trackDelete = (state, syncId, tableName) => {
+  observeClock(state?.updatedAt);
+  const clock = nextClock();
+  return {
+    clock: {},
+    counters: {},
+    ...state,
+    syncId,
+    table: tableName,
+    deleted: true,
+    deletedAt: clock,
+    updatedAt: clock
+  };
+};
+
+// Merge a sync record and record from another device (`remote`, whose
+// `record` is null once deleted) into this device's. Returns the merged
+// `{ state, record }`; `record` is null when the record ends up deleted and
+// never carries the local `id`.
+export const mergeRecordStates = (localState, localRecord, remote) => {
+  if (!localState) {
+    return { state: remote.state, record: remote.state.deleted ? null : remote.record };
+  }
+
+  const clock = { ...localState.clock };
+  const values = localRecord ? toSyncedRecord(localRecord) : { ...remote.record };
+
+  // A deleted record's values are gone, so its clocks can't win any field
+  if (remote.record) {
+    Object.entries(remote.state.clock).forEach(([field, fieldClock]) => {
+      if (!clock[field] || fieldClock > clock[field]) {
+        clock[field] = fieldClock;
+        if (Object.hasOwn(remote.record, field)) {
+          values[field] = remote.record[field];
+        } else {
+          delete values[field];
+        }
+      }
+    });
+  }
+
+  const counters = { ...localState.counters };
+  Object.entries(remote.state.counters || {}).forEach(([counter, remoteShares]) => {
+    const shares = { ...counters[counter] };
+    Object.entries(remoteShares).forEach(([deviceId, share]) => {
+      if (!shares[deviceId] || share.clock > shares[deviceId].clock) {
+        shares[deviceId] = share;
+      }
+    });
+    counters[counter] = shares;
+  });
+  Object.entries(counters).forEach(([counter, shares]) => {
+    values[counter] = sumCounter(shares);
+  });
+
+  // A delete wins over every edit made before it, and loses to later ones
+  const deletedAt = maxClock(localState.deletedAt, remote.state.deletedAt);
+  const deleted = Boolean(deletedAt) && deletedAt > (maxClock(...Object.values(clock)) || '');
+
+  return {
+    state: {
+      syncId: localState.syncId,
+      table: localState.table,
+      clock,
+      counters,
+      deleted,
+      deletedAt,
+      updatedAt: maxClock(localState.updatedAt, remote.state.updatedAt)
+    },
+    record: deleted || (!localRecord && !remote.record) ? null : { ...values, syncId: localState.syncId }
+  };
+};
+
+// --- Middleware ---
+
+// Transactions that apply another device's changes, which must not be
+// tracked as local edits (see markRemoteTransaction)
+const remoteTransactions = new WeakSet();
+
+// Mark a Dexie transaction as applying synced changes
+export const markRemoteTransaction = (transaction) => {
+  remoteTransactions.add(transaction.idbtrans);
+};
+
+const createTrackedTable = (table, syncRecords) => {
+  const { primaryKey } = table.schema;
+
+  const readStates = (trans, syncIds) => syncRecords.getMany({ trans, keys: syncIds });
+
+  const writeStates = (trans, states) => states.length > 0
+    ? syncRecords.mutate({ trans, type: 'put', values: states }).then(() => undefined)
+    : undefined;
+
+  const trackPut = async (req) => {
+    const keys = req.values.map(value => primaryKey.extractKey(value));
+    const knownKeys = keys.filter(key => key !== undefined);
+    const existing = knownKeys.length > 0 ? await table.getMany({ trans: req.trans, keys: knownKeys }) : [];
+    const befores = keys.map(key => key === undefined ? null : existing[knownKeys.indexOf(key)] || null);
+
+    const values = req.values.map((value, index) => value.syncId
+      ? value
+      : { ...value, syncId: befores[index]?.syncId || createSyncId() });
+    const states = await readStates(req.trans, values.map(value => value.syncId));
+
+    const response = await table.mutate({ ...req, values });
+    const nextStates = values
+      .map((value, index) => response.failures[index]
+        ? null
+        : trackWrite(states[index], value.syncId, table.name, befores[index], value))
+      .filter(Boolean);
+    await writeStates(req.trans, nextStates);
+    return response;
+  };
+
+  const trackDeletes = async (req, deletedRecords) => {
+    const tracked = deletedRecords.filter(record => record?.syncId);
+    const states = tracked.length > 0 ? await readStates(req.trans, tracked.map(record => record.syncId)) : [];
+    const response = await table.mutate(req);
+    await writeStates(req.trans, tracked.map((record, index) => trackDelete(states[index], record.syncId, table.name)));
+    return response;
+  };
+
+  return {
+    ...table,
+
+    mutate(req) {
+      if (remoteTransactions.has(req.trans)) {
+        return table.mutate(req);
+      }
+      if (req.type === 'add' || req.type === 'put') {
+        return trackPut(req);
+      }
+      if (req.type === 'delete') {
+        return table.getMany({ trans: req.trans, keys: req.keys })
+          .then(records => trackDeletes(req, records));
+      }
+      if (req.type === 'deleteRange') {
+        return table.query({ trans: req.trans, values: true, query: { index: primaryKey, range: req.range } })
+          .then(({ result }) => trackDeletes(req, result));
+      }
+      return table.mutate(req);
+    }
+  };
+};
+
+// Register on a Dexie instance before it is opened. Read-write transactions
+// on a synced collection also get the sync records table, so a record and
+// its sync record are always written together.
+export const applySyncTracking = (database) => {
+  database.use({
+    stack: 'dbcore',
+    name: 'syncTracking',
+    create: (down) => ({
+      ...down,
+      transaction: (stores, mode, options) => {
+        const tracked = mode === 'readwrite'
+          && stores.some(store => SYNCED_TABLES.includes(store))
+          && !stores.includes(SYNC_RECORDS_TABLE);
+        return down.transaction(tracked ? [...stores, SYNC_RECORDS_TABLE] : stores, mode, options);
+      },
+      table: (tableName) => SYNCED_TABLES.includes(tableName)
+        ? createTrackedTable(down.table(tableName), down.table(SYNC_RECORDS_TABLE))
+        : down.table(tableName)
+    })
+  });
+  return database;
+};
@@ -0,0 +1,73 @@
+// How sync batches travel between devices (see sync.js). A transport only
+// moves opaque, already encrypted batches within a room:
+//
+//   send(payload)     deliver a batch to the other devices in the room
+//   receive(cursor)   resolve to `{ batches: [{ deviceId, payload }], cursor,
+//                     more }` with what the other devices sent after `cursor`
+//                     (null for "from the start"); `more` asks to call again
+//
+// Register another transport with registerSyncTransport, e.g. one over
+// WebRTC; the bundled 'relay' transport talks to scripts/sync-relay.js
+// running on a computer in the same network.
+
+const transports = new Map();
+
+const REQUEST_TIMEOUT_MS = 20000;
+
+// `create({ relayUrl, roomId, deviceId })` returns the transport
+export const registerSyncTransport = (name, { label, create }) => {
+  transports.set(name, { label, create });
+};
+
+export const getSyncTransports = () => Array.from(transports, ([name, { label }]) => ({ name, label }));
+
+export const createSyncTransport = (name, options) => {
+  const transport = transports.get(name);
+  if (!transport) {
+    throw new Error(`Unknown sync transport: ${name}`);
+  }
+  return transport.create(options);
+};
+
+const requestRelay = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+  } catch (error) {
+    console.error('Error reaching the sync relay:', error);
+    throw new Error('The sync relay could not be reached. Check its address and that it is running.');
+  }
+  if (!response.ok) {
+    throw new Error(`The sync relay answered ${response.status}`);
+  }
+  return response.json();
+};
+
+// Normalize what a caregiver typed, e.g. "192.168.1.20:8787"
+export const normalizeRelayUrl = (relayUrl) => {
+  const trimmed = (relayUrl || '').trim().replace(/\/+$/, '');
+  if (!trimmed) {
+    return '';
+  }
+  return /^https?:\/\//i.test(trimmed) ? trimmed : `http://${trimmed}`;
+};
+
+registerSyncTransport('relay', {
+  label: 'Relay on the local network',
+  create: ({ relayUrl, roomId, deviceId }) => {
+    const roomUrl = `${normalizeRelayUrl(relayUrl)}/rooms/${encodeURIComponent(roomId)}/batches`;
+    return {
+      send: (payload) => requestRelay(roomUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ deviceId, payload })
+      }),
+
+      receive: async (cursor) => {
+        const params = new URLSearchParams({ after: String(cursor || 0), exclude: deviceId });
+        const { batches, cursor: nextCursor, more } = await requestRelay(`${roomUrl}?${params}`);
+        return { batches, cursor: nextCursor, more };
+      }
+    };
+  }
+});
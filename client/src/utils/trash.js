@@ -0,0 +1,162 @@
+import { db, RECORD_TYPE_LABELS } from './database';
+import { deleteUserImages } from './indexedDB';
+import { collectImageReferences, findImageReferences } from './storageIntegrity';
+import { recordMutation, clearHistory } from './undoHistory';
+import { logBulkChange } from './auditLog';
+import { assertCanPerform } from './caregiverLock';
+import { patientStorage } from './patientProfiles';
+
+// Trash for soft-deleted records. Caregiver deletes (see trashOperations in
+// database.js) move a record here with its image ids; its images stay stored
+// until the entry is deleted for good, either by hand or once it is older
+// than the retention period.
+
+const RETENTION_KEY = 'trashRetentionDays';
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+export const TRASH_RETENTION_OPTIONS = [7, 30, 90];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const getTrashRetentionDays = () => {
+  const stored = Number(patientStorage.getItem(RETENTION_KEY));
+  return TRASH_RETENTION_OPTIONS.includes(stored) ? stored : DEFAULT_TRASH_RETENTION_DAYS;
+};
+
+export const saveTrashRetentionDays = (days) => {
+  assertCanPerform('purgeTrash');
+  if (!TRASH_RETENTION_OPTIONS.includes(days)) {
+    throw new Error(`Invalid trash retention: ${days} days`);
+  }
+  patientStorage.setItem(RETENTION_KEY, String(days));
+  return days;
+};
+
+// When an entry will be purged under the current retention setting
+export const getTrashExpiry = (entry, retentionDays = getTrashRetentionDays()) => {
+  return new Date(new Date(entry.deletedAt).getTime() + retentionDays * DAY_MS);
+};
+
+export const describeTrashEntry = (entry) => {
+  const type = entry.kind === 'symptom' ? RECORD_TYPE_LABELS.symptoms : RECORD_TYPE_LABELS[entry.table];
+  return `${type} "${entry.label}"`;
+};
+
+// Newest deletions first
+export const listTrash = async () => {
+  try {
+    return await db.trash.orderBy('deletedAt').reverse().toArray();
+  } catch (error) {
+    console.error('Error listing trash:', error);
+    throw error;
+  }
+};
+
+// Put a trashed record back where it came from. A symptom goes back into its
+// body part, which must still exist.
+export const restoreFromTrash = async (trashId) => {
+  try {
+    assertCanPerform('restoreFromTrash');
+    const { entry, changes } = await db.transaction('rw', db.tables, async () => {
+      const entry = await db.trash.get(trashId);
+      if (!entry) {
+        throw new Error('This item is no longer in the trash');
+      }
+
+      const changes = [{ table: 'trash', key: trashId, before: entry, after: null }];
+      if (entry.kind === 'symptom') {
+        const bodyPart = await db.emergencies.get(entry.parentKey);
+        if (!bodyPart) {
+          throw new Error(`Restore the body part "${entry.parentLabel}" first`);
+        }
+        const updated = {
+          ...bodyPart,
+          symptoms: [...(bodyPart.symptoms || []).filter(s => s.id !== entry.record.id), entry.record],
+          updatedAt: new Date().toISOString()
+        };
+        await db.emergencies.put(updated);
+        changes.unshift({ table: 'emergencies', key: entry.parentKey, before: bodyPart, after: updated });
+      } else {
+        const table = db.table(entry.table);
+        const record = { ...entry.record };
+        // An entry merged in from another device may carry a key that is taken here
+        if (await table.get(entry.recordKey)) {
+          delete record.id;
+        }
+        const key = await table.put(record);
+        changes.unshift({ table: entry.table, key, before: null, after: { ...record, id: key } });
+      }
+
+      await db.trash.delete(trashId);
+      return { entry, changes };
+    });
+
+    await recordMutation(db, `Restore ${describeTrashEntry(entry)}`, changes);
+    return entry;
+  } catch (error) {
+    console.error('Error restoring from trash:', error);
+    throw error;
+  }
+};
+
+// Delete the images of removed trash entries that nothing else still uses
+const deleteUnusedImages = async (entries) => {
+  const imageIds = new Set(entries.flatMap(entry => findImageReferences(entry.record).map(reference => reference.imageId)));
+  if (imageIds.size === 0) {
+    return 0;
+  }
+
+  const referencedIds = new Set((await collectImageReferences()).map(reference => reference.imageId));
+  return deleteUserImages([...imageIds].filter(imageId => !referencedIds.has(imageId)));
+};
+
+const deleteEntries = async (entries, description) => {
+  if (entries.length === 0) {
+    return { deleted: 0, imagesDeleted: 0 };
+  }
+
+  await db.trash.bulkDelete(entries.map(entry => entry.id));
+  await logBulkChange(db, { entityType: 'trash', action: 'purge', description });
+  // Undo entries may point at these records or their images
+  clearHistory();
+  const imagesDeleted = await deleteUnusedImages(entries);
+  return { deleted: entries.length, imagesDeleted };
+};
+
+// Permanently delete one entry and its images. This cannot be undone.
+export const deleteFromTrash = async (trashId) => {
+  try {
+    assertCanPerform('purgeTrash');
+    const entry = await db.trash.get(trashId);
+    return await deleteEntries(entry ? [entry] : [], entry && `Deleted ${describeTrashEntry(entry)} for good`);
+  } catch (error) {
+    console.error('Error deleting from trash:', error);
+    throw error;
+  }
+};
+
+export const emptyTrash = async () => {
+  try {
+    assertCanPerform('purgeTrash');
+    return await deleteEntries(await db.trash.toArray(), 'Emptied the trash');
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    throw error;
+  }
+};
+
+// Delete entries older than the retention period (run at startup)
+export const purgeExpiredTrash = async (retentionDays = getTrashRetentionDays()) => {
+  try {
+    const cutoff = new Date(Date.now() - retentionDays * DAY_MS).toISOString();
+    const expired = await db.trash.where('deletedAt').below(cutoff).toArray();
+    const result = await deleteEntries(expired, `Removed ${expired.length} items older than ${retentionDays} days from the trash`);
+    if (result.deleted > 0) {
+      console.log('Expired trash purged:', result);
+    }
+    return result;
+  } catch (error) {
+    console.error('Error purging expired trash:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,134 @@
+// App-wide undo/redo for caregiver mutations. Each entry records the state of
+// every touched row before and after the change, so undoing puts `before`
+// back and redoing applies `after` (a null state means the row did not exist).
+// History is kept in memory only and covers the last MAX_HISTORY mutations;
+// every mutation, undo and redo is also written to the audit log.
+
+import { logMutation } from './auditLog';
+
+export const MAX_HISTORY = 20;
+
+let undoStack = [];
+let redoStack = [];
+const historyListeners = new Set();
+
+const notify = (event) => {
+  historyListeners.forEach(listener => listener(event));
+};
+
+// Subscribe to history changes. Listeners get `{ type, entry }` where type is
+// 'record', 'undo', 'redo' or 'clear'. Returns an unsubscribe function.
+export const onHistoryChange = (listener) => {
+  historyListeners.add(listener);
+  return () => historyListeners.delete(listener);
+};
+
+export const getHistoryState = () => ({
+  undoEntry: undoStack[undoStack.length - 1] || null,
+  redoEntry: redoStack[redoStack.length - 1] || null,
+  canUndo: undoStack.length > 0,
+  canRedo: redoStack.length > 0
+});
+
+// The change itself has already been saved, so a failed log write must not
+// turn it into a failed save
+const writeAuditLog = async (entry, source) => {
+  try {
+    await logMutation(entry.database, entry, source);
+  } catch (error) {
+    console.error('Error writing audit log:', error);
+  }
+};
+
+// Record a finished mutation. `changes` is a list of
+// `{ table, key, before, after }` rows in `database`.
+export const recordMutation = async (database, description, changes) => {
+  const meaningful = changes.filter(change => change.before || change.after);
+  if (meaningful.length === 0) return;
+
+  const entry = {
+    id: `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    database,
+    description,
+    changes: meaningful,
+    tables: [...new Set(meaningful.map(change => change.table))],
+    recordedAt: new Date().toISOString()
+  };
+  undoStack = [...undoStack, entry].slice(-MAX_HISTORY);
+  redoStack = [];
+  await writeAuditLog(entry, 'edit');
+  notify({ type: 'record', entry });
+};
+
+// Run `mutate` and record how it changed `table[key]`. For inserts pass a
+// null key; it is taken from the `id` of the returned record.
+export const trackRecordChange = async (database, description, tableName, key, mutate) => {
+  const table = database.table(tableName);
+  const before = key != null ? await table.get(key) : null;
+  const result = await mutate();
+  const recordKey = key ?? result?.id;
+  const after = recordKey != null ? await table.get(recordKey) : null;
+
+  await recordMutation(database, typeof description === 'function' ? description(after || before) : description, [
+    { table: tableName, key: recordKey, before: before || null, after: after || null }
+  ]);
+  return result;
+};
+
+const applyChanges = async (entry, direction) => {
+  const { database, changes } = entry;
+  const ordered = direction === 'undo' ? [...changes].reverse() : changes;
+
+  await database.transaction('rw', entry.tables, async () => {
+    for (const change of ordered) {
+      const state = direction === 'undo' ? change.before : change.after;
+      const table = database.table(change.table);
+      if (state) {
+        await table.put(state);
+      } else {
+        await table.delete(change.key);
+      }
+    }
+  });
+};
+
+export const undoLastMutation = async () => {
+  const entry = undoStack[undoStack.length - 1];
+  if (!entry) return null;
+
+  try {
+    await applyChanges(entry, 'undo');
+    undoStack = undoStack.slice(0, -1);
+    redoStack = [...redoStack, entry];
+    await writeAuditLog(entry, 'undo');
+    notify({ type: 'undo', entry });
+    return entry;
+  } catch (error) {
+    console.error('Error undoing change:', error);
+    throw error;
+  }
+};
+
+export const redoLastMutation = async () => {
+  const entry = redoStack[redoStack.length - 1];
+  if (!entry) return null;
+
+  try {
+    await applyChanges(entry, 'redo');
+    redoStack = redoStack.slice(0, -1);
+    undoStack = [...undoStack, entry];
+    await writeAuditLog(entry, 'redo');
+    notify({ type: 'redo', entry });
+    return entry;
+  } catch (error) {
+    console.error('Error redoing change:', error);
+    throw error;
+  }
+};
+
+// Forget all history, e.g. after a restore replaced the data wholesale
+export const clearHistory = () => {
+  undoStack = [];
+  redoStack = [];
+  notify({ type: 'clear', entry: null });
+};
@@ -22,6 +22,9 @@ export default defineConfig({
     VitePWA({
       registerType: 'autoUpdate',
       workbox: {
+        // Shows reminders while the app is closed and answers taps on them
+        // (see src/utils/reminders.js)
+        importScripts: ['reminder-sw.js'],
         globPatterns: ['**/*.{js,css,html,ico,png,svg,jpg,jpeg,gif,webp}'],
         runtimeCaching: [
           {
@@ -150,5 +153,10 @@ export default defineConfig({
   // CSS optimization
   css: {
     devSourcemap: false,
+  },
+  // Unit tests (npm test) run in Node with fake-indexeddb for Dexie
+  test: {
+    environment: 'node',
+    setupFiles: ['./src/test/setup.js'],
   }
 }) 
\ No newline at end of file